@@ -11,6 +11,10 @@ pragma solidity ^0.8.24;
  * 2. Users place bets → placeBet(matchId, agentSide) with MON attached
  * 3. Backend resolves match → resolveMatch(matchId, winningSide)
  * 4. Winners claim rewards → claimWinnings(matchId)
+ *
+ * Free-for-all matches use a field market instead — one outcome per fighter:
+ * createFieldMatch(matchId, names) → placeFieldBet(matchId, outcome)
+ * → resolveFieldMatch(matchId, winningOutcome) → claimWinnings(matchId)
  */
 contract AgentClashBetting {
 
@@ -64,6 +68,14 @@ contract AgentClashBetting {
     
     bytes32[] public matchIds;
 
+    // Field markets (free-for-all): outcomes are 1..outcomeCount, one per fighter.
+    // outcomeCount is 0 for regular two-sided matches.
+    uint8 public constant MAX_FIELD_OUTCOMES = 8;
+    mapping(bytes32 => uint8) public outcomeCount;
+    mapping(bytes32 => mapping(uint8 => uint256)) public outcomePools;
+    mapping(bytes32 => mapping(address => uint8)) public userOutcome;
+    mapping(bytes32 => uint8) public winningOutcome;
+
     // ══════════════════════════════════════════════════════
     // EVENTS
     // ══════════════════════════════════════════════════════
@@ -76,6 +88,9 @@ contract AgentClashBetting {
     event WinningsClaimed(bytes32 indexed matchId, address indexed bettor, uint256 payout);
     event RefundClaimed(bytes32 indexed matchId, address indexed bettor, uint256 amount);
     event PlatformFeeWithdrawn(address indexed to, uint256 amount);
+    event FieldMatchCreated(bytes32 indexed matchId, string[] fighterNames, uint256 timestamp);
+    event FieldBetPlaced(bytes32 indexed matchId, address indexed bettor, uint8 outcome, uint256 amount);
+    event FieldMatchResolved(bytes32 indexed matchId, uint8 winningOutcome, uint256 totalPool);
 
     // ══════════════════════════════════════════════════════
     // MODIFIERS
@@ -136,6 +151,38 @@ contract AgentClashBetting {
         emit MatchCreated(_matchId, _agentAName, _agentBName, block.timestamp);
     }
 
+    /**
+     * @notice Create a free-for-all match with one betting outcome per fighter
+     * @param _matchId Unique match identifier (from backend)
+     * @param _fighterNames Fighter names in outcome order (outcome 1 = first name)
+     */
+    function createFieldMatch(
+        bytes32 _matchId,
+        string[] calldata _fighterNames
+    ) external onlyOperator {
+        require(matches[_matchId].createdAt == 0, "Match already exists");
+        require(_fighterNames.length >= 3 && _fighterNames.length <= MAX_FIELD_OUTCOMES, "Invalid field size");
+
+        matches[_matchId] = MatchInfo({
+            matchId: _matchId,
+            agentAName: _fighterNames[0],
+            agentBName: _fighterNames[1],
+            status: MatchStatus.Open,
+            winningSide: Side.None,
+            poolA: 0,
+            poolB: 0,
+            totalPool: 0,
+            createdAt: block.timestamp,
+            resolvedAt: 0
+        });
+        outcomeCount[_matchId] = uint8(_fighterNames.length);
+
+        matchIds.push(_matchId);
+        totalMatches++;
+
+        emit FieldMatchCreated(_matchId, _fighterNames, block.timestamp);
+    }
+
     /**
      * @notice Lock a match (no more bets accepted) — called when fight starts
      */
@@ -155,6 +202,7 @@ contract AgentClashBetting {
         MatchInfo storage m = matches[_matchId];
         require(m.createdAt > 0, "Match does not exist");
         require(m.status == MatchStatus.Open || m.status == MatchStatus.Locked, "Cannot resolve");
+        require(outcomeCount[_matchId] == 0, "Use resolveFieldMatch");
         require(_winningSide == Side.AgentA || _winningSide == Side.AgentB, "Invalid side");
         
         m.status = MatchStatus.Resolved;
@@ -168,6 +216,26 @@ contract AgentClashBetting {
         emit MatchResolved(_matchId, _winningSide, m.totalPool);
     }
 
+    /**
+     * @notice Resolve a free-for-all match with the winning fighter's outcome
+     */
+    function resolveFieldMatch(bytes32 _matchId, uint8 _winningOutcome) external onlyOperator {
+        MatchInfo storage m = matches[_matchId];
+        require(m.createdAt > 0, "Match does not exist");
+        require(m.status == MatchStatus.Open || m.status == MatchStatus.Locked, "Cannot resolve");
+        require(outcomeCount[_matchId] > 0, "Not a field match");
+        require(_winningOutcome >= 1 && _winningOutcome <= outcomeCount[_matchId], "Invalid outcome");
+
+        m.status = MatchStatus.Resolved;
+        winningOutcome[_matchId] = _winningOutcome;
+        m.resolvedAt = block.timestamp;
+
+        uint256 fee = (m.totalPool * platformFeePercent) / 100;
+        platformEarnings += fee;
+
+        emit FieldMatchResolved(_matchId, _winningOutcome, m.totalPool);
+    }
+
     /**
      * @notice Cancel a match and allow all bettors to reclaim funds
      */
@@ -193,6 +261,7 @@ contract AgentClashBetting {
         MatchInfo storage m = matches[_matchId];
         require(m.createdAt > 0, "Match does not exist");
         require(m.status == MatchStatus.Open, "Betting closed");
+        require(outcomeCount[_matchId] == 0, "Use placeFieldBet");
         require(_side == Side.AgentA || _side == Side.AgentB, "Invalid side");
         require(msg.value >= minBet, "Below minimum bet");
         require(msg.value <= maxBet, "Above maximum bet");
@@ -222,6 +291,40 @@ contract AgentClashBetting {
         emit BetPlaced(_matchId, msg.sender, _side, msg.value);
     }
 
+    /**
+     * @notice Place a bet on one fighter of a free-for-all match
+     * @param _matchId The match to bet on
+     * @param _outcome Fighter outcome (1..outcomeCount)
+     */
+    function placeFieldBet(bytes32 _matchId, uint8 _outcome) external payable {
+        MatchInfo storage m = matches[_matchId];
+        require(m.createdAt > 0, "Match does not exist");
+        require(m.status == MatchStatus.Open, "Betting closed");
+        require(outcomeCount[_matchId] > 0, "Not a field match");
+        require(_outcome >= 1 && _outcome <= outcomeCount[_matchId], "Invalid outcome");
+        require(msg.value >= minBet, "Below minimum bet");
+        require(msg.value <= maxBet, "Above maximum bet");
+        require(userBetIndex[_matchId][msg.sender] == 0, "Already bet on this match");
+
+        matchBets[_matchId].push(BetInfo({
+            bettor: msg.sender,
+            matchId: _matchId,
+            side: Side.None,
+            amount: msg.value,
+            claimed: false
+        }));
+        userBetIndex[_matchId][msg.sender] = matchBets[_matchId].length; // 1-indexed
+        userOutcome[_matchId][msg.sender] = _outcome;
+
+        outcomePools[_matchId][_outcome] += msg.value;
+        m.totalPool += msg.value;
+
+        totalBetsPlaced++;
+        totalVolume += msg.value;
+
+        emit FieldBetPlaced(_matchId, msg.sender, _outcome, msg.value);
+    }
+
     /**
      * @notice Claim winnings after a match is resolved
      */
@@ -234,12 +337,20 @@ contract AgentClashBetting {
         
         BetInfo storage bet = matchBets[_matchId][betIdx - 1];
         require(!bet.claimed, "Already claimed");
-        require(bet.side == m.winningSide, "You did not win");
+
+        uint256 winnerPool;
+        if (outcomeCount[_matchId] > 0) {
+            uint8 winner = winningOutcome[_matchId];
+            require(userOutcome[_matchId][msg.sender] == winner, "You did not win");
+            winnerPool = outcomePools[_matchId][winner];
+        } else {
+            require(bet.side == m.winningSide, "You did not win");
+            winnerPool = m.winningSide == Side.AgentA ? m.poolA : m.poolB;
+        }
         
         bet.claimed = true;
         
         // Calculate payout: (userBet / winnerPool) * totalPool * (1 - fee)
-        uint256 winnerPool = m.winningSide == Side.AgentA ? m.poolA : m.poolB;
         uint256 netPool = m.totalPool - (m.totalPool * platformFeePercent / 100);
         uint256 payout = (bet.amount * netPool) / winnerPool;
         
@@ -298,6 +409,15 @@ contract AgentClashBetting {
         oddsB = m.poolB > 0 ? (m.totalPool * 10000) / m.poolB : 0;
     }
 
+    /// @notice Pool per outcome of a field match (index 0 = outcome 1)
+    function getFieldPools(bytes32 _matchId) external view returns (uint256[] memory pools) {
+        uint8 count = outcomeCount[_matchId];
+        pools = new uint256[](count);
+        for (uint8 i = 0; i < count; i++) {
+            pools[i] = outcomePools[_matchId][i + 1];
+        }
+    }
+
     function getRecentMatchIds(uint256 _count) external view returns (bytes32[] memory) {
         uint256 len = matchIds.length;
         uint256 count = _count > len ? len : _count;
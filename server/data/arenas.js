@@ -0,0 +1,103 @@
+// ═══════════════════════════════════════════════════════════════
+// ARENAS — Where a match is fought, and what the floor does
+// Each match carries one arena. FightSimulator applies its hazards
+// and modifiers; clients receive it in match:new (before betting
+// opens) and draw the theme. Hazards never roll dice, so a fight
+// stays replayable from its seed.
+// ═══════════════════════════════════════════════════════════════
+
+const ARENAS = {
+    classic: {
+        id: 'classic',
+        name: 'Classic Ring',
+        icon: '🥊',
+        description: 'A plain ring. No hazards, no excuses.',
+        theme: { floor: '#1a1428', accent: '#836EF9', border: ['#FF2D78', '#836EF9', '#00F5FF'] },
+        modifiers: {},
+        hazards: [],
+    },
+    lava: {
+        id: 'lava',
+        name: 'Lava Pit',
+        icon: '🌋',
+        description: 'The floor erupts every 6 seconds and sets everyone on fire.',
+        theme: { floor: '#2a0d05', accent: '#FF6B35', border: ['#FF2D00', '#FF6B35', '#FFE93E'] },
+        modifiers: {},
+        hazards: [
+            {
+                type: 'effect',
+                effect: 'burn',            // Status effect id (data/status-effects.js)
+                everyTicks: 12,            // Counted from the start of each round
+                durationTicks: 4,
+                potency: 3,                // Burn damage per tick
+                icon: '🌋',
+                text: 'The lava erupts!',
+            },
+        ],
+    },
+    ice: {
+        id: 'ice',
+        name: 'Frozen Lake',
+        icon: '🧊',
+        description: 'Freezing gusts slow everyone; the slick ice makes hits easier to slip.',
+        theme: { floor: '#0b1a26', accent: '#69D2E7', border: ['#69D2E7', '#FFFFFF', '#00F5FF'] },
+        modifiers: { dodgeChance: 5 },     // Added to every fighter's dodge chance
+        hazards: [
+            {
+                type: 'effect',
+                effect: 'slow',
+                everyTicks: 10,
+                durationTicks: 3,
+                icon: '❄️',
+                text: 'A freezing gust sweeps the ice!',
+            },
+        ],
+    },
+    ring: {
+        id: 'ring',
+        name: 'Closing Ring',
+        icon: '⭕',
+        description: 'Halfway through each round the ring closes in. Stand still and the ropes burn you.',
+        theme: { floor: '#14101f', accent: '#FFE93E', border: ['#FFE93E', '#FF2D78', '#FFE93E'] },
+        modifiers: {},
+        hazards: [
+            {
+                type: 'ring',
+                closesAtPct: 0.5,          // Share of the round before the ring starts closing
+                minSizePct: 0.35,          // Ring size at the final bell (share of the full ring)
+                damage: 4,                 // Per tick at full closure, to fighters who didn't attack
+                aggression: 0.25,          // Added to strategy aggression at full closure
+                icon: '⭕',
+                text: 'The ring is closing in!',
+            },
+        ],
+    },
+};
+
+const ARENA_IDS = Object.keys(ARENAS);
+const DEFAULT_ARENA = 'classic';
+
+function isArena(id) {
+    return Object.prototype.hasOwnProperty.call(ARENAS, id);
+}
+
+/** Arena by id (falls back to the classic ring for unknown ids) */
+function getArena(id) {
+    return ARENAS[isArena(id) ? id : DEFAULT_ARENA];
+}
+
+/** Normalize an arena given as an id or a stored object (see resolveRuleSet) */
+function resolveArena(input) {
+    if (!input) return getArena(DEFAULT_ARENA);
+    if (typeof input === 'string') return getArena(input);
+    return { ...getArena(input.id), ...input };
+}
+
+module.exports = {
+    ARENAS,
+    ARENA_IDS,
+    DEFAULT_ARENA,
+    isArena,
+    getArena,
+    resolveArena,
+};
@@ -0,0 +1,125 @@
+// ═══════════════════════════════════════════════════════════════
+// COMBAT RULES — Actions and stamina, shared by every fight path
+// The arena FightSimulator and the agent-facing APIs read this
+// one table: what an action costs, what it does and what
+// a winded fighter falls back to. Agents get the same list from
+// /arena/heartbeat, agent:ready and strategy script validation.
+// ═══════════════════════════════════════════════════════════════
+
+const STAMINA = {
+    max: 100,
+    regen: 3,                  // Per arena tick
+    restBonus: 6,              // Extra stamina for a reposition (catching breath)
+};
+
+const ACTIONS = {
+    move_forward: {
+        id: 'move_forward',
+        type: 'move',
+        staminaCost: 5,
+        pressure: 10,              // % bonus damage on the fighter's next attack
+        description: 'Close in — your next attack hits 10% harder',
+    },
+    move_back: {
+        id: 'move_back',
+        type: 'move',
+        staminaCost: 5,
+        evade: 8,                  // % dodge chance until the fighter's next action
+        description: 'Back off — +8% dodge chance until your next move',
+    },
+    strafe_left: {
+        id: 'strafe_left',
+        type: 'move',
+        staminaCost: 8,
+        evade: 15,
+        description: 'Circle left — +15% dodge chance until your next move',
+    },
+    strafe_right: {
+        id: 'strafe_right',
+        type: 'move',
+        staminaCost: 8,
+        evade: 15,
+        description: 'Circle right — +15% dodge chance until your next move',
+    },
+    attack: {
+        id: 'attack',
+        type: 'attack',
+        staminaCost: 15,
+        description: 'Swing your weapon',
+    },
+    heavy_attack: {
+        id: 'heavy_attack',
+        type: 'attack',
+        staminaCost: 30,
+        fallback: 'attack',        // What a winded fighter does instead (else reposition)
+        description: 'Slow, powerful swing with 1.5× crit chance',
+    },
+    special: {
+        id: 'special',
+        type: 'special',
+        staminaCost: 0,
+        needsSpecial: true,        // Spends a full special meter instead
+        description: 'Your class special move',
+    },
+    defend: {
+        id: 'defend',
+        type: 'defend',
+        staminaCost: 10,
+        blockedDamage: 0.3,        // Share of a blocked hit that still lands
+        description: 'Block — blocked hits deal 30% and stun the attacker',
+    },
+    dodge: {
+        id: 'dodge',
+        type: 'dodge',
+        staminaCost: 20,
+        windowMs: 1000,            // The first attack inside the window misses
+        description: 'Slip the next attack that lands within 1s',
+    },
+    taunt: {
+        id: 'taunt',
+        type: 'taunt',
+        staminaCost: 5,
+        successChance: 0.5,
+        staminaDrain: 10,          // Taken from the target when the taunt lands
+        specialMeter: 10,          // Given to the taunter when it lands
+        description: 'Half the time, drains 10 of the opponent\'s stamina',
+    },
+    reposition: {
+        id: 'reposition',
+        type: 'rest',
+        staminaCost: 0,
+        description: 'Catch your breath — recovers extra stamina',
+    },
+};
+
+const ACTION_IDS = Object.keys(ACTIONS);
+
+function isAction(id) {
+    return Object.prototype.hasOwnProperty.call(ACTIONS, id);
+}
+
+function getAction(id) {
+    return isAction(id) ? ACTIONS[id] : null;
+}
+
+/** The action itself, or the first fallback the fighter has the stamina for */
+function affordableAction(id, stamina) {
+    let action = getAction(id);
+    while (action && action.staminaCost > stamina) action = getAction(action.fallback);
+    return action ? action.id : 'reposition';
+}
+
+/** Action ids a fighter can take right now */
+function availableActions(stamina, { specialReady = false } = {}) {
+    return ACTION_IDS.filter(id => ACTIONS[id].staminaCost <= stamina && (!ACTIONS[id].needsSpecial || specialReady));
+}
+
+module.exports = {
+    STAMINA,
+    ACTIONS,
+    ACTION_IDS,
+    isAction,
+    getAction,
+    affordableAction,
+    availableActions,
+};
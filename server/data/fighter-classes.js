@@ -0,0 +1,99 @@
+// ═══════════════════════════════════════════════════════════════
+// FIGHTER CLASSES — Base stats, passives and specials per class
+// Class modifiers stack on top of equipment in FightSimulator,
+// so class + loadout together make up an agent's build. A special's
+// `effect` names a status effect from data/status-effects.js
+// ═══════════════════════════════════════════════════════════════
+
+const FIGHTER_CLASSES = {
+    brawler: {
+        id: 'brawler',
+        name: 'Brawler',
+        icon: '👊',
+        description: 'Relentless close-range fighter who snowballs on combos.',
+        stats: { maxHP: 0, damageMult: 1.10, defense: 0, critChance: 0, dodgeChance: 0, armorPen: 0, cooldownTicks: 0 },
+        passive: {
+            id: 'momentum',
+            name: 'Momentum',
+            description: '+5% damage per active combo hit (max +25%).',
+        },
+        special: {
+            id: 'haymaker',
+            name: 'Haymaker',
+            description: '2.5–3.5× damage and stuns the opponent for 1s.',
+            effect: { target: 'opponent', id: 'stun', durationTicks: 2 },
+        },
+    },
+    tank: {
+        id: 'tank',
+        name: 'Tank',
+        icon: '🛡️',
+        description: 'Soaks damage and outlasts opponents on the scorecards.',
+        stats: { maxHP: 100, damageMult: 0.85, defense: 10, critChance: 0, dodgeChance: -3, armorPen: 0, cooldownTicks: 0 },
+        passive: {
+            id: 'bulwark',
+            name: 'Bulwark',
+            description: 'Takes 15% less damage while below 50% HP.',
+        },
+        special: {
+            id: 'fortress_slam',
+            name: 'Fortress Slam',
+            description: '1.8–2.4× damage, then regenerates 8% max HP over 2s.',
+            effect: { target: 'self', id: 'regen', durationTicks: 3, potencyPctMaxHp: 2 },
+        },
+    },
+    speedster: {
+        id: 'speedster',
+        name: 'Speedster',
+        icon: '💨',
+        description: 'Fragile but hard to pin down; punishes every whiff.',
+        stats: { maxHP: -60, damageMult: 0.80, defense: 0, critChance: 0, dodgeChance: 6, armorPen: 0, cooldownTicks: -1 },
+        passive: {
+            id: 'counter_step',
+            name: 'Counter Step',
+            description: 'Every successful dodge triggers a counter-hit for 40% base damage.',
+        },
+        special: {
+            id: 'blade_flurry',
+            name: 'Blade Flurry',
+            description: 'Four rapid strikes at 0.75× damage, each rolling its own crit.',
+        },
+    },
+    tactician: {
+        id: 'tactician',
+        name: 'Tactician',
+        icon: '🧠',
+        description: 'Precise striker who exploits every opening.',
+        stats: { maxHP: 0, damageMult: 1.05, defense: 0, critChance: 8, dodgeChance: 0, armorPen: 8, cooldownTicks: 0 },
+        passive: {
+            id: 'exploit',
+            name: 'Exploit',
+            description: '+20% damage against opponents carrying any debuff.',
+        },
+        special: {
+            id: 'checkmate',
+            name: 'Checkmate',
+            description: '2× damage plus 15% of the opponent\'s missing HP (max +60), then slows them.',
+            effect: { target: 'opponent', id: 'slow', durationTicks: 4 },
+        },
+    },
+};
+
+const FIGHTER_CLASS_IDS = Object.keys(FIGHTER_CLASSES);
+const DEFAULT_FIGHTER_CLASS = 'brawler';
+
+function isFighterClass(value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(FIGHTER_CLASSES, value);
+}
+
+function getFighterClass(value) {
+    return FIGHTER_CLASSES[isFighterClass(value) ? value : DEFAULT_FIGHTER_CLASS];
+}
+
+module.exports = {
+    FIGHTER_CLASSES,
+    FIGHTER_CLASS_IDS,
+    DEFAULT_FIGHTER_CLASS,
+    isFighterClass,
+    getFighterClass,
+};
@@ -0,0 +1,42 @@
+// ═══════════════════════════════════════════════════════════════
+// JUDGES — The three ringside judges who score decisions
+// Every completed round is scored 10-point-must by each judge
+// (utils/scorecards.js). They watch the same round but weigh it
+// differently, so a close fight can go split or majority.
+// ═══════════════════════════════════════════════════════════════
+
+const JUDGES = [
+    {
+        id: 'A',
+        name: 'Vance',
+        style: 'Scores the damage',
+        weights: { damage: 1.0, hits: 3, dodges: 2, aggression: 1 },
+    },
+    {
+        id: 'B',
+        name: 'Okoro',
+        style: 'Rewards clean, accurate work',
+        weights: { damage: 0.8, hits: 6, dodges: 5, aggression: 0.5 },
+    },
+    {
+        id: 'C',
+        name: 'Marlowe',
+        style: 'Loves pressure fighters',
+        weights: { damage: 0.9, hits: 3, dodges: 1, aggression: 4 },
+    },
+];
+
+// Per round: the winner on a judge's card gets 10, everyone else 9,
+// or 8 when their round total is at most DOMINANT_ROUND_RATIO of the winner's
+const MUST_POINTS = 10;
+const DOMINANT_ROUND_RATIO = 0.5;
+
+// Round stats the judges weigh (deltas over the round, summed per side)
+const ROUND_STATS = ['damage', 'hits', 'dodges', 'aggression'];
+
+module.exports = {
+    JUDGES,
+    MUST_POINTS,
+    DOMINANT_ROUND_RATIO,
+    ROUND_STATS,
+};
@@ -0,0 +1,99 @@
+// ═══════════════════════════════════════════════════════════════
+// MATCH TYPES — Who fights whom (duel, 2v2 teams, free-for-all)
+// A match is split into sides. Side ids are '1'..'N' and double as
+// the on-chain outcome a bettor picks, so a bet on side '2' is a bet
+// on Blue team in a 2v2 or on fighter 2 in a free-for-all. Fighter
+// slots are '1'..'N' as well; in duels and free-for-alls every
+// fighter is its own side.
+// ═══════════════════════════════════════════════════════════════
+
+const MATCH_TYPES = {
+    duel: {
+        id: 'duel',
+        name: 'Duel',
+        icon: '⚔️',
+        description: 'One on one.',
+        minFighters: 2,
+        maxFighters: 2,
+        teamSize: 1,
+        market: 'sides',           // Two-sided on-chain market (AgentA / AgentB)
+    },
+    team: {
+        id: 'team',
+        name: '2v2 Teams',
+        icon: '👥',
+        description: 'Two teams of two. Teammates focus-fire the weakest enemy.',
+        minFighters: 4,
+        maxFighters: 4,
+        teamSize: 2,
+        market: 'sides',           // Bet on the winning team
+    },
+    ffa: {
+        id: 'ffa',
+        name: 'Free-for-All',
+        icon: '👑',
+        description: '4–8 fighters, elimination. Last agent standing wins.',
+        minFighters: 4,
+        maxFighters: 8,
+        teamSize: 1,
+        market: 'field',           // One on-chain outcome per fighter
+    },
+};
+
+const MATCH_TYPE_IDS = Object.keys(MATCH_TYPES);
+const DEFAULT_MATCH_TYPE = 'duel';
+
+const TEAMS = [
+    { name: 'Team Red', icon: '🔴', color: '#FF2D78' },
+    { name: 'Team Blue', icon: '🔵', color: '#00F5FF' },
+];
+
+function isMatchType(id) {
+    return Object.prototype.hasOwnProperty.call(MATCH_TYPES, id);
+}
+
+/** Match type by id (falls back to duel for unknown ids) */
+function getMatchType(id) {
+    return MATCH_TYPES[isMatchType(id) ? id : DEFAULT_MATCH_TYPE];
+}
+
+/**
+ * Split fighters into sides.
+ * @param {string} typeId - Match type id
+ * @param {Array<{name: string, color?: string, avatar?: string}>} fighters - In slot order ('1', '2', ...)
+ * @returns {Array<{id: string, name: string, icon: string, color: string, fighterIds: string[]}>}
+ */
+function buildSides(typeId, fighters) {
+    const type = getMatchType(typeId);
+    if (type.teamSize <= 1) {
+        return fighters.map((f, i) => ({
+            id: String(i + 1),
+            name: f.name,
+            icon: f.avatar || '⚔️',
+            color: f.color || '#FFFFFF',
+            fighterIds: [String(i + 1)],
+        }));
+    }
+    const sides = [];
+    for (let i = 0; i < fighters.length; i += type.teamSize) {
+        const team = TEAMS[sides.length % TEAMS.length];
+        sides.push({
+            id: String(sides.length + 1),
+            name: team.name,
+            icon: team.icon,
+            color: team.color,
+            fighterIds: fighters.slice(i, i + type.teamSize).map((_, j) => String(i + j + 1)),
+        });
+    }
+    return sides;
+}
+
+module.exports = {
+    MATCH_TYPES,
+    MATCH_TYPE_IDS,
+    DEFAULT_MATCH_TYPE,
+    TEAMS,
+    isMatchType,
+    getMatchType,
+    buildSides,
+};
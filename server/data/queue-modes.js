@@ -0,0 +1,50 @@
+// ═══════════════════════════════════════════════════════════════
+// QUEUE MODES — Separate matchmaking queues for POST /arena/queue
+// Agents are only paired with others in the same queue. The entry
+// fee comes out of the agent's MON budget on joining and is refunded
+// if the agent leaves or times out without being matched.
+// ═══════════════════════════════════════════════════════════════
+
+const QUEUE_MODES = {
+    ranked: {
+        id: 'ranked',
+        name: 'Ranked',
+        description: 'Rated fights against agents of similar skill.',
+        entryFee: 10,              // MON from the agent's budget
+        matchMode: 'ranked',       // Match mode (and so draw tiebreak) of the fights it makes
+    },
+    casual: {
+        id: 'casual',
+        name: 'Casual',
+        description: 'Free practice fights.',
+        entryFee: 0,
+        matchMode: 'casual',
+    },
+    tournament_qualifier: {
+        id: 'tournament_qualifier',
+        name: 'Tournament Qualifier',
+        description: 'Ranked fights among agents chasing a tournament bracket spot.',
+        entryFee: 10,
+        matchMode: 'ranked',
+    },
+};
+
+const QUEUE_MODE_IDS = Object.keys(QUEUE_MODES);
+const DEFAULT_QUEUE_MODE = 'ranked';
+
+function isQueueMode(id) {
+    return Object.prototype.hasOwnProperty.call(QUEUE_MODES, id);
+}
+
+/** Queue mode by id (falls back to ranked for unknown ids) */
+function getQueueMode(id) {
+    return QUEUE_MODES[isQueueMode(id) ? id : DEFAULT_QUEUE_MODE];
+}
+
+module.exports = {
+    QUEUE_MODES,
+    QUEUE_MODE_IDS,
+    DEFAULT_QUEUE_MODE,
+    isQueueMode,
+    getQueueMode,
+};
@@ -0,0 +1,92 @@
+// ═══════════════════════════════════════════════════════════════
+// RULE SETS — Fight format per match (rounds, timers, HP, healing)
+// Each match carries one rule set. FightSimulator runs on it and
+// clients receive it in match:new, so timers and the HUD follow
+// the same numbers as the server.
+// ═══════════════════════════════════════════════════════════════
+
+const RULE_SETS = {
+    blitz: {
+        id: 'blitz',
+        name: 'Blitz',
+        icon: '⚡',
+        description: 'One 45-second round on short health bars.',
+        tickMs: 500,               // Server tick length
+        roundDurationS: 45,        // Seconds per round
+        maxRounds: 1,
+        roundPauseMs: 3000,        // Break before the next (or sudden-death) round
+        hpRecoveryPct: 0,          // Share of max HP healed between rounds
+        baseHp: 450,               // HP before class and equipment
+        comboWindowTicks: 6,       // Ticks between hits that keep a combo alive
+        suddenDeathS: 15,          // Extra round length for the sudden-death tiebreak
+    },
+    standard: {
+        id: 'standard',
+        name: 'Standard',
+        icon: '🥊',
+        description: 'Three 60-second rounds with a 20% heal between rounds.',
+        tickMs: 500,
+        roundDurationS: 60,
+        maxRounds: 3,
+        roundPauseMs: 3000,
+        hpRecoveryPct: 0.20,
+        baseHp: 550,
+        comboWindowTicks: 6,
+        suddenDeathS: 30,
+    },
+    endurance: {
+        id: 'endurance',
+        name: 'Endurance',
+        icon: '🏔️',
+        description: 'Five 60-second rounds, no healing between rounds.',
+        tickMs: 500,
+        roundDurationS: 60,
+        maxRounds: 5,
+        roundPauseMs: 3000,
+        hpRecoveryPct: 0,
+        baseHp: 800,
+        comboWindowTicks: 6,
+        suddenDeathS: 30,
+    },
+};
+
+const RULE_SET_IDS = Object.keys(RULE_SETS);
+const DEFAULT_RULE_SET = 'standard';
+
+function isRuleSet(id) {
+    return Object.prototype.hasOwnProperty.call(RULE_SETS, id);
+}
+
+/** Rule set by id (falls back to standard for unknown ids) */
+function getRuleSet(id) {
+    return RULE_SETS[isRuleSet(id) ? id : DEFAULT_RULE_SET];
+}
+
+/**
+ * Normalize a rule set given as an id or a stored object (e.g. from a
+ * match's fairness block). Missing fields fall back to the named set,
+ * so old matches keep replaying after new fields are added.
+ */
+function resolveRuleSet(input) {
+    if (!input) return getRuleSet(DEFAULT_RULE_SET);
+    if (typeof input === 'string') return getRuleSet(input);
+    return { ...getRuleSet(input.id), ...input };
+}
+
+/** Upper bound on a fight's wall-clock length (all rounds, breaks and sudden death) */
+function maxFightDurationMs(ruleSet) {
+    const r = resolveRuleSet(ruleSet);
+    return r.maxRounds * r.roundDurationS * 1000
+        + r.maxRounds * r.roundPauseMs
+        + r.suddenDeathS * 1000;
+}
+
+module.exports = {
+    RULE_SETS,
+    RULE_SET_IDS,
+    DEFAULT_RULE_SET,
+    isRuleSet,
+    getRuleSet,
+    resolveRuleSet,
+    maxFightDurationMs,
+};
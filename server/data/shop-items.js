@@ -53,6 +53,8 @@ const SHOP_ITEMS = [
       stats: { damage: 12, critChance: 8, chainDamage: 10 }, effect: 'lightning' },
     { id: 'itm-r04', name: 'Void Rune', category: 'rune', rarity: 'epic', price: 2000, icon: '🕳️',
       stats: { armorPen: 25, damage: 15, critDamage: 15 }, effect: 'void' },
+    { id: 'itm-r05', name: 'Venom Rune', category: 'rune', rarity: 'uncommon', price: 320, icon: '🐍',
+      stats: { poisonDamage: 2, damage: 4 }, effect: 'poison' },
 
     // ─── Potions (Consumable) ────────────
     { id: 'itm-p01', name: 'Power Elixir', category: 'potion', rarity: 'common', price: 50, icon: '💪',
@@ -61,6 +63,10 @@ const SHOP_ITEMS = [
       stats: { defense: 15 }, duration: '1 match' },
     { id: 'itm-p03', name: 'Phoenix Tears', category: 'potion', rarity: 'rare', price: 500, icon: '🔆',
       stats: { revive: 30 }, duration: '1 match' },
+    { id: 'itm-p04', name: 'Aegis Draught', category: 'potion', rarity: 'uncommon', price: 150, icon: '🔰',
+      stats: { shield: 60 }, duration: '1 match' },
+    { id: 'itm-p05', name: 'Purifying Salts', category: 'potion', rarity: 'uncommon', price: 120, icon: '🧂',
+      stats: { cleanse: 1 }, duration: '1 match' },
 ];
 
 const SHOP_ITEMS_BY_ID = SHOP_ITEMS.reduce((acc, item) => {
@@ -90,6 +96,7 @@ function calculateEquipmentBonus(equippedItems) {
         lifesteal: 0, maxHP: 0, dodgeChance: 0, attackSpeed: 0,
         burnDamage: 0, reflect: 0, thornDamage: 0, slowEffect: 0,
         armorPen: 0, lowHPBonus: 0, chainDamage: 0, revive: 0,
+        poisonDamage: 0, shield: 0, cleanse: 0,
     };
 
     for (const item of equippedItems) {
@@ -127,7 +134,10 @@ function calculateEquipmentPower(equipmentBonus) {
         b.armorPen * 0.8 +
         b.thornDamage * 0.6 +
         b.lowHPBonus * 0.3 +
-        b.slowEffect * 0.4
+        b.slowEffect * 0.4 +
+        b.poisonDamage * 2.0 +
+        b.shield * 0.2 +
+        b.cleanse * 6
     );
 }
 
@@ -0,0 +1,115 @@
+// ═══════════════════════════════════════════════════════════════
+// STATUS EFFECTS — Buffs and debuffs a fighter can carry
+// FightSimulator applies these from equipment stats, class
+// specials and blocks; utils/status-effects.js runs the rules.
+// Durations are in server ticks and count from the tick the effect
+// lands on, so an effect applied with durationTicks N is active for
+// the rest of that tick plus N more. 0 = until used up or round end.
+// ═══════════════════════════════════════════════════════════════
+
+const STATUS_EFFECTS = {
+    burn: {
+        id: 'burn',
+        name: 'Burn',
+        icon: '🔥',
+        color: '#FF6B35',
+        kind: 'debuff',
+        verb: 'BURNS',
+        durationTicks: 5,
+        maxStacks: 1,              // Re-applying refreshes the timer
+        tickDamage: 2,             // Per stack per tick (source potency overrides)
+    },
+    poison: {
+        id: 'poison',
+        name: 'Poison',
+        icon: '☠️',
+        color: '#7CFC00',
+        kind: 'debuff',
+        verb: 'POISONS',
+        durationTicks: 6,
+        maxStacks: 3,              // Each application adds a stack and refreshes
+        tickDamage: 1,
+        modifiers: { healingTaken: -0.5 },
+    },
+    stun: {
+        id: 'stun',
+        name: 'Stun',
+        icon: '💫',
+        color: '#FFE93E',
+        kind: 'debuff',
+        verb: 'STUNS',
+        durationTicks: 1,
+        maxStacks: 1,
+        preventsAction: true,
+        immunityTicks: 2,          // Can't be re-stunned right after one wears off
+    },
+    slow: {
+        id: 'slow',
+        name: 'Slow',
+        icon: '❄️',
+        color: '#69D2E7',
+        kind: 'debuff',
+        verb: 'SLOWS',
+        durationTicks: 3,
+        maxStacks: 1,
+        modifiers: { cooldownMult: 0.5 },
+    },
+    shield: {
+        id: 'shield',
+        name: 'Shield',
+        icon: '🔰',
+        color: '#836EF9',
+        kind: 'buff',
+        verb: 'SHIELDS',
+        durationTicks: 0,
+        maxStacks: 1,
+        absorb: 40,                // Damage soaked before HP (source potency overrides)
+    },
+    regen: {
+        id: 'regen',
+        name: 'Regen',
+        icon: '💚',
+        color: '#00FF88',
+        kind: 'buff',
+        verb: 'REGENERATES',
+        durationTicks: 3,
+        maxStacks: 1,
+        tickHeal: 5,
+    },
+};
+
+const STATUS_EFFECT_IDS = Object.keys(STATUS_EFFECTS);
+
+// Equipment stats that apply an effect to the opponent on every landed hit
+// (the stat value becomes the effect's potency)
+const ON_HIT_EFFECTS = {
+    burnDamage: 'burn',
+    poisonDamage: 'poison',
+    slowEffect: 'slow',
+};
+
+// Equipment stats that grant the wearer an effect at the start of every round
+const ROUND_START_EFFECTS = {
+    shield: 'shield',
+};
+
+// Cleanse charges fire when a fighter is incapacitated or carries this many debuff stacks
+const CLEANSE_DEBUFF_STACKS = 3;
+
+function isStatusEffect(id) {
+    return Object.prototype.hasOwnProperty.call(STATUS_EFFECTS, id);
+}
+
+function getStatusEffect(id) {
+    return isStatusEffect(id) ? STATUS_EFFECTS[id] : null;
+}
+
+module.exports = {
+    STATUS_EFFECTS,
+    STATUS_EFFECT_IDS,
+    ON_HIT_EFFECTS,
+    ROUND_START_EFFECTS,
+    CLEANSE_DEBUFF_STACKS,
+    isStatusEffect,
+    getStatusEffect,
+};
@@ -5,8 +5,14 @@
 const fs = require('fs');
 const path = require('path');
 const { SHOP_ITEMS_BY_ID, EQUIPPABLE_SLOTS } = require('./data/shop-items');
+const { normalizeRating } = require('./utils/glicko2');
 
 const DB_PATH = path.join(__dirname, 'data', 'db.json');
+// Recordings are large and write-once, so they live outside db.json
+const RECORDINGS_DIR = path.join(__dirname, 'data', 'recordings');
+const MAX_FIGHT_RECORDINGS = 200;
+// Live fight snapshots are rewritten every few ticks, so they stay out of db.json too
+const SNAPSHOTS_DIR = path.join(__dirname, 'data', 'snapshots');
 
 const DEFAULT_DB = {
     agents: [],
@@ -15,6 +21,10 @@ const DEFAULT_DB = {
     matchHistory: [],
     activityFeed: [],
     shopOrders: [],
+    challenges: [],
+    queueEntries: [],
+    matchRequests: [],
+    settlementJobs: [],
     agentInventories: {},
     platform: {
         treasuryMON: 0,
@@ -60,6 +70,10 @@ class JsonDatabase {
                     ...JSON.parse(JSON.stringify(DEFAULT_DB)),
                     ...parsed,
                     shopOrders: Array.isArray(parsed.shopOrders) ? parsed.shopOrders : [],
+                    challenges: Array.isArray(parsed.challenges) ? parsed.challenges : [],
+                    queueEntries: Array.isArray(parsed.queueEntries) ? parsed.queueEntries : [],
+                    matchRequests: Array.isArray(parsed.matchRequests) ? parsed.matchRequests : [],
+                    settlementJobs: Array.isArray(parsed.settlementJobs) ? parsed.settlementJobs : [],
                     agentInventories: parsed.agentInventories && typeof parsed.agentInventories === 'object'
                         ? parsed.agentInventories
                         : {},
@@ -105,11 +119,18 @@ class JsonDatabase {
                 rune: null,
             },
             backpack: [],
+            queuedPotions: [],
             purchaseHistory: [],
+            history: [],
             updatedAt: Date.now(),
         };
     }
 
+    _addInventoryHistory(inventory, entry) {
+        inventory.history.unshift({ ...entry, at: Date.now() });
+        if (inventory.history.length > 200) inventory.history.pop();
+    }
+
     // ── Agents ──────────────────────────────────────────────
     getAgents() { return this.data.agents; }
     getAgentById(id) { return this.data.agents.find(a => a.id === id); }
@@ -130,6 +151,35 @@ class JsonDatabase {
         return this.data.agents[idx];
     }
 
+    /**
+     * Move MON between an agent's budget buckets in one step. A negative
+     * `remaining` only goes through if the budget still covers it, and
+     * `allowanceWas` only if the allowance hasn't changed since it was read.
+     * @returns {?Object} The updated agent, or null if it is missing, short or changed
+     */
+    adjustAgentBudget(id, { remaining = 0, locked = 0, spent = 0, totalAllowance = 0 } = {}, { allowanceWas = null, autoRefill = null } = {}) {
+        const idx = this.data.agents.findIndex(a => a.id === id);
+        if (idx === -1) return null;
+        const budget = this.data.agents[idx].budget || {};
+        if (remaining < 0 && Number(budget.remaining || 0) < -remaining) return null;
+        if (allowanceWas !== null && Number(budget.totalAllowance || 0) !== allowanceWas) return null;
+        const round = value => Number(value.toFixed(6));
+        this.data.agents[idx] = {
+            ...this.data.agents[idx],
+            budget: {
+                ...budget,
+                totalAllowance: round(Number(budget.totalAllowance || 0) + totalAllowance),
+                remaining: round(Number(budget.remaining || 0) + remaining),
+                locked: round(Math.max(0, Number(budget.locked || 0) + locked)),
+                spent: round(Math.max(0, Number(budget.spent || 0) + spent)),
+                ...(autoRefill !== null ? { autoRefill } : {}),
+                updatedAt: new Date().toISOString(),
+            },
+        };
+        this._save();
+        return this.data.agents[idx];
+    }
+
     // ── Matches ─────────────────────────────────────────────
     getMatches() { return this.data.matches; }
     getMatchById(id) { return this.data.matches.find(m => String(m.id || m.matchId) === String(id)); }
@@ -188,6 +238,201 @@ class JsonDatabase {
 
     getMatchHistory(limit = 20) { return this.data.matchHistory.slice(0, limit); }
 
+    // ── Fight Recordings ────────────────────────────────────
+    _recordingPath(matchId) {
+        return path.join(RECORDINGS_DIR, `${String(matchId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    }
+
+    saveFightRecording(matchId, recording) {
+        const entry = { ...recording, matchId: String(matchId) };
+        try {
+            if (!fs.existsSync(RECORDINGS_DIR)) fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+            fs.writeFileSync(this._recordingPath(matchId), JSON.stringify(entry), 'utf-8');
+
+            // Keep only the newest recordings
+            const files = fs.readdirSync(RECORDINGS_DIR)
+                .filter(f => f.endsWith('.json'))
+                .map(f => ({ f, mtime: fs.statSync(path.join(RECORDINGS_DIR, f)).mtimeMs }))
+                .sort((a, b) => b.mtime - a.mtime);
+            for (const { f } of files.slice(MAX_FIGHT_RECORDINGS)) {
+                fs.unlinkSync(path.join(RECORDINGS_DIR, f));
+            }
+        } catch (err) {
+            console.error('[DB-JSON] Failed to save fight recording:', err.message);
+        }
+        return entry;
+    }
+
+    getFightRecording(matchId) {
+        try {
+            const file = this._recordingPath(matchId);
+            if (!fs.existsSync(file)) return null;
+            return JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (err) {
+            console.error('[DB-JSON] Failed to load fight recording:', err.message);
+            return null;
+        }
+    }
+
+    _clearFightRecordings() {
+        if (!fs.existsSync(RECORDINGS_DIR)) return 0;
+        const files = fs.readdirSync(RECORDINGS_DIR).filter(f => f.endsWith('.json'));
+        files.forEach(f => fs.unlinkSync(path.join(RECORDINGS_DIR, f)));
+        return files.length;
+    }
+
+    // ── Fight Snapshots ─────────────────────────────────────
+    _snapshotPath(matchId) {
+        return path.join(SNAPSHOTS_DIR, `${String(matchId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    }
+
+    saveFightSnapshot(matchId, snapshot) {
+        const entry = { ...snapshot, matchId: String(matchId) };
+        try {
+            if (!fs.existsSync(SNAPSHOTS_DIR)) fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+            // Write then rename, so a crash mid-write keeps the previous snapshot
+            const file = this._snapshotPath(matchId);
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry), 'utf-8');
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (err) {
+            console.error('[DB-JSON] Failed to save fight snapshot:', err.message);
+        }
+        return entry;
+    }
+
+    getFightSnapshot(matchId) {
+        try {
+            const file = this._snapshotPath(matchId);
+            if (!fs.existsSync(file)) return null;
+            return JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (err) {
+            console.error('[DB-JSON] Failed to load fight snapshot:', err.message);
+            return null;
+        }
+    }
+
+    removeFightSnapshot(matchId) {
+        const file = this._snapshotPath(matchId);
+        if (!fs.existsSync(file)) return false;
+        fs.unlinkSync(file);
+        return true;
+    }
+
+    _clearFightSnapshots() {
+        if (!fs.existsSync(SNAPSHOTS_DIR)) return 0;
+        const files = fs.readdirSync(SNAPSHOTS_DIR).filter(f => f.endsWith('.json') || f.endsWith('.tmp'));
+        files.forEach(f => fs.unlinkSync(path.join(SNAPSHOTS_DIR, f)));
+        return files.length;
+    }
+
+    // ── Challenges ──────────────────────────────────────────
+    addChallenge(challenge) {
+        this.data.challenges.unshift(challenge);
+        if (this.data.challenges.length > 2000) this.data.challenges.pop();
+        this._save();
+        return challenge;
+    }
+
+    getChallengeById(id) { return this.data.challenges.find(c => c.id === id) || null; }
+    getChallengeByMatchId(matchId) { return this.data.challenges.find(c => String(c.matchId) === String(matchId)) || null; }
+
+    /** Challenges an agent is part of (either side), newest first; optionally only some statuses */
+    listChallenges({ agentId = null, statuses = null } = {}) {
+        return this.data.challenges.filter(c =>
+            (!agentId || c.challengerId === agentId || c.targetId === agentId)
+            && (!statuses || statuses.includes(c.status))
+        );
+    }
+
+    /** Update only while the challenge is still in `expectedStatus`; null otherwise */
+    updateChallenge(id, updates, expectedStatus = null) {
+        const idx = this.data.challenges.findIndex(c => c.id === id);
+        if (idx === -1) return null;
+        if (expectedStatus && this.data.challenges[idx].status !== expectedStatus) return null;
+        this.data.challenges[idx] = { ...this.data.challenges[idx], ...updates };
+        this._save();
+        return this.data.challenges[idx];
+    }
+
+    // ── Matchmaking Queue ───────────────────────────────────
+    getQueueEntries() {
+        return [...this.data.queueEntries].sort((a, b) => a.joinedAt - b.joinedAt);
+    }
+
+    addQueueEntry(entry) {
+        this.data.queueEntries = this.data.queueEntries.filter(e => e.agentId !== entry.agentId);
+        this.data.queueEntries.push(entry);
+        this._save();
+        return entry;
+    }
+
+    /** Remove an agent's entry; returns it, or null if the agent wasn't queued */
+    removeQueueEntry(agentId) {
+        const entry = this.data.queueEntries.find(e => e.agentId === String(agentId)) || null;
+        if (!entry) return null;
+        this.data.queueEntries = this.data.queueEntries.filter(e => e !== entry);
+        this._save();
+        return entry;
+    }
+
+    // ── Requested Matches ───────────────────────────────────
+    getMatchRequests() {
+        return [...this.data.matchRequests].sort((a, b) => a.requestedAt - b.requestedAt);
+    }
+
+    addMatchRequest(request) {
+        this.data.matchRequests = this.data.matchRequests.filter(r => r.matchId !== request.matchId);
+        this.data.matchRequests.push(request);
+        this._save();
+        return request;
+    }
+
+    removeMatchRequest(matchId) {
+        const request = this.data.matchRequests.find(r => r.matchId === String(matchId)) || null;
+        if (!request) return null;
+        this.data.matchRequests = this.data.matchRequests.filter(r => r !== request);
+        this._save();
+        return request;
+    }
+
+    // ── Settlement Jobs ─────────────────────────────────────
+    getSettlementJob(id) { return this.data.settlementJobs.find(j => j.id === id) || null; }
+
+    /** Insert unless a job with this id exists; returns the stored job either way */
+    addSettlementJob(job) {
+        const existing = this.getSettlementJob(job.id);
+        if (existing) return existing;
+        this.data.settlementJobs.unshift(job);
+        // Finished jobs are dropped first; open ones are never trimmed
+        if (this.data.settlementJobs.length > 5000) {
+            const idx = this.data.settlementJobs.map(j => j.status).lastIndexOf('done');
+            if (idx !== -1) this.data.settlementJobs.splice(idx, 1);
+        }
+        this._save();
+        return job;
+    }
+
+    /** Update only while the job is still in `expectedStatus`; null otherwise */
+    updateSettlementJob(id, updates, expectedStatus = null) {
+        const idx = this.data.settlementJobs.findIndex(j => j.id === id);
+        if (idx === -1) return null;
+        if (expectedStatus && this.data.settlementJobs[idx].status !== expectedStatus) return null;
+        this.data.settlementJobs[idx] = { ...this.data.settlementJobs[idx], ...updates, updatedAt: Date.now() };
+        this._save();
+        return this.data.settlementJobs[idx];
+    }
+
+    /** Newest first; optionally only some statuses, or only jobs due by `dueBy` */
+    listSettlementJobs({ statuses = null, dueBy = null, limit = 100 } = {}) {
+        return this.data.settlementJobs
+            .filter(j => (!statuses || statuses.includes(j.status)) && (dueBy === null || j.nextAttemptAt <= dueBy))
+            .slice(0, limit);
+    }
+
+    countSettlementJobs({ statuses = null } = {}) {
+        return this.data.settlementJobs.filter(j => !statuses || statuses.includes(j.status)).length;
+    }
+
     // ── Bets ────────────────────────────────────────────────
     getBetsForMatch(matchId) { return this.data.bets.filter(b => String(b.matchId) === String(matchId)); }
 
@@ -262,6 +507,7 @@ class JsonDatabase {
             if (sortBy === 'wins') return (b.stats?.wins || 0) - (a.stats?.wins || 0);
             if (sortBy === 'earnings') return (b.stats?.totalEarnings || 0) - (a.stats?.totalEarnings || 0);
             if (sortBy === 'power') return (b.powerRating || 0) - (a.powerRating || 0);
+            if (sortBy === 'rating') return normalizeRating(b.glicko).rating - normalizeRating(a.glicko).rating;
             return 0;
         });
         return active.slice(0, limit);
@@ -321,7 +567,10 @@ class JsonDatabase {
             this.data.agentInventories[agentId] = this._createEmptyInventory(agentId);
             this._save();
         }
-        return this.data.agentInventories[agentId];
+        const inventory = this.data.agentInventories[agentId];
+        if (!Array.isArray(inventory.queuedPotions)) inventory.queuedPotions = [];
+        if (!Array.isArray(inventory.history)) inventory.history = [];
+        return inventory;
     }
 
     applyShopPurchase(agentId, itemId, options = {}) {
@@ -404,6 +653,94 @@ class JsonDatabase {
         return inventory;
     }
 
+    // ── Consumables (potions queued for the next fight) ──────
+    queueInventoryPotion(agentId, itemId) {
+        const inventory = this.getAgentInventory(agentId);
+        if (!inventory) return null;
+
+        const idx = inventory.backpack.findIndex(entry => entry.itemId === itemId && entry.category === 'potion');
+        if (idx === -1) return null;
+        // One of each potion per fight — effects don't stack
+        if (inventory.queuedPotions.some(entry => entry.itemId === itemId)) return null;
+
+        const [entry] = inventory.backpack.splice(idx, 1);
+        inventory.queuedPotions.push({ ...entry, queuedAt: Date.now(), appliedMatchId: null });
+        this._addInventoryHistory(inventory, { type: 'potion_queued', itemId });
+        inventory.updatedAt = Date.now();
+
+        this.data.agentInventories[agentId] = inventory;
+        this._save();
+        return inventory;
+    }
+
+    unqueueInventoryPotion(agentId, itemId) {
+        const inventory = this.getAgentInventory(agentId);
+        if (!inventory) return null;
+
+        // Potions already applied to a live match stay locked in
+        const idx = inventory.queuedPotions.findIndex(entry => entry.itemId === itemId && !entry.appliedMatchId);
+        if (idx === -1) return null;
+
+        const [entry] = inventory.queuedPotions.splice(idx, 1);
+        const { queuedAt: _queuedAt, appliedMatchId: _appliedMatchId, ...backpackEntry } = entry;
+        inventory.backpack.push(backpackEntry);
+        this._addInventoryHistory(inventory, { type: 'potion_unqueued', itemId });
+        inventory.updatedAt = Date.now();
+
+        this.data.agentInventories[agentId] = inventory;
+        this._save();
+        return inventory;
+    }
+
+    applyQueuedPotions(agentId, matchId) {
+        const inventory = this.data.agentInventories[agentId];
+        if (!inventory || !Array.isArray(inventory.queuedPotions) || inventory.queuedPotions.length === 0) return [];
+        if (!Array.isArray(inventory.history)) inventory.history = [];
+
+        for (const entry of inventory.queuedPotions) {
+            entry.appliedMatchId = matchId;
+            this._addInventoryHistory(inventory, { type: 'potion_applied', itemId: entry.itemId, matchId });
+        }
+        inventory.updatedAt = Date.now();
+        this._save();
+        return inventory.queuedPotions.map(entry => ({ ...entry }));
+    }
+
+    consumeQueuedPotions(agentId, matchId) {
+        const inventory = this.data.agentInventories[agentId];
+        if (!inventory || !Array.isArray(inventory.queuedPotions)) return [];
+        if (!Array.isArray(inventory.history)) inventory.history = [];
+
+        const consumed = inventory.queuedPotions.filter(entry => entry.appliedMatchId === matchId);
+        if (consumed.length === 0) return [];
+
+        inventory.queuedPotions = inventory.queuedPotions.filter(entry => entry.appliedMatchId !== matchId);
+        for (const entry of consumed) {
+            this._addInventoryHistory(inventory, { type: 'potion_consumed', itemId: entry.itemId, matchId });
+        }
+        inventory.updatedAt = Date.now();
+        this._save();
+        return consumed;
+    }
+
+    // A match that never fought (cancelled or reset) hands its potions back to the queue
+    releaseQueuedPotions(agentId, matchId) {
+        const inventory = this.data.agentInventories[agentId];
+        if (!inventory || !Array.isArray(inventory.queuedPotions)) return [];
+        if (!Array.isArray(inventory.history)) inventory.history = [];
+
+        const released = inventory.queuedPotions.filter(entry => entry.appliedMatchId === matchId);
+        if (released.length === 0) return [];
+
+        for (const entry of released) {
+            entry.appliedMatchId = null;
+            this._addInventoryHistory(inventory, { type: 'potion_released', itemId: entry.itemId, matchId });
+        }
+        inventory.updatedAt = Date.now();
+        this._save();
+        return released.map(entry => ({ ...entry }));
+    }
+
     resetAllAgentData() {
         const summary = {
             agentsDeleted: this.data.agents.length,
@@ -412,7 +749,12 @@ class JsonDatabase {
             matchHistoryDeleted: this.data.matchHistory.length,
             activityDeleted: this.data.activityFeed.length,
             shopOrdersDeleted: this.data.shopOrders.length,
+            challengesDeleted: this.data.challenges.length,
+            queueEntriesDeleted: this.data.queueEntries.length,
+            matchRequestsDeleted: this.data.matchRequests.length,
             inventoriesDeleted: Object.keys(this.data.agentInventories || {}).length,
+            recordingsDeleted: this._clearFightRecordings(),
+            snapshotsDeleted: this._clearFightSnapshots(),
         };
 
         this.data.agents = [];
@@ -421,6 +763,9 @@ class JsonDatabase {
         this.data.matchHistory = [];
         this.data.activityFeed = [];
         this.data.shopOrders = [];
+        this.data.challenges = [];
+        this.data.queueEntries = [];
+        this.data.matchRequests = [];
         this.data.agentInventories = {};
 
         this._save();
@@ -11,6 +11,12 @@ const Match = require('./models/Match');
 const Bet = require('./models/Bet');
 const Activity = require('./models/Activity');
 const Tokenomics = require('./models/Tokenomics');
+const FightRecording = require('./models/FightRecording');
+const FightSnapshot = require('./models/FightSnapshot');
+const Challenge = require('./models/Challenge');
+const QueueEntry = require('./models/QueueEntry');
+const MatchRequest = require('./models/MatchRequest');
+const SettlementJob = require('./models/SettlementJob');
 
 const MONGODB_URI = process.env.MONGODB_URI;
 const DEFAULT_TOKENOMICS = {
@@ -101,6 +107,20 @@ class MongoDatabase {
         return await Agent.findOneAndUpdate(query, updates, { returnDocument: 'after' }).lean();
     }
 
+    // $inc in a single conditional update, so concurrent locks can't overdraw the budget
+    async adjustAgentBudget(id, { remaining = 0, locked = 0, spent = 0, totalAllowance = 0 } = {}, { allowanceWas = null, autoRefill = null } = {}) {
+        const isObjectId = mongoose.Types.ObjectId.isValid(id) && String(new mongoose.Types.ObjectId(id)) === String(id);
+        const query = isObjectId ? { _id: id } : { id: id };
+        if (remaining < 0) query['budget.remaining'] = { $gte: -remaining };
+        if (allowanceWas !== null) query['budget.totalAllowance'] = allowanceWas;
+        const set = { 'budget.updatedAt': new Date() };
+        if (autoRefill !== null) set['budget.autoRefill'] = autoRefill;
+        return await Agent.findOneAndUpdate(query, {
+            $inc: { 'budget.remaining': remaining, 'budget.locked': locked, 'budget.spent': spent, 'budget.totalAllowance': totalAllowance },
+            $set: set,
+        }, { returnDocument: 'after' }).lean();
+    }
+
     // ── Matches ─────────────────────────────────────────────
     async getMatches() {
         return await Match.find().sort({ createdAt: -1 }).limit(100).lean();
@@ -172,6 +192,133 @@ class MongoDatabase {
         }).sort({ completedAt: -1, finishedAt: -1, createdAt: -1 }).limit(limit).lean();
     }
 
+    // ── Fight Recordings ────────────────────────────────────
+    async saveFightRecording(matchId, recording) {
+        return await FightRecording.findOneAndUpdate(
+            { matchId: String(matchId) },
+            { ...recording, matchId: String(matchId) },
+            { returnDocument: 'after', upsert: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+
+    async getFightRecording(matchId) {
+        const doc = await FightRecording.findOne({ matchId: String(matchId) }).lean();
+        if (!doc) return null;
+        const { _id, __v, createdAt: _createdAt, updatedAt: _updatedAt, ...recording } = doc;
+        return recording;
+    }
+
+    // ── Fight Snapshots ─────────────────────────────────────
+    async saveFightSnapshot(matchId, snapshot) {
+        return await FightSnapshot.findOneAndUpdate(
+            { matchId: String(matchId) },
+            { ...snapshot, matchId: String(matchId) },
+            { returnDocument: 'after', upsert: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+
+    async getFightSnapshot(matchId) {
+        const doc = await FightSnapshot.findOne({ matchId: String(matchId) }).lean();
+        if (!doc) return null;
+        const { _id, __v, createdAt: _createdAt, updatedAt: _updatedAt, ...snapshot } = doc;
+        return snapshot;
+    }
+
+    async removeFightSnapshot(matchId) {
+        const res = await FightSnapshot.deleteOne({ matchId: String(matchId) });
+        return Number(res?.deletedCount || 0) > 0;
+    }
+
+    // ── Challenges ──────────────────────────────────────────
+    async addChallenge(challenge) {
+        const doc = new Challenge(challenge);
+        await doc.save();
+        return doc.toJSON();
+    }
+
+    async getChallengeById(id) {
+        return await Challenge.findOne({ id }).lean();
+    }
+
+    async getChallengeByMatchId(matchId) {
+        return await Challenge.findOne({ matchId: String(matchId) }).lean();
+    }
+
+    async listChallenges({ agentId = null, statuses = null } = {}) {
+        const query = {};
+        if (agentId) query.$or = [{ challengerId: agentId }, { targetId: agentId }];
+        if (statuses) query.status = { $in: statuses };
+        return await Challenge.find(query).sort({ createdAt: -1 }).limit(500).lean();
+    }
+
+    async updateChallenge(id, updates, expectedStatus = null) {
+        const query = expectedStatus ? { id, status: expectedStatus } : { id };
+        return await Challenge.findOneAndUpdate(query, updates, { returnDocument: 'after' }).lean();
+    }
+
+    // ── Matchmaking Queue ───────────────────────────────────
+    async getQueueEntries() {
+        return await QueueEntry.find({}, { _id: 0, __v: 0 }).sort({ joinedAt: 1 }).lean();
+    }
+
+    async addQueueEntry(entry) {
+        return await QueueEntry.findOneAndUpdate(
+            { agentId: entry.agentId },
+            entry,
+            { returnDocument: 'after', upsert: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+
+    async removeQueueEntry(agentId) {
+        return await QueueEntry.findOneAndDelete({ agentId: String(agentId) }).lean();
+    }
+
+    // ── Requested Matches ───────────────────────────────────
+    async getMatchRequests() {
+        return await MatchRequest.find({}, { _id: 0, __v: 0 }).sort({ requestedAt: 1 }).lean();
+    }
+
+    async addMatchRequest(request) {
+        return await MatchRequest.findOneAndUpdate(
+            { matchId: request.matchId },
+            request,
+            { returnDocument: 'after', upsert: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+
+    async removeMatchRequest(matchId) {
+        return await MatchRequest.findOneAndDelete({ matchId: String(matchId) }).lean();
+    }
+
+    // ── Settlement Jobs ─────────────────────────────────────
+    async getSettlementJob(id) {
+        return await SettlementJob.findOne({ id }).lean();
+    }
+
+    async addSettlementJob(job) {
+        return await SettlementJob.findOneAndUpdate(
+            { id: job.id },
+            { $setOnInsert: job },
+            { returnDocument: 'after', upsert: true }
+        ).lean();
+    }
+
+    async updateSettlementJob(id, updates, expectedStatus = null) {
+        const query = expectedStatus ? { id, status: expectedStatus } : { id };
+        return await SettlementJob.findOneAndUpdate(query, { ...updates, updatedAt: Date.now() }, { returnDocument: 'after' }).lean();
+    }
+
+    async listSettlementJobs({ statuses = null, dueBy = null, limit = 100 } = {}) {
+        const query = {};
+        if (statuses) query.status = { $in: statuses };
+        if (dueBy !== null) query.nextAttemptAt = { $lte: dueBy };
+        return await SettlementJob.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+    }
+
+    async countSettlementJobs({ statuses = null } = {}) {
+        return await SettlementJob.countDocuments(statuses ? { status: { $in: statuses } } : {});
+    }
+
     // ── Bets ────────────────────────────────────────────────
     async getBetsForMatch(matchId) {
         return await Bet.find({ matchId }).lean();
@@ -202,11 +349,16 @@ class MongoDatabase {
     }
 
     async resetAllAgentData() {
-        const [agents, matches, bets, activity] = await Promise.all([
+        const [agents, matches, bets, activity, recordings, snapshots, challenges, queueEntries, matchRequests] = await Promise.all([
             Agent.deleteMany({}),
             Match.deleteMany({}),
             Bet.deleteMany({}),
             Activity.deleteMany({}),
+            FightRecording.deleteMany({}),
+            FightSnapshot.deleteMany({}),
+            Challenge.deleteMany({}),
+            QueueEntry.deleteMany({}),
+            MatchRequest.deleteMany({}),
         ]);
 
         return {
@@ -216,7 +368,12 @@ class MongoDatabase {
             matchHistoryDeleted: 0,
             activityDeleted: Number(activity?.deletedCount || 0),
             shopOrdersDeleted: 0,
+            challengesDeleted: Number(challenges?.deletedCount || 0),
+            queueEntriesDeleted: Number(queueEntries?.deletedCount || 0),
+            matchRequestsDeleted: Number(matchRequests?.deletedCount || 0),
             inventoriesDeleted: 0,
+            recordingsDeleted: Number(recordings?.deletedCount || 0),
+            snapshotsDeleted: Number(snapshots?.deletedCount || 0),
         };
     }
 
@@ -278,6 +435,7 @@ class MongoDatabase {
             wins: { 'stats.wins': -1 },
             earnings: { 'stats.totalEarnings': -1 },
             power: { powerRating: -1 },
+            rating: { 'glicko.rating': -1 },
         }[sortBy] || { 'stats.winRate': -1 };
 
         return await Agent.find({ status: { $ne: 'pending_claim' } })
@@ -13,6 +13,7 @@ const path = require('path');
 const { ethers } = require('ethers');
 const db = require('./db');
 const logger = require('./utils/logger');
+const { publicRating } = require('./utils/glicko2');
 const { initSentry, setupSentryErrorHandler } = require('./utils/sentry');
 
 const app = express();
@@ -179,7 +180,8 @@ app.use('/api/v1/shop', shopRoutes);
 app.get('/api/v1/leaderboard', async (req, res) => {
     const sortBy = req.query.sort || 'winRate';
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-    const data = await db.getLeaderboard(sortBy, limit);
+    const data = (await db.getLeaderboard(sortBy, limit))
+        .map(agent => ({ ...agent, rating: publicRating(agent.glicko) }));
     res.json({ success: true, data });
 });
 
@@ -352,11 +354,16 @@ app.get('/api/v1/arena/recent-results', (_req, res) => {
     });
 });
 
-app.get('/api/v1/arena/current', (_req, res) => {
-    const state = matchmaker.getState();
+// ?arena=<slot id> picks the arena slot (default arena 1)
+app.get('/api/v1/arena/current', (req, res) => {
+    const state = matchmaker.getState(req.query.arena || undefined);
+    if (!state) {
+        return res.status(404).json({ success: false, error: `Unknown arena: ${req.query.arena}` });
+    }
     res.json({
         success: true,
         data: {
+            slot: state.slot,
             phase: state.phase,
             match: state.match,
             timeLeft: state.bettingTimeLeft,
@@ -367,6 +374,10 @@ app.get('/api/v1/arena/current', (_req, res) => {
     });
 });
 
+app.get('/api/v1/arena/slots', (_req, res) => {
+    res.json({ success: true, data: matchmaker.getSlots() });
+});
+
 // ── Sentry Error Handler ─────────────────────────────────────
 setupSentryErrorHandler(app);
 
@@ -422,15 +433,30 @@ io.use((socket, next) => {
 // ── Auto Matchmaker (creates matches automatically) ──────────
 const AutoMatchmaker = require('./utils/auto-matchmaker');
 const BuybackService = require('./utils/buyback-service');
-const matchmaker = new AutoMatchmaker(io);
+const { redactMatchSeed } = require('./utils/provably-fair');
+const { LOBBY_ROOM, matchRoom, arenaRoom } = require('./utils/socket-rooms');
+const { AgentControlHub } = require('./utils/agent-control');
+const { getMatchType } = require('./data/match-types');
+const { settleChallengeMatch, expireChallenges } = require('./utils/challenge-service');
+const SettlementQueue = require('./utils/settlement-queue');
+const agentControl = new AgentControlHub(io);
+const settlementQueue = new SettlementQueue({ db, io });
+app.locals.settlementQueue = settlementQueue;
+const matchmaker = new AutoMatchmaker(io, { agentControl, settlement: settlementQueue });
 app.locals.matchmaker = matchmaker;
+arenaRoutes._trackTournament(matchmaker);
+matchmaker.onMatchEnd(settleChallengeMatch);
+app.locals.agentControl = agentControl;
 buybackService = new BuybackService({ db, io });
 app.locals.buybackService = buybackService;
 const BETTING_CONTRACT_ADDRESS = String(process.env.BETTING_CONTRACT_ADDRESS || process.env.VITE_BETTING_CONTRACT_ADDRESS || '').trim();
 const BETTING_RPC_URL = process.env.MONAD_RPC_URL || 'https://rpc.monad.xyz';
 const ONCHAIN_BETTING_REQUIRED = process.env.ONCHAIN_BETTING_REQUIRED !== 'false';
 const bettingTxProvider = BETTING_CONTRACT_ADDRESS ? new ethers.JsonRpcProvider(BETTING_RPC_URL) : null;
-const bettingInterface = new ethers.Interface(['function placeBet(bytes32 _matchId, uint8 _side)']);
+const bettingInterface = new ethers.Interface([
+    'function placeBet(bytes32 _matchId, uint8 _side)',
+    'function placeFieldBet(bytes32 _matchId, uint8 _outcome)',
+]);
 
 function toBytes32MatchId(matchId) {
     return ethers.encodeBytes32String(String(matchId || '').slice(0, 31));
@@ -441,7 +467,8 @@ function shortAddress(address) {
     return `${String(address).slice(0, 6)}...${String(address).slice(-4)}`;
 }
 
-async function verifyOnchainBetTx({ txHash, matchId, side, address, amount }) {
+// market: 'sides' (placeBet on AgentA/AgentB) or 'field' (placeFieldBet on a fighter outcome)
+async function verifyOnchainBetTx({ txHash, matchId, side, address, amount, market = 'sides' }) {
     if (!bettingTxProvider || !BETTING_CONTRACT_ADDRESS) {
         throw new Error('On-chain betting backend is not configured');
     }
@@ -475,14 +502,15 @@ async function verifyOnchainBetTx({ txHash, matchId, side, address, amount }) {
         throw new Error('Could not decode betting transaction call');
     }
 
-    if (!parsed || parsed.name !== 'placeBet') {
-        throw new Error('Transaction is not a placeBet call');
+    const expectedCall = market === 'field' ? 'placeFieldBet' : 'placeBet';
+    if (!parsed || parsed.name !== expectedCall) {
+        throw new Error(`Transaction is not a ${expectedCall} call`);
     }
 
     const expectedBytes32 = toBytes32MatchId(matchId);
     const txMatchId = String(parsed.args[0] || '');
     const txSide = Number(parsed.args[1] || 0);
-    const expectedSide = side === '1' ? 1 : 2;
+    const expectedSide = market === 'field' ? Number(side) : (side === '1' ? 1 : 2);
     if (txMatchId !== expectedBytes32) throw new Error('Transaction match id does not match live match');
     if (txSide !== expectedSide) throw new Error('Transaction side does not match selected fighter');
 
@@ -551,6 +579,8 @@ async function buildLiveStats() {
         bettingTimeLeft: live.bettingTimeLeft,
         currentMatchId: live.currentMatchId,
         onChainLiveMatch: live.onChainLiveMatch,
+        totalActivePoolMON: live.totalActivePoolMON,
+        arenas: live.arenas,
         agents: topAgents,
     };
 }
@@ -558,45 +588,67 @@ async function buildLiveStats() {
 io.on('connection', (socket) => {
     logger.info(`WS client connected`, { socketId: socket.id, authenticated: !!socket.authToken });
 
-    // Send current matchmaker state immediately
-    const state = matchmaker.getState();
-    socket.emit('match:phase', {
-        phase: state.phase,
-        match: state.match || null,
-        timeLeft: state.bettingTimeLeft,
-        reason: state.waitingReason || null,
-        message: state.waitingMessage || null,
+    // Follow arena 1 until the client picks another slot; send its state immediately
+    const emitArenaPhase = (arenaState) => socket.emit('match:phase', {
+        phase: arenaState.phase,
+        match: arenaState.match || null,
+        timeLeft: arenaState.bettingTimeLeft,
+        reason: arenaState.waitingReason || null,
+        message: arenaState.waitingMessage || null,
     });
+    const state = matchmaker.getState();
+    socket.join(arenaRoom(state.slot));
+    emitArenaPhase(state);
+    socket.emit('arena:slots', matchmaker.getSlots());
     // Send recent match history
     if (state.matchHistory.length > 0) {
         socket.emit('match:history', state.matchHistory);
     }
-    // If fight is in progress, send current fight tick so new clients see the live state
-    if (state.phase === 'FIGHTING' && state.fightTick) {
-        socket.emit('match:fight_tick', state.fightTick);
-    }
-
     buildLiveStats()
         .then((stats) => socket.emit('arena:live_stats', stats))
         .catch((err) => logger.warn('Failed to send initial live stats', { error: err.message }));
 
-    // Join match room for live updates
+    // Switch arena slot: phase, betting and timer events come from that slot only
+    socket.on('arena:watch', (slotId) => {
+        const slot = matchmaker.getSlot(slotId);
+        if (!slot) return;
+        for (const other of matchmaker.slots) socket.leave(arenaRoom(other.id));
+        socket.join(arenaRoom(slot.id));
+        emitArenaPhase(slot.getState());
+    });
+
+    // Join match room for live updates (fight ticks, fight events, scorecards)
     socket.on('match:watch', async (matchId) => {
-        socket.join(`match:${matchId}`);
+        if (!matchId) return;
+        socket.join(matchRoom(matchId));
         logger.debug(`WS watching match`, { socketId: socket.id, matchId });
 
         try {
             const match = await db.getMatchById(matchId);
             if (match) {
-                socket.emit('match:state', match);
+                socket.emit('match:state', redactMatchSeed(match));
             }
         } catch (err) {
             logger.warn('Failed to get match for watch', { matchId, error: err.message });
         }
+        // A fight already in progress: send where it is now
+        const fightTick = matchmaker.getFightTick(matchId);
+        if (fightTick) socket.emit('match:fight_tick', fightTick);
     });
 
     socket.on('match:unwatch', (matchId) => {
-        socket.leave(`match:${matchId}`);
+        if (!matchId) return;
+        socket.leave(matchRoom(matchId));
+    });
+
+    // Lobby: a summary of every live fight, to choose which one to watch
+    socket.on('lobby:watch', () => {
+        socket.join(LOBBY_ROOM);
+        socket.emit('lobby:fights', matchmaker.getLiveFights());
+    });
+
+    socket.on('lobby:unwatch', () => {
+        socket.leave(LOBBY_ROOM);
     });
 
     // Record bet from frontend (requires on-chain verification for live/on-chain matches)
@@ -607,14 +659,16 @@ io.on('connection', (socket) => {
             }
         };
 
-        const { side, amount, address, txHash } = data || {};
+        const { side, amount, address, txHash, matchId } = data || {};
         if (!side || !amount || !address) {
             respond({ ok: false, error: 'Missing required bet fields' });
             return;
         }
 
-        const liveMatch = matchmaker.currentMatch;
-        if (!liveMatch || matchmaker.phase !== 'BETTING') {
+        // Bets name their match; older clients without one bet on arena 1
+        const slot = matchId ? matchmaker.getSlotForMatch(matchId) : matchmaker.getSlot();
+        const liveMatch = slot?.currentMatch;
+        if (!liveMatch || slot.phase !== 'BETTING') {
             const error = 'Betting window is closed';
             socket.emit('bet:error', { error });
             respond({ ok: false, error });
@@ -633,10 +687,11 @@ io.on('connection', (socket) => {
                     side,
                     address,
                     amount,
+                    market: getMatchType(liveMatch.matchType).market,
                 });
             }
 
-            const bet = await matchmaker.recordBet(side, amount, address, {
+            const bet = await slot.recordBet(side, amount, address, {
                 txHash: txHash || null,
                 onChain: !!verification,
                 verifiedAt: verification?.verifiedAt || Date.now(),
@@ -680,10 +735,11 @@ io.on('connection', (socket) => {
         try {
             const liveMatches = await db.getLiveMatches();
             socket.emit('arena:status', {
-                liveMatches,
-                queueSize: require('./routes/arena')._matchQueue?.length || 0,
-                currentMatch: matchmaker.currentMatch,
-                phase: matchmaker.phase,
+                liveMatches: liveMatches.map(redactMatchSeed),
+                queueSize: matchmaker.queue.length,
+                currentMatch: matchmaker.getSlot().currentMatch,
+                phase: matchmaker.getSlot().phase,
+                arenas: matchmaker.getSlots(),
             });
         } catch (err) {
             logger.warn('Failed to get arena status', { error: err.message });
@@ -703,6 +759,13 @@ setInterval(() => {
         .then((stats) => io.emit('arena:live_stats', stats))
         .catch((err) => logger.warn('Failed to broadcast live stats', { error: err.message }));
 }, 5000);
+
+// Unanswered challenges expire and hand the challenger's wager back;
+// agents queued too long without a match leave with their entry fee
+setInterval(() => {
+    expireChallenges().catch((err) => logger.warn('Failed to expire challenges', { error: err.message }));
+    matchmaker.expireQueue().catch((err) => logger.warn('Failed to expire queue entries', { error: err.message }));
+}, 60000);
 // (Endpoints moved before 404 handler)
 
 // ── Start Server ─────────────────────────────────────────────
@@ -725,6 +788,13 @@ server.listen(PORT, async () => {
     }
     logger.info('═══════════════════════════════════════════════');
 
+    // Settlement jobs interrupted by the last shutdown are recovered before new matches end
+    try {
+        await settlementQueue.start();
+    } catch (err) {
+        logger.error('SettlementQueue failed to start', { error: err.message, stack: err.stack });
+    }
+
     // Start auto matchmaker after server is ready
     try {
         matchmaker.start();
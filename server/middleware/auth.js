@@ -58,4 +58,4 @@ async function optionalAuth(req, _res, next) {
     next();
 }
 
-module.exports = { authAgent, optionalAuth };
+module.exports = { authAgent, optionalAuth, API_KEY_REGEX };
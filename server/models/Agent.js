@@ -17,6 +17,7 @@ const agentSchema = new mongoose.Schema({
     strategy: { type: String, enum: ['aggressive', 'defensive', 'balanced'], default: 'balanced' },
     weaponPreference: { type: String, default: 'blade' },
     fighterClass: { type: String, enum: ['brawler', 'tank', 'speedster', 'tactician'], default: 'brawler' },
+    strategyScript: { type: mongoose.Schema.Types.Mixed, default: null },
     battleCry: { type: String, default: null, maxlength: 128 },
 
     // Owner (human who claims the agent)
@@ -34,6 +35,15 @@ const agentSchema = new mongoose.Schema({
     xp: { type: Number, default: 0 },
     powerRating: { type: Number, default: 50 },
 
+    // Glicko-2 skill rating (utils/glicko2.js) — ladder only, never feeds combat
+    glicko: {
+        rating: { type: Number, default: 1500 },
+        deviation: { type: Number, default: 350 },
+        volatility: { type: Number, default: 0.06 },
+        fights: { type: Number, default: 0 },
+        updatedAt: { type: Number, default: null },
+    },
+
     // Agent wallet (private key is stored encrypted only)
     wallet: {
         address: { type: String, default: null },
@@ -67,6 +77,7 @@ const agentSchema = new mongoose.Schema({
         totalAllowance: { type: Number, default: 0 },
         spent: { type: Number, default: 0 },
         remaining: { type: Number, default: 0 },
+        locked: { type: Number, default: 0 },   // Escrowed challenge wagers, out of remaining
         autoRefill: { type: Boolean, default: false },
         updatedAt: { type: Date, default: null },
     },
@@ -81,6 +92,8 @@ const agentSchema = new mongoose.Schema({
     // Misc
     registeredAt: { type: Date, default: Date.now },
     lastHeartbeat: { type: Date, default: null },
+    lastFightAt: { type: Date, default: null },
+    recentOpponents: { type: [String], default: [] },   // Newest first, for rematch avoidance
     equippedItems: { type: [String], default: [] },
 }, {
     timestamps: true,
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Head-to-head challenge between two agents, with both wagers escrowed from their budgets
+const challengeSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true, index: true },
+    challengerId: { type: String, required: true, index: true },
+    challengerName: { type: String, default: null },
+    targetId: { type: String, required: true, index: true },
+    targetName: { type: String, default: null },
+    wager: { type: Number, default: 0, min: 0 },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'expired', 'completed'],
+        default: 'pending',
+        index: true,
+    },
+    matchId: { type: String, default: null, index: true, sparse: true },
+    createdAt: { type: Number, default: () => Date.now() },
+    expiresAt: { type: Number, default: null },
+    respondedAt: { type: Number, default: null },
+    settlement: { type: mongoose.Schema.Types.Mixed, default: null },
+    settledAt: { type: Number, default: null },
+}, {
+    strict: false,
+});
+
+module.exports = mongoose.model('Challenge', challengeSchema);
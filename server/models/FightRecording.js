@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Compact tick + event stream for one fight (see utils/fight-recorder.js)
+const fightRecordingSchema = new mongoose.Schema({
+    matchId: { type: String, required: true, unique: true, index: true },
+    version: { type: Number, default: 1 },
+    tickMs: { type: Number, default: 500 },
+    fighters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    format: { type: mongoose.Schema.Types.Mixed, default: null },
+    ticks: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    events: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    fairness: { type: mongoose.Schema.Types.Mixed, default: null },
+    startedAt: { type: Number, default: null },
+    recordedAt: { type: Number, default: null },
+}, {
+    timestamps: true,
+    strict: false,
+});
+
+module.exports = mongoose.model('FightRecording', fightRecordingSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Latest snapshot of a live fight, for resuming it after a crash (see FightSimulator.snapshot)
+const fightSnapshotSchema = new mongoose.Schema({
+    matchId: { type: String, required: true, unique: true, index: true },
+    version: { type: Number, default: 1 },
+    tick: { type: Number, default: 0 },
+    config: { type: mongoose.Schema.Types.Mixed, default: null },
+    decisions: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    state: { type: mongoose.Schema.Types.Mixed, default: null },
+    savedAt: { type: Number, default: null },
+}, {
+    timestamps: true,
+    strict: false,
+    minimize: false,
+});
+
+module.exports = mongoose.model('FightSnapshot', fightSnapshotSchema);
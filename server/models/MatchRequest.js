@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// A fixed pairing (challenge or tournament bout) booked but not yet picked by an arena slot
+const matchRequestSchema = new mongoose.Schema({
+    matchId: { type: String, required: true, unique: true, index: true },
+    agentIds: { type: [String], default: [] },
+    mode: { type: String, default: 'ranked' },
+    origin: { type: String, required: true, index: true },
+    requestedAt: { type: Number, default: () => Date.now(), index: true },
+}, {
+    strict: false,
+});
+
+module.exports = mongoose.model('MatchRequest', matchRequestSchema);
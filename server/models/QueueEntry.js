@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// An agent waiting in a matchmaking queue (see data/queue-modes.js)
+const queueEntrySchema = new mongoose.Schema({
+    agentId: { type: String, required: true, unique: true, index: true },
+    agentName: { type: String, default: null },
+    rank: { type: Number, default: null },
+    mode: { type: String, required: true, index: true },
+    entryFee: { type: Number, default: 0, min: 0 },
+    joinedAt: { type: Number, default: () => Date.now(), index: true },
+}, {
+    strict: false,
+});
+
+module.exports = mongoose.model('QueueEntry', queueEntrySchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One on-chain settlement step for a match (resolve, cancel or a winner's reward); `id` is its idempotency key
+const settlementJobSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true, index: true },
+    type: { type: String, enum: ['resolve', 'cancel', 'reward'], required: true },
+    matchId: { type: String, required: true, index: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'done', 'dead'],
+        default: 'pending',
+        index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Number, default: () => Date.now(), index: true },
+    lastError: { type: String, default: null },
+    txHash: { type: String, default: null },
+    nonce: { type: Number, default: null },   // Operator nonce pinned for a reward transfer
+    createdAt: { type: Number, default: () => Date.now() },
+    updatedAt: { type: Number, default: () => Date.now() },
+    completedAt: { type: Number, default: null },
+}, {
+    strict: false,
+});
+
+module.exports = mongoose.model('SettlementJob', settlementJobSchema);
@@ -12,6 +12,14 @@ const {
     exportAgentWalletKeyPackage,
     generateOneTimeWalletSecret,
 } = require('../utils/agent-wallet');
+const { FIGHTER_CLASS_IDS, DEFAULT_FIGHTER_CLASS, isFighterClass } = require('../data/fighter-classes');
+const { createRating, publicRating } = require('../utils/glicko2');
+const {
+    MAX_DRY_RUN_STATES,
+    validateStrategyScript,
+    factsFromSample,
+    evaluateStrategyScript,
+} = require('../utils/strategy-script');
 
 const router = express.Router();
 
@@ -24,12 +32,15 @@ function toSafeAgentView(agent) {
         name: agent.name,
         description: agent.description,
         strategy: agent.strategy,
+        fighterClass: agent.fighterClass || DEFAULT_FIGHTER_CLASS,
+        strategyScript: agent.strategyScript || null,
         weaponPreference: agent.weaponPreference,
         status: agent.status,
         rank: agent.rank,
         level: agent.level,
         xp: agent.xp,
         powerRating: agent.powerRating,
+        rating: publicRating(agent.glicko),
         stats: agent.stats,
         registeredAt: agent.registeredAt,
         claimedAt: agent.claimedAt,
@@ -46,7 +57,7 @@ function toSafeAgentView(agent) {
 
 // ── POST /agents/register — Self-registration (no auth) ──────
 router.post('/register', async (req, res) => {
-    const { name, description, strategy, weapon_preference } = req.body;
+    const { name, description, strategy, weapon_preference, fighter_class } = req.body;
 
     // Validate
     if (!name || name.length < 2 || name.length > 32) {
@@ -63,6 +74,13 @@ router.post('/register', async (req, res) => {
         });
     }
 
+    if (fighter_class !== undefined && !isFighterClass(fighter_class)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid fighter_class. Choose one of: ${FIGHTER_CLASS_IDS.join(', ')}`,
+        });
+    }
+
     // Check duplicate name
     if (await db.getAgentByName(name)) {
         return res.status(409).json({
@@ -95,6 +113,7 @@ router.post('/register', async (req, res) => {
         name,
         description: description || '',
         strategy: STRATEGIES.includes(strategy) ? strategy : 'balanced',
+        fighterClass: fighter_class || DEFAULT_FIGHTER_CLASS,
         weaponPreference: WEAPONS.includes(weapon_preference) ? weapon_preference : 'blade',
         status: 'pending_claim',
         claimToken,
@@ -104,6 +123,7 @@ router.post('/register', async (req, res) => {
         level: 1,
         xp: 0,
         powerRating: 50,
+        glicko: createRating(),
         stats: { wins: 0, losses: 0, draws: 0, winRate: 0, totalEarnings: 0, matchesPlayed: 0, killStreak: 0, currentStreak: 0 },
         registeredAt: new Date().toISOString(),
         claimedAt: null,
@@ -201,15 +221,43 @@ router.get('/status', authAgent, (req, res) => {
         status: agent.status,
         rank: agent.rank,
         power_rating: agent.powerRating,
+        rating: publicRating(agent.glicko),
         mon_balance: agent.stats.totalEarnings,
     });
 });
 
 // ── PATCH /agents/me/profile — Update fighter profile ────────
 router.patch('/me/profile', authAgent, async (req, res) => {
-    const { description, strategy, weapon_preference, battle_cry, avatar_emoji } = req.body;
+    const { description, strategy, weapon_preference, fighter_class, strategy_script, battle_cry, avatar_emoji } = req.body;
     const updates = {};
 
+    if (fighter_class !== undefined) {
+        if (!isFighterClass(fighter_class)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid fighter_class. Choose one of: ${FIGHTER_CLASS_IDS.join(', ')}`,
+            });
+        }
+        updates.fighterClass = fighter_class;
+    }
+
+    if (strategy_script !== undefined) {
+        if (strategy_script === null) {
+            updates.strategyScript = null;
+        } else {
+            const { valid, errors, script } = validateStrategyScript(strategy_script);
+            if (!valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid strategy_script',
+                    details: errors,
+                    hint: 'Try it first with POST /api/v1/agents/me/strategy-script/dry-run',
+                });
+            }
+            updates.strategyScript = script;
+        }
+    }
+
     if (description !== undefined) updates.description = String(description).slice(0, 256);
     if (strategy && STRATEGIES.includes(strategy)) updates.strategy = strategy;
     if (weapon_preference && WEAPONS.includes(weapon_preference)) updates.weaponPreference = weapon_preference;
@@ -220,6 +268,44 @@ router.patch('/me/profile', authAgent, async (req, res) => {
     res.json({ success: true, data: toSafeAgentView(updated) });
 });
 
+// ── POST /agents/me/strategy-script/dry-run — Resolve rules against sample states ──
+router.post('/me/strategy-script/dry-run', authAgent, (req, res) => {
+    const { strategy_script, states } = req.body || {};
+    const source = strategy_script !== undefined ? strategy_script : req.agent.strategyScript;
+
+    if (!source) {
+        return res.status(400).json({
+            success: false,
+            error: 'No strategy_script given and none saved on your profile',
+        });
+    }
+
+    const { valid, errors, script } = validateStrategyScript(source);
+    if (!valid) {
+        return res.status(400).json({ success: false, error: 'Invalid strategy_script', details: errors });
+    }
+
+    if (!Array.isArray(states) || states.length === 0 || states.length > MAX_DRY_RUN_STATES) {
+        return res.status(400).json({
+            success: false,
+            error: `states must be an array of 1-${MAX_DRY_RUN_STATES} sample fight states`,
+        });
+    }
+
+    const results = states.map((sample) => {
+        const facts = factsFromSample(sample);
+        const match = evaluateStrategyScript(script, facts);
+        return {
+            facts,
+            action: match ? match.action : null,
+            rule: match ? match.rule : null,
+            source: match ? 'script' : 'strategy',
+        };
+    });
+
+    res.json({ success: true, data: { script, results } });
+});
+
 // ── GET /agents/verify-claim/:token — Check if claim token OR agent name is valid ──
 router.get('/verify-claim/:token', async (req, res) => {
     const { token } = req.params;
@@ -395,6 +481,7 @@ router.get('/me/budget', authAgent, (req, res) => {
             total_allowance: budget.totalAllowance || 0,
             spent: budget.spent || 0,
             remaining: budget.remaining || 0,
+            locked: budget.locked || 0,
             auto_refill: budget.autoRefill || false,
         },
     });
@@ -409,31 +496,33 @@ router.patch('/me/budget', authAgent, async (req, res) => {
     // In a full implementation, this would check req.walletAddress === agent.owner.walletAddress
     // For now, any authenticated agent can update their own budget
 
-    const currentBudget = agent.budget || { totalAllowance: 0, spent: 0, remaining: 0, autoRefill: false };
-    const updates = {};
+    if (amount === undefined && auto_refill === undefined) {
+        return res.status(400).json({ success: false, error: 'No valid fields to update' });
+    }
 
+    // Applied as a delta so escrowed wagers and entry fees charged meanwhile aren't overwritten
+    const currentBudget = agent.budget || { totalAllowance: 0, spent: 0, remaining: 0, autoRefill: false };
+    const deltas = {};
+    const options = { autoRefill: auto_refill !== undefined ? !!auto_refill : null };
     if (amount !== undefined) {
         const newAmount = Math.min(Math.max(parseFloat(amount) || 0, 0), 100000);
-        updates.budget = {
-            ...currentBudget,
-            totalAllowance: newAmount,
-            remaining: newAmount - (currentBudget.spent || 0),
-            updatedAt: new Date().toISOString(),
-        };
-    }
-
-    if (auto_refill !== undefined) {
-        updates.budget = {
-            ...(updates.budget || currentBudget),
-            autoRefill: !!auto_refill,
-        };
+        const currentAllowance = Number(currentBudget.totalAllowance || 0);
+        const delta = newAmount - currentAllowance;
+        if (Number(currentBudget.remaining || 0) + delta < 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Allowance can't drop below what is already spent or locked (${currentAllowance - Number(currentBudget.remaining || 0)} MON).`,
+            });
+        }
+        deltas.totalAllowance = delta;
+        deltas.remaining = delta;
+        options.allowanceWas = currentAllowance;
     }
 
-    if (Object.keys(updates).length === 0) {
-        return res.status(400).json({ success: false, error: 'No valid fields to update' });
+    const updated = await db.adjustAgentBudget(String(agent._id || agent.id), deltas, options);
+    if (!updated) {
+        return res.status(409).json({ success: false, error: 'Budget changed while updating; try again.' });
     }
-
-    const updated = await db.updateAgent(agent._id || agent.id, updates);
     res.json({
         success: true,
         budget: updated.budget,
@@ -472,10 +561,12 @@ router.get('/', async (req, res) => {
         name: a.name,
         description: a.description,
         strategy: a.strategy,
+        fighterClass: a.fighterClass || DEFAULT_FIGHTER_CLASS,
         status: a.status,
         rank: a.rank,
         level: a.level,
         powerRating: a.powerRating,
+        rating: publicRating(a.glicko),
         stats: a.stats,
         registeredAt: a.registeredAt,
         lastHeartbeat: a.lastHeartbeat,
@@ -3,18 +3,29 @@
 // ═══════════════════════════════════════════════════════════════
 
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const { authAgent, optionalAuth } = require('../middleware/auth');
 const db = require('../db');
-const blockchain = require('../utils/blockchain');
 const logger = require('../utils/logger');
-const { splitPool, distributeBettorsPool } = require('../utils/economy');
 const { safeEqual } = require('../utils/crypto');
+const { redactMatchSeed } = require('../utils/provably-fair');
+const { STAMINA, availableActions } = require('../data/combat-rules');
+const { QUEUE_MODES, QUEUE_MODE_IDS, DEFAULT_QUEUE_MODE, isQueueMode, getQueueMode } = require('../data/queue-modes');
+const { JOB_STATUSES } = require('../utils/settlement-queue');
+const {
+    ChallengeError,
+    challengeToPublic,
+    createChallenge,
+    acceptChallenge,
+    declineChallenge,
+    challengeNotifications,
+    listChallengesForAgent,
+} = require('../utils/challenge-service');
 
 const router = express.Router();
 
-// In-memory queue (not persisted)
-const matchQueue = [];
+// Queued agents, challenges and tournament bouts are all fought by the
+// AutoMatchmaker (app.locals.matchmaker): same betting window, simulator,
+// settlement and history as every other arena match.
 const TOURNAMENT_MIN_AGENTS = Math.max(2, parseInt(process.env.TOURNAMENT_MIN_AGENTS || '8', 10));
 const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
 function createInitialTournamentState() {
@@ -70,6 +81,23 @@ function requireAdmin(req, res, next) {
     return next();
 }
 
+function handleChallengeError(res, error) {
+    if (error instanceof ChallengeError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+        });
+    }
+
+    logger.error('[Arena] Challenge error', { error: error.message });
+    return res.status(500).json({
+        success: false,
+        error: 'Internal challenge error',
+        code: 'internal_error',
+    });
+}
+
 // ── GET /arena/heartbeat — Agent check-in ────────────────────
 router.get('/heartbeat', authAgent, async (req, res) => {
     const agent = req.agent;
@@ -77,16 +105,17 @@ router.get('/heartbeat', authAgent, async (req, res) => {
     // Update last heartbeat
     await db.updateAgent(agent._id || agent.id, { lastHeartbeat: Date.now() });
 
-    // Check for pending matches
-    const liveMatches = await db.getLiveMatches();
-    const pendingMatch = liveMatches.find(
-        m => m.agent1Id === agent.id || m.agent2Id === agent.id
-    );
+    // The agent's seat in a live arena match (duel, team or free-for-all), read from the running fight
+    const matchmaker = req.app?.locals?.matchmaker;
+    const pendingMatch = matchmaker?.getAgentMatchView(agent._id || agent.id) || null;
+    const yourStamina = pendingMatch ? (pendingMatch.you.stamina ?? STAMINA.max) : null;
+    const opponent = pendingMatch?.opponents.find(o => !o.eliminated) || pendingMatch?.opponents[0] || null;
 
-    // Get notifications (recent activity relevant to this agent)
-    const notifications = (await db.getActivity(10)).filter(
-        a => a.message && a.message.includes(agent.name)
-    );
+    // Get notifications (open challenges, then recent activity relevant to this agent)
+    const notifications = [
+        ...(await challengeNotifications(agent)),
+        ...(await db.getActivity(10)).filter(a => a.message && a.message.includes(agent.name)),
+    ];
 
     try {
         await db.addActivity({
@@ -99,19 +128,25 @@ router.get('/heartbeat', authAgent, async (req, res) => {
         console.error('[Arena] Activity log failed:', actErr.message);
     }
 
+    const queued = matchmaker?.isQueued(agent._id || agent.id);
+
     res.json({
         success: true,
-        status: pendingMatch ? 'in_match' : agent.status,
+        status: pendingMatch ? 'in_match' : (queued ? 'in_queue' : agent.status),
         pending_match: pendingMatch ? {
-            match_id: pendingMatch.id,
-            opponent: pendingMatch.agent1Id === agent.id
-                ? { name: pendingMatch.agent2Name, rank: pendingMatch.agent2Rank }
-                : { name: pendingMatch.agent1Name, rank: pendingMatch.agent1Rank },
+            match_id: pendingMatch.matchId,
+            arena: pendingMatch.slot,
+            phase: pendingMatch.phase,
+            match_type: pendingMatch.matchType,
+            fighter_id: pendingMatch.you.fighterId,
+            opponent: opponent ? { name: opponent.name, rank: opponent.rank } : null,
+            opponents: pendingMatch.opponents.map(o => ({ fighter_id: o.fighterId, name: o.name, rank: o.rank, hp: o.hp, eliminated: o.eliminated })),
             round: pendingMatch.round,
-            your_hp: pendingMatch.agent1Id === agent.id ? pendingMatch.agent1HP : pendingMatch.agent2HP,
-            opponent_hp: pendingMatch.agent1Id === agent.id ? pendingMatch.agent2HP : pendingMatch.agent1HP,
-            time_remaining: pendingMatch.timeRemaining,
-            available_actions: ['move_forward', 'move_back', 'strafe_left', 'strafe_right', 'attack', 'heavy_attack', 'defend', 'dodge', 'taunt'],
+            your_hp: pendingMatch.you.hp,
+            opponent_hp: opponent ? opponent.hp : null,
+            time_remaining: pendingMatch.roundTimer,
+            your_stamina: yourStamina,
+            available_actions: availableActions(yourStamina, { specialReady: pendingMatch.you.specialReady }),
         } : null,
         next_match_in: pendingMatch ? 0 : Math.floor(Math.random() * 600) + 300,
         rank: agent.rank,
@@ -121,11 +156,23 @@ router.get('/heartbeat', authAgent, async (req, res) => {
 });
 
 // ── POST /arena/queue — Join matchmaking ─────────────────────
-const QUEUE_ENTRY_FEE = 10; // 10 MON per ranked match
-
 router.post('/queue', authAgent, async (req, res) => {
     const agent = req.agent;
-    const { mode } = req.body;
+    const agentId = agent._id || agent.id;
+    const mode = req.body.mode || DEFAULT_QUEUE_MODE;
+    const matchmaker = req.app?.locals?.matchmaker;
+    if (!matchmaker) {
+        return res.status(503).json({ success: false, error: 'Matchmaker not available' });
+    }
+
+    if (!isQueueMode(mode)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown queue mode: ${mode}`,
+            modes: QUEUE_MODE_IDS,
+        });
+    }
+    const queueMode = getQueueMode(mode);
 
     if (agent.status === 'pending_claim') {
         return res.status(403).json({
@@ -134,85 +181,118 @@ router.post('/queue', authAgent, async (req, res) => {
         });
     }
 
-    // Check if already in queue
-    if (matchQueue.find(q => q.agentId === agent.id)) {
+    // Check if in a match (or booked for one)
+    const existingMatchId = matchmaker.matchForAgent(agentId);
+    if (existingMatchId) {
         return res.status(409).json({
             success: false,
-            error: 'Already in matchmaking queue',
+            error: 'Already in a match',
+            match_id: existingMatchId,
         });
     }
 
-    // Check if in a match
-    const currentLiveMatches = await db.getLiveMatches();
-    const existingMatch = currentLiveMatches.find(
-        m => m.agent1Id === agent.id || m.agent2Id === agent.id
-    );
-    if (existingMatch) {
+    // Hold the agent's place before charging, so two concurrent joins can't both pay
+    if (!matchmaker.reserveQueueSlot(agentId)) {
         return res.status(409).json({
             success: false,
-            error: 'Already in a match',
-            match_id: existingMatch.id,
+            error: 'Already in matchmaking queue',
         });
     }
 
-    // Check and deduct budget for ranked matches
-    const isRanked = (mode || 'ranked') === 'ranked';
-    if (isRanked && agent.budget) {
-        const remaining = agent.budget.remaining || 0;
-        if (remaining < QUEUE_ENTRY_FEE) {
-            return res.status(402).json({
+    // Check and deduct the entry fee; it is refunded if the agent leaves or times out unmatched
+    const entryFee = agent.budget ? queueMode.entryFee : 0;
+    let position;
+    try {
+        if (entryFee > 0) {
+            const remaining = agent.budget.remaining || 0;
+            // The update re-checks the balance so a concurrent spend can't overdraw it
+            const charged = remaining >= entryFee
+                && await db.adjustAgentBudget(String(agentId), { remaining: -entryFee, spent: entryFee });
+            if (!charged) {
+                return res.status(402).json({
+                    success: false,
+                    error: `Insufficient budget. Need ${entryFee} MON, have ${remaining} MON.`,
+                    budget_remaining: remaining,
+                    entry_fee: entryFee,
+                    hint: 'Ask your human owner to increase your budget.',
+                });
+            }
+        }
+
+        let joined = null;
+        try {
+            joined = await matchmaker.enqueue(agent, { mode, entryFee });
+        } finally {
+            // Charged but not queued: the fee goes straight back
+            if (!joined && entryFee > 0) await db.adjustAgentBudget(String(agentId), { remaining: entryFee, spent: -entryFee });
+        }
+        if (!joined) {
+            return res.status(409).json({
                 success: false,
-                error: `Insufficient budget. Need ${QUEUE_ENTRY_FEE} MON, have ${remaining} MON.`,
-                budget_remaining: remaining,
-                entry_fee: QUEUE_ENTRY_FEE,
-                hint: 'Ask your human owner to increase your budget.',
+                error: 'Already in matchmaking queue',
             });
         }
+        position = joined.position;
+    } finally {
+        matchmaker.releaseQueueSlot(agentId);
+    }
 
-        // Deduct entry fee from budget
-        await db.updateAgent(agent._id || agent.id, {
-            budget: {
-                ...agent.budget,
-                spent: (agent.budget.spent || 0) + QUEUE_ENTRY_FEE,
-                remaining: remaining - QUEUE_ENTRY_FEE,
-                updatedAt: new Date().toISOString(),
-            },
+    try {
+        await db.addActivity({
+            type: 'queue',
+            message: `${agent.name} joined the ${queueMode.name} matchmaking queue`,
+            time: Date.now(),
+            icon: '📋',
         });
+    } catch (actErr) {
+        console.error('[Arena] Activity log failed:', actErr.message);
     }
 
-    const queueEntry = {
-        agentId: agent._id || agent.id,
-        agentName: agent.name,
-        rank: agent.rank,
-        powerRating: agent.powerRating,
-        mode: mode || 'ranked',
-        joinedAt: Date.now(),
-    };
+    // The next free arena slot pairs queued agents; the fight is announced over fight:start
+    res.json({
+        success: true,
+        message: 'Added to queue. You will be paired in the next free arena.',
+        mode,
+        queue_position: position,
+        entry_fee: entryFee,
+        estimated_wait: 60,
+        match: null,
+    });
+});
 
-    matchQueue.push(queueEntry);
+// ── DELETE /arena/queue — Leave matchmaking ──────────────────
+router.delete('/queue', authAgent, async (req, res) => {
+    const agent = req.agent;
+    const matchmaker = req.app?.locals?.matchmaker;
+    if (!matchmaker) {
+        return res.status(503).json({ success: false, error: 'Matchmaker not available' });
+    }
 
-    await db.updateAgent(agent._id || agent.id, { status: 'in_queue' });
+    const left = await matchmaker.leaveQueue(agent._id || agent.id);
+    if (!left) {
+        return res.status(404).json({
+            success: false,
+            error: 'Not in the matchmaking queue',
+            match_id: matchmaker.matchForAgent(agent._id || agent.id),
+        });
+    }
 
     try {
         await db.addActivity({
             type: 'queue',
-            message: `${agent.name} joined ${mode || 'ranked'} matchmaking queue`,
+            message: `${agent.name} left the ${getQueueMode(left.entry.mode).name} matchmaking queue`,
             time: Date.now(),
-            icon: '📋',
+            icon: '🚪',
         });
     } catch (actErr) {
         console.error('[Arena] Activity log failed:', actErr.message);
     }
 
-    // Try to match immediately
-    const match = await tryMatchmaking(req.io);
-
     res.json({
         success: true,
-        message: match ? 'Match found!' : 'Added to queue. Waiting for opponent...',
-        queue_position: matchQueue.findIndex(q => q.agentId === agent.id) + 1,
-        estimated_wait: match ? 0 : 60,
-        match: match ? { match_id: match.id, opponent: match.agent1Id === agent.id ? match.agent2Name : match.agent1Name } : null,
+        message: 'Left the queue.',
+        mode: left.entry.mode,
+        refunded: left.refunded,
     });
 });
 
@@ -236,27 +316,17 @@ router.post('/challenge', authAgent, async (req, res) => {
         });
     }
 
-    if (target.id === req.agent.id) {
-        return res.status(400).json({
-            success: false,
-            error: 'Cannot challenge yourself',
-        });
-    }
-
-    if (target.status !== 'active') {
-        return res.status(409).json({
-            success: false,
-            error: `${target.name} is not available (status: ${target.status})`,
-        });
+    let challenge;
+    try {
+        challenge = await createChallenge(req.agent, target, { wager });
+    } catch (error) {
+        return handleChallengeError(res, error);
     }
 
-    // Create the match
-    const match = await createMatch(req.agent, target, 'challenge', req.io);
-
     try {
         await db.addActivity({
             type: 'challenge',
-            message: `${req.agent.name} challenged ${target.name} to a duel!`,
+            message: `${req.agent.name} challenged ${target.name} to a duel${challenge.wager > 0 ? ` for ${challenge.wager} MON` : ''}!`,
             time: Date.now(),
             icon: '🎯',
         });
@@ -264,29 +334,84 @@ router.post('/challenge', authAgent, async (req, res) => {
         console.error('[Arena] Activity log failed:', actErr.message);
     }
 
-    res.json({
+    res.status(201).json({
         success: true,
-        message: `Challenge sent to ${target.name}!`,
-        match: {
-            match_id: match.id,
-            opponent: target.name,
-            wager: wager || 0,
-        },
+        message: `Challenge sent to ${target.name}. They have until it expires to accept or decline.`,
+        challenge: challengeToPublic(challenge),
     });
 });
 
+// ── GET /arena/challenges — Your challenges, sent and received ─
+router.get('/challenges', authAgent, async (req, res) => {
+    try {
+        return res.json({ success: true, data: await listChallengesForAgent(req.agent) });
+    } catch (error) {
+        return handleChallengeError(res, error);
+    }
+});
+
+// ── POST /arena/challenges/:id/accept — Lock your wager, book the fight ─
+router.post('/challenges/:id/accept', authAgent, async (req, res) => {
+    const matchmaker = req.app?.locals?.matchmaker;
+    if (!matchmaker) {
+        return res.status(503).json({ success: false, error: 'Matchmaker not available' });
+    }
+
+    try {
+        const challenge = await acceptChallenge(req.params.id, req.agent, matchmaker);
+        try {
+            await db.addActivity({
+                type: 'challenge',
+                message: `${challenge.targetName} accepted ${challenge.challengerName}'s challenge!`,
+                time: Date.now(),
+                icon: '🤝',
+            });
+        } catch (actErr) {
+            console.error('[Arena] Activity log failed:', actErr.message);
+        }
+        return res.json({
+            success: true,
+            message: 'Challenge accepted. The fight opens in the next free arena.',
+            challenge: challengeToPublic(challenge),
+        });
+    } catch (error) {
+        return handleChallengeError(res, error);
+    }
+});
+
+// ── POST /arena/challenges/:id/decline — Turn a challenge down ─
+router.post('/challenges/:id/decline', authAgent, async (req, res) => {
+    try {
+        const challenge = await declineChallenge(req.params.id, req.agent);
+        return res.json({
+            success: true,
+            message: 'Challenge declined. The challenger\'s wager was returned.',
+            challenge: challengeToPublic(challenge),
+        });
+    } catch (error) {
+        return handleChallengeError(res, error);
+    }
+});
+
 // ── GET /arena/live — Get all live matches (public) ──────────
 router.get('/live', async (req, res) => {
     const live = await db.getLiveMatches();
-    res.json({ success: true, data: live });
+    res.json({ success: true, data: live.map(redactMatchSeed) });
 });
 
 // ── GET /arena/queue — Get queue status ──────────────────────
 router.get('/queue', (req, res) => {
+    const queue = req.app?.locals?.matchmaker?.getQueue() || [];
     res.json({
         success: true,
-        queue_size: matchQueue.length,
-        agents: matchQueue.map(q => ({
+        queue_size: queue.length,
+        queues: QUEUE_MODE_IDS.map(id => ({
+            mode: id,
+            name: QUEUE_MODES[id].name,
+            entry_fee: QUEUE_MODES[id].entryFee,
+            size: queue.filter(q => q.mode === id).length,
+        })),
+        agents: queue.map(q => ({
             name: q.agentName,
             mode: q.mode,
             waiting_since: Math.floor((Date.now() - q.joinedAt) / 1000),
@@ -315,7 +440,7 @@ router.get('/tournament/status', async (_req, res) => {
     });
 });
 
-async function createTournamentRound(participantIds, io) {
+async function createTournamentRound(participantIds, matchmaker) {
     const roundMatchIds = [];
     for (let i = 0; i < participantIds.length; i += 2) {
         const aId = participantIds[i];
@@ -323,14 +448,17 @@ async function createTournamentRound(participantIds, io) {
         const a = await db.getAgentById(aId);
         const b = await db.getAgentById(bId);
         if (!a || !b) continue;
-        const match = await createMatch(a, b, 'tournament', io);
-        roundMatchIds.push(match.id);
+        roundMatchIds.push(matchmaker.requestMatch([a, b], { mode: 'ranked', origin: 'tournament' }));
     }
     return roundMatchIds;
 }
 
 // ── POST /arena/tournament/start — Start bracket by active agent count ─
 router.post('/tournament/start', requireAdmin, async (_req, res) => {
+    const matchmaker = _req.app?.locals?.matchmaker;
+    if (!matchmaker) {
+        return res.status(500).json({ success: false, error: 'Matchmaker not available' });
+    }
     if (tournamentState.active) {
         return res.status(409).json({
             success: false,
@@ -350,7 +478,7 @@ router.post('/tournament/start', requireAdmin, async (_req, res) => {
     const bracketSize = Math.min(16, maxPowerOfTwo(eligibleAgents.length));
     const participants = eligibleAgents.slice(0, bracketSize).map(a => a.id);
     const tournamentId = `tournament-${Date.now()}`;
-    const roundMatchIds = await createTournamentRound(participants, _req.io);
+    const roundMatchIds = await createTournamentRound(participants, matchmaker);
 
     tournamentState = {
         ...tournamentState,
@@ -405,11 +533,11 @@ router.post('/admin/reset-agents', requireAdmin, async (req, res) => {
     }
 
     const summary = await db.resetAllAgentData();
-    matchQueue.length = 0;
     tournamentState = createInitialTournamentState();
 
     const matchmaker = req.app?.locals?.matchmaker;
     if (matchmaker && typeof matchmaker.forceReset === 'function') {
+        matchmaker.clearRequests();
         matchmaker.forceReset(
             'NO_REAL_AGENTS',
             'All agents were cleared by admin. Waiting for fresh Telegram registrations.'
@@ -444,6 +572,46 @@ router.post('/admin/reset-agents', requireAdmin, async (req, res) => {
     });
 });
 
+// ── GET /arena/admin/settlements ── On-chain settlement jobs (?status=dead for the dead letters)
+router.get('/admin/settlements', requireAdmin, async (req, res) => {
+    const settlement = req.app?.locals?.settlementQueue;
+    if (!settlement) {
+        return res.status(503).json({ success: false, error: 'Settlement queue not available' });
+    }
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `Unknown status: ${status}`, statuses: JOB_STATUSES });
+    }
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit || '100', 10) || 100));
+    res.json({
+        success: true,
+        ...(await settlement.getStatus()),
+        data: await settlement.list({ status, limit }),
+    });
+});
+
+// ── POST /arena/admin/settlements/:id/retry ── Re-run a dead or waiting job now
+router.post('/admin/settlements/:id/retry', requireAdmin, async (req, res) => {
+    const settlement = req.app?.locals?.settlementQueue;
+    if (!settlement) {
+        return res.status(503).json({ success: false, error: 'Settlement queue not available' });
+    }
+    const existing = await db.getSettlementJob(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ success: false, error: 'Settlement job not found' });
+    }
+    if (existing.status === 'done' || existing.status === 'running') {
+        return res.status(409).json({
+            success: false,
+            error: existing.status === 'done' ? 'Job already settled' : 'Job is being attempted right now',
+            data: existing,
+        });
+    }
+    const job = await settlement.retry(existing.id);
+    logger.info('[Arena] Admin retried settlement job', { id: job.id, status: job.status });
+    res.json({ success: job.status === 'done', data: job });
+});
+
 // ── POST /arena/admin/force-new-match ── Force restart current match with updated pool settings
 router.post('/admin/force-new-match', requireAdmin, async (_req, res) => {
     const matchmaker = _req.app?.locals?.matchmaker;
@@ -452,298 +620,33 @@ router.post('/admin/force-new-match', requireAdmin, async (_req, res) => {
     }
     matchmaker.forceReset('ADMIN_RESTART', 'Admin forced new match with updated pool settings.');
     setTimeout(() => {
-        if (matchmaker.phase === 'WAITING') {
-            matchmaker._scheduleNextMatch();
+        for (const slot of matchmaker.slots) {
+            if (slot.phase === 'WAITING') slot._scheduleNextMatch();
         }
     }, 2000);
     return res.json({ success: true, message: 'Match restarted with new pool settings (1000 MON min)' });
 });
 
-// ── Matchmaking Logic ────────────────────────────────────────
-async function tryMatchmaking(io) {
-    if (matchQueue.length < 2) return null;
-
-    // Simple matchmaking: match first two in queue (can be improved with ELO)
-    const a1 = matchQueue.shift();
-    const a2 = matchQueue.shift();
-
-    const agent1 = await db.getAgentById(a1.agentId);
-    const agent2 = await db.getAgentById(a2.agentId);
-
-    if (!agent1 || !agent2) return null;
-
-    return await createMatch(agent1, agent2, a1.mode, io);
-}
-
-async function createMatch(agent1, agent2, mode, io) {
-    const matchId = `match-${uuidv4().slice(0, 8)}`;
-
-    const match = {
-        id: matchId,
-        agent1Id: agent1.id,
-        agent1Name: agent1.name,
-        agent1Rank: agent1.rank,
-        agent2Id: agent2.id,
-        agent2Name: agent2.name,
-        agent2Rank: agent2.rank,
-        status: 'live',
-        mode: mode || 'ranked',
-        round: 1,
-        maxRounds: 3,
-        timeRemaining: 90,
-        agent1HP: 200,
-        agent2HP: 200,
-        maxHP: 200,
-        agent1Stamina: 100,
-        agent2Stamina: 100,
-        totalBets: 0,
-        agent1Bets: 0,
-        agent2Bets: 0,
-        agent1Odds: 2.0,
-        agent2Odds: 2.0,
-        spectators: Math.floor(Math.random() * 200) + 50,
-        startedAt: Date.now(),
-        lastActions: [],
-    };
-
-    await db.addMatch(match);
-
-    // Update agent statuses
-    await db.updateAgent(agent1._id || agent1.id, { status: 'in_match' });
-    await db.updateAgent(agent2._id || agent2.id, { status: 'in_match' });
-
-    try {
-        await db.addActivity({
-            type: 'match_start',
-            message: `${agent1.name} vs ${agent2.name} — FIGHT!`,
-            time: Date.now(),
-            icon: '⚔️',
-        });
-    } catch (actErr) {
-        console.error('[Arena] Activity log failed:', actErr.message);
-    }
-
-    // Create match on-chain (async, non-blocking)
-    blockchain.createMatchOnChain(matchId, agent1.name, agent2.name).catch(err => {
-        logger.warn('On-chain match creation failed (non-critical)', { matchId, error: err.message });
-    });
-
-    // Emit via WebSocket
-    if (io) {
-        io.emit('match:start', match);
-    }
-
-    // Start match timer
-    startMatchTimer(match.id, io);
-
-    return match;
-}
-
-function startMatchTimer(matchId, io) {
-    const interval = setInterval(async () => {
-        try {
-            const match = await db.getMatchById(matchId);
-            if (!match || match.status !== 'live') {
-                clearInterval(interval);
-                return;
-            }
-
-            // Decrease time
-            const newTime = match.timeRemaining - 1;
-
-            if (newTime <= 0) {
-                // End round or match
-                if (match.round >= match.maxRounds) {
-                    await endMatch(matchId, io);
-                } else {
-                    await db.updateMatch(matchId, {
-                        round: match.round + 1,
-                        timeRemaining: 90,
-                    });
-                }
-                clearInterval(interval);
-                return;
-            }
-
-            await db.updateMatch(matchId, { timeRemaining: newTime });
-
-            // Emit tick
-            if (io) {
-                io.to(`match:${matchId}`).emit('match:tick', {
-                    matchId,
-                    timeRemaining: newTime,
-                    agent1HP: match.agent1HP,
-                    agent2HP: match.agent2HP,
-                    round: match.round,
-                });
-            }
-        } catch (err) {
-            logger.error('Match timer error', { matchId, error: err.message });
-            clearInterval(interval);
-        }
-    }, 1000);
-}
-
-async function endMatch(matchId, io) {
-    const match = await db.getMatchById(matchId);
-    if (!match) return;
-
-    // Determine winner
-    const winnerId = match.agent1HP >= match.agent2HP ? match.agent1Id : match.agent2Id;
-    const winnerName = winnerId === match.agent1Id ? match.agent1Name : match.agent2Name;
-    const loserName = winnerId === match.agent1Id ? match.agent2Name : match.agent1Name;
-    const loserId = winnerId === match.agent1Id ? match.agent2Id : match.agent1Id;
-
-    const totalPool = Number(match.totalBets || 0);
-    const split = splitPool(totalPool);
-    const allBets = (await db.getBetsForMatch(matchId)) || [];
-    const winningBets = allBets.filter(b => b.agentId === winnerId);
-    const bettorsDistribution = distributeBettorsPool(split.bettorsAmount, winningBets);
-    const platformCarry = split.platformAmount + Math.max(0, bettorsDistribution.unallocated || 0);
-    const winnerReward = split.winnerAmount;
-
-    // Update winner stats
-    const winner = await db.getAgentById(winnerId);
-    if (winner) {
-        await db.updateAgent(winnerId, {
-            status: 'active',
-            stats: {
-                ...winner.stats,
-                wins: winner.stats.wins + 1,
-                matchesPlayed: winner.stats.matchesPlayed + 1,
-                totalEarnings: winner.stats.totalEarnings + winnerReward,
-                currentStreak: winner.stats.currentStreak + 1,
-                killStreak: Math.max(winner.stats.killStreak, winner.stats.currentStreak + 1),
-                winRate: parseFloat((((winner.stats.wins + 1) / (winner.stats.matchesPlayed + 1)) * 100).toFixed(1)),
-            },
-        });
-    }
-
-    // Update loser stats
-    const loser = await db.getAgentById(loserId);
-    if (loser) {
-        await db.updateAgent(loserId, {
-            status: 'active',
-            stats: {
-                ...loser.stats,
-                losses: loser.stats.losses + 1,
-                matchesPlayed: loser.stats.matchesPlayed + 1,
-                currentStreak: 0,
-                winRate: parseFloat(((loser.stats.wins / (loser.stats.matchesPlayed + 1)) * 100).toFixed(1)),
-            },
-        });
-    }
-
-    if (typeof db.updateBet === 'function') {
-        for (const bet of allBets) {
-            const isWinnerTicket = bet.agentId === winnerId;
-            await db.updateBet(bet.id, {
-                status: isWinnerTicket ? 'won' : 'lost',
-                payout: isWinnerTicket ? (bettorsDistribution.payoutsByBetId[bet.id] || 0) : 0,
-                resolvedAt: Date.now(),
-            });
-        }
-    }
-
-    if (typeof db.getPlatformEconomy === 'function' && typeof db.updatePlatformEconomy === 'function') {
-        const economy = await db.getPlatformEconomy();
-        await db.updatePlatformEconomy({
-            treasuryMON: Number((economy.treasuryMON + platformCarry).toFixed(6)),
-            totalPaidToAgents: Number((economy.totalPaidToAgents + winnerReward).toFixed(6)),
-            totalPaidToBettors: Number((economy.totalPaidToBettors + bettorsDistribution.totalPayout).toFixed(6)),
-        });
-    }
-
-    // Archive to history
-    await db.addMatchHistory({
-        id: `hist-${matchId}`,
-        matchId,
-        agent1Id: match.agent1Id,
-        agent1Name: match.agent1Name,
-        agent2Id: match.agent2Id,
-        agent2Name: match.agent2Name,
-        winnerId,
-        winnerName,
-        agent1FinalHP: match.agent1HP,
-        agent2FinalHP: match.agent2HP,
-        totalBets: totalPool,
-        monEarned: winnerReward,
-        payout: {
-            split: {
-                platformPct: split.platformPct,
-                winnerPct: split.winnerPct,
-                bettorsPct: split.bettorsPct,
-            },
-            platformAmount: platformCarry,
-            winnerAmount: winnerReward,
-            bettorsAmount: bettorsDistribution.totalPayout,
-            winningTickets: bettorsDistribution.winningTickets,
-            winningWallets: Object.keys(bettorsDistribution.payoutsByWallet || {}).length,
-        },
-        duration: Math.floor((Date.now() - match.startedAt) / 1000),
-        mode: match.mode,
-        completedAt: Date.now(),
-    });
-
-    // Remove from active matches
-    await db.removeMatch(matchId);
-
-    try {
-        await db.addActivity({
-            type: 'match_end',
-            message: `${winnerName} defeats ${loserName}! Agent +${winnerReward} MON, Bettors +${bettorsDistribution.totalPayout.toFixed(2)} MON`,
-            time: Date.now(),
-            icon: '🏆',
-        });
-    } catch (actErr) {
-        console.error('[Arena] Activity log failed:', actErr.message);
-    }
-
-    // Resolve match on-chain and send reward (async, non-blocking)
-    (async () => {
-        try {
-            // Resolve the match on the smart contract
-            await blockchain.resolveMatchOnChain(matchId, winnerId, match.agent1Id);
-            
-            // Send MON reward directly to the winner's wallet (if they have one)
-            if (winner && winner.owner && winner.owner.walletAddress) {
-                const rewardTx = await blockchain.sendReward(winner.owner.walletAddress, winnerReward);
-                if (rewardTx) {
-                    logger.info('MON reward sent to winner', {
-                        matchId,
-                        winner: winnerName,
-                        wallet: winner.owner.walletAddress,
-                        amount: winnerReward,
-                        txHash: rewardTx,
-                    });
-                }
-            }
-        } catch (err) {
-            logger.warn('On-chain match resolution failed (non-critical)', { matchId, error: err.message });
-        }
-    })();
-
-    if (io) {
-        io.emit('match:end', {
-            matchId,
-            winnerId,
-            winnerName,
-            monEarned: winnerReward,
-            payout: {
-                platform: platformCarry,
-                winner: winnerReward,
-                bettors: bettorsDistribution.totalPayout,
-            },
-        });
-    }
-
-    await maybeAdvanceTournament(matchId, winnerId, io);
-}
-
-async function maybeAdvanceTournament(matchId, winnerId, io) {
+// ── Tournament progression ───────────────────────────────────
+// Called by the matchmaker after every match; only bracket bouts count
+async function maybeAdvanceTournament({ match, winnerAgentIds }, matchmaker) {
     if (!tournamentState.active || tournamentState.currentRound < 1) return;
     const current = tournamentState.rounds[tournamentState.currentRound - 1];
+    const matchId = match.id;
     if (!current || !current.matchIds.includes(matchId)) return;
+    const io = matchmaker.io;
+
+    // A drawn bout is fought again
+    const winnerId = winnerAgentIds[0];
+    if (!winnerId) {
+        const agents = await Promise.all([match.agent1?.dbId, match.agent2?.dbId].map(id => db.getAgentById(id)));
+        if (agents.every(Boolean)) {
+            const rematchId = matchmaker.requestMatch(agents, { mode: 'ranked', origin: 'tournament' });
+            current.matchIds[current.matchIds.indexOf(matchId)] = rematchId;
+            logger.info('[Arena] Tournament bout drawn, rematch booked', { matchId, rematchId });
+        }
+        return;
+    }
     if (!current.winners.includes(winnerId)) current.winners.push(winnerId);
 
     if (current.winners.length < current.matchIds.length) return;
@@ -773,7 +676,7 @@ async function maybeAdvanceTournament(matchId, winnerId, io) {
 
     const nextRoundParticipants = [...current.winners];
     const nextRound = tournamentState.currentRound + 1;
-    const matchIds = await createTournamentRound(nextRoundParticipants, io);
+    const matchIds = await createTournamentRound(nextRoundParticipants, matchmaker);
     tournamentState.currentRound = nextRound;
     tournamentState.rounds.push({
         round: nextRound,
@@ -803,9 +706,10 @@ async function maybeAdvanceTournament(matchId, winnerId, io) {
     }
 }
 
-// Export for use in match actions
-router._endMatch = endMatch;
-router._matchQueue = matchQueue;
+// Tournament brackets advance as the matchmaker finishes their bouts
+router._trackTournament = (matchmaker) => {
+    matchmaker.onMatchEnd((ended) => maybeAdvanceTournament(ended, matchmaker));
+};
 router._tournamentState = () => tournamentState;
 
 module.exports = router;
@@ -5,6 +5,7 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../db');
+const { matchRoom } = require('../utils/socket-rooms');
 
 const router = express.Router();
 
@@ -126,7 +127,7 @@ router.post('/', async (req, res) => {
 
     // Emit via WebSocket
     if (req.io) {
-        req.io.to(`match:${match_id}`).emit('match:bet', {
+        req.io.to(matchRoom(match_id)).emit('match:bet', {
             matchId: match_id,
             betAmount,
             agentId: agent_id,
@@ -19,6 +19,10 @@ const {
     equipBackpackItemForAgent,
     unequipSlot,
     unequipSlotForAgent,
+    queuePotion,
+    queuePotionForAgent,
+    unqueuePotion,
+    unqueuePotionForAgent,
 } = require('../utils/shop-service');
 
 const router = express.Router();
@@ -232,4 +236,59 @@ router.post('/agent/inventory/unequip', authAgent, (req, res) => {
     }
 });
 
+// ── Potions: queue from backpack for the next fight ──
+router.post('/inventory/:agentId/potions/queue', (req, res) => {
+    try {
+        const { wallet_address, item_id } = req.body;
+        const inventory = queuePotion({
+            agentId: req.params.agentId,
+            walletAddress: wallet_address,
+            itemId: item_id,
+        });
+        return res.json({ success: true, data: inventory });
+    } catch (error) {
+        return handleShopError(res, error);
+    }
+});
+
+router.post('/agent/inventory/potions/queue', authAgent, (req, res) => {
+    try {
+        const { item_id } = req.body;
+        const inventory = queuePotionForAgent({
+            agentApiKey: req.agent.apiKey,
+            itemId: item_id,
+        });
+        return res.json({ success: true, data: inventory });
+    } catch (error) {
+        return handleShopError(res, error);
+    }
+});
+
+router.post('/inventory/:agentId/potions/unqueue', (req, res) => {
+    try {
+        const { wallet_address, item_id } = req.body;
+        const inventory = unqueuePotion({
+            agentId: req.params.agentId,
+            walletAddress: wallet_address,
+            itemId: item_id,
+        });
+        return res.json({ success: true, data: inventory });
+    } catch (error) {
+        return handleShopError(res, error);
+    }
+});
+
+router.post('/agent/inventory/potions/unqueue', authAgent, (req, res) => {
+    try {
+        const { item_id } = req.body;
+        const inventory = unqueuePotionForAgent({
+            agentApiKey: req.agent.apiKey,
+            itemId: item_id,
+        });
+        return res.json({ success: true, data: inventory });
+    } catch (error) {
+        return handleShopError(res, error);
+    }
+});
+
 module.exports = router;
@@ -4,6 +4,7 @@ const { safeEqual } = require('../utils/crypto');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../db');
 const { sendTelegramMessage } = require('../utils/telegram');
+const { createRating } = require('../utils/glicko2');
 const {
     AgentWalletError,
     createAgentWalletRecord,
@@ -79,6 +80,7 @@ async function registerAgentFromTelegram({ username, firstName, chatId }) {
         level: 1,
         xp: 0,
         powerRating: 50,
+        glicko: createRating(),
         stats: { wins: 0, losses: 0, draws: 0, winRate: 0, totalEarnings: 0, matchesPlayed: 0, killStreak: 0, currentStreak: 0 },
         registeredAt: new Date().toISOString(),
         claimedAt: null,
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════
+// BALANCE REPORT — Headless batch fights from the command line
+// Usage: node scripts/balance-report.js [--fights 2000] [--seed balance]
+//          [--strategies aggressive,balanced] [--classes tank,brawler]
+//          [--tiers 0,3,5] [--power 75] [--rules standard] [--arena lava]
+//          [--tiebreak score] [--json report.json]
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { runBatch, formatReport, STRATEGIES, EQUIPMENT_TIERS } = require('../utils/batch-sim');
+const { FIGHTER_CLASS_IDS } = require('../data/fighter-classes');
+const { TIEBREAK_POLICIES } = require('../utils/fight-simulator');
+const { RULE_SET_IDS } = require('../data/rule-sets');
+const { ARENA_IDS } = require('../data/arenas');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function parseList(value, allowed, label) {
+    if (!value || value === true) return undefined;
+    const list = String(value).split(',').map(v => v.trim()).filter(Boolean);
+    const invalid = list.filter(v => !allowed.includes(v));
+    if (invalid.length > 0) {
+        throw new Error(`Unknown ${label}: ${invalid.join(', ')} (valid: ${allowed.join(', ')})`);
+    }
+    return list;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: node scripts/balance-report.js [--fights N] [--seed S] [--strategies a,b] '
+            + '[--classes a,b] [--tiers 0,1,...] [--power N] [--rules blitz|standard|endurance] '
+            + `[--arena ${ARENA_IDS.join('|')}] `
+            + '[--tiebreak score|hits|sudden_death] [--json out.json]');
+        return;
+    }
+
+    const tiers = parseList(args.tiers, EQUIPMENT_TIERS.map(String), 'tiers');
+    const tiebreak = parseList(args.tiebreak, TIEBREAK_POLICIES, 'tiebreak');
+    const ruleSet = parseList(args.rules, RULE_SET_IDS, 'rule set');
+    const arena = parseList(args.arena, ARENA_IDS, 'arena');
+    const opts = {
+        fights: parseInt(args.fights, 10) || 2000,
+        seed: typeof args.seed === 'string' ? args.seed : 'balance',
+        strategies: parseList(args.strategies, STRATEGIES, 'strategies'),
+        classes: parseList(args.classes, FIGHTER_CLASS_IDS, 'classes'),
+        tiers: tiers ? tiers.map(Number) : undefined,
+        basePower: args.power !== undefined ? Number(args.power) : undefined,
+        tiebreak: tiebreak ? tiebreak[0] : undefined,
+        ruleSet: ruleSet ? ruleSet[0] : undefined,
+        arena: arena ? arena[0] : undefined,
+        onProgress: (done, total) => {
+            if (done % Math.max(100, Math.round(total / 10 / 100) * 100) === 0) {
+                process.stderr.write(`  ${done}/${total} fights\n`);
+            }
+        },
+    };
+
+    const startedAt = Date.now();
+    const report = runBatch(opts);
+    const elapsed = (Date.now() - startedAt) / 1000;
+
+    console.log(formatReport(report));
+    console.log(`\nRan ${report.totals.fights} fights in ${elapsed.toFixed(1)}s`);
+
+    if (args.json && args.json !== true) {
+        const outPath = path.resolve(process.cwd(), args.json);
+        fs.writeFileSync(outPath, JSON.stringify(report, null, 2) + '\n');
+        console.log(`JSON report written to ${outPath}`);
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`balance-report: ${err.message}`);
+    process.exit(1);
+}
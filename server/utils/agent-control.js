@@ -0,0 +1,223 @@
+// ═══════════════════════════════════════════════════════════════
+// AGENT CONTROL — Live per-tick decisions from connected agents
+// Agents connect to the /agents Socket.IO namespace with their API
+// key. While they fight in the arena, the FightSimulator asks them
+// for a decision before every tick. Late, missing or invalid
+// decisions fall back to the fighter's strategy roll.
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const db = require('../db');
+const logger = require('./logger');
+const { API_KEY_REGEX } = require('../middleware/auth');
+const { ACTION_IDS } = require('../data/combat-rules');
+
+const NAMESPACE = '/agents';
+const DECISION_ACTIONS = ACTION_IDS;
+const DEADLINE_MARGIN_MS = 75;    // Decisions must land this long before the next tick
+
+function decisionError(error, code, extra = {}) {
+    return { success: false, error, code, ...extra };
+}
+
+class AgentControlHub {
+    /**
+     * @param {import('socket.io').Server} io - Socket.IO server
+     */
+    constructor(io) {
+        this.sockets = new Map();       // agentId -> Set<socket>
+        this.matches = new Map();       // matchId -> { seats, window, pending }
+        this.nsp = io ? io.of(NAMESPACE) : null;
+        if (this.nsp) this._bind();
+    }
+
+    // ── Socket wiring ──
+
+    _bind() {
+        this.nsp.use(async (socket, next) => {
+            try {
+                const agent = await this._authenticate(socket.handshake);
+                socket.data.agentId = String(agent._id || agent.id);
+                socket.data.agentName = agent.name;
+                next();
+            } catch (err) {
+                next(err);
+            }
+        });
+
+        this.nsp.on('connection', (socket) => {
+            const agentId = socket.data.agentId;
+            if (!this.sockets.has(agentId)) this.sockets.set(agentId, new Set());
+            this.sockets.get(agentId).add(socket);
+            logger.info(`[AgentControl] ${socket.data.agentName} connected (${socket.id})`);
+
+            socket.emit('agent:ready', {
+                agentId,
+                name: socket.data.agentName,
+                actions: DECISION_ACTIONS,
+                activeFight: this._activeFightFor(agentId),
+            });
+
+            socket.on('fight:decision', (payload, ack) => {
+                const result = this.submitDecision(agentId, payload);
+                if (typeof ack === 'function') ack(result);
+                else if (!result.success) socket.emit('fight:decision_rejected', result);
+            });
+
+            socket.on('disconnect', () => {
+                const set = this.sockets.get(agentId);
+                if (!set) return;
+                set.delete(socket);
+                if (set.size === 0) this.sockets.delete(agentId);
+            });
+        });
+    }
+
+    async _authenticate(handshake) {
+        const header = handshake.headers?.authorization || '';
+        const apiKey = String(handshake.auth?.apiKey
+            || (header.startsWith('Bearer ') ? header.slice(7) : '')).trim();
+
+        if (!API_KEY_REGEX.test(apiKey)) throw new Error('Invalid API key format');
+        const agent = await db.getAgentByApiKey(apiKey);
+        if (!agent) throw new Error('Invalid API key');
+        if (agent.status === 'suspended') throw new Error('Agent suspended');
+        return agent;
+    }
+
+    _emitTo(agentId, event, payload) {
+        const set = agentId && this.sockets.get(agentId);
+        if (!set) return false;
+        for (const socket of set) {
+            try { socket.emit(event, payload); } catch { /* ignore */ }
+        }
+        return true;
+    }
+
+    _activeFightFor(agentId) {
+        for (const [matchId, state] of this.matches) {
+            const fighterId = this._seatOf(state, agentId);
+            if (fighterId) return { matchId, fighterId, window: state.window };
+        }
+        return null;
+    }
+
+    _seatOf(state, agentId) {
+        return Object.keys(state.seats).find(fighterId => state.seats[fighterId] === agentId) || null;
+    }
+
+    // ── Match lifecycle ──
+
+    /**
+     * Open decision windows for a fight. Returns the controller the
+     * FightSimulator calls into, or null when no seat is a real agent.
+     * @param {string} matchId
+     * @param {Object<string, ?string>} seats - DB agent id per fighter slot ('1'..'N')
+     */
+    open(matchId, seats) {
+        const normalized = {};
+        for (const [fighterId, agentId] of Object.entries(seats)) {
+            normalized[fighterId] = agentId ? String(agentId) : null;
+        }
+        if (!Object.values(normalized).some(Boolean)) return null;
+
+        this.matches.set(matchId, { seats: normalized, window: null, pending: {} });
+        for (const fighterId of Object.keys(normalized)) {
+            this._emitTo(normalized[fighterId], 'fight:start', { matchId, fighterId, actions: DECISION_ACTIONS });
+        }
+
+        return {
+            requestDecisions: (opts) => this._requestDecisions(matchId, opts),
+            takeDecision: (fighterId, tick) => this._takeDecision(matchId, fighterId, tick),
+            close: (result) => this.close(matchId, result),
+        };
+    }
+
+    close(matchId, result = null) {
+        const state = this.matches.get(matchId);
+        if (!state) return;
+        this.matches.delete(matchId);
+        for (const fighterId of Object.keys(state.seats)) {
+            this._emitTo(state.seats[fighterId], 'fight:end', {
+                matchId,
+                fighterId,
+                winnerId: result?.winnerId || null,
+                method: result?.method || null,
+            });
+        }
+    }
+
+    // ── Decision windows ──
+
+    _requestDecisions(matchId, { tick, tickMs, views }) {
+        const state = this.matches.get(matchId);
+        if (!state) return;
+
+        const timeoutMs = Math.max(50, tickMs - DEADLINE_MARGIN_MS);
+        const deadline = Date.now() + timeoutMs;
+        state.window = { tick, deadline };
+        state.pending = {};
+
+        for (const fighterId of Object.keys(state.seats)) {
+            const agentId = state.seats[fighterId];
+            if (!agentId || !views[fighterId]) continue;
+            this._emitTo(agentId, 'fight:decision_request', {
+                matchId,
+                fighterId,
+                tick,
+                deadline,
+                timeoutMs,
+                actions: DECISION_ACTIONS,
+                ...views[fighterId],
+            });
+        }
+    }
+
+    _takeDecision(matchId, fighterId, tick) {
+        const state = this.matches.get(matchId);
+        if (!state || !state.window || state.window.tick !== tick) return null;
+        const decision = state.pending[fighterId] || null;
+        delete state.pending[fighterId];
+        return decision;
+    }
+
+    /**
+     * Record an agent's decision for the open window. In team and
+     * free-for-all matches `target` may name the enemy fighter to hit.
+     * @returns {{success: boolean, data?: Object, error?: string, code?: string}}
+     */
+    submitDecision(agentId, payload) {
+        const { matchId, tick, action, target } = payload || {};
+        const state = this.matches.get(matchId);
+        if (!state) return decisionError('No live fight for this match', 'no_fight');
+
+        const fighterId = this._seatOf(state, agentId);
+        if (!fighterId) return decisionError('You are not fighting in this match', 'not_in_match');
+
+        if (!DECISION_ACTIONS.includes(action)) {
+            return decisionError(`Invalid action. Valid: ${DECISION_ACTIONS.join(', ')}`, 'invalid_action');
+        }
+        const targetId = target === undefined || target === null ? null : String(target);
+        if (targetId && (targetId === fighterId || !(targetId in state.seats))) {
+            return decisionError('Invalid target fighter', 'invalid_target');
+        }
+
+        const decisionWindow = state.window;
+        if (!decisionWindow) return decisionError('No decision window open', 'no_window');
+        if (tick !== decisionWindow.tick) {
+            return decisionError('Decision is for a different tick', 'stale_tick', { expectedTick: decisionWindow.tick });
+        }
+        if (Date.now() > decisionWindow.deadline) {
+            return decisionError('Decision deadline passed', 'deadline_passed', { deadline: decisionWindow.deadline });
+        }
+        if (state.pending[fighterId]) {
+            return decisionError('Decision already submitted for this tick', 'already_decided');
+        }
+
+        state.pending[fighterId] = { action, target: targetId };
+        return { success: true, data: { matchId, fighterId, tick, action, target: targetId } };
+    }
+}
+
+module.exports = { AgentControlHub, DECISION_ACTIONS };
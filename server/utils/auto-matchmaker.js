@@ -2,27 +2,46 @@
 // AUTO-MATCHMAKER — Creates matches automatically
 // - Uses REAL agents when available (from DB)
 // - Falls back to simulation agents when not enough real ones
-// - Registers matches on-chain for real betting
+// - Registers matches on-chain for real betting; resolving, cancelling
+//   and winner rewards go through the durable SettlementQueue
 // - Updates real agent stats in DB after each match
+// - Runs MATCH_ARENA_SLOTS arenas side by side: each ArenaSlot has its
+//   own phases, betting window and on-chain match; AutoMatchmaker
+//   shares agents, history and the format rotation between them
+// - Queued agents (POST /arena/queue), challenges and tournament
+//   pairings are requests the next free slot takes before the rotation;
+//   the queue is kept in the DB so it survives a restart
 // ═══════════════════════════════════════════════════════════════
 
 const { v4: uuidv4 } = require('uuid');
 const logger = require('./logger');
 const blockchain = require('./blockchain');
 const db = require('../db');
-const { generateAgentEquipment } = require('../data/shop-items');
+const { generateAgentEquipment, calculateEquipmentBonus, calculateEquipmentPower, SHOP_ITEMS_BY_ID } = require('../data/shop-items');
+const { DEFAULT_FIGHTER_CLASS } = require('../data/fighter-classes');
+const { DEFAULT_RULE_SET, isRuleSet, getRuleSet, resolveRuleSet, maxFightDurationMs } = require('../data/rule-sets');
+const { DEFAULT_ARENA, isArena, getArena, resolveArena } = require('../data/arenas');
+const { DEFAULT_MATCH_TYPE, isMatchType, getMatchType, buildSides } = require('../data/match-types');
+const { DEFAULT_QUEUE_MODE, isQueueMode, getQueueMode } = require('../data/queue-modes');
 const FightSimulator = require('./fight-simulator');
+const SettlementQueue = require('./settlement-queue');
+const { FightRecorder } = require('./fight-recorder');
+const { createSeed, hashSeed } = require('./provably-fair');
+const { compileStrategyScript } = require('./strategy-script');
+const { arenaRoom } = require('./socket-rooms');
+const { rateFight, normalizeRating, publicRating } = require('./glicko2');
+const { pickAgents, nextRecentOpponents } = require('./pairing');
 
 // Simulation agents (used ONLY when not enough real agents)
 const SIM_AGENTS = [
-    { id: 'sim-a1', name: 'ShadowStrike', avatar: '🗡️', color: '#FF2D78', rank: 1, wins: 47, losses: 12, basePowerRating: 94, weapon: { name: 'Dark Blade', icon: '🗡️' }, isSimulated: true },
-    { id: 'sim-a2', name: 'IronGuard', avatar: '🛡️', color: '#00F5FF', rank: 2, wins: 41, losses: 15, basePowerRating: 89, weapon: { name: 'Iron Shield', icon: '🛡️' }, isSimulated: true },
-    { id: 'sim-a3', name: 'VoidWalker', avatar: '🌀', color: '#836EF9', rank: 3, wins: 38, losses: 18, basePowerRating: 87, weapon: { name: 'Void Staff', icon: '🌀' }, isSimulated: true },
-    { id: 'sim-a4', name: 'PyroBlitz', avatar: '🔥', color: '#FF6B35', rank: 4, wins: 35, losses: 20, basePowerRating: 83, weapon: { name: 'Flame Gauntlet', icon: '🔥' }, isSimulated: true },
-    { id: 'sim-a5', name: 'FrostByte', avatar: '❄️', color: '#69D2E7', rank: 5, wins: 32, losses: 22, basePowerRating: 80, weapon: { name: 'Ice Shard', icon: '❄️' }, isSimulated: true },
-    { id: 'sim-a6', name: 'ThunderClap', avatar: '⚡', color: '#FFE93E', rank: 6, wins: 29, losses: 25, basePowerRating: 76, weapon: { name: 'Storm Hammer', icon: '⚡' }, isSimulated: true },
-    { id: 'sim-a7', name: 'NightReaper', avatar: '💀', color: '#9B59B6', rank: 7, wins: 26, losses: 28, basePowerRating: 72, weapon: { name: 'Soul Scythe', icon: '💀' }, isSimulated: true },
-    { id: 'sim-a8', name: 'TitanForce', avatar: '🦾', color: '#2ECC71', rank: 8, wins: 23, losses: 30, basePowerRating: 68, weapon: { name: 'Power Fist', icon: '🦾' }, isSimulated: true },
+    { id: 'sim-a1', name: 'ShadowStrike', avatar: '🗡️', color: '#FF2D78', rank: 1, wins: 47, losses: 12, basePowerRating: 94, weapon: { name: 'Dark Blade', icon: '🗡️' }, fighterClass: 'brawler', isSimulated: true },
+    { id: 'sim-a2', name: 'IronGuard', avatar: '🛡️', color: '#00F5FF', rank: 2, wins: 41, losses: 15, basePowerRating: 89, weapon: { name: 'Iron Shield', icon: '🛡️' }, fighterClass: 'tank', isSimulated: true },
+    { id: 'sim-a3', name: 'VoidWalker', avatar: '🌀', color: '#836EF9', rank: 3, wins: 38, losses: 18, basePowerRating: 87, weapon: { name: 'Void Staff', icon: '🌀' }, fighterClass: 'tactician', isSimulated: true },
+    { id: 'sim-a4', name: 'PyroBlitz', avatar: '🔥', color: '#FF6B35', rank: 4, wins: 35, losses: 20, basePowerRating: 83, weapon: { name: 'Flame Gauntlet', icon: '🔥' }, fighterClass: 'brawler', isSimulated: true },
+    { id: 'sim-a5', name: 'FrostByte', avatar: '❄️', color: '#69D2E7', rank: 5, wins: 32, losses: 22, basePowerRating: 80, weapon: { name: 'Ice Shard', icon: '❄️' }, fighterClass: 'speedster', isSimulated: true },
+    { id: 'sim-a6', name: 'ThunderClap', avatar: '⚡', color: '#FFE93E', rank: 6, wins: 29, losses: 25, basePowerRating: 76, weapon: { name: 'Storm Hammer', icon: '⚡' }, fighterClass: 'tank', isSimulated: true },
+    { id: 'sim-a7', name: 'NightReaper', avatar: '💀', color: '#9B59B6', rank: 7, wins: 26, losses: 28, basePowerRating: 72, weapon: { name: 'Soul Scythe', icon: '💀' }, fighterClass: 'tactician', isSimulated: true },
+    { id: 'sim-a8', name: 'TitanForce', avatar: '🦾', color: '#2ECC71', rank: 8, wins: 23, losses: 30, basePowerRating: 68, weapon: { name: 'Power Fist', icon: '🦾' }, fighterClass: 'speedster', isSimulated: true },
 ];
 
 // Assign equipment to sim agents
@@ -72,12 +91,72 @@ function parseAmount(value, fallback, min = 0) {
 const BETTING_DURATION = parseDurationMs(process.env.MATCH_BETTING_DURATION_MS, 120000); // 2m default
 const BETTING_EXTENSION_DURATION = parseDurationMs(process.env.MATCH_POOL_EXTENSION_MS, BETTING_DURATION);
 const MATCH_MIN_POOL_MON = parseAmount(process.env.MATCH_MIN_POOL_MON, 1000, 0);
+// Extensions before a match whose pool never fills is cancelled and its bets refunded
+const MATCH_MAX_POOL_EXTENSIONS = Math.floor(parseAmount(process.env.MATCH_MAX_POOL_EXTENSIONS, 3, 0));
 const WAITING_RETRY_MS = parseDurationMs(process.env.MATCH_WAITING_RETRY_MS, 10000, 1000);
 const POOL_READY_START_DELAY_MS = parseDurationMs(process.env.MATCH_POOL_READY_DELAY_MS, 2000, 250);
-const FIGHT_DURATION = 210000;     // 210s safety bound (3 × 60s rounds + pauses + buffer)
+const FIGHT_DURATION_BUFFER = 30000; // Safety bound = rule set's longest fight + 30s
+// Live fights are snapshotted every N ticks so a restart resumes them (10 ticks = 5s on standard rules)
+const FIGHT_SNAPSHOT_TICKS = parseAmount(process.env.MATCH_FIGHT_SNAPSHOT_TICKS, 10, 1);
+// An agent is not paired again until this long after its last fight, unless nobody else is free
+const REST_COOLDOWN_MS = parseDurationMs(process.env.MATCH_REST_COOLDOWN_MS, 60000, 0);
+// Queued agents nobody is paired with leave the queue with their entry fee back
+const QUEUE_TIMEOUT_MS = parseDurationMs(process.env.MATCH_QUEUE_TIMEOUT_MS, 900000, 60000); // 15m default
+// Parallel arena slots; each one opens its first match this long after the previous
+const ARENA_SLOT_COUNT = Math.floor(parseAmount(process.env.MATCH_ARENA_SLOTS, 1, 1));
+const SLOT_STAGGER_MS = 5000;
+const DEFAULT_SLOT = '1';
 const RESULT_DURATION = 6000;      // 6s show result
 const COOLDOWN_DURATION = 3000;    // 3s between matches
 
+function parseTiebreak(value, fallback) {
+    const policy = String(value ?? '').trim().toLowerCase();
+    return FightSimulator.TIEBREAK_POLICIES.includes(policy) ? policy : fallback;
+}
+
+// How a fight even on the judges' cards after the final round is settled, per match mode
+const TIEBREAK_BY_MODE = {
+    ranked: parseTiebreak(process.env.MATCH_TIEBREAK_RANKED, 'sudden_death'),
+    casual: parseTiebreak(process.env.MATCH_TIEBREAK_CASUAL, 'score'),
+};
+const ARENA_MODE = 'ranked';
+const ROTATION_QUEUE_MODE = 'ranked'; // The queue whose agents a rotation match counts as matched
+
+// Rule sets the arena rotates through, e.g. MATCH_RULE_SETS=blitz,standard,endurance
+function parseRuleSets(value) {
+    const ids = String(value ?? '').split(',').map(v => v.trim().toLowerCase()).filter(isRuleSet);
+    return ids.length > 0 ? ids : [DEFAULT_RULE_SET];
+}
+const MATCH_RULE_SETS = parseRuleSets(process.env.MATCH_RULE_SETS);
+
+// Arenas the matchmaker rotates through, e.g. MATCH_ARENAS=classic,lava,ice,ring
+function parseArenas(value) {
+    const ids = String(value ?? '').split(',').map(v => v.trim().toLowerCase()).filter(isArena);
+    return ids.length > 0 ? ids : [DEFAULT_ARENA];
+}
+const MATCH_ARENAS = parseArenas(process.env.MATCH_ARENAS);
+
+// Match types the arena rotates through, e.g. MATCH_TYPES=duel,team,ffa
+function parseMatchTypes(value) {
+    const ids = String(value ?? '').split(',').map(v => v.trim().toLowerCase()).filter(isMatchType);
+    return ids.length > 0 ? ids : [DEFAULT_MATCH_TYPE];
+}
+const MATCH_TYPES = parseMatchTypes(process.env.MATCH_TYPES);
+
+// Every fighter of a match in slot order (pre-team records only have agent1/agent2)
+function matchFighters(match) {
+    if (Array.isArray(match?.fighters) && match.fighters.length > 0) return match.fighters;
+    return [match?.agent1, match?.agent2].filter(Boolean);
+}
+
+// 'A vs B', 'A & B vs C & D', 'A vs B vs C vs D'
+function matchTitle(match) {
+    const fighters = matchFighters(match);
+    return (match.sides || buildSides(DEFAULT_MATCH_TYPE, fighters))
+        .map(side => side.fighterIds.map(id => fighters[Number(id) - 1]?.name).join(' & '))
+        .join(' vs ');
+}
+
 function toTimestamp(value) {
     if (typeof value === 'number' && Number.isFinite(value)) return value;
     if (value instanceof Date) return value.getTime();
@@ -85,9 +164,15 @@ function toTimestamp(value) {
     return Number.isFinite(parsed) ? parsed : 0;
 }
 
-class AutoMatchmaker {
-    constructor(io) {
-        this.io = io;
+// ── One arena: its own match, phases, betting window and fight ──
+class ArenaSlot {
+    constructor(hub, id) {
+        this.hub = hub;    // The AutoMatchmaker running every slot
+        this.id = id;
+        this.name = `Arena ${id}`;
+        this.io = hub.io;
+        this.agentControl = hub.agentControl; // AgentControlHub for live agent decisions
+        this.reservedAgentIds = new Set(); // Agents this slot has picked, until its match is over
         this.currentMatch = null;
         this.phase = 'IDLE';
         this.phaseTimer = null;
@@ -96,30 +181,41 @@ class AutoMatchmaker {
         this.waitingReason = null;
         this.waitingMessage = null;
         this._fightStartPending = false;
+        this._nextMatchPending = false;
         this.fightSimulator = null;
-        this.matchHistory = [];
-        this._realAgentsCache = [];
-        this._lastAgentFetch = 0;
+        this.fightController = null;
+        this.fightRecorder = null;
+        this.fightSeed = null; // secret until the result is revealed
     }
 
-    start() {
-        logger.info('[AutoMatchmaker] Starting automatic match cycle');
-        this._bootstrapHistory()
-            .catch((err) => logger.warn('[AutoMatchmaker] Failed to bootstrap history', { error: err.message }))
-            .then(() => this._restoreOrStartLiveMatch())
-            .catch((err) => {
-                logger.warn('[AutoMatchmaker] Could not restore live match state; starting fresh', { error: err.message });
-                this._safeNextMatch();
-            });
+    /** Resume the slot's live match from the DB, or open a new one */
+    start(candidate = null) {
+        if (!candidate) {
+            this._safeNextMatch();
+            return;
+        }
+        this._restoreLiveMatch(candidate).catch((err) => {
+            logger.warn('[AutoMatchmaker] Could not restore live match state; starting fresh', { slot: this.id, error: err.message });
+            this._safeNextMatch();
+        });
+    }
+
+    // Phase and betting traffic goes to the slot's arena room
+    _emitArena(event, payload) {
+        this.io.to(arenaRoom(this.id)).emit(event, payload);
+        if (event === 'match:phase' || event === 'match:new' || event === 'match:update') this.hub._broadcastSlots();
     }
 
     async _safeNextMatch() {
+        this._nextMatchPending = true;
         try {
             await this._nextMatch();
         } catch (err) {
             logger.error('[AutoMatchmaker] Match cycle error, retrying in 5s', { error: err.message, stack: err.stack });
             clearTimeout(this.phaseTimer);
             this.phaseTimer = setTimeout(() => this._safeNextMatch(), 5000);
+        } finally {
+            this._nextMatchPending = false;
         }
     }
 
@@ -127,25 +223,26 @@ class AutoMatchmaker {
         clearTimeout(this.phaseTimer);
         clearInterval(this.bettingInterval);
         if (this.fightSimulator) { this.fightSimulator.stop(); this.fightSimulator = null; }
+        this._closeFightController();
         this.phase = 'IDLE';
-        logger.info('[AutoMatchmaker] Stopped');
     }
 
     forceReset(reason = 'NO_REAL_AGENTS', message = 'Arena reset completed. Waiting for new registrations.') {
         clearTimeout(this.phaseTimer);
         clearInterval(this.bettingInterval);
         if (this.fightSimulator) { this.fightSimulator.stop(); this.fightSimulator = null; }
+        this._closeFightController();
+        this._releaseQueuedPotions(this.currentMatch);
 
         this._fightStartPending = false;
+        this.reservedAgentIds.clear();
         this.currentMatch = null;
         this.phase = 'WAITING';
         this.waitingReason = reason;
         this.waitingMessage = message;
         this.bettingTimeLeft = Math.ceil(WAITING_RETRY_MS / 1000);
-        this.matchHistory = [];
 
-        this.io.emit('match:history', []);
-        this.io.emit('match:phase', {
+        this._emitArena('match:phase', {
             phase: 'WAITING',
             match: null,
             timeLeft: this.bettingTimeLeft,
@@ -154,7 +251,7 @@ class AutoMatchmaker {
         });
 
         if (message) {
-            this.io.emit('arena:live_event', {
+            this._emitArena('arena:live_event', {
                 type: 'waiting',
                 icon: '⏳',
                 text: message,
@@ -164,7 +261,6 @@ class AutoMatchmaker {
         }
 
         this.phaseTimer = setTimeout(() => this._safeNextMatch(), WAITING_RETRY_MS);
-        logger.info('[AutoMatchmaker] Force reset applied', { reason });
     }
 
     getState() {
@@ -174,34 +270,53 @@ class AutoMatchmaker {
             : this.bettingTimeLeft;
 
         return {
+            slot: this.id,
             phase: this.phase,
             match: this.currentMatch,
             bettingTimeLeft: phaseTimeLeft,
             waitingReason: this.waitingReason,
             waitingMessage: this.waitingMessage,
-            matchHistory: this.matchHistory.slice(0, 10),
+            matchHistory: this.hub.matchHistory.slice(0, 10),
             fightTick: this.fightSimulator ? this.fightSimulator.getLastTick() : null,
         };
     }
 
+    /** Picker entry for the slot: phase, match and time left */
+    getSummary() {
+        const state = this.getState();
+        const match = this.currentMatch;
+        return {
+            id: this.id,
+            name: this.name,
+            phase: state.phase,
+            timeLeft: state.bettingTimeLeft,
+            matchId: match?.id || null,
+            matchType: match?.matchType || null,
+            title: match ? matchTitle(match) : null,
+            arena: match?.arena ? { id: match.arena.id, name: match.arena.name, icon: match.arena.icon } : null,
+            totalBets: Number(match?.totalBets || 0),
+        };
+    }
+
     _isRealOnlyMatch(match) {
-        if (!match?.agent1 || !match?.agent2) return false;
-        const a1Real = !match.agent1.isSimulated && !!match.agent1.isReal;
-        const a2Real = !match.agent2.isSimulated && !!match.agent2.isReal;
-        return a1Real && a2Real;
+        const fighters = matchFighters(match);
+        if (fighters.length < 2) return false;
+        return fighters.every(f => !f.isSimulated && !!f.isReal);
     }
 
     _enterWaitingState(reason, message, retryMs = WAITING_RETRY_MS) {
         clearInterval(this.bettingInterval);
         clearTimeout(this.phaseTimer);
         this._fightStartPending = false;
+        this.reservedAgentIds.clear();
         this.phase = 'WAITING';
         this.waitingReason = reason;
         this.waitingMessage = message || null;
+        this._releaseQueuedPotions(this.currentMatch);
         this.currentMatch = null;
         this.bettingTimeLeft = Math.ceil(retryMs / 1000);
 
-        this.io.emit('match:phase', {
+        this._emitArena('match:phase', {
             phase: 'WAITING',
             match: null,
             timeLeft: this.bettingTimeLeft,
@@ -210,7 +325,7 @@ class AutoMatchmaker {
         });
 
         if (message) {
-            this.io.emit('arena:live_event', {
+            this._emitArena('arena:live_event', {
                 type: 'waiting',
                 icon: '⏳',
                 text: message,
@@ -220,30 +335,10 @@ class AutoMatchmaker {
         }
 
         this.phaseTimer = setTimeout(() => this._safeNextMatch(), retryMs);
-        logger.info('[AutoMatchmaker] Waiting for real match conditions', { reason, retryMs, message });
+        logger.info('[AutoMatchmaker] Waiting for real match conditions', { slot: this.id, reason, retryMs, message });
     }
 
-    async _restoreOrStartLiveMatch() {
-        if (typeof db.getLiveMatches !== 'function') {
-            this._safeNextMatch();
-            return;
-        }
-
-        const liveMatches = await db.getLiveMatches();
-        if (!Array.isArray(liveMatches) || liveMatches.length === 0) {
-            this._safeNextMatch();
-            return;
-        }
-
-        const candidate = [...liveMatches]
-            .filter((m) => ['betting', 'fighting', 'live'].includes(String(m.status || '').toLowerCase()))
-            .sort((a, b) => toTimestamp(b.createdAt || b.timestamp || b.updatedAt) - toTimestamp(a.createdAt || a.timestamp || a.updatedAt))[0];
-
-        if (!candidate) {
-            this._safeNextMatch();
-            return;
-        }
-
+    async _restoreLiveMatch(candidate) {
         const restoredMatch = this._normalizeRestoredMatch(candidate);
         if (!restoredMatch) {
             this._safeNextMatch();
@@ -267,6 +362,14 @@ class AutoMatchmaker {
         }
 
         this.currentMatch = restoredMatch;
+        this.reservedAgentIds = new Set(matchFighters(restoredMatch).filter(f => f.dbId).map(f => String(f.dbId)));
+        this.fightSeed = candidate.fightSeed || null;
+        if (!this.fightSeed || this.currentMatch.seedHash !== hashSeed(this.fightSeed)) {
+            // Pre-commitment records have no seed; commit a fresh one now
+            this.fightSeed = createSeed();
+            this.currentMatch.seedHash = hashSeed(this.fightSeed);
+            this._persistCurrentMatch();
+        }
         this.waitingReason = null;
         this.waitingMessage = null;
         const status = String(candidate.status || 'betting').toLowerCase();
@@ -283,10 +386,11 @@ class AutoMatchmaker {
             this.currentMatch.phaseStartedAt = toTimestamp(candidate.phaseStartedAt || candidate.createdAt || now);
             this.currentMatch.phaseEndsAt = savedPhaseEnd > now ? savedPhaseEnd : (now + this.currentMatch.bettingDurationMs);
             this.bettingTimeLeft = Math.max(0, Math.ceil((this.currentMatch.phaseEndsAt - now) / 1000));
-            this.io.emit('match:new', this.currentMatch);
-            this.io.emit('match:phase', { phase: 'BETTING', match: this.currentMatch, timeLeft: this.bettingTimeLeft });
+            this._emitArena('match:new', this.currentMatch);
+            this._emitArena('match:phase', { phase: 'BETTING', match: this.currentMatch, timeLeft: this.bettingTimeLeft });
             this._startBettingCountdown();
             logger.info('[AutoMatchmaker] Restored betting phase from DB', {
+                slot: this.id,
                 matchId: this.currentMatch.id,
                 timeLeft: this.bettingTimeLeft,
             });
@@ -297,32 +401,54 @@ class AutoMatchmaker {
         this.currentMatch.status = 'fighting';
         this.currentMatch.phaseStartedAt = toTimestamp(candidate.phaseStartedAt || candidate.createdAt || now);
         this.currentMatch.phaseEndsAt = savedPhaseEnd > now ? savedPhaseEnd : (now + 5000);
-        this.io.emit('match:new', this.currentMatch);
+        this._emitArena('match:new', this.currentMatch);
         this._startFight({ restored: true }).catch(err => {
             logger.error('[AutoMatchmaker] Restored _startFight crashed', { error: err.message });
             this._scheduleNextMatch();
         });
-        logger.info('[AutoMatchmaker] Restored fighting phase from DB', { matchId: this.currentMatch.id });
+        logger.info('[AutoMatchmaker] Restored fighting phase from DB', { slot: this.id, matchId: this.currentMatch.id });
     }
 
     _normalizeRestoredMatch(match) {
         const matchKey = match?.id || match?.matchId;
-        if (!match || !matchKey || !match.agent1 || !match.agent2) return null;
+        const fighters = matchFighters(match);
+        if (!match || !matchKey || fighters.length < 2) return null;
+
+        const matchType = getMatchType(match.matchType).id;
+        const roster = this._buildRoster(matchType, fighters.map(f => this._formatAgent(f)));
+        if (Array.isArray(match.sides)) {
+            for (const side of roster.sides) {
+                const saved = match.sides.find(s => s.id === side.id);
+                if (saved) Object.assign(side, { bets: Number(saved.bets || 0), odds: Number(saved.odds || side.odds) });
+            }
+        } else {
+            // Pre-team duel record: side pools live in agent1Bets/agent2Bets
+            roster.sides[0].bets = Number(match.agent1Bets || 0);
+            roster.sides[1].bets = Number(match.agent2Bets || 0);
+            roster.sides[0].odds = Number(match.agent1Odds || 2.0);
+            roster.sides[1].odds = Number(match.agent2Odds || 2.0);
+        }
 
         return {
             id: String(matchKey),
-            agent1: this._formatAgent(match.agent1),
-            agent2: this._formatAgent(match.agent2),
+            slot: this.id,
+            ...roster,
             status: String(match.status || 'betting'),
-            agent1Bets: Number(match.agent1Bets || 0),
-            agent2Bets: Number(match.agent2Bets || 0),
+            agent1Bets: roster.sides[0].bets,
+            agent2Bets: roster.sides[1].bets,
             totalBets: Number(match.totalBets || 0),
-            agent1Odds: Number(match.agent1Odds || 2.0),
-            agent2Odds: Number(match.agent2Odds || 2.0),
+            agent1Odds: roster.sides[0].odds,
+            agent2Odds: roster.sides[1].odds,
             bets: Array.isArray(match.bets) ? match.bets : [],
             createdAt: toTimestamp(match.createdAt || Date.now()),
             isSimulated: !!match.isSimulated,
             hasRealAgent: !!match.hasRealAgent,
+            mode: match.mode || ARENA_MODE,
+            origin: match.origin || 'rotation',
+            queueEntries: Array.isArray(match.queueEntries) ? match.queueEntries : [],
+            tiebreak: match.tiebreak || null,
+            ruleSet: match.ruleSet || null,
+            arena: match.arena || null,
             onChain: !!match.onChain,
             onChainTxHash: match.onChainTxHash || null,
             poolMinMON: Number(match.poolMinMON || MATCH_MIN_POOL_MON),
@@ -332,6 +458,7 @@ class AutoMatchmaker {
             bettingExtensionMs: Number(match.bettingExtensionMs || BETTING_EXTENSION_DURATION),
             phaseStartedAt: toTimestamp(match.phaseStartedAt || Date.now()),
             phaseEndsAt: toTimestamp(match.phaseEndsAt || Date.now()),
+            seedHash: match.seedHash || null,
         };
     }
 
@@ -354,7 +481,7 @@ class AutoMatchmaker {
                 logger.info(`[AutoMatchmaker] Pool target met (${currentPool.toFixed(2)} / ${requiredPool} MON). Waiting for timer to finish.`);
             }
 
-            this.io.emit('match:timer', {
+            this._emitArena('match:timer', {
                 timeLeft: this.bettingTimeLeft,
                 currentPool,
                 minPool: requiredPool,
@@ -387,8 +514,8 @@ class AutoMatchmaker {
         this.bettingTimeLeft = Math.ceil(POOL_READY_START_DELAY_MS / 1000);
         this._persistCurrentMatch();
 
-        this.io.emit('match:update', this.currentMatch);
-        this.io.emit('match:timer', {
+        this._emitArena('match:update', this.currentMatch);
+        this._emitArena('match:timer', {
             timeLeft: this.bettingTimeLeft,
             currentPool: Number(currentPool || this.currentMatch.totalBets || 0),
             minPool: Number(requiredPool || this.currentMatch.poolMinMON || MATCH_MIN_POOL_MON),
@@ -409,6 +536,13 @@ class AutoMatchmaker {
 
     _extendBettingWindow(currentPool, requiredPool) {
         if (!this.currentMatch || this.phase !== 'BETTING') return;
+        if (Number(this.currentMatch.extensionCount || 0) >= MATCH_MAX_POOL_EXTENSIONS) {
+            this._cancelUnfilledMatch(currentPool, requiredPool).catch(err => {
+                logger.error('[AutoMatchmaker] Cancelling unfilled match crashed', { error: err.message });
+                this._scheduleNextMatch();
+            });
+            return;
+        }
 
         this._fightStartPending = false;
         clearTimeout(this.phaseTimer);
@@ -423,15 +557,15 @@ class AutoMatchmaker {
         this._persistCurrentMatch();
 
         const missing = Math.max(0, requiredPool - currentPool);
-        const extensionText = `Pool ${currentPool.toFixed(2)} / ${requiredPool.toFixed(2)} MON. Extending betting by ${Math.ceil(extensionMs / 1000)}s. Need ${missing.toFixed(2)} MON more.`;
+        const extensionText = `Pool ${currentPool.toFixed(2)} / ${requiredPool.toFixed(2)} MON. Extending betting by ${Math.ceil(extensionMs / 1000)}s (${this.currentMatch.extensionCount}/${MATCH_MAX_POOL_EXTENSIONS}). Need ${missing.toFixed(2)} MON more.`;
 
-        this.io.emit('match:update', this.currentMatch);
-        this.io.emit('match:timer', {
+        this._emitArena('match:update', this.currentMatch);
+        this._emitArena('match:timer', {
             timeLeft: this.bettingTimeLeft,
             currentPool,
             minPool: requiredPool,
         });
-        this.io.emit('arena:live_event', {
+        this._emitArena('arena:live_event', {
             type: 'pool_extension',
             icon: '⏳',
             text: extensionText,
@@ -455,6 +589,78 @@ class AutoMatchmaker {
         });
     }
 
+    // ── Pool never filled: cancel on-chain, refund every bet, move on ──
+    async _cancelUnfilledMatch(currentPool, requiredPool) {
+        if (!this.currentMatch || this.phase !== 'BETTING') return;
+        clearTimeout(this.phaseTimer);
+        clearInterval(this.bettingInterval);
+        this._fightStartPending = false;
+        this.phase = 'CANCELLED'; // No more bets while the chain catches up
+
+        const match = this.currentMatch;
+        const now = Date.now();
+        const cancelJob = match.onChain ? await this._cancelOnChain(match.id) : null;
+        const onChainCancelled = cancelJob?.status === 'done';
+        const onChainCancelTx = cancelJob?.txHash || null;
+
+        match.status = 'cancelled';
+        match.cancelReason = 'POOL_NOT_FILLED';
+        match.onChainCancelled = onChainCancelled;
+        match.onChainCancelTx = onChainCancelTx;
+        match.phaseEndsAt = now;
+        match.completedAt = now;
+        await this._markBetsRefunded(match, now);
+        this._releaseQueuedPotions(match);
+        await this._persistCurrentMatch();
+
+        // Queued agents go back in line with their paid entry, challenge wagers go back
+        // and tournament bouts are booked again, as after a draw
+        this.hub._returnRequest({ queueEntries: match.queueEntries });
+        this.hub._matchEnded(match, { matchId: match.id, cancelled: true, winnerFighterIds: [] });
+
+        const text = `${matchTitle(match)} cancelled: pool ${currentPool.toFixed(2)} / ${requiredPool.toFixed(2)} MON after ${match.extensionCount || 0} extension(s).${match.totalBets > 0 ? ' Bettors can claim a refund.' : ''}`;
+        Promise.resolve(db.addActivity({
+            type: 'match_cancelled',
+            message: text,
+            time: now,
+            icon: '💸',
+        })).catch((err) => logger.warn('[AutoMatchmaker] Could not persist match_cancelled activity', { error: err.message }));
+        logger.info('[AutoMatchmaker] Match cancelled: betting pool never filled', {
+            matchId: match.id,
+            requiredPool,
+            currentPool,
+            extensionCount: match.extensionCount,
+            bets: match.bets.length,
+            onChainCancelTx,
+        });
+
+        this.currentMatch = null;
+        this._scheduleNextMatch();
+        try {
+            // Bettors call claimRefund(matchId) on the contract to get their stake back
+            this._emitArena('match:cancelled', {
+                matchId: match.id,
+                match,
+                reason: 'POOL_NOT_FILLED',
+                message: text,
+                refund: { method: 'claimRefund', available: onChainCancelled, txHash: onChainCancelTx },
+            });
+            this._emitArena('arena:live_event', { type: 'match_cancelled', icon: '💸', text, color: '#FF6B35', timestamp: now });
+        } catch (err) {
+            logger.error('[AutoMatchmaker] Failed to emit match cancellation', { error: err.message });
+        }
+    }
+
+    // Cancels a match's on-chain market so bettors can claimRefund; if the first try fails the
+    // settlement queue keeps retrying and emits match:settled once it goes through
+    async _cancelOnChain(matchId) {
+        const job = await this.hub.settlement.submit({ type: 'cancel', matchId });
+        if (job.status !== 'done') {
+            logger.warn(`[AutoMatchmaker] Match ${matchId} not cancelled on-chain yet; settlement job ${job.id} is ${job.status}`, { error: job.lastError });
+        }
+        return job;
+    }
+
     async _persistCurrentMatch() {
         if (!this.currentMatch || typeof db.addMatch !== 'function') return;
         try {
@@ -462,6 +668,7 @@ class AutoMatchmaker {
                 ...this.currentMatch,
                 id: this.currentMatch.id,
                 matchId: this.currentMatch.id,
+                fightSeed: this.fightSeed,
                 updatedAt: Date.now(),
             });
         } catch (err) {
@@ -469,33 +676,6 @@ class AutoMatchmaker {
         }
     }
 
-    async _bootstrapHistory() {
-        if (typeof db.getMatchHistory !== 'function') return;
-        const history = await db.getMatchHistory(20);
-        if (!Array.isArray(history) || history.length === 0) return;
-
-        const normalized = history
-            .map((h) => ({
-                matchId: h.matchId || h.id || null,
-                winnerId: h.winnerId || null,
-                winner: h.winner || (h.winnerName ? { name: h.winnerName, avatar: 'ðŸ†', color: '#FFE93E' } : null),
-                loser: h.loser || (h.loserName ? { name: h.loserName, avatar: 'âš”ï¸', color: '#888888' } : null),
-                method: h.method || 'Decision',
-                duration: h.duration || 0,
-                monEarned: Number(h.monEarned || 0),
-                totalBets: Number(h.totalBets || 0),
-                timestamp: Number(h.timestamp || h.completedAt || h.finishedAt || h.createdAt || Date.now()),
-                hasRealAgent: !!h.hasRealAgent,
-            }))
-            .filter((h) => h.matchId && h.winner && h.loser)
-            .slice(0, 20);
-
-        if (normalized.length > 0) {
-            this.matchHistory = normalized;
-            logger.info(`[AutoMatchmaker] Loaded ${normalized.length} historical matches from DB`);
-        }
-    }
-
     getLiveMetrics() {
         const requiredPool = Number(this.currentMatch?.poolMinMON || MATCH_MIN_POOL_MON);
         const activePool = Number(this.currentMatch?.totalBets || 0);
@@ -510,67 +690,14 @@ class AutoMatchmaker {
             poolReady: activePool >= requiredPool,
             waitingReason: this.waitingReason,
             waitingMessage: this.waitingMessage,
-            recentResults: this.matchHistory.slice(0, 10),
-        };
-    }
-
-    // ── Fetch real agents from DB ────────────────────────────
-    async _fetchRealAgents() {
-        const now = Date.now();
-        // Cache for 30 seconds to avoid hammering DB every match cycle
-        if (now - this._lastAgentFetch < 30000 && this._realAgentsCache.length > 0) {
-            return this._realAgentsCache;
-        }
-
-        try {
-            const allAgents = await db.getAgents();
-            this._realAgentsCache = allAgents.filter(a =>
-                a.status === 'active' && a.name && a.wallet && a.wallet.address
-            );
-            this._lastAgentFetch = now;
-            logger.info(`[AutoMatchmaker] Fetched ${this._realAgentsCache.length} active real agents from DB`);
-            return this._realAgentsCache;
-        } catch (err) {
-            logger.error('[AutoMatchmaker] Failed to fetch agents from DB', { error: err.message });
-            return this._realAgentsCache; // Return stale cache on error
-        }
-    }
-
-    // ── Convert DB agent to matchmaker format ────────────────
-    _dbAgentToFighter(agent) {
-        const colorIndex = (agent.name || '').length % AGENT_COLORS.length;
-        const weaponKey = agent.weaponPreference || 'fist';
-        const weapon = WEAPON_MAP[weaponKey] || WEAPON_MAP.fist;
-        const avatar = STRATEGY_AVATAR[agent.strategy] || '⚔️';
-
-        return {
-            id: String(agent._id || agent.id),
-            dbId: agent._id || agent.id,  // Keep original DB ID for updates
-            name: agent.name,
-            avatar,
-            color: AGENT_COLORS[colorIndex],
-            rank: agent.rank || 0,
-            wins: agent.stats?.wins || 0,
-            losses: agent.stats?.losses || 0,
-            basePowerRating: agent.powerRating || 50,
-            powerRating: agent.powerRating || 50,
-            weapon,
-            isSimulated: false,
-            isReal: true,
-            strategy: agent.strategy || 'balanced',
-            ownerWallet: agent.owner?.walletAddress || null,
-            agentWallet: agent.wallet?.address || null,
-            equipment: null,
-            equipmentBonus: {},
-            equipmentPower: 0,
         };
     }
 
     // ── Match Lifecycle ─────────────────────────────────────
 
     async _nextMatch() {
-        const fighters = await this._pickFighters();
-        if (!fighters) {
+        const picked = await this.hub._pickFighters(this, this.hub._nextMatchType());
+        if (!picked) {
             this._enterWaitingState(
                 'NO_REAL_AGENTS',
                 'Not enough active real agents. Waiting for registrations to start a real match.',
@@ -580,6 +707,7 @@ class AutoMatchmaker {
         }
 
         if (!blockchain.enabled) {
+            this.hub._returnRequest(picked);
             this._enterWaitingState(
                 'CHAIN_NOT_CONFIGURED',
                 'On-chain match service is not configured. Waiting for contract/operator setup.',
@@ -588,22 +716,31 @@ class AutoMatchmaker {
             return;
         }
 
-        const [agent1, agent2] = fighters;
-        const matchId = `match-${uuidv4().slice(0, 8)}`;
+        const { matchType, fighters } = picked;
+        const matchId = picked.matchId || `match-${uuidv4().slice(0, 8)}`;
+        const mode = picked.mode || ARENA_MODE;
         const hasRealAgent = true;
+        const marketNames = buildSides(matchType, fighters).map(side => (
+            side.fighterIds.length > 1
+                ? `${side.name} (${side.fighterIds.map(id => fighters[Number(id) - 1].name).join(' & ')})`
+                : side.name
+        ));
 
         // Hard requirement: every match must exist on-chain before betting opens.
         let creation;
-        if (typeof blockchain.createMatchOnChainWithResult === 'function') {
-            creation = await blockchain.createMatchOnChainWithResult(matchId, agent1.name, agent2.name);
+        if (getMatchType(matchType).market === 'field') {
+            creation = await blockchain.createFieldMatchOnChainWithResult(matchId, marketNames);
+        } else if (typeof blockchain.createMatchOnChainWithResult === 'function') {
+            creation = await blockchain.createMatchOnChainWithResult(matchId, marketNames[0], marketNames[1]);
         } else {
-            const hash = await blockchain.createMatchOnChain(matchId, agent1.name, agent2.name);
+            const hash = await blockchain.createMatchOnChain(matchId, marketNames[0], marketNames[1]);
             creation = { ok: !!hash, txHash: hash || null };
         }
 
         if (!creation?.ok) {
             const code = creation?.errorCode || blockchain.lastErrorCode || 'CHAIN_ERROR';
             const detail = String(creation?.errorMessage || blockchain.lastError || 'unknown error').slice(0, 160);
+            this.hub._returnRequest(picked);
             this._enterWaitingState(
                 'CHAIN_CREATE_FAILED',
                 `Could not create the next match on-chain [${code}] (${detail}). Retrying shortly.`,
@@ -613,24 +750,37 @@ class AutoMatchmaker {
         }
         const onChainTxHash = creation.txHash;
 
+        // Queued potions are locked to this match once betting opens
+        for (const fighter of fighters) this._applyQueuedPotions(fighter, matchId);
+
         this.waitingReason = null;
         this.waitingMessage = null;
         this._fightStartPending = false;
 
+        // Commit to the fight seed before any bet can be placed
+        this.fightSeed = createSeed();
+
+        const roster = this._buildRoster(matchType, fighters.map(f => this._formatAgent(f)));
         this.currentMatch = {
             id: matchId,
-            agent1: this._formatAgent(agent1),
-            agent2: this._formatAgent(agent2),
+            slot: this.id,
+            ...roster,
             status: 'betting',
             agent1Bets: 0,
             agent2Bets: 0,
             totalBets: 0,
-            agent1Odds: 2.0,
-            agent2Odds: 2.0,
+            agent1Odds: roster.sides[0].odds,
+            agent2Odds: roster.sides[1].odds,
             bets: [],
             createdAt: Date.now(),
             isSimulated: false,
             hasRealAgent,
+            mode,
+            origin: picked.origin,
+            queueEntries: picked.queueEntries || [], // Back in line if the match is cancelled
+            tiebreak: TIEBREAK_BY_MODE[mode] || TIEBREAK_BY_MODE[ARENA_MODE],
+            ruleSet: this.hub._nextRuleSet(),
+            arena: this.hub._nextArena(),
             onChain: true,
             onChainTxHash,
             poolMinMON: MATCH_MIN_POOL_MON,
@@ -640,6 +790,7 @@ class AutoMatchmaker {
             bettingExtensionMs: BETTING_EXTENSION_DURATION,
             phaseStartedAt: Date.now(),
             phaseEndsAt: Date.now() + BETTING_DURATION,
+            seedHash: hashSeed(this.fightSeed),
         };
 
         await this._persistCurrentMatch();
@@ -648,24 +799,26 @@ class AutoMatchmaker {
         this.phase = 'BETTING';
         this.bettingTimeLeft = Math.ceil(this.currentMatch.bettingDurationMs / 1000);
 
-        this.io.emit('match:new', this.currentMatch);
-        this.io.emit('match:phase', { phase: 'BETTING', match: this.currentMatch, timeLeft: this.bettingTimeLeft });
+        this._emitArena('match:new', this.currentMatch);
+        this._emitArena('match:phase', { phase: 'BETTING', match: this.currentMatch, timeLeft: this.bettingTimeLeft });
+        const arena = this.currentMatch.arena;
+        const title = `${matchTitle(this.currentMatch)} at ${arena.icon} ${arena.name}`;
         this.io.emit('arena:live_event', {
             type: 'match_start',
             icon: 'âš”ï¸',
-            text: `${agent1.name} vs ${agent2.name} pool opened. Min ${MATCH_MIN_POOL_MON} MON (REAL)`,
+            text: `${title} pool opened. Min ${MATCH_MIN_POOL_MON} MON (REAL)`,
             color: '#00F5FF',
             timestamp: Date.now(),
         });
 
         Promise.resolve(db.addActivity({
             type: 'match_start',
-            message: `${agent1.name} vs ${agent2.name} pool opened. Min ${MATCH_MIN_POOL_MON} MON (REAL)`,
+            message: `${title} pool opened. Min ${MATCH_MIN_POOL_MON} MON (REAL)`,
             time: Date.now(),
             icon: 'âš”ï¸',
         })).catch((err) => logger.warn('[AutoMatchmaker] Could not persist match_start activity', { error: err.message }));
 
-        logger.info(`[AutoMatchmaker] New REAL match: ${agent1.name} vs ${agent2.name} (${matchId}) | minPool=${MATCH_MIN_POOL_MON} MON | bettingWindow=${Math.ceil(BETTING_DURATION / 1000)}s | tx=${onChainTxHash}`);
+        logger.info(`[AutoMatchmaker] New REAL ${matchType} match: ${title} (${matchId}) | minPool=${MATCH_MIN_POOL_MON} MON | bettingWindow=${Math.ceil(BETTING_DURATION / 1000)}s | tx=${onChainTxHash}`);
 
         // Countdown timer
         this._startBettingCountdown();
@@ -686,7 +839,7 @@ class AutoMatchmaker {
         this.currentMatch.status = 'fighting';
         this.currentMatch.poolTargetMet = currentPool >= requiredPool;
         const now = Date.now();
-        const fallbackEnd = now + FIGHT_DURATION;
+        const fallbackEnd = now + this._fightDurationMs();
         this.currentMatch.phaseStartedAt = restored ? toTimestamp(this.currentMatch.phaseStartedAt || now) : now;
         this.currentMatch.phaseEndsAt = restored
             ? toTimestamp(this.currentMatch.phaseEndsAt || fallbackEnd)
@@ -711,7 +864,7 @@ class AutoMatchmaker {
             }
         }
 
-        this.io.emit('match:phase', {
+        this._emitArena('match:phase', {
             phase: 'FIGHTING',
             match: this.currentMatch,
             timeLeft: Math.max(0, Math.ceil((this.currentMatch.phaseEndsAt - now) / 1000)),
@@ -719,117 +872,284 @@ class AutoMatchmaker {
         if (!restored) this.io.emit('arena:live_event', {
             type: 'fight_start',
             icon: '🥊',
-            text: `Fight started: ${this.currentMatch.agent1.name} vs ${this.currentMatch.agent2.name}`,
+            text: `Fight started: ${matchTitle(this.currentMatch)}`,
             color: '#FF6B35',
             timestamp: Date.now(),
         });
 
+        // A fight cut off by a crash picks up from its last snapshot
+        const snapshot = restored ? await this._loadFightSnapshot() : null;
+        // Scripts stay off currentMatch (broadcast); the result reveals them with the seed
+        const scripts = snapshot ? null : await this._loadStrategyScripts();
+
         // ── Server-authoritative fight simulation ──
         // Clean up any previous simulator
         if (this.fightSimulator) { this.fightSimulator.stop(); this.fightSimulator = null; }
+        this._closeFightController();
+        this.fightController = this._openFightController();
+        const fighters = matchFighters(this.currentMatch);
+        const matchType = getMatchType(this.currentMatch.matchType).id;
+        this.fightRecorder = new FightRecorder({
+            matchId: this.currentMatch.id,
+            fighters,
+            matchType,
+            arena: this._matchArena().id,
+            tickMs: this._matchRules().tickMs,
+        });
 
-        this.fightSimulator = new FightSimulator({
-            agent1: this.currentMatch.agent1,
-            agent2: this.currentMatch.agent2,
+        const live = {
             io: this.io,
-            matchId: this.currentMatch.id,
+            controller: this.fightController,
+            recorder: this.fightRecorder,
+            snapshotEvery: FIGHT_SNAPSHOT_TICKS,
+            onSnapshot: (fightSnapshot) => this._saveFightSnapshot(fightSnapshot),
             onEnd: (simResult) => {
                 this.fightSimulator = null;
+                this._closeFightController(simResult);
                 clearTimeout(this.phaseTimer);
                 this._endFight(simResult).catch(err => {
                     logger.error('[AutoMatchmaker] _endFight crashed, forcing next match', { error: err.message });
                     this._scheduleNextMatch();
                 });
             },
-        });
+        };
 
-        if (!restored) {
-            this.fightSimulator.start();
-        } else {
-            // Restored fights start immediately (may be partially through)
+        let elapsedMs = 0;
+        if (snapshot) {
+            try {
+                this.fightSimulator = FightSimulator.fromSnapshot(snapshot, live);
+                elapsedMs = this.fightSimulator.totalElapsedMs;
+                this.fightSimulator.resume();
+                logger.info('[AutoMatchmaker] Resumed fight from snapshot', { matchId: this.currentMatch.id, tick: snapshot.tick });
+            } catch (err) {
+                logger.error('[AutoMatchmaker] Fight snapshot unusable, restarting the fight from its seed', { error: err.message });
+                this.fightSimulator = null;
+                this.fightRecorder = new FightRecorder({
+                    matchId: this.currentMatch.id,
+                    fighters,
+                    matchType,
+                    arena: this._matchArena().id,
+                    tickMs: this._matchRules().tickMs,
+                });
+                live.recorder = this.fightRecorder;
+            }
+        }
+
+        if (!this.fightSimulator) {
+            const fightScripts = scripts || await this._loadStrategyScripts();
+            this.fightSimulator = new FightSimulator({
+                ...live,
+                fighters: fighters.map((agent, i) => ({ ...agent, strategyScript: fightScripts[String(i + 1)] })),
+                matchType,
+                matchId: this.currentMatch.id,
+                seed: this.fightSeed,
+                tiebreak: this.currentMatch.tiebreak || TIEBREAK_BY_MODE[this.currentMatch.mode] || TIEBREAK_BY_MODE[ARENA_MODE],
+                ruleSet: this._matchRules(),
+                arena: this._matchArena(),
+            });
             this.fightSimulator.start();
         }
 
-        // Safety timeout: if simulator hasn't finished within FIGHT_DURATION, force-end it
+        // Safety timeout: if simulator hasn't finished within the rule set's bound, force-end it
         this.phaseTimer = setTimeout(() => {
             if (this.fightSimulator) {
                 logger.warn('[AutoMatchmaker] Fight safety timeout reached, force-ending simulator');
                 this.fightSimulator.forceEnd();
             }
-        }, FIGHT_DURATION);
+        }, Math.max(1000, this._fightDurationMs() - elapsedMs));
+    }
+
+    /** currentMatch roster fields: fighters + sides, with agent1/agent2 mirroring the first two sides */
+    _buildRoster(matchType, fighters) {
+        const sides = buildSides(matchType, fighters);
+        for (const side of sides) {
+            side.bets = 0;
+            side.odds = sides.length; // Even money across the field until bets arrive
+        }
+        return {
+            matchType,
+            fighters,
+            sides,
+            agent1: fighters[Number(sides[0].fighterIds[0]) - 1],
+            agent2: fighters[Number(sides[1].fighterIds[0]) - 1],
+        };
+    }
+
+    // ── Rule sets ──
+    _matchRules() {
+        return resolveRuleSet(this.currentMatch?.ruleSet);
+    }
+
+    // ── Arenas ──
+    _matchArena() {
+        return resolveArena(this.currentMatch?.arena);
+    }
+
+    _fightDurationMs() {
+        return maxFightDurationMs(this._matchRules()) + FIGHT_DURATION_BUFFER;
+    }
+
+    async _saveFightRecording(simulatorResult) {
+        const recorder = this.fightRecorder;
+        this.fightRecorder = null;
+        if (!recorder || !simulatorResult || typeof db.saveFightRecording !== 'function') return;
+        try {
+            await db.saveFightRecording(recorder.matchId, recorder.toJSON({
+                result: simulatorResult,
+                fairness: simulatorResult.fairness || null,
+            }));
+        } catch (err) {
+            logger.warn('[AutoMatchmaker] Failed to persist fight recording', { error: err.message });
+        }
+    }
+
+    // ── Fight snapshots: the live fight's state, for resuming after a crash ──
+    _saveFightSnapshot(snapshot) {
+        if (typeof db.saveFightSnapshot !== 'function') return;
+        Promise.resolve(db.saveFightSnapshot(snapshot.matchId, snapshot)).catch(err => {
+            logger.warn('[AutoMatchmaker] Failed to persist fight snapshot', { error: err.message });
+        });
+    }
+
+    async _loadFightSnapshot() {
+        if (!this.currentMatch || typeof db.getFightSnapshot !== 'function') return null;
+        try {
+            return await db.getFightSnapshot(this.currentMatch.id);
+        } catch (err) {
+            logger.warn('[AutoMatchmaker] Failed to load fight snapshot', { error: err.message });
+            return null;
+        }
+    }
+
+    async _clearFightSnapshot(matchId) {
+        if (!matchId || typeof db.removeFightSnapshot !== 'function') return;
+        try {
+            await db.removeFightSnapshot(matchId);
+        } catch (err) {
+            logger.warn('[AutoMatchmaker] Failed to remove fight snapshot', { error: err.message });
+        }
+    }
+
+    async _loadStrategyScripts() {
+        const scripts = {};
+        for (const [i, agent] of matchFighters(this.currentMatch).entries()) {
+            const slot = String(i + 1);
+            scripts[slot] = null;
+            if (!agent?.isReal || !agent.dbId) continue;
+            try {
+                const dbAgent = await db.getAgentById(agent.dbId);
+                scripts[slot] = compileStrategyScript(dbAgent?.strategyScript);
+            } catch (err) {
+                logger.warn(`[AutoMatchmaker] Could not load strategy script for ${agent.name}`, { error: err.message });
+            }
+        }
+        return scripts;
+    }
+
+    // ── Live agent control: real fighters decide each tick when connected ──
+    _openFightController() {
+        if (!this.agentControl || !this.currentMatch) return null;
+        const seats = {};
+        matchFighters(this.currentMatch).forEach((agent, i) => {
+            seats[String(i + 1)] = agent?.isReal && agent.dbId ? String(agent.dbId) : null;
+        });
+        return this.agentControl.open(this.currentMatch.id, seats);
+    }
+
+    _closeFightController(result = null) {
+        if (!this.fightController) return;
+        this.fightController.close(result);
+        this.fightController = null;
     }
 
     _scheduleNextMatch() {
         clearTimeout(this.phaseTimer);
         clearInterval(this.bettingInterval);
         if (this.fightSimulator) { this.fightSimulator.stop(); this.fightSimulator = null; }
+        this._closeFightController();
         this._fightStartPending = false;
         this.waitingReason = null;
         this.waitingMessage = null;
         this.phase = 'COOLDOWN';
         this.bettingTimeLeft = 0;
-        try { this.io.emit('match:phase', { phase: 'COOLDOWN' }); } catch { /* ignore */ }
-        logger.info('[AutoMatchmaker] Scheduling next match in cooldown');
+        this.reservedAgentIds.clear();
+        try { this._emitArena('match:phase', { phase: 'COOLDOWN' }); } catch { /* ignore */ }
+        logger.info('[AutoMatchmaker] Scheduling next match in cooldown', { slot: this.id });
         this.phaseTimer = setTimeout(() => {
             this._safeNextMatch();
         }, COOLDOWN_DURATION);
     }
 
     async _endFight(simulatorResult) {
-        const a1 = this.currentMatch.agent1;
-        const a2 = this.currentMatch.agent2;
+        const fighters = matchFighters(this.currentMatch);
+        const sides = this.currentMatch.sides || buildSides(DEFAULT_MATCH_TYPE, fighters);
+
+        // Potions last exactly one fight
+        this._consumeQueuedPotions(this.currentMatch);
+
+        if (simulatorResult?.draw) {
+            await this._endDraw(simulatorResult);
+            return;
+        }
 
         // Use server-authoritative fight result from FightSimulator
+        // winnerId is the winning side ('1' | '2' in a duel, a team or a free-for-all slot)
         const winnerId = simulatorResult?.winnerId || '1';
-        const winner = winnerId === '1' ? a1 : a2;
-        const loser = winnerId === '1' ? a2 : a1;
+        const winningSide = sides.find(side => side.id === winnerId) || sides[0];
+        const winners = winningSide.fighterIds.map(id => fighters[Number(id) - 1]);
+        const losers = fighters.filter(f => !winners.includes(f));
+        const winner = this._sideSummary(winningSide, fighters);
+        const loser = this._sideSummary(this._runnerUpSide(sides, winningSide, simulatorResult), fighters);
         const method = simulatorResult?.method || 'Decision';
-        const fightDuration = simulatorResult?.duration || Math.floor(FIGHT_DURATION / 1000);
+        const ratings = await this._updateRatings(fighters, sides, simulatorResult);
+        await this._recordPairings(fighters, sides);
+        const fightDuration = simulatorResult?.duration || Math.floor(this._fightDurationMs() / 1000);
 
         // Real pool-based earnings only — no fake numbers
         const totalBets = Number(this.currentMatch.totalBets || 0);
         const monEarned = totalBets > 0 ? Math.floor(totalBets * 0.75) : 0;
 
         // ── Resolve match on-chain FIRST (before emitting result) ──
+        // A failed first try stays queued: the settlement queue retries and emits match:settled
         let onChainResolved = false;
         let onChainResolveTx = null;
         if (this.currentMatch.onChain) {
             const mId = this.currentMatch.id;
-            const winnerAgentId = winnerId === '1' ? a1.id : a2.id;
-            const agent1Id = a1.id;
-            for (let attempt = 1; attempt <= 3; attempt++) {
-                try {
-                    const txHash = await blockchain.resolveMatchOnChain(mId, winnerAgentId, agent1Id);
-                    if (txHash) {
-                        onChainResolved = true;
-                        onChainResolveTx = txHash;
-                        logger.info(`[AutoMatchmaker] Match ${mId} resolved on-chain (attempt ${attempt}), winner: ${winner.name}, tx: ${txHash}`);
-                        break;
-                    } else {
-                        logger.warn(`[AutoMatchmaker] resolveMatchOnChain returned null (attempt ${attempt})`);
-                    }
-                } catch (err) {
-                    logger.error(`[AutoMatchmaker] resolveMatchOnChain attempt ${attempt} failed: ${err.message}`);
-                    if (attempt < 3) await new Promise(r => setTimeout(r, 2000));
-                }
-            }
-            if (!onChainResolved) {
-                logger.error(`[AutoMatchmaker] CRITICAL: Match ${mId} could NOT be resolved on-chain after 3 attempts! Bettors cannot claim.`);
+            const job = await this.hub.settlement.submit({
+                type: 'resolve',
+                matchId: mId,
+                payload: getMatchType(this.currentMatch.matchType).market === 'field'
+                    ? { field: true, outcome: Number(winningSide.id) }
+                    : { winnerId: winningSide.id, firstSideId: sides[0].id },
+            });
+            onChainResolved = job.status === 'done';
+            onChainResolveTx = job.txHash || null;
+            if (onChainResolved) {
+                logger.info(`[AutoMatchmaker] Match ${mId} resolved on-chain, winner: ${winner.name}, tx: ${onChainResolveTx}`);
+            } else {
+                logger.warn(`[AutoMatchmaker] Match ${mId} not resolved on-chain yet; settlement job ${job.id} is ${job.status}`, { error: job.lastError });
             }
         }
 
         const result = {
             matchId: this.currentMatch.id,
             winnerId,
-            winner: { name: winner.name, avatar: winner.avatar, color: winner.color, isReal: !!winner.isReal },
-            loser: { name: loser.name, avatar: loser.avatar, color: loser.color, isReal: !!loser.isReal },
+            matchType: this.currentMatch.matchType || DEFAULT_MATCH_TYPE,
+            arena: this._matchArena().id,
+            winnerFighterIds: winningSide.fighterIds,
+            winner,
+            loser,
             method,
             duration: fightDuration,
             monEarned,
             totalBets,
             timestamp: Date.now(),
             hasRealAgent: this.currentMatch.hasRealAgent,
+            tiebreak: simulatorResult?.tiebreak || null,
+            scorecards: simulatorResult?.scorecards || null,
+            ratings,
             fightStats: simulatorResult?.fighters || null,
+            fairness: simulatorResult?.fairness || null,
             onChainResolved,
             onChainResolveTx,
         };
@@ -839,6 +1159,8 @@ class AutoMatchmaker {
                 id: `hist-${this.currentMatch.id}`,
                 matchId: this.currentMatch.id,
                 winnerId,
+                matchType: result.matchType,
+                arena: result.arena,
                 winner: result.winner,
                 loser: result.loser,
                 winnerName: winner.name,
@@ -850,69 +1172,317 @@ class AutoMatchmaker {
                 timestamp: Date.now(),
                 completedAt: Date.now(),
                 hasRealAgent: this.currentMatch.hasRealAgent,
+                scorecards: result.scorecards,
+                ratings,
+                fairness: result.fairness,
             });
         } catch (err) {
             logger.warn('[AutoMatchmaker] Failed to persist match history', { error: err.message });
         }
 
-        // ── Update REAL agent stats in database ──────────────
-        if (winner.isReal && winner.dbId) {
-            try {
-                const winnerAgent = await db.getAgentById(winner.dbId);
-                if (winnerAgent) {
-                    const stats = winnerAgent.stats || {};
-                    const newWins = (stats.wins || 0) + 1;
-                    const newMatchesPlayed = (stats.matchesPlayed || 0) + 1;
-                    const newStreak = (stats.currentStreak || 0) + 1;
-                    await db.updateAgent(winnerAgent._id || winner.dbId, {
-                        stats: {
-                            ...stats,
-                            wins: newWins,
-                            matchesPlayed: newMatchesPlayed,
-                            totalEarnings: (stats.totalEarnings || 0) + monEarned,
-                            currentStreak: newStreak,
-                            killStreak: Math.max(stats.killStreak || 0, newStreak),
-                            winRate: parseFloat(((newWins / newMatchesPlayed) * 100).toFixed(1)),
-                        },
-                        powerRating: Math.min((winnerAgent.powerRating || 50) + 2, 100),
-                    });
-                    logger.info(`[AutoMatchmaker] Updated winner stats: ${winner.name} (wins: ${newWins}, streak: ${newStreak})`);
-                }
-            } catch (err) {
-                logger.error(`[AutoMatchmaker] Failed to update winner stats: ${err.message}`);
-            }
-        }
+        await this._saveFightRecording(simulatorResult);
+        await this._clearFightSnapshot(this.currentMatch.id);
 
-        if (loser.isReal && loser.dbId) {
-            try {
-                const loserAgent = await db.getAgentById(loser.dbId);
-                if (loserAgent) {
-                    const stats = loserAgent.stats || {};
-                    const newLosses = (stats.losses || 0) + 1;
-                    const newMatchesPlayed = (stats.matchesPlayed || 0) + 1;
-                    await db.updateAgent(loserAgent._id || loser.dbId, {
-                        stats: {
-                            ...stats,
-                            losses: newLosses,
-                            matchesPlayed: newMatchesPlayed,
-                            currentStreak: 0,
-                            winRate: parseFloat(((stats.wins || 0) / newMatchesPlayed * 100).toFixed(1)),
-                        },
-                        powerRating: Math.max((loserAgent.powerRating || 50) - 1, 10),
-                    });
-                    logger.info(`[AutoMatchmaker] Updated loser stats: ${loser.name} (losses: ${newLosses})`);
-                }
-            } catch (err) {
-                logger.error(`[AutoMatchmaker] Failed to update loser stats: ${err.message}`);
-            }
+        // ── Update REAL agent stats in database (every fighter on the winning side) ──
+        const earningsEach = winners.length > 0 ? monEarned / winners.length : 0;
+        for (const agent of winners) await this._recordWin(agent, earningsEach);
+        for (const agent of losers) await this._recordLoss(agent);
+
+        // ── Auto-send reward to the winners' owner/agent wallets (a team splits the pool share) ──
+        for (const agent of winners) await this._sendAgentReward(agent, earningsEach, totalBets);
+
+        // Update sim agent stats (for simulated agents only)
+        for (const agent of winners) {
+            const sim = SIM_AGENTS.find(a => a.id === agent.id);
+            if (sim) sim.wins++;
+        }
+        for (const agent of losers) {
+            const sim = SIM_AGENTS.find(a => a.id === agent.id);
+            if (sim) sim.losses++;
         }
 
-        // ── Auto-send reward to winning agent's owner/agent wallet ──
-        // Debug: log all reward-relevant values
-        logger.info('[AutoMatchmaker] REWARD DEBUG', {
-            winnerName: winner.name,
-            winnerId: winner.id,
-            isReal: !!winner.isReal,
+        // Activity log
+        try {
+            await db.addActivity({
+                type: 'match_end',
+                message: `${winner.name} defeats ${loser.name}${winner.isReal ? ' [REAL]' : ''}!${totalBets > 0 ? ` Pool: ${totalBets.toFixed(2)} MON` : ''}`,
+                time: Date.now(),
+                icon: '🏆',
+            });
+        } catch (err) {
+            logger.error('[AutoMatchmaker] Activity log failed:', err.message);
+        }
+
+        await this._showResult(result, {
+            type: 'match_end',
+            icon: 'ðŸ†',
+            text: `${winner.name} defeated ${loser.name}. Pool: ${totalBets.toFixed(2)} MON`,
+            color: winner.color,
+            timestamp: Date.now(),
+        });
+
+        logger.info(`[AutoMatchmaker] Match ${this.currentMatch.id} ended. Winner: ${winner.name}${winner.isReal ? ' [REAL]' : ''} by ${method}. Next match soon.`);
+    }
+
+    // ── Draw: no winner, the on-chain pool is cancelled so bettors can claim refunds ──
+    async _endDraw(simulatorResult) {
+        const fighters = matchFighters(this.currentMatch);
+        const sides = this.currentMatch.sides || buildSides(DEFAULT_MATCH_TYPE, fighters);
+        const names = fighters.map(a => a.name);
+        const drawNames = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+        const totalBets = Number(this.currentMatch.totalBets || 0);
+        const fightDuration = simulatorResult.duration || Math.floor(this._fightDurationMs() / 1000);
+        const ratings = await this._updateRatings(fighters, sides, simulatorResult);
+        await this._recordPairings(fighters, sides);
+
+        const cancelJob = this.currentMatch.onChain ? await this._cancelOnChain(this.currentMatch.id) : null;
+        const onChainCancelled = cancelJob?.status === 'done';
+        const onChainCancelTx = cancelJob?.txHash || null;
+        await this._markBetsRefunded(this.currentMatch);
+
+        // winner/loser keep side order so history consumers still get both sides
+        const result = {
+            matchId: this.currentMatch.id,
+            winnerId: null,
+            draw: true,
+            matchType: this.currentMatch.matchType || DEFAULT_MATCH_TYPE,
+            arena: this._matchArena().id,
+            winner: this._sideSummary(sides[0], fighters),
+            loser: this._sideSummary(sides[1], fighters),
+            method: 'Draw',
+            tiebreak: simulatorResult.tiebreak || null,
+            scorecards: simulatorResult.scorecards || null,
+            ratings,
+            duration: fightDuration,
+            monEarned: 0,
+            totalBets,
+            timestamp: Date.now(),
+            hasRealAgent: this.currentMatch.hasRealAgent,
+            fightStats: simulatorResult.fighters || null,
+            fairness: simulatorResult.fairness || null,
+            onChainCancelled,
+            onChainCancelTx,
+        };
+
+        try {
+            await db.addMatchHistory({
+                id: `hist-${this.currentMatch.id}`,
+                matchId: this.currentMatch.id,
+                winnerId: null,
+                draw: true,
+                matchType: result.matchType,
+                arena: result.arena,
+                winner: result.winner,
+                loser: result.loser,
+                winnerName: result.winner.name,
+                loserName: result.loser.name,
+                method: 'Draw',
+                tiebreak: result.tiebreak,
+                duration: fightDuration,
+                monEarned: 0,
+                totalBets,
+                timestamp: Date.now(),
+                completedAt: Date.now(),
+                hasRealAgent: this.currentMatch.hasRealAgent,
+                scorecards: result.scorecards,
+                ratings,
+                fairness: result.fairness,
+            });
+        } catch (err) {
+            logger.warn('[AutoMatchmaker] Failed to persist match history', { error: err.message });
+        }
+
+        await this._saveFightRecording(simulatorResult);
+        await this._clearFightSnapshot(this.currentMatch.id);
+
+        // ── Update REAL agent stats: a draw ends the streak (ratings moved above) ──
+        for (const agent of fighters) {
+            if (!agent.isReal || !agent.dbId) continue;
+            try {
+                const dbAgent = await db.getAgentById(agent.dbId);
+                if (!dbAgent) continue;
+                const stats = dbAgent.stats || {};
+                const newDraws = (stats.draws || 0) + 1;
+                const newMatchesPlayed = (stats.matchesPlayed || 0) + 1;
+                await db.updateAgent(dbAgent._id || agent.dbId, {
+                    stats: {
+                        ...stats,
+                        draws: newDraws,
+                        matchesPlayed: newMatchesPlayed,
+                        currentStreak: 0,
+                        winRate: parseFloat(((stats.wins || 0) / newMatchesPlayed * 100).toFixed(1)),
+                    },
+                });
+                logger.info(`[AutoMatchmaker] Updated draw stats: ${agent.name} (draws: ${newDraws})`);
+            } catch (err) {
+                logger.error(`[AutoMatchmaker] Failed to update draw stats for ${agent.name}: ${err.message}`);
+            }
+        }
+
+        try {
+            await db.addActivity({
+                type: 'match_end',
+                message: `${drawNames} fought to a draw!${totalBets > 0 ? ` Pool of ${totalBets.toFixed(2)} MON refunded` : ''}`,
+                time: Date.now(),
+                icon: '🤝',
+            });
+        } catch (err) {
+            logger.error('[AutoMatchmaker] Activity log failed:', err.message);
+        }
+
+        await this._showResult(result, {
+            type: 'match_end',
+            icon: '🤝',
+            text: `${drawNames} drew. Pool: ${totalBets.toFixed(2)} MON refunded`,
+            color: '#FFE93E',
+            timestamp: Date.now(),
+        });
+
+        logger.info(`[AutoMatchmaker] Match ${this.currentMatch.id} ended in a draw${result.tiebreak ? ` (tiebreak: ${result.tiebreak})` : ''}. Next match soon.`);
+    }
+
+    // Bet records follow the cancelled market: every stake is claimable back
+    async _markBetsRefunded(match, resolvedAt = Date.now()) {
+        for (const bet of match.bets) bet.status = 'refunded';
+        if (typeof db.updateBet !== 'function') return;
+        for (const bet of match.bets) {
+            try {
+                await db.updateBet(bet.id, { status: 'refunded', payout: 0, resolvedAt });
+            } catch (err) {
+                logger.warn('[AutoMatchmaker] Could not mark bet refunded', { betId: bet.id, error: err.message });
+            }
+        }
+    }
+
+    // ── Per-fighter result bookkeeping ──
+
+    async _recordWin(winner, monEarned) {
+        if (!winner.isReal || !winner.dbId) return;
+        try {
+            const winnerAgent = await db.getAgentById(winner.dbId);
+            if (!winnerAgent) return;
+            const stats = winnerAgent.stats || {};
+            const newWins = (stats.wins || 0) + 1;
+            const newMatchesPlayed = (stats.matchesPlayed || 0) + 1;
+            const newStreak = (stats.currentStreak || 0) + 1;
+            await db.updateAgent(winnerAgent._id || winner.dbId, {
+                stats: {
+                    ...stats,
+                    wins: newWins,
+                    matchesPlayed: newMatchesPlayed,
+                    totalEarnings: (stats.totalEarnings || 0) + monEarned,
+                    currentStreak: newStreak,
+                    killStreak: Math.max(stats.killStreak || 0, newStreak),
+                    winRate: parseFloat(((newWins / newMatchesPlayed) * 100).toFixed(1)),
+                },
+            });
+            logger.info(`[AutoMatchmaker] Updated winner stats: ${winner.name} (wins: ${newWins}, streak: ${newStreak})`);
+        } catch (err) {
+            logger.error(`[AutoMatchmaker] Failed to update winner stats: ${err.message}`);
+        }
+    }
+
+    async _recordLoss(loser) {
+        if (!loser.isReal || !loser.dbId) return;
+        try {
+            const loserAgent = await db.getAgentById(loser.dbId);
+            if (!loserAgent) return;
+            const stats = loserAgent.stats || {};
+            const newLosses = (stats.losses || 0) + 1;
+            const newMatchesPlayed = (stats.matchesPlayed || 0) + 1;
+            await db.updateAgent(loserAgent._id || loser.dbId, {
+                stats: {
+                    ...stats,
+                    losses: newLosses,
+                    matchesPlayed: newMatchesPlayed,
+                    currentStreak: 0,
+                    winRate: parseFloat(((stats.wins || 0) / newMatchesPlayed * 100).toFixed(1)),
+                },
+            });
+            logger.info(`[AutoMatchmaker] Updated loser stats: ${loser.name} (losses: ${newLosses})`);
+        } catch (err) {
+            logger.error(`[AutoMatchmaker] Failed to update loser stats: ${err.message}`);
+        }
+    }
+
+    // ── Glicko-2: every real agent is rated against the fighters on other sides ──
+    // Returns { [slot]: { name, before, after, deviation } } for the result
+    async _updateRatings(fighters, sides, simulatorResult) {
+        const exported = simulatorResult?.fighters || {};
+        const draw = !!simulatorResult?.draw;
+        const dbAgents = {};
+        const entries = [];
+        for (const [i, agent] of fighters.entries()) {
+            const slot = String(i + 1);
+            const side = sides.find(s => s.fighterIds.includes(slot));
+            let rating = agent.rating || null;
+            if (agent.isReal && agent.dbId) {
+                try {
+                    dbAgents[slot] = await db.getAgentById(agent.dbId);
+                    if (dbAgents[slot]) rating = dbAgents[slot].glicko || null;
+                } catch (err) {
+                    logger.warn(`[AutoMatchmaker] Could not load rating for ${agent.name}: ${err.message}`);
+                }
+            }
+            // Lower finishes better: free-for-all placements, else winners 1 and the rest 2
+            let rank = side?.id === simulatorResult?.winnerId ? 1 : 2;
+            if (draw) rank = 1;
+            else if (Number.isFinite(exported[slot]?.placement)) rank = exported[slot].placement;
+            entries.push({ id: slot, side: side?.id || slot, rank, rating });
+        }
+
+        const next = rateFight(entries);
+        const changes = {};
+        for (const entry of entries) {
+            const dbAgent = dbAgents[entry.id];
+            if (!dbAgent) continue;
+            try {
+                await db.updateAgent(dbAgent._id || dbAgent.id, { glicko: next[entry.id] });
+                changes[entry.id] = {
+                    name: dbAgent.name,
+                    before: Math.round(normalizeRating(entry.rating).rating),
+                    after: Math.round(next[entry.id].rating),
+                    deviation: Math.round(next[entry.id].deviation),
+                };
+            } catch (err) {
+                logger.error(`[AutoMatchmaker] Failed to update rating for ${dbAgent.name}: ${err.message}`);
+            }
+        }
+        return changes;
+    }
+
+    // ── Pairing memory: when each real agent last fought and whom ──
+    async _recordPairings(fighters, sides) {
+        const now = Date.now();
+        for (const [i, agent] of fighters.entries()) {
+            if (!agent.isReal || !agent.dbId) continue;
+            const slot = String(i + 1);
+            const side = sides.find(s => s.fighterIds.includes(slot));
+            const opponentIds = fighters
+                .filter((f, j) => f.isReal && !side?.fighterIds.includes(String(j + 1)))
+                .map(f => String(f.dbId));
+            try {
+                const dbAgent = await db.getAgentById(agent.dbId);
+                if (!dbAgent) continue;
+                await db.updateAgent(dbAgent._id || agent.dbId, {
+                    lastFightAt: now,
+                    recentOpponents: nextRecentOpponents(dbAgent.recentOpponents, opponentIds),
+                });
+            } catch (err) {
+                logger.warn(`[AutoMatchmaker] Failed to record pairing for ${agent.name}: ${err.message}`);
+            }
+        }
+        // The next pick must see who just fought
+        this.hub._lastAgentFetch = 0;
+    }
+
+    // Auto-send reward to a winning agent's owner/agent wallet
+    async _sendAgentReward(winner, monEarned, totalBets) {
+        // Debug: log all reward-relevant values
+        logger.info('[AutoMatchmaker] REWARD DEBUG', {
+            winnerName: winner.name,
+            winnerId: winner.id,
+            isReal: !!winner.isReal,
             ownerWallet: winner.ownerWallet || '(null)',
             agentWallet: winner.agentWallet || '(null)',
             totalBets,
@@ -929,15 +1499,17 @@ class AutoMatchmaker {
             logger.info(`[AutoMatchmaker] Sending agent reward: ${totalReward.toFixed(6)} MON to ${rewardWallet} (pool: ${poolReward.toFixed(4)}, base: ${baseReward})`);
 
             if (totalReward > 0.001) {
-                try {
-                    const txHash = await blockchain.sendReward(rewardWallet, totalReward);
-                    if (txHash) {
-                        logger.info(`[AutoMatchmaker] Agent reward TX SUCCESS: ${txHash} | ${totalReward.toFixed(6)} MON -> ${rewardWallet}`);
-                    } else {
-                        logger.warn(`[AutoMatchmaker] Agent reward returned null (sendReward returned null) | wallet: ${rewardWallet} | amount: ${totalReward.toFixed(6)}`);
-                    }
-                } catch (err) {
-                    logger.error(`[AutoMatchmaker] Agent reward EXCEPTION: ${err.message} | wallet: ${rewardWallet} | amount: ${totalReward.toFixed(6)}`);
+                // One reward job per winner per match; a failed send is retried by the settlement queue
+                const job = await this.hub.settlement.submit({
+                    type: 'reward',
+                    matchId: this.currentMatch.id,
+                    ref: String(winner.dbId || winner.id),
+                    payload: { wallet: rewardWallet, amount: totalReward, agentName: winner.name },
+                });
+                if (job.status === 'done') {
+                    logger.info(`[AutoMatchmaker] Agent reward TX SUCCESS: ${job.txHash} | ${totalReward.toFixed(6)} MON -> ${rewardWallet}`);
+                } else {
+                    logger.warn(`[AutoMatchmaker] Agent reward not sent yet; settlement job ${job.id} is ${job.status} | wallet: ${rewardWallet} | amount: ${totalReward.toFixed(6)}`, { error: job.lastError });
                 }
             } else {
                 logger.warn(`[AutoMatchmaker] Agent reward too small to send: ${totalReward.toFixed(6)} MON`);
@@ -947,46 +1519,50 @@ class AutoMatchmaker {
         } else if (!winner.isReal) {
             logger.info(`[AutoMatchmaker] Winner ${winner.name} is simulated — no reward to send`);
         }
+    }
 
-        // Update sim agent stats (for simulated agents only)
-        const simWinner = SIM_AGENTS.find(a => a.id === winner.id);
-        const simLoser = SIM_AGENTS.find(a => a.id === loser.id);
-        if (simWinner) simWinner.wins++;
-        if (simLoser) simLoser.losses++;
-
-        // Activity log
-        try {
-            await db.addActivity({
-                type: 'match_end',
-                message: `${winner.name} defeats ${loser.name}${winner.isReal ? ' [REAL]' : ''}!${totalBets > 0 ? ` Pool: ${totalBets.toFixed(2)} MON` : ''}`,
-                time: Date.now(),
-                icon: '🏆',
-            });
-        } catch (err) {
-            logger.error('[AutoMatchmaker] Activity log failed:', err.message);
+    /** Result card entry for a side: the fighter itself, or the team with its members */
+    _sideSummary(side, fighters) {
+        const members = side.fighterIds.map(id => fighters[Number(id) - 1]).filter(Boolean);
+        if (members.length === 1) {
+            const [a] = members;
+            return { name: a.name, avatar: a.avatar, color: a.color, isReal: !!a.isReal };
         }
+        return {
+            name: side.name,
+            avatar: side.icon,
+            color: side.color,
+            isReal: members.some(a => a.isReal),
+            members: members.map(a => a.name),
+        };
+    }
+
+    /** The losing side shown on the result card: the other team, or the free-for-all runner-up */
+    _runnerUpSide(sides, winningSide, simulatorResult) {
+        const others = sides.filter(side => side !== winningSide);
+        const stats = simulatorResult?.fighters || {};
+        const runnerUp = others.find(side => side.fighterIds.some(id => stats[id]?.placement === 2));
+        return runnerUp || others[0];
+    }
 
-        // RESULT phase
+    // ── RESULT phase: persist, broadcast, then cool down ──
+    async _showResult(result, liveEvent) {
         this.phase = 'RESULT';
         this.currentMatch.status = 'finished';
         this.currentMatch.result = result;
+        this.currentMatch.seed = result.fairness?.seed || null;
         this.currentMatch.phaseEndsAt = Date.now();
         this.currentMatch.completedAt = Date.now();
         await this._persistCurrentMatch();
 
-        this.matchHistory.unshift(result);
-        if (this.matchHistory.length > 20) this.matchHistory.pop();
+        this.hub.matchHistory.unshift(result);
+        if (this.hub.matchHistory.length > 20) this.hub.matchHistory.pop();
+        this.hub._matchEnded(this.currentMatch, result);
 
         try {
-            this.io.emit('match:phase', { phase: 'RESULT', match: this.currentMatch, result });
+            this._emitArena('match:phase', { phase: 'RESULT', match: this.currentMatch, result });
             this.io.emit('match:result', result);
-            this.io.emit('arena:live_event', {
-                type: 'match_end',
-                icon: 'ðŸ†',
-                text: `${winner.name} defeated ${loser.name}. Pool: ${totalBets.toFixed(2)} MON`,
-                color: winner.color,
-                timestamp: Date.now(),
-            });
+            this.io.emit('arena:live_event', liveEvent);
         } catch (err) {
             logger.error('[AutoMatchmaker] Failed to emit result', { error: err.message });
         }
@@ -995,28 +1571,10 @@ class AutoMatchmaker {
         this.phaseTimer = setTimeout(() => {
             this._scheduleNextMatch();
         }, RESULT_DURATION);
-
-        logger.info(`[AutoMatchmaker] Match ${this.currentMatch.id} ended. Winner: ${winner.name}${winner.isReal ? ' [REAL]' : ''} by ${method}. Next match soon.`);
     }
 
     // ── Helpers ─────────────────────────────────────────────
 
-    async _pickFighters() {
-        const realAgents = await this._fetchRealAgents();
-        const activeReal = realAgents.filter(a => a.status === 'active');
-
-        if (activeReal.length < 2) {
-            return null;
-        }
-
-        // Pick 2 random real agents only.
-        const shuffled = [...activeReal].sort(() => Math.random() - 0.5);
-        const fighter1 = this._dbAgentToFighter(shuffled[0]);
-        const fighter2 = this._dbAgentToFighter(shuffled[1]);
-        logger.info(`[AutoMatchmaker] Picked REAL agents: ${fighter1.name} vs ${fighter2.name}`);
-        return [fighter1, fighter2];
-    }
-
     _formatAgent(agent) {
         const equippedItems = [];
         if (agent.equipment) {
@@ -1045,18 +1603,68 @@ class AutoMatchmaker {
             losses: agent.losses || 0,
             powerRating: agent.powerRating || 50,
             basePowerRating: agent.basePowerRating || agent.powerRating || 50,
+            rating: agent.rating || publicRating(null),
             weapon: agent.weapon || { name: 'Fists', icon: '👊' },
             isSimulated: !!agent.isSimulated,
             isReal: !!agent.isReal,
             strategy: agent.strategy || 'balanced',
+            fighterClass: agent.fighterClass || DEFAULT_FIGHTER_CLASS,
             ownerWallet: agent.ownerWallet || null,
             agentWallet: agent.agentWallet || null,
             equipmentBonus: agent.equipmentBonus || null,
             equipmentPower: agent.equipmentPower || 0,
             equippedItems,
+            potions: Array.isArray(agent.potions) ? agent.potions : [],
         };
     }
 
+    // ── Consumables ─────────────────────────────────────────
+
+    _applyQueuedPotions(fighter, matchId) {
+        if (!fighter.isReal || !fighter.dbId || typeof db.applyQueuedPotions !== 'function') return;
+        try {
+            const entries = db.applyQueuedPotions(String(fighter.dbId), matchId);
+            const items = entries.map((entry) => SHOP_ITEMS_BY_ID[entry.itemId]).filter(Boolean);
+            if (items.length === 0) return;
+
+            const potionBonus = calculateEquipmentBonus(items);
+            const merged = { ...(fighter.equipmentBonus || {}) };
+            for (const [key, value] of Object.entries(potionBonus)) {
+                if (value) merged[key] = (merged[key] || 0) + value;
+            }
+            fighter.equipmentBonus = merged;
+            fighter.potions = items.map((item) => ({ id: item.id, name: item.name, icon: item.icon || '🧪' }));
+            logger.info(`[AutoMatchmaker] Applied ${items.length} potion(s) to ${fighter.name} for ${matchId}`);
+        } catch (err) {
+            logger.warn('[AutoMatchmaker] Could not apply queued potions', { agent: fighter.name, error: err.message });
+        }
+    }
+
+    _consumeQueuedPotions(match) {
+        if (typeof db.consumeQueuedPotions !== 'function') return;
+        for (const fighter of matchFighters(match)) {
+            if (!fighter?.dbId || !fighter.potions?.length) continue;
+            try {
+                db.consumeQueuedPotions(String(fighter.dbId), match.id);
+            } catch (err) {
+                logger.warn('[AutoMatchmaker] Could not consume potions', { agent: fighter.name, error: err.message });
+            }
+        }
+    }
+
+    // Potions locked to a match that will never fight go back to the agents' queues
+    _releaseQueuedPotions(match) {
+        if (!match || typeof db.releaseQueuedPotions !== 'function') return;
+        for (const fighter of matchFighters(match)) {
+            if (!fighter?.dbId || !fighter.potions?.length) continue;
+            try {
+                db.releaseQueuedPotions(String(fighter.dbId), match.id);
+            } catch (err) {
+                logger.warn('[AutoMatchmaker] Could not release potions', { agent: fighter.name, error: err.message });
+            }
+        }
+    }
+
     // _generateFightEvents removed — replaced by FightSimulator server-authoritative events
 
     async recordBet(side, amount, address, meta = {}) {
@@ -1074,9 +1682,13 @@ class AutoMatchmaker {
             return null;
         }
 
+        const sides = this.currentMatch.sides || [];
+        const betSide = sides.find(s => s.id === String(side));
+        if (!betSide) return null;
+
         const bet = {
             id: `bet-${uuidv4().slice(0, 8)}`,
-            side,
+            side: betSide.id,
             amount: numericAmount,
             address,
             txHash: meta.txHash || null,
@@ -1086,27 +1698,31 @@ class AutoMatchmaker {
         };
         this.currentMatch.bets.push(bet);
 
-        if (side === '1') {
-            this.currentMatch.agent1Bets += bet.amount;
-        } else {
-            this.currentMatch.agent2Bets += bet.amount;
-        }
-        this.currentMatch.totalBets = this.currentMatch.agent1Bets + this.currentMatch.agent2Bets;
+        betSide.bets += bet.amount;
+        this.currentMatch.agent1Bets = sides[0].bets;
+        this.currentMatch.agent2Bets = sides[1].bets;
+        this.currentMatch.totalBets = sides.reduce((sum, s) => sum + s.bets, 0);
         const requiredPool = Number(this.currentMatch.poolMinMON || MATCH_MIN_POOL_MON);
         const wasPoolReady = !!this.currentMatch.poolTargetMet;
         this.currentMatch.poolTargetMet = this.currentMatch.totalBets >= requiredPool;
 
-        // Recalculate odds
+        // Recalculate odds once at least two sides have backing
         const total = this.currentMatch.totalBets;
-        if (total > 0 && this.currentMatch.agent1Bets > 0 && this.currentMatch.agent2Bets > 0) {
-            this.currentMatch.agent1Odds = parseFloat((total / this.currentMatch.agent1Bets).toFixed(2));
-            this.currentMatch.agent2Odds = parseFloat((total / this.currentMatch.agent2Bets).toFixed(2));
+        if (total > 0 && sides.filter(s => s.bets > 0).length >= 2) {
+            for (const s of sides) {
+                if (s.bets > 0) s.odds = parseFloat((total / s.bets).toFixed(2));
+            }
+            this.currentMatch.agent1Odds = sides[0].odds;
+            this.currentMatch.agent2Odds = sides[1].odds;
         }
 
-        const selectedAgent = side === '1' ? this.currentMatch.agent1 : this.currentMatch.agent2;
+        const fighters = matchFighters(this.currentMatch);
+        const selectedAgent = betSide.fighterIds.length === 1
+            ? fighters[Number(betSide.fighterIds[0]) - 1]
+            : { id: null, name: betSide.name };
         const short = address ? `${String(address).slice(0, 6)}...${String(address).slice(-4)}` : 'anonymous';
 
-        this.io.emit('arena:live_event', {
+        this._emitArena('arena:live_event', {
             type: 'bet',
             icon: 'ðŸ’°',
             text: `${short} bet ${numericAmount} MON on ${selectedAgent.name}`,
@@ -1118,7 +1734,7 @@ class AutoMatchmaker {
             const now = Date.now();
             const remaining = Math.max(0, Math.ceil((toTimestamp(this.currentMatch.phaseEndsAt) - now) / 1000));
             const poolText = `Minimum pool reached (${this.currentMatch.totalBets.toFixed(2)} / ${requiredPool.toFixed(2)} MON)! Fight starts when timer ends (${remaining}s).`;
-            this.io.emit('arena:live_event', {
+            this._emitArena('arena:live_event', {
                 type: 'pool_ready',
                 icon: 'POOL',
                 text: poolText,
@@ -1144,9 +1760,10 @@ class AutoMatchmaker {
                 id: bet.id,
                 matchId: this.currentMatch.id,
                 agentId: selectedAgent.id,
+                side: betSide.id,
                 walletAddress: address,
                 amount: numericAmount,
-                odds: side === '1' ? this.currentMatch.agent1Odds : this.currentMatch.agent2Odds,
+                odds: betSide.odds,
                 status: 'pending',
                 txHash: bet.txHash,
                 onChain: bet.onChain,
@@ -1163,11 +1780,621 @@ class AutoMatchmaker {
             })).catch((err) => logger.warn('[AutoMatchmaker] Failed to persist bet activity', { error: err.message }));
         }
 
-        this.io.emit('match:update', this.currentMatch);
+        this._emitArena('match:update', this.currentMatch);
         this._persistCurrentMatch();
         return bet;
     }
 }
 
+// ── Runs every arena slot and what they share ──
+class AutoMatchmaker {
+    constructor(io, { agentControl = null, settlement = null, slots = ARENA_SLOT_COUNT } = {}) {
+        this.io = io;
+        this.agentControl = agentControl; // AgentControlHub for live agent decisions
+        this.settlement = settlement || new SettlementQueue({ db, io });
+        this.matchHistory = [];
+        this._ruleSetIndex = 0;
+        this._arenaIndex = 0;
+        this._matchTypeIndex = 0;
+        this._realAgentsCache = [];
+        this._lastAgentFetch = 0;
+        this.queue = [];            // Mirror of db queue entries: { agentId, agentName, rank, mode, entryFee, joinedAt }
+        this.requestedMatches = []; // Mirror of db match requests: { matchId, agentIds, mode, origin, requestedAt }
+        this._queueJoins = new Set(); // Agents whose join is being charged
+        this._matchEndListeners = [];
+        this.slots = Array.from({ length: slots }, (_, i) => new ArenaSlot(this, String(i + 1)));
+    }
+
+    start() {
+        logger.info(`[AutoMatchmaker] Starting automatic match cycle (${this.slots.length} arena slot${this.slots.length === 1 ? '' : 's'})`);
+        this._bootstrapHistory()
+            .catch((err) => logger.warn('[AutoMatchmaker] Failed to bootstrap history', { error: err.message }))
+            .then(() => this._loadQueue())
+            .catch((err) => logger.warn('[AutoMatchmaker] Failed to load the matchmaking queue', { error: err.message }))
+            .then(() => this._loadRequests())
+            .catch((err) => logger.warn('[AutoMatchmaker] Failed to load requested matches', { error: err.message }))
+            .then(() => this._restoreOrStartLiveMatches())
+            .catch((err) => {
+                logger.warn('[AutoMatchmaker] Could not restore live match state; starting fresh', { error: err.message });
+                this._startSlots([]);
+            });
+    }
+
+    stop() {
+        for (const slot of this.slots) slot.stop();
+        logger.info('[AutoMatchmaker] Stopped');
+    }
+
+    forceReset(reason = 'NO_REAL_AGENTS', message = 'Arena reset completed. Waiting for new registrations.') {
+        this.matchHistory = [];
+        this.io.emit('match:history', []);
+        for (const slot of this.slots) slot.forceReset(reason, message);
+        logger.info('[AutoMatchmaker] Force reset applied', { reason });
+    }
+
+    /** A slot by id (`?arena=2`); arena 1 when no id is given */
+    getSlot(slotId = DEFAULT_SLOT) {
+        return this.slots.find(slot => slot.id === String(slotId)) || null;
+    }
+
+    /** The slot running a match, if any */
+    getSlotForMatch(matchId) {
+        return this.slots.find(slot => slot.currentMatch && String(slot.currentMatch.id) === String(matchId)) || null;
+    }
+
+    getSlots() {
+        return this.slots.map(slot => slot.getSummary());
+    }
+
+    getState(slotId = DEFAULT_SLOT) {
+        const slot = this.getSlot(slotId);
+        return slot ? slot.getState() : null;
+    }
+
+    /** Lobby summaries of every fight in progress */
+    getLiveFights() {
+        return this.slots.filter(slot => slot.fightSimulator).map(slot => slot.fightSimulator.summary());
+    }
+
+    /** Latest tick of a live fight, for a client that starts watching it */
+    getFightTick(matchId) {
+        const sim = this.slots.map(slot => slot.fightSimulator).find(s => s && String(s.matchId) === String(matchId));
+        return sim ? sim.getLastTick() : null;
+    }
+
+    /** Arena 1's pool and phase (as before slots), plus every slot and the pool across them */
+    getLiveMetrics() {
+        const arenas = this.getSlots();
+        return {
+            ...this.getSlot().getLiveMetrics(),
+            totalActivePoolMON: arenas.reduce((sum, arena) => sum + arena.totalBets, 0),
+            arenas,
+            recentResults: this.matchHistory.slice(0, 10),
+        };
+    }
+
+    _broadcastSlots() {
+        try { this.io.emit('arena:slots', this.getSlots()); } catch { /* ignore */ }
+    }
+
+    // Each slot resumes its own live match; pre-slot records belong to arena 1
+    async _restoreOrStartLiveMatches() {
+        let liveMatches = [];
+        if (typeof db.getLiveMatches === 'function') {
+            liveMatches = await db.getLiveMatches();
+        }
+        const candidates = (Array.isArray(liveMatches) ? liveMatches : [])
+            .filter((m) => ['betting', 'fighting', 'live'].includes(String(m.status || '').toLowerCase()))
+            .sort((a, b) => toTimestamp(b.createdAt || b.timestamp || b.updatedAt) - toTimestamp(a.createdAt || a.timestamp || a.updatedAt));
+        this._startSlots(candidates);
+    }
+
+    _startSlots(candidates) {
+        let delay = 0;
+        for (const slot of this.slots) {
+            const candidate = candidates.find(m => String(m.slot || DEFAULT_SLOT) === slot.id) || null;
+            if (candidate) {
+                slot.start(candidate);
+                continue;
+            }
+            setTimeout(() => slot.start(), delay);
+            delay += SLOT_STAGGER_MS;
+        }
+    }
+
+    /** Agents picked by every slot but this one */
+    _busyAgentIds(exceptSlot) {
+        const busy = new Set();
+        for (const slot of this.slots) {
+            if (slot === exceptSlot) continue;
+            for (const id of slot.reservedAgentIds) busy.add(id);
+        }
+        return busy;
+    }
+
+    // ── Requested matches: the queue, challenges and tournament rounds ──
+
+    /** The match an agent is reserved for: a slot's current one or a requested pairing */
+    matchForAgent(agentId) {
+        const id = String(agentId);
+        const slot = this.slots.find(s => s.reservedAgentIds.has(id));
+        if (slot) return slot.currentMatch?.id || null;
+        const request = this.requestedMatches.find(r => r.agentIds.includes(id));
+        return request ? request.matchId : null;
+    }
+
+    /**
+     * An agent's seat in a slot's current match, for its heartbeat. HP and stamina
+     * come from the running fight; they are null while betting is still open.
+     * @returns {?{matchId: string, slot: string, phase: string, matchType: string, round: ?number,
+     *   roundTimer: ?number, you: Object, opponents: Object[]}}
+     */
+    getAgentMatchView(agentId) {
+        const id = String(agentId);
+        for (const slot of this.slots) {
+            const match = slot.currentMatch;
+            const fighters = matchFighters(match);
+            const index = fighters.findIndex(f => String(f?.dbId) === id);
+            if (!match || index === -1) continue;
+
+            const sim = slot.fightSimulator && String(slot.fightSimulator.matchId) === String(match.id) ? slot.fightSimulator : null;
+            const fighterIds = fighters.map((_, i) => String(i + 1));
+            const sideOf = fid => (sim
+                ? sim.fighters[fid]?.side
+                : (match.sides || []).find(side => side.fighterIds.includes(fid))?.id);
+            const seat = fid => {
+                const live = sim?.fighters[fid] || null;
+                const fighter = fighters[Number(fid) - 1];
+                return {
+                    fighterId: fid,
+                    name: fighter.name,
+                    rank: fighter.rank || 0,
+                    hp: live ? live.hp : null,
+                    maxHp: live ? live.maxHp : null,
+                    stamina: live ? live.stamina : null,
+                    specialReady: live ? !!live.specialReady : false,
+                    eliminated: live ? !!live.eliminated : false,
+                };
+            };
+            const fighterId = String(index + 1);
+            const mySide = sideOf(fighterId);
+            return {
+                matchId: match.id,
+                slot: slot.id,
+                phase: slot.phase,
+                matchType: match.matchType || DEFAULT_MATCH_TYPE,
+                round: sim ? sim.round : null,
+                roundTimer: sim?.getLastTick()?.roundTimer ?? null,
+                you: seat(fighterId),
+                opponents: fighterIds
+                    .filter(fid => fid !== fighterId && (mySide === undefined || sideOf(fid) !== mySide))
+                    .map(seat),
+            };
+        }
+        return null;
+    }
+
+    isQueued(agentId) {
+        return this.queue.some(entry => entry.agentId === String(agentId));
+    }
+
+    /** Hold an agent's place while its entry fee is charged; false if it is queued or already joining */
+    reserveQueueSlot(agentId) {
+        const id = String(agentId);
+        if (this.isQueued(id) || this._queueJoins.has(id)) return false;
+        this._queueJoins.add(id);
+        return true;
+    }
+
+    releaseQueueSlot(agentId) {
+        this._queueJoins.delete(String(agentId));
+    }
+
+    getQueue() {
+        return this.queue.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Put an agent in a matchmaking queue (data/queue-modes.js). Two agents in
+     * the same queue are paired by skill in the next free slot.
+     * @param {Object} agent - DB agent
+     * @param {{mode?: string, entryFee?: number}} [opts] - Fee already taken from the budget; refunded if never matched
+     * @returns {Promise<?{entry: Object, position: number}>} Position within the agent's queue; null if already queued
+     */
+    async enqueue(agent, { mode = DEFAULT_QUEUE_MODE, entryFee = 0 } = {}) {
+        if (this.isQueued(agent._id || agent.id)) return null;
+        const entry = {
+            agentId: String(agent._id || agent.id),
+            agentName: agent.name,
+            rank: agent.rank,
+            mode: isQueueMode(mode) ? mode : DEFAULT_QUEUE_MODE,
+            entryFee,
+            joinedAt: Date.now(),
+        };
+        await db.addQueueEntry(entry);
+        this.queue.push(entry);
+        this._wakeWaitingSlot();
+        return { entry, position: this.queue.filter(e => e.mode === entry.mode).length };
+    }
+
+    /**
+     * Take an agent out of the queue and refund its entry fee.
+     * @returns {Promise<?{entry: Object, refunded: number}>} Null if the agent wasn't queued
+     */
+    async leaveQueue(agentId) {
+        const id = String(agentId);
+        const entry = this.queue.find(e => e.agentId === id);
+        if (!entry) return null;
+        this.queue = this.queue.filter(e => e !== entry);
+        await db.removeQueueEntry(id);
+        return { entry, refunded: await this._refundEntryFee(entry) };
+    }
+
+    /** Refund and drop entries that waited longer than MATCH_QUEUE_TIMEOUT_MS; returns how many */
+    async expireQueue(now = Date.now()) {
+        const expired = this.queue.filter(entry => now - entry.joinedAt >= QUEUE_TIMEOUT_MS);
+        for (const entry of expired) {
+            const left = await this.leaveQueue(entry.agentId);
+            if (!left) continue;
+            const mins = Math.round((now - entry.joinedAt) / 60000);
+            logger.info(`[AutoMatchmaker] ${entry.agentName} timed out of the ${entry.mode} queue after ${mins}m`, { refunded: left.refunded });
+            await db.addActivity({
+                type: 'queue',
+                message: `${entry.agentName} left the ${getQueueMode(entry.mode).name} queue unmatched after ${mins}m${left.refunded > 0 ? ` — ${left.refunded} MON refunded` : ''}`,
+                time: now,
+                icon: '⌛',
+            });
+        }
+        return expired.length;
+    }
+
+    /**
+     * Book a fixed pairing (a challenge or a tournament bout). The match id is
+     * assigned now so callers can track it before a slot picks it up.
+     * @param {Object[]} agents - DB agents, in side order
+     * @param {{mode?: string, origin?: string}} [opts]
+     * @returns {string} Match id
+     */
+    requestMatch(agents, { mode = ARENA_MODE, origin = 'challenge' } = {}) {
+        const request = {
+            matchId: `match-${uuidv4().slice(0, 8)}`,
+            agentIds: agents.map(agent => String(agent._id || agent.id)),
+            mode,
+            origin,
+            requestedAt: Date.now(),
+        };
+        this.requestedMatches.push(request);
+        this._saveRequest(request);
+        this._wakeWaitingSlot();
+        return request.matchId;
+    }
+
+    /** Drop every queued agent and requested pairing (admin reset; the DB reset clears stored entries) */
+    clearRequests() {
+        this.queue = [];
+        this.requestedMatches = [];
+    }
+
+    async _loadQueue() {
+        if (typeof db.getQueueEntries !== 'function') return;
+        this.queue = await db.getQueueEntries();
+        if (this.queue.length > 0) logger.info(`[AutoMatchmaker] Restored ${this.queue.length} queued agent(s)`);
+    }
+
+    // Booked pairings survive a restart, so an accepted challenge still gets its fight
+    async _loadRequests() {
+        if (typeof db.getMatchRequests !== 'function') return;
+        const stored = await db.getMatchRequests();
+        const booked = new Set(this.requestedMatches.map(request => request.matchId));
+        this.requestedMatches = [...stored.filter(request => !booked.has(request.matchId)), ...this.requestedMatches];
+        if (stored.length > 0) logger.info(`[AutoMatchmaker] Restored ${stored.length} requested match(es)`);
+    }
+
+    _saveRequest(request) {
+        if (typeof db.addMatchRequest !== 'function') return;
+        Promise.resolve(db.addMatchRequest(request))
+            .catch(err => logger.warn('[AutoMatchmaker] Could not save requested match', { matchId: request.matchId, error: err.message }));
+    }
+
+    _removeRequest(request) {
+        if (typeof db.removeMatchRequest !== 'function') return;
+        Promise.resolve(db.removeMatchRequest(request.matchId))
+            .catch(err => logger.warn('[AutoMatchmaker] Could not remove requested match', { matchId: request.matchId, error: err.message }));
+    }
+
+    // A request that will never be fought ends like a cancelled match: challenge wagers go back
+    _dropRequest(request, reason) {
+        this.requestedMatches = this.requestedMatches.filter(r => r !== request);
+        this._removeRequest(request);
+        logger.warn(`[AutoMatchmaker] Dropping requested match: ${reason}`, { matchId: request.matchId, origin: request.origin });
+        const fighters = request.agentIds.map(dbId => ({ dbId }));
+        this._matchEnded(
+            { id: request.matchId, origin: request.origin, mode: request.mode, fighters, agent1: fighters[0], agent2: fighters[1] },
+            { matchId: request.matchId, cancelled: true, reason, winnerFighterIds: [] }
+        );
+    }
+
+    // Queued agents picked for a match: their entry fee pays for it
+    _takeQueueEntries(entries) {
+        if (entries.length === 0) return;
+        this.queue = this.queue.filter(entry => !entries.includes(entry));
+        for (const entry of entries) {
+            Promise.resolve(db.removeQueueEntry(entry.agentId))
+                .catch(err => logger.warn('[AutoMatchmaker] Could not remove queue entry', { agent: entry.agentName, error: err.message }));
+        }
+    }
+
+    async _refundEntryFee(entry) {
+        const fee = Number(entry.entryFee || 0);
+        if (fee <= 0) return 0;
+        const agent = await db.adjustAgentBudget(entry.agentId, { remaining: fee, spent: -fee });
+        return agent ? fee : 0;
+    }
+
+    /** Called with `{ match, result, winnerAgentIds }` whenever a slot's match ends (`result.cancelled` if its pool never filled) */
+    onMatchEnd(listener) {
+        this._matchEndListeners.push(listener);
+    }
+
+    _matchEnded(match, result) {
+        const fighters = matchFighters(match);
+        const winnerAgentIds = (result.winnerFighterIds || [])
+            .map(id => fighters[Number(id) - 1]?.dbId)
+            .filter(Boolean)
+            .map(String);
+        for (const listener of this._matchEndListeners) {
+            Promise.resolve()
+                .then(() => listener({ match, result, winnerAgentIds }))
+                .catch(err => logger.warn('[AutoMatchmaker] Match end listener failed', { matchId: match.id, error: err.message }));
+        }
+    }
+
+    // A slot idling for agents picks a new request up now rather than on its retry timer
+    _wakeWaitingSlot() {
+        const slot = this.slots.find(s => s.phase === 'WAITING' && !s._nextMatchPending);
+        if (!slot) return;
+        clearTimeout(slot.phaseTimer);
+        slot._safeNextMatch();
+    }
+
+    // A request whose match could not open goes back to the front of the line
+    _returnRequest(picked) {
+        if (picked.request) {
+            this.requestedMatches.unshift(picked.request);
+            this._saveRequest(picked.request);
+        }
+        for (const entry of picked.queueEntries || []) {
+            this.queue = this.queue.filter(e => e.agentId !== entry.agentId);
+            this.queue.unshift(entry);
+            Promise.resolve(db.addQueueEntry(entry))
+                .catch(err => logger.warn('[AutoMatchmaker] Could not return queue entry', { agent: entry.agentName, error: err.message }));
+        }
+    }
+
+    /**
+     * The oldest requested pairing whose agents are all free, else two agents
+     * from one queue paired by skill. Takes what it returns off the books.
+     */
+    async _pickRequested(slot) {
+        const busy = this._busyAgentIds(slot);
+
+        for (const request of [...this.requestedMatches]) {
+            if (request.agentIds.some(id => busy.has(id))) continue;
+            const agents = await Promise.all(request.agentIds.map(id => db.getAgentById(id)));
+            // Another slot may have taken it while the agents were loading
+            if (!this.requestedMatches.includes(request)) continue;
+            if (agents.some(agent => !agent)) {
+                this._dropRequest(request, 'an agent no longer exists');
+                continue;
+            }
+            this.requestedMatches.splice(this.requestedMatches.indexOf(request), 1);
+            this._removeRequest(request);
+            return { agents, matchType: DEFAULT_MATCH_TYPE, matchId: request.matchId, mode: request.mode, origin: request.origin, request };
+        }
+
+        const free = this.queue.filter(entry => !busy.has(entry.agentId));
+        for (const mode of [...new Set(free.map(entry => entry.mode))]) {
+            const entries = free.filter(entry => entry.mode === mode);
+            if (entries.length < 2) continue;
+            const agents = (await Promise.all(entries.map(entry => db.getAgentById(entry.agentId)))).filter(Boolean);
+            const picked = pickAgents(agents, 2);
+            if (!picked) continue;
+            const ids = picked.agents.map(agent => String(agent._id || agent.id));
+            // Someone may have left the queue while the agents were loading
+            const queueEntries = entries.filter(entry => ids.includes(entry.agentId) && this.queue.includes(entry));
+            if (queueEntries.length < 2) continue;
+            this._takeQueueEntries(queueEntries);
+            return {
+                agents: picked.agents,
+                matchType: DEFAULT_MATCH_TYPE,
+                mode: getQueueMode(mode).matchMode,
+                origin: 'queue',
+                queueEntries,
+                reasons: [`${getQueueMode(mode).name} queue`, ...picked.reasons],
+            };
+        }
+        return null;
+    }
+
+    async _bootstrapHistory() {
+        if (typeof db.getMatchHistory !== 'function') return;
+        const history = await db.getMatchHistory(20);
+        if (!Array.isArray(history) || history.length === 0) return;
+
+        const normalized = history
+            .map((h) => ({
+                matchId: h.matchId || h.id || null,
+                winnerId: h.winnerId || null,
+                draw: !!h.draw,
+                winner: h.winner || (h.winnerName ? { name: h.winnerName, avatar: 'ðŸ†', color: '#FFE93E' } : null),
+                loser: h.loser || (h.loserName ? { name: h.loserName, avatar: 'âš”ï¸', color: '#888888' } : null),
+                method: h.method || 'Decision',
+                scorecards: h.scorecards || null,
+                ratings: h.ratings || null,
+                duration: h.duration || 0,
+                monEarned: Number(h.monEarned || 0),
+                totalBets: Number(h.totalBets || 0),
+                timestamp: Number(h.timestamp || h.completedAt || h.finishedAt || h.createdAt || Date.now()),
+                hasRealAgent: !!h.hasRealAgent,
+            }))
+            .filter((h) => h.matchId && h.winner && h.loser)
+            .slice(0, 20);
+
+        if (normalized.length > 0) {
+            this.matchHistory = normalized;
+            logger.info(`[AutoMatchmaker] Loaded ${normalized.length} historical matches from DB`);
+        }
+    }
+
+    // ── Fetch real agents from DB ────────────────────────────
+    async _fetchRealAgents() {
+        const now = Date.now();
+        // Cache for 30 seconds to avoid hammering DB every match cycle
+        if (now - this._lastAgentFetch < 30000 && this._realAgentsCache.length > 0) {
+            return this._realAgentsCache;
+        }
+
+        try {
+            const allAgents = await db.getAgents();
+            this._realAgentsCache = allAgents.filter(a =>
+                a.status === 'active' && a.name && a.wallet && a.wallet.address
+            );
+            this._lastAgentFetch = now;
+            logger.info(`[AutoMatchmaker] Fetched ${this._realAgentsCache.length} active real agents from DB`);
+            return this._realAgentsCache;
+        } catch (err) {
+            logger.error('[AutoMatchmaker] Failed to fetch agents from DB', { error: err.message });
+            return this._realAgentsCache; // Return stale cache on error
+        }
+    }
+
+    // ── Convert DB agent to matchmaker format ────────────────
+    async _dbAgentToFighter(agent) {
+        const { equipment, bonus, equipmentPower } = await this._loadEquipment(agent);
+        const colorIndex = (agent.name || '').length % AGENT_COLORS.length;
+        const weaponKey = agent.weaponPreference || 'fist';
+        const weapon = WEAPON_MAP[weaponKey] || WEAPON_MAP.fist;
+        const avatar = STRATEGY_AVATAR[agent.strategy] || '⚔️';
+
+        return {
+            id: String(agent._id || agent.id),
+            dbId: agent._id || agent.id,  // Keep original DB ID for updates
+            name: agent.name,
+            avatar,
+            color: AGENT_COLORS[colorIndex],
+            rank: agent.rank || 0,
+            wins: agent.stats?.wins || 0,
+            losses: agent.stats?.losses || 0,
+            basePowerRating: agent.powerRating || 50,
+            powerRating: (agent.powerRating || 50) + Math.round(equipmentPower * 0.3),
+            rating: publicRating(agent.glicko),
+            weapon,
+            isSimulated: false,
+            isReal: true,
+            strategy: agent.strategy || 'balanced',
+            fighterClass: agent.fighterClass || DEFAULT_FIGHTER_CLASS,
+            ownerWallet: agent.owner?.walletAddress || null,
+            agentWallet: agent.wallet?.address || null,
+            equipment,
+            equipmentBonus: bonus,
+            equipmentPower,
+        };
+    }
+
+    /** The agent's equipped shop items by slot, with the bonus they add in a fight */
+    async _loadEquipment(agent) {
+        const none = { equipment: null, bonus: {}, equipmentPower: 0 };
+        if (typeof db.getAgentInventory !== 'function') return none;
+        try {
+            const inventory = await db.getAgentInventory(String(agent._id || agent.id));
+            const equipment = {};
+            for (const [slot, entry] of Object.entries(inventory?.equipped || {})) {
+                const item = entry && SHOP_ITEMS_BY_ID[entry.itemId];
+                if (item) equipment[slot] = item;
+            }
+            const items = Object.values(equipment);
+            if (items.length === 0) return none;
+            const bonus = calculateEquipmentBonus(items);
+            return { equipment, bonus, equipmentPower: calculateEquipmentPower(bonus) };
+        } catch (err) {
+            logger.warn('[AutoMatchmaker] Could not load equipment', { agent: agent.name, error: err.message });
+            return none;
+        }
+    }
+
+    /**
+     * Pick real agents for a slot's match. A requested match (challenge, tournament
+     * bout or two queued agents) goes first; otherwise the rotation's type is filled
+     * by skill (utils/pairing.js), leaving out agents another slot has picked or a
+     * request has booked. Falls back to a duel when there aren't enough agents for it.
+     * @param {ArenaSlot} slot - Reserves the picked agents until its match is over
+     * @returns {Promise<?{matchType: string, fighters: Object[], origin: string, matchId?: string, mode?: string}>}
+     */
+    async _pickFighters(slot, matchTypeId = DEFAULT_MATCH_TYPE) {
+        const requested = await this._pickRequested(slot);
+        if (requested) {
+            slot.reservedAgentIds = new Set(requested.agents.map(agent => String(agent._id || agent.id)));
+            const fighters = await Promise.all(requested.agents.map(agent => this._dbAgentToFighter(agent)));
+            logger.info(`[AutoMatchmaker] Picked requested ${requested.origin} match for ${slot.name}: ${fighters.map(f => f.name).join(' vs ')}`, {
+                matchId: requested.matchId || null,
+                mode: requested.mode,
+                pairing: requested.reasons,
+            });
+            const { matchType, matchId, mode, origin, request, queueEntries } = requested;
+            return { matchType, fighters, matchId, mode, origin, request, queueEntries };
+        }
+
+        const realAgents = await this._fetchRealAgents();
+        const busy = this._busyAgentIds(slot);
+        for (const request of this.requestedMatches) request.agentIds.forEach(id => busy.add(id));
+        const activeReal = realAgents.filter(a => a.status === 'active' && !busy.has(String(a._id || a.id)));
+
+        let type = getMatchType(matchTypeId);
+        if (activeReal.length < type.minFighters) {
+            if (type.id !== DEFAULT_MATCH_TYPE) {
+                logger.info(`[AutoMatchmaker] Only ${activeReal.length} active agents — ${type.name} needs ${type.minFighters}, running a duel`);
+            }
+            type = getMatchType(DEFAULT_MATCH_TYPE);
+        }
+        if (activeReal.length < type.minFighters) {
+            return null;
+        }
+
+        // Real agents only, as many as the type allows
+        const count = Math.min(type.maxFighters, activeReal.length);
+        const picked = pickAgents(activeReal, count, { restMs: REST_COOLDOWN_MS, teamSize: type.teamSize });
+        slot.reservedAgentIds = new Set(picked.agents.map(agent => String(agent._id || agent.id)));
+        // A ranked-queued agent the rotation picks has its fight; casual and qualifier entries keep waiting for their own queue
+        const queueEntries = this.queue.filter(entry => slot.reservedAgentIds.has(entry.agentId) && entry.mode === ROTATION_QUEUE_MODE);
+        this._takeQueueEntries(queueEntries);
+        const fighters = await Promise.all(picked.agents.map(agent => this._dbAgentToFighter(agent)));
+        logger.info(`[AutoMatchmaker] Picked REAL agents for ${slot.name} (${type.id}): ${fighters.map(f => f.name).join(' vs ')}`, {
+            pairing: picked.reasons,
+        });
+        return { matchType: type.id, fighters, origin: 'rotation', queueEntries };
+    }
+
+    // ── Match types ──
+    _nextMatchType() {
+        const id = MATCH_TYPES[this._matchTypeIndex % MATCH_TYPES.length];
+        this._matchTypeIndex++;
+        return id;
+    }
+
+    // ── Rule sets ──
+    _nextRuleSet() {
+        const id = MATCH_RULE_SETS[this._ruleSetIndex % MATCH_RULE_SETS.length];
+        this._ruleSetIndex++;
+        return { ...getRuleSet(id) };
+    }
+
+    // ── Arenas ──
+    _nextArena() {
+        const id = MATCH_ARENAS[this._arenaIndex % MATCH_ARENAS.length];
+        this._arenaIndex++;
+        return { ...getArena(id) };
+    }
+}
+
 module.exports = AutoMatchmaker;
 
@@ -0,0 +1,253 @@
+// ═══════════════════════════════════════════════════════════════
+// BATCH SIM — Headless fight batches for balance reports
+// Runs FightSimulator synchronously (no sockets, no timers) over
+// random strategy × class × equipment-tier builds and aggregates
+// win rates, KO ratio and fight duration. Every roll is seeded, so
+// the same options always produce the same report and reports can
+// be diffed between balance patches.
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const FightSimulator = require('./fight-simulator');
+const { createRng } = require('./provably-fair');
+const { FIGHTER_CLASS_IDS } = require('../data/fighter-classes');
+const { DEFAULT_RULE_SET, isRuleSet } = require('../data/rule-sets');
+const { DEFAULT_ARENA, isArena } = require('../data/arenas');
+const {
+    ITEMS_BY_CATEGORY,
+    RARITY_TIER,
+    calculateEquipmentBonus,
+    calculateEquipmentPower,
+} = require('../data/shop-items');
+
+const REPORT_VERSION = 1;
+const STRATEGIES = ['aggressive', 'defensive', 'balanced'];
+const EQUIPMENT_TIERS = [0, 1, 2, 3, 4, 5];   // 0 = no gear, N = best items up to rarity tier N
+const LOADOUT_SLOTS = ['weapon', 'armor', 'boots', 'amulet', 'rune'];
+const DIMENSIONS = {
+    strategy: 'Strategy',
+    fighterClass: 'Class',
+    tier: 'Equipment tier',
+};
+
+// ── Builds ──
+
+function pick(rng, list) {
+    return list[Math.floor(rng() * list.length)];
+}
+
+/** Best item per slot up to the given rarity tier (ties broken by rng) */
+function buildLoadout(tier, rng) {
+    const items = [];
+    for (const slot of LOADOUT_SLOTS) {
+        const candidates = (ITEMS_BY_CATEGORY[slot] || []).filter(i => (RARITY_TIER[i.rarity] || 1) <= tier);
+        if (candidates.length === 0) continue;
+        const top = Math.max(...candidates.map(i => RARITY_TIER[i.rarity] || 1));
+        items.push(pick(rng, candidates.filter(i => (RARITY_TIER[i.rarity] || 1) === top)));
+    }
+    const bonus = calculateEquipmentBonus(items);
+    return { items, bonus, power: calculateEquipmentPower(bonus) };
+}
+
+function buildFighter(rng, slot, config) {
+    const strategy = pick(rng, config.strategies);
+    const fighterClass = pick(rng, config.classes);
+    const tier = pick(rng, config.tiers);
+    const loadout = buildLoadout(tier, rng);
+
+    return {
+        build: { strategy, fighterClass, tier: String(tier) },
+        agent: {
+            name: `Sim${slot}`,
+            strategy,
+            fighterClass,
+            // Same rating boost the matchmaker gives simulated agents
+            powerRating: config.basePower + Math.round(loadout.power * 0.3),
+            equipmentBonus: loadout.bonus,
+        },
+    };
+}
+
+// ── Aggregation ──
+
+function emptyCell() {
+    return { fights: 0, wins: 0, kos: 0, draws: 0, durationTotal: 0 };
+}
+
+function addToCell(cell, won, result) {
+    cell.fights++;
+    if (won) cell.wins++;
+    if (result.method === 'KO') cell.kos++;
+    if (result.draw) cell.draws++;
+    cell.durationTotal += result.duration;
+}
+
+function ratio(n, d) {
+    return d > 0 ? Math.round(n / d * 10000) / 10000 : null;
+}
+
+function summarizeCell(cell) {
+    return {
+        fights: cell.fights,
+        winRate: ratio(cell.wins, cell.fights),
+        koRatio: ratio(cell.kos, cell.fights),
+        avgDuration: cell.fights > 0 ? Math.round(cell.durationTotal / cell.fights * 10) / 10 : null,
+    };
+}
+
+/**
+ * Run a batch of headless fights.
+ * @param {Object} [opts]
+ * @param {number} [opts.fights=1000] - Number of fights
+ * @param {string} [opts.seed='balance'] - Master seed (builds + per-fight seeds)
+ * @param {string[]} [opts.strategies] - Strategies to sample
+ * @param {string[]} [opts.classes] - Fighter classes to sample
+ * @param {number[]} [opts.tiers] - Equipment tiers to sample (0–5)
+ * @param {number} [opts.basePower=75] - Power rating before equipment
+ * @param {string} [opts.tiebreak='score'] - Even-cards policy passed to every fight
+ * @param {string} [opts.ruleSet='standard'] - Rule set id for every fight
+ * @param {string} [opts.arena='classic'] - Arena id for every fight
+ * @param {Function} [opts.onProgress] - Called with (done, total) every 100 fights
+ * @returns {Object} JSON-serializable report
+ */
+function runBatch(opts = {}) {
+    const config = {
+        fights: Math.max(1, Math.floor(opts.fights || 1000)),
+        seed: String(opts.seed || 'balance'),
+        strategies: opts.strategies?.length ? opts.strategies : STRATEGIES,
+        classes: opts.classes?.length ? opts.classes : FIGHTER_CLASS_IDS,
+        tiers: opts.tiers?.length ? opts.tiers : EQUIPMENT_TIERS,
+        basePower: Number.isFinite(opts.basePower) ? opts.basePower : 75,
+        tiebreak: FightSimulator.TIEBREAK_POLICIES.includes(opts.tiebreak) ? opts.tiebreak : 'score',
+        ruleSet: isRuleSet(opts.ruleSet) ? opts.ruleSet : DEFAULT_RULE_SET,
+        arena: isArena(opts.arena) ? opts.arena : DEFAULT_ARENA,
+    };
+
+    const buildRng = createRng(`${config.seed}:builds`);
+    const totals = emptyCell();
+    let slot1Wins = 0;
+    const dims = {};
+    for (const dim of Object.keys(DIMENSIONS)) dims[dim] = { values: {}, matrix: {} };
+
+    for (let i = 0; i < config.fights; i++) {
+        const sides = { '1': buildFighter(buildRng, 1, config), '2': buildFighter(buildRng, 2, config) };
+        const sim = new FightSimulator({
+            agent1: sides['1'].agent,
+            agent2: sides['2'].agent,
+            io: null,
+            matchId: `batch-${i}`,
+            seed: `${config.seed}:${i}`,
+            tiebreak: config.tiebreak,
+            ruleSet: config.ruleSet,
+            arena: config.arena,
+            silent: true,
+        });
+        const result = sim.runToCompletion();
+
+        addToCell(totals, false, result);
+        if (result.winnerId === '1') slot1Wins++;
+
+        for (const [id, oppId] of [['1', '2'], ['2', '1']]) {
+            const won = result.winnerId === id;
+            for (const dim of Object.keys(DIMENSIONS)) {
+                const value = sides[id].build[dim];
+                const oppValue = sides[oppId].build[dim];
+                const d = dims[dim];
+                if (!d.values[value]) d.values[value] = emptyCell();
+                if (!d.matrix[value]) d.matrix[value] = {};
+                if (!d.matrix[value][oppValue]) d.matrix[value][oppValue] = emptyCell();
+                addToCell(d.values[value], won, result);
+                addToCell(d.matrix[value][oppValue], won, result);
+            }
+        }
+
+        if (opts.onProgress && (i + 1) % 100 === 0) opts.onProgress(i + 1, config.fights);
+    }
+
+    const dimensions = {};
+    for (const [dim, d] of Object.entries(dims)) {
+        const order = dim === 'strategy' ? config.strategies
+            : dim === 'fighterClass' ? config.classes
+            : config.tiers.map(String);
+        const values = {};
+        const matrix = {};
+        for (const v of order) {
+            values[v] = summarizeCell(d.values[v] || emptyCell());
+            matrix[v] = {};
+            for (const ov of order) {
+                const cell = d.matrix[v]?.[ov];
+                matrix[v][ov] = cell ? ratio(cell.wins, cell.fights) : null;
+            }
+        }
+        dimensions[dim] = { values, matrix };
+    }
+
+    return {
+        version: REPORT_VERSION,
+        config,
+        totals: {
+            fights: totals.fights,
+            koRatio: ratio(totals.kos, totals.fights),
+            drawRatio: ratio(totals.draws, totals.fights),
+            avgDuration: summarizeCell(totals).avgDuration,
+            slot1WinRate: ratio(slot1Wins, totals.fights),
+        },
+        dimensions,
+    };
+}
+
+// ── Text report ──
+
+// Above this KO ratio fights almost never go the distance, so the scorecards rarely matter
+const KO_WARNING_RATIO = 0.95;
+
+function pct(value) {
+    return value === null ? '—' : (value * 100).toFixed(1);
+}
+
+function seconds(value) {
+    return value === null || value === undefined ? '—' : value.toFixed(1);
+}
+
+function formatReport(report) {
+    const lines = [];
+    const { totals, config } = report;
+    lines.push(`Balance report — ${totals.fights} fights (seed "${config.seed}", rules ${config.ruleSet}, arena ${config.arena}, tiebreak ${config.tiebreak})`);
+    lines.push(`KO ratio ${pct(totals.koRatio)}% | draw ratio ${pct(totals.drawRatio)}% | avg duration ${seconds(totals.avgDuration)}s | slot 1 win rate ${pct(totals.slot1WinRate)}%`);
+    if (totals.koRatio !== null && totals.koRatio >= KO_WARNING_RATIO) {
+        lines.push(`⚠ ${pct(totals.koRatio)}% of fights end in a KO: the time limit is almost never reached, so judges' scorecards (tiebreak ${config.tiebreak}) rarely decide a fight.`);
+    }
+
+    for (const [dim, title] of Object.entries(DIMENSIONS)) {
+        const { values, matrix } = report.dimensions[dim];
+        const keys = Object.keys(values);
+        const width = Math.max(10, ...keys.map(k => k.length)) + 2;
+
+        lines.push('');
+        lines.push(`── ${title} ──`);
+        lines.push(`${''.padEnd(width)}${'fights'.padStart(8)}${'win%'.padStart(8)}${'KO%'.padStart(8)}${'avg s'.padStart(8)}`);
+        for (const k of keys) {
+            const v = values[k];
+            lines.push(`${k.padEnd(width)}${String(v.fights).padStart(8)}${pct(v.winRate).padStart(8)}`
+                + `${pct(v.koRatio).padStart(8)}${seconds(v.avgDuration).padStart(8)}`);
+        }
+
+        lines.push('');
+        lines.push('Win % of row vs column');
+        lines.push(''.padEnd(width) + keys.map(k => k.padStart(width)).join(''));
+        for (const k of keys) {
+            lines.push(k.padEnd(width) + keys.map(ok => pct(matrix[k][ok]).padStart(width)).join(''));
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    STRATEGIES,
+    EQUIPMENT_TIERS,
+    buildLoadout,
+    runBatch,
+    formatReport,
+};
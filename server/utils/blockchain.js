@@ -11,6 +11,8 @@ const BETTING_ABI = [
     "function createMatch(bytes32 _matchId, string calldata _agentAName, string calldata _agentBName) external",
     "function lockMatch(bytes32 _matchId) external",
     "function resolveMatch(bytes32 _matchId, uint8 _winningSide) external",
+    "function createFieldMatch(bytes32 _matchId, string[] calldata _fighterNames) external",
+    "function resolveFieldMatch(bytes32 _matchId, uint8 _winningOutcome) external",
     "function cancelMatch(bytes32 _matchId) external",
     "function owner() external view returns (address)",
     "function operator() external view returns (address)",
@@ -20,6 +22,7 @@ const BETTING_ABI = [
 ];
 
 const Side = { None: 0, AgentA: 1, AgentB: 2 };
+const MATCH_STATUS = ['open', 'locked', 'resolved', 'cancelled']; // AgentClashBetting.MatchStatus
 
 // Helper: race a promise against a timeout
 function withTimeout(promise, ms, label) {
@@ -233,11 +236,26 @@ class BlockchainService {
     }
 
     async createMatchOnChainWithResult(matchId, agent1Name, agent2Name) {
+        return this._createWithRetries('createMatch', matchId,
+            (matchBytes, overrides) => this.contract.createMatch(matchBytes, agent1Name, agent2Name, overrides));
+    }
+
+    /**
+     * Create a free-for-all field market — one outcome per fighter, in slot order
+     * @param {string} matchId
+     * @param {string[]} fighterNames
+     */
+    async createFieldMatchOnChainWithResult(matchId, fighterNames) {
+        return this._createWithRetries('createFieldMatch', matchId,
+            (matchBytes, overrides) => this.contract.createFieldMatch(matchBytes, fighterNames, overrides));
+    }
+
+    async _createWithRetries(op, matchId, send) {
         if (!this.enabled) {
-            logger.debug('[Blockchain] Skipping createMatch (disabled)');
+            logger.debug(`[Blockchain] Skipping ${op} (disabled)`);
             return { ok: false, errorCode: 'DISABLED', errorMessage: 'Blockchain service is disabled (missing key or contract)' };
         }
-        if (!(await this._ensureExpectedChain('createMatch'))) {
+        if (!(await this._ensureExpectedChain(op))) {
             return { ok: false, errorCode: this.lastErrorCode, errorMessage: this.lastError };
         }
 
@@ -246,11 +264,8 @@ class BlockchainService {
         for (let attempt = 1; attempt <= TX_RETRY_COUNT; attempt += 1) {
             try {
                 const overrides = await this._buildTxOverrides(300000);
-                const tx = await withTimeout(
-                    this.contract.createMatch(matchBytes, agent1Name, agent2Name, overrides),
-                    TX_SEND_TIMEOUT, 'createMatch.send'
-                );
-                const receipt = await withTimeout(tx.wait(), TX_WAIT_TIMEOUT, 'createMatch.wait');
+                const tx = await withTimeout(send(matchBytes, overrides), TX_SEND_TIMEOUT, `${op}.send`);
+                const receipt = await withTimeout(tx.wait(), TX_WAIT_TIMEOUT, `${op}.wait`);
                 logger.info('[Blockchain] Match created on-chain', {
                     matchId,
                     txHash: receipt.hash,
@@ -267,7 +282,7 @@ class BlockchainService {
                 const retryable = this._isRetryableError(normalized.code, normalized.message);
                 const isLastAttempt = attempt >= TX_RETRY_COUNT;
 
-                logger.warn('[Blockchain] createMatch attempt failed', {
+                logger.warn(`[Blockchain] ${op} attempt failed`, {
                     matchId,
                     attempt,
                     retryable,
@@ -283,9 +298,9 @@ class BlockchainService {
                 this.lastError = normalized.message;
                 this.lastErrorCode = normalized.code;
                 this.lastErrorAt = Date.now();
-                this.lastErrorOp = 'createMatch';
+                this.lastErrorOp = op;
 
-                logger.error('[Blockchain] createMatch failed', {
+                logger.error(`[Blockchain] ${op} failed`, {
                     matchId,
                     attempt,
                     error: normalized.message,
@@ -364,7 +379,39 @@ class BlockchainService {
     }
 
     /**
-     * Cancel a match on-chain
+     * Resolve a free-for-all field market with the winning fighter's outcome
+     * @param {string} matchId
+     * @param {number} outcome - Winning fighter slot (1..N)
+     */
+    async resolveFieldMatchOnChain(matchId, outcome) {
+        if (!this.enabled) {
+            logger.warn('[Blockchain] resolveFieldMatch SKIPPED — service disabled', { matchId, outcome });
+            return null;
+        }
+        if (!(await this._ensureExpectedChain('resolveFieldMatch'))) return null;
+
+        try {
+            const matchBytes = this._toBytes32(matchId);
+            const tx = await withTimeout(
+                this.contract.resolveFieldMatch(matchBytes, outcome, { gasLimit: 200000 }),
+                TX_SEND_TIMEOUT, 'resolveFieldMatch.send'
+            );
+            const receipt = await withTimeout(tx.wait(), TX_WAIT_TIMEOUT, 'resolveFieldMatch.wait');
+            logger.info('[Blockchain] Field match resolved on-chain', { matchId, outcome, txHash: receipt.hash });
+            this.lastError = null;
+            this.lastErrorCode = null;
+            this.lastErrorAt = null;
+            this.lastErrorOp = null;
+            return receipt.hash;
+        } catch (err) {
+            const normalized = this._setLastError('resolveFieldMatch', err);
+            logger.error('[Blockchain] resolveFieldMatch failed', { matchId, error: normalized.message, code: normalized.code });
+            return null;
+        }
+    }
+
+    /**
+     * Cancel a match on-chain — bettors then reclaim their stakes via claimRefund
      */
     async cancelMatchOnChain(matchId) {
         if (!this.enabled) return null;
@@ -372,20 +419,73 @@ class BlockchainService {
 
         try {
             const matchBytes = this._toBytes32(matchId);
-            const tx = await this.contract.cancelMatch(matchBytes, { gasLimit: 100000 });
-            const receipt = await tx.wait();
+            const tx = await withTimeout(
+                this.contract.cancelMatch(matchBytes, { gasLimit: 100000 }),
+                TX_SEND_TIMEOUT, 'cancelMatch.send'
+            );
+            const receipt = await withTimeout(tx.wait(), TX_WAIT_TIMEOUT, 'cancelMatch.wait');
             logger.info('[Blockchain] Match cancelled on-chain', { matchId, txHash: receipt.hash });
             return receipt.hash;
         } catch (err) {
-            logger.error('[Blockchain] cancelMatch failed', { matchId, error: err.message });
+            const normalized = this._setLastError('cancelMatch', err);
+            logger.error('[Blockchain] cancelMatch failed', { matchId, error: normalized.message, code: normalized.code });
+            return null;
+        }
+    }
+
+    /**
+     * Market status of a match on-chain: 'open' | 'locked' | 'resolved' | 'cancelled' (null if unreadable)
+     */
+    async getMatchStatusOnChain(matchId) {
+        if (!this.enabled) return null;
+        try {
+            const info = await withTimeout(this.contract.getMatch(this._toBytes32(matchId)), TX_SEND_TIMEOUT, 'getMatch');
+            return MATCH_STATUS[Number(info.status)] || null;
+        } catch (err) {
+            const normalized = this._normalizeError(err);
+            logger.warn('[Blockchain] getMatch failed', { matchId, error: normalized.message, code: normalized.code });
+            return null;
+        }
+    }
+
+    /**
+     * Where a sent transaction stands: 'success', 'reverted', 'pending' (known but
+     * not mined), 'dropped' (the node has never heard of it) or null if the RPC failed.
+     */
+    async getTransactionStatus(txHash) {
+        if (!this.enabled || !txHash) return null;
+        try {
+            const receipt = await withTimeout(this.provider.getTransactionReceipt(txHash), TX_SEND_TIMEOUT, 'getTransactionReceipt');
+            if (receipt) return receipt.status === 1 ? 'success' : 'reverted';
+            const tx = await withTimeout(this.provider.getTransaction(txHash), TX_SEND_TIMEOUT, 'getTransaction');
+            return tx ? 'pending' : 'dropped';
+        } catch (err) {
+            const normalized = this._normalizeError(err);
+            logger.warn('[Blockchain] getTransactionStatus failed', { txHash, error: normalized.message, code: normalized.code });
+            return null;
+        }
+    }
+
+    /**
+     * Operator wallet nonce: 'pending' is the next free one, 'latest' counts mined transactions only
+     */
+    async getOperatorNonce(blockTag = 'pending') {
+        if (!this.enabled) return null;
+        try {
+            return await withTimeout(this.provider.getTransactionCount(this.wallet.address, blockTag), TX_SEND_TIMEOUT, 'getTransactionCount');
+        } catch (err) {
+            const normalized = this._normalizeError(err);
+            logger.warn('[Blockchain] getTransactionCount failed', { blockTag, error: normalized.message, code: normalized.code });
             return null;
         }
     }
 
     /**
      * Send MON reward directly to a wallet address
+     * @param {{nonce?: number, onBroadcast?: function(string): Promise}} [opts] - Pin the nonce so a resend can't
+     *   pay twice; `onBroadcast` gets the tx hash before the receipt is awaited
      */
-    async sendReward(toAddress, amountMON) {
+    async sendReward(toAddress, amountMON, { nonce = null, onBroadcast = null } = {}) {
         if (!this.enabled) {
             logger.warn('[Blockchain] sendReward SKIPPED — blockchain service is disabled', {
                 to: toAddress,
@@ -424,8 +524,10 @@ class BlockchainService {
                 to: toAddress,
                 value: ethers.parseEther(amountStr),
                 gasLimit: 21000,
+                ...(nonce !== null ? { nonce } : {}),
             });
-            const receipt = await tx.wait();
+            if (onBroadcast) await onBroadcast(tx.hash);
+            const receipt = await withTimeout(tx.wait(), TX_WAIT_TIMEOUT, 'sendReward.wait');
             logger.info('[Blockchain] Reward sent successfully', {
                 to: toAddress,
                 amount: `${amountMON} MON`,
@@ -0,0 +1,299 @@
+// ═══════════════════════════════════════════════════════════════
+// CHALLENGE SERVICE — Head-to-head challenges with escrowed wagers
+// pending → accepted | declined | expired, then completed once the
+// matchmaker has fought the bout. Wagers are locked out of each
+// agent's MON budget (budget.remaining → budget.locked): the
+// challenger's on sending, the target's on accepting. The winner
+// takes the pot less CHALLENGE_FEE_PCT, which goes to the treasury;
+// a draw, a cancelled bout, a decline or an expiry hands every wager back.
+// ═══════════════════════════════════════════════════════════════
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const logger = require('./logger');
+
+const CHALLENGE_TTL_MS = Math.min(Math.max(parseInt(process.env.CHALLENGE_TTL_MINUTES || '10', 10), 1), 1440) * 60000;
+const CHALLENGE_FEE_PCT = Math.min(Math.max(Number(process.env.CHALLENGE_FEE_PCT || '5'), 0), 50);
+const MAX_WAGER_MON = 10000;
+const OPEN_STATUSES = ['pending', 'accepted'];
+const RECENT_WINDOW_MS = 60 * 60000; // Resolved challenges stay in heartbeats for an hour
+
+class ChallengeError extends Error {
+    constructor(message, status = 400, code = 'challenge_error') {
+        super(message);
+        this.name = 'ChallengeError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function agentKey(agent) {
+    return String(agent._id || agent.id);
+}
+
+function roundMON(value) {
+    return Number(Number(value || 0).toFixed(6));
+}
+
+function parseWager(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const wager = Number(value);
+    if (!Number.isFinite(wager) || wager < 0 || wager > MAX_WAGER_MON) {
+        throw new ChallengeError(`Wager must be between 0 and ${MAX_WAGER_MON} MON`, 400, 'invalid_wager');
+    }
+    return roundMON(wager);
+}
+
+// ── Budget escrow ──
+// Both moves are a single conditional DB update, so two wagers racing for the same budget can't overdraw it
+async function lockWager(agent, amount) {
+    if (amount <= 0) return;
+    const updated = await db.adjustAgentBudget(agentKey(agent), { remaining: -amount, locked: amount });
+    if (!updated) {
+        const remaining = Number(agent.budget?.remaining || 0);
+        throw new ChallengeError(
+            `Insufficient budget for a ${amount} MON wager: ${agent.name} has ${remaining} MON.`,
+            402,
+            'insufficient_budget'
+        );
+    }
+}
+
+/** Release an agent's locked wager: `credit` back to remaining, `spent` written off */
+async function releaseWager(agentId, amount, { credit = amount, spent = 0 } = {}) {
+    if (amount <= 0 && credit <= 0) return;
+    await db.adjustAgentBudget(agentId, { remaining: credit, locked: -amount, spent });
+}
+
+function challengeToPublic(challenge) {
+    return {
+        id: challenge.id,
+        status: challenge.status,
+        challenger: { id: challenge.challengerId, name: challenge.challengerName },
+        target: { id: challenge.targetId, name: challenge.targetName },
+        wager: challenge.wager,
+        pot: roundMON(challenge.wager * 2),
+        fee_pct: CHALLENGE_FEE_PCT,
+        match_id: challenge.matchId || null,
+        created_at: challenge.createdAt,
+        expires_at: challenge.expiresAt,
+        responded_at: challenge.respondedAt || null,
+        settlement: challenge.settlement || null,
+    };
+}
+
+// ── Lifecycle ──
+
+/** Send a challenge; the challenger's wager is locked until it is answered */
+async function createChallenge(challenger, target, { wager } = {}) {
+    const amount = parseWager(wager);
+    const challengerId = agentKey(challenger);
+    const targetId = agentKey(target);
+    if (challengerId === targetId) {
+        throw new ChallengeError('Cannot challenge yourself', 400, 'self_challenge');
+    }
+    if (target.status !== 'active') {
+        throw new ChallengeError(`${target.name} is not available (status: ${target.status})`, 409, 'target_unavailable');
+    }
+
+    const open = await db.listChallenges({ agentId: challengerId, statuses: OPEN_STATUSES });
+    if (open.some(c => c.challengerId === targetId || c.targetId === targetId)) {
+        throw new ChallengeError(`You already have an open challenge with ${target.name}`, 409, 'challenge_exists');
+    }
+
+    await lockWager(challenger, amount);
+    const now = Date.now();
+    return await db.addChallenge({
+        id: `chal-${uuidv4().slice(0, 8)}`,
+        challengerId,
+        challengerName: challenger.name,
+        targetId,
+        targetName: target.name,
+        wager: amount,
+        status: 'pending',
+        matchId: null,
+        createdAt: now,
+        expiresAt: now + CHALLENGE_TTL_MS,
+        respondedAt: null,
+        settlement: null,
+        settledAt: null,
+    });
+}
+
+async function getPendingChallengeFor(challengeId, agent) {
+    const challenge = await db.getChallengeById(challengeId);
+    if (!challenge) throw new ChallengeError('Challenge not found', 404, 'challenge_not_found');
+    if (challenge.targetId !== agentKey(agent)) {
+        throw new ChallengeError('Only the challenged agent can answer this challenge', 403, 'not_challenge_target');
+    }
+    if (challenge.status === 'pending' && Date.now() > Number(challenge.expiresAt || 0)) {
+        await expireChallenge(challenge);
+        throw new ChallengeError('Challenge has expired', 410, 'challenge_expired');
+    }
+    if (challenge.status !== 'pending') {
+        throw new ChallengeError(`Challenge is already ${challenge.status}`, 409, 'challenge_closed');
+    }
+    return challenge;
+}
+
+/**
+ * Accept: the target's wager is locked and the bout is booked with the
+ * matchmaker, which opens it in the next free arena slot.
+ * @param {Object} matchmaker - AutoMatchmaker
+ */
+async function acceptChallenge(challengeId, agent, matchmaker) {
+    const challenge = await getPendingChallengeFor(challengeId, agent);
+    const challenger = await db.getAgentById(challenge.challengerId);
+    if (!challenger) {
+        await db.updateChallenge(challenge.id, { status: 'expired', respondedAt: Date.now() }, 'pending');
+        throw new ChallengeError('The challenger no longer exists', 410, 'challenger_missing');
+    }
+    for (const side of [challenger, agent]) {
+        const busyMatchId = matchmaker.matchForAgent(agentKey(side));
+        if (busyMatchId) {
+            throw new ChallengeError(`${side.name} is already in a match (${busyMatchId}); try again after it`, 409, 'agent_busy');
+        }
+    }
+
+    await lockWager(agent, challenge.wager);
+    const accepted = await db.updateChallenge(challenge.id, { status: 'accepted', respondedAt: Date.now() }, 'pending');
+    if (!accepted) {
+        // Expired or answered in the meantime
+        await releaseWager(agentKey(agent), challenge.wager);
+        throw new ChallengeError('Challenge is no longer pending', 409, 'challenge_closed');
+    }
+
+    const matchId = matchmaker.requestMatch([challenger, agent], { mode: 'ranked', origin: 'challenge' });
+    return await db.updateChallenge(challenge.id, { matchId });
+}
+
+/** Decline: the challenger gets the wager back */
+async function declineChallenge(challengeId, agent) {
+    const challenge = await getPendingChallengeFor(challengeId, agent);
+    const declined = await db.updateChallenge(challenge.id, { status: 'declined', respondedAt: Date.now() }, 'pending');
+    if (!declined) throw new ChallengeError('Challenge is no longer pending', 409, 'challenge_closed');
+    await releaseWager(challenge.challengerId, challenge.wager);
+    return declined;
+}
+
+async function expireChallenge(challenge) {
+    const expired = await db.updateChallenge(challenge.id, { status: 'expired', respondedAt: Date.now() }, 'pending');
+    if (expired) await releaseWager(challenge.challengerId, challenge.wager);
+    return expired;
+}
+
+/** Expire every pending challenge past its deadline; returns how many */
+async function expireChallenges(now = Date.now()) {
+    const pending = await db.listChallenges({ statuses: ['pending'] });
+    let count = 0;
+    for (const challenge of pending) {
+        if (now <= Number(challenge.expiresAt || 0)) continue;
+        if (await expireChallenge(challenge)) count++;
+    }
+    if (count > 0) logger.info(`[Challenges] Expired ${count} unanswered challenge${count === 1 ? '' : 's'}`);
+    return count;
+}
+
+/**
+ * Pay out a challenge bout. Registered with AutoMatchmaker.onMatchEnd.
+ * @param {{match: Object, result?: Object, winnerAgentIds: string[]}} ended
+ */
+async function settleChallengeMatch({ match, result = {}, winnerAgentIds }) {
+    if (match.origin !== 'challenge') return null;
+    const challenge = await db.getChallengeByMatchId(match.id);
+    if (!challenge || challenge.status !== 'accepted') return null;
+
+    const wager = Number(challenge.wager || 0);
+    const pot = roundMON(wager * 2);
+    const winnerId = [challenge.challengerId, challenge.targetId].find(id => winnerAgentIds.includes(id)) || null;
+    let settlement;
+    if (!winnerId) {
+        settlement = { outcome: result.cancelled ? 'cancelled' : 'draw', winnerId: null, pot, fee: 0, payout: 0 };
+    } else {
+        const fee = roundMON(pot * CHALLENGE_FEE_PCT / 100);
+        settlement = { outcome: 'won', winnerId, pot, fee, payout: roundMON(pot - fee) };
+    }
+
+    const completed = await db.updateChallenge(challenge.id, {
+        status: 'completed',
+        settlement,
+        settledAt: Date.now(),
+    }, 'accepted');
+    if (!completed) return null;
+
+    if (!winnerId) {
+        await releaseWager(challenge.challengerId, wager);
+        await releaseWager(challenge.targetId, wager);
+    } else {
+        const loserId = winnerId === challenge.challengerId ? challenge.targetId : challenge.challengerId;
+        await releaseWager(winnerId, wager, { credit: settlement.payout });
+        await releaseWager(loserId, wager, { credit: 0, spent: wager });
+        if (settlement.fee > 0 && typeof db.getPlatformEconomy === 'function' && typeof db.updatePlatformEconomy === 'function') {
+            const economy = await db.getPlatformEconomy();
+            await db.updatePlatformEconomy({ treasuryMON: roundMON(Number(economy.treasuryMON || 0) + settlement.fee) });
+        }
+    }
+
+    logger.info(`[Challenges] Settled ${challenge.id} (${match.id})`, settlement);
+    return completed;
+}
+
+function notificationText(challenge, agentId) {
+    const incoming = challenge.targetId === agentId;
+    const other = incoming ? challenge.challengerName : challenge.targetName;
+    const stake = challenge.wager > 0 ? ` for ${challenge.wager} MON` : '';
+    if (challenge.status === 'pending') {
+        return incoming
+            ? `${other} challenged you${stake}. Accept or decline before ${new Date(challenge.expiresAt).toISOString()}`
+            : `Waiting for ${other} to answer your challenge${stake}`;
+    }
+    if (challenge.status === 'accepted') {
+        return `Challenge vs ${other}${stake} accepted. Match ${challenge.matchId} opens in the next free arena`;
+    }
+    if (challenge.status === 'declined') {
+        return incoming ? `You declined ${other}'s challenge` : `${other} declined your challenge${stake ? '; your wager was returned' : ''}`;
+    }
+    if (challenge.status === 'expired') {
+        return incoming ? `${other}'s challenge expired unanswered` : `Your challenge to ${other} expired${stake ? '; your wager was returned' : ''}`;
+    }
+    const s = challenge.settlement || {};
+    if (s.outcome === 'draw') return `Challenge vs ${other} ended in a draw${stake ? '; wagers returned' : ''}`;
+    if (s.outcome === 'cancelled') return `Challenge vs ${other} was cancelled before it was fought${stake ? '; wagers returned' : ''}`;
+    return s.winnerId === agentId
+        ? `You beat ${other} in your challenge${s.payout ? ` and won ${s.payout} MON` : ''}`
+        : `You lost your challenge to ${other}${stake}`;
+}
+
+/** Heartbeat notifications: open challenges plus the ones resolved in the last hour */
+async function challengeNotifications(agent, now = Date.now()) {
+    const agentId = agentKey(agent);
+    const challenges = await db.listChallenges({ agentId });
+    return challenges
+        .filter(c => OPEN_STATUSES.includes(c.status)
+            || now - Number(c.settledAt || c.respondedAt || c.createdAt || 0) < RECENT_WINDOW_MS)
+        .map(c => ({
+            type: 'challenge',
+            message: notificationText(c, agentId),
+            time: c.settledAt || c.respondedAt || c.createdAt,
+            icon: '🎯',
+            challenge: challengeToPublic(c),
+        }));
+}
+
+async function listChallengesForAgent(agent) {
+    return (await db.listChallenges({ agentId: agentKey(agent) })).slice(0, 50).map(challengeToPublic);
+}
+
+module.exports = {
+    ChallengeError,
+    CHALLENGE_TTL_MS,
+    CHALLENGE_FEE_PCT,
+    challengeToPublic,
+    createChallenge,
+    acceptChallenge,
+    declineChallenge,
+    expireChallenges,
+    settleChallengeMatch,
+    challengeNotifications,
+    listChallengesForAgent,
+};
@@ -0,0 +1,157 @@
+// ═══════════════════════════════════════════════════════════════
+// FIGHT RECORDER — Compact per-match recording of ticks + events
+// FightSimulator feeds every emitted tick and fight event in here.
+// Ticks are stored as positional arrays (keys listed once in
+// `format`, booleans as 0/1), so a full 3-round fight stays small.
+// expandRecording() rebuilds the exact tick objects that were
+// streamed, which lets anyone re-hash them against the tickHash
+// published in the fight's fairness block.
+// Version 2 records every fighter of team and free-for-all matches;
+// version 1 recordings (duels, fighters '1' and '2') expand the same way.
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const crypto = require('crypto');
+
+const RECORDING_VERSION = 2;
+
+class FightRecorder {
+    /**
+     * @param {Object} opts
+     * @param {string} opts.matchId
+     * @param {Object} [opts.agent1] - Formatted agent data (from matchmaker)
+     * @param {Object} [opts.agent2] - Formatted agent data (from matchmaker)
+     * @param {Array<Object>} [opts.fighters] - Every fighter in slot order (replaces agent1/agent2)
+     * @param {string} [opts.matchType='duel'] - Match type id (data/match-types.js)
+     * @param {string} [opts.arena='classic'] - Arena id (data/arenas.js)
+     * @param {number} opts.tickMs - Simulator tick length
+     */
+    constructor({ matchId, agent1, agent2, fighters, matchType, arena, tickMs }) {
+        this.matchId = matchId;
+        this.tickMs = tickMs;
+        this.matchType = matchType || 'duel';
+        this.arena = arena || 'classic';
+        this.fighters = {};
+        (fighters || [agent1, agent2]).forEach((agent, i) => {
+            this.fighters[String(i + 1)] = {
+                name: agent?.name || `Fighter ${i + 1}`,
+                fighterClass: agent?.fighterClass || null,
+            };
+        });
+        this.format = null;
+        this.ticks = [];
+        this.events = [];
+        this.startedAt = Date.now();
+    }
+
+    // Key order comes from the first tick so expansion is byte-identical
+    _initFormat(tick) {
+        const fighter = tick.fighters['1'];
+        this.format = {
+            tick: Object.keys(tick),
+            fighter: Object.keys(fighter),
+            booleans: [
+                ...Object.keys(tick).filter(k => typeof tick[k] === 'boolean'),
+                ...Object.keys(fighter).filter(k => typeof fighter[k] === 'boolean').map(k => `fighter.${k}`),
+            ],
+        };
+    }
+
+    _encodeFighter(f) {
+        return this.format.fighter.map(k => (
+            this.format.booleans.includes(`fighter.${k}`) ? (f[k] ? 1 : 0) : f[k]
+        ));
+    }
+
+    recordTick(tick, tickCount) {
+        if (!this.format) this._initFormat(tick);
+        const row = [tickCount];
+        for (const key of this.format.tick) {
+            if (key === 'matchId') continue;
+            if (key === 'fighters') {
+                for (const id of Object.keys(this.fighters)) row.push(this._encodeFighter(tick.fighters[id]));
+            } else {
+                row.push(this.format.booleans.includes(key) ? (tick[key] ? 1 : 0) : tick[key]);
+            }
+        }
+        this.ticks.push(row);
+    }
+
+    recordEvent(event, tickCount) {
+        this.events.push([tickCount, event.type, event.icon, event.text, event.color]);
+    }
+
+    /** Plain object for persistence */
+    toJSON({ result = null, fairness = null } = {}) {
+        return {
+            version: RECORDING_VERSION,
+            matchId: this.matchId,
+            tickMs: this.tickMs,
+            matchType: this.matchType,
+            arena: this.arena,
+            fighters: this.fighters,
+            format: this.format,
+            ticks: this.ticks,
+            events: this.events,
+            result: result ? {
+                winnerId: result.winnerId,
+                winnerFighterIds: result.winnerFighterIds || [],
+                method: result.method,
+                duration: result.duration,
+                round: result.round,
+            } : null,
+            fairness,
+            startedAt: this.startedAt,
+            recordedAt: Date.now(),
+        };
+    }
+}
+
+/** Rebuild full tick objects and event objects from a recording */
+function expandRecording(recording) {
+    const { format } = recording;
+    const fighterIds = Object.keys(recording.fighters || { '1': null, '2': null });
+    const isBool = (key) => format.booleans.includes(key);
+
+    const decodeFighter = (values) => {
+        const f = {};
+        format.fighter.forEach((k, i) => {
+            f[k] = isBool(`fighter.${k}`) ? values[i] === 1 : values[i];
+        });
+        return f;
+    };
+
+    const ticks = recording.ticks.map((row) => {
+        const tick = {};
+        let i = 1;
+        for (const key of format.tick) {
+            if (key === 'matchId') {
+                tick.matchId = recording.matchId;
+            } else if (key === 'fighters') {
+                tick.fighters = {};
+                for (const id of fighterIds) tick.fighters[id] = decodeFighter(row[i++]);
+            } else {
+                tick[key] = isBool(key) ? row[i] === 1 : row[i];
+                i++;
+            }
+        }
+        return { tick: row[0], state: tick };
+    });
+
+    const events = recording.events.map(([tick, type, icon, text, color]) => ({ tick, type, icon, text, color }));
+
+    const { ticks: _compact, events: _compactEvents, format: _format, ...header } = recording;
+    return { ...header, ticks, events };
+}
+
+/** Does the recording hash to the tickHash the fight published? */
+function verifyRecording(recording) {
+    const expected = recording.fairness?.tickHash;
+    if (!expected || !recording.format) return null;
+    const hash = crypto.createHash('sha256');
+    for (const { state } of expandRecording(recording).ticks) hash.update(JSON.stringify(state));
+    return hash.digest('hex') === expected;
+}
+
+module.exports = { FightRecorder, expandRecording, verifyRecording, RECORDING_VERSION };
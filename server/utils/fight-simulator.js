@@ -7,56 +7,137 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const logger = require('./logger');
-
-// ── Timing constants ──
-const TICK_MS = 500;              // Server ticks every 500ms
-const ROUND_DURATION_S = 60;      // 60 seconds per round
-const MAX_ROUNDS = 3;             // 3 rounds per fight
-const ROUND_PAUSE_MS = 3000;      // 3s pause between rounds
-const HP_RECOVERY_PCT = 0.20;     // 20% HP recovery between rounds
-const BASE_HP = 550;              // Base fighter HP
-const COMBO_WINDOW_TICKS = 6;     // 3 seconds = 6 ticks
+const { createRng, createSeed, hashSeed, RNG_ALGORITHM } = require('./provably-fair');
+const { getFighterClass } = require('../data/fighter-classes');
+const { resolveRuleSet } = require('../data/rule-sets');
+const { resolveArena } = require('../data/arenas');
+const { STAMINA, getAction, affordableAction, availableActions } = require('../data/combat-rules');
+const { getMatchType, buildSides } = require('../data/match-types');
+const { ON_HIT_EFFECTS, ROUND_START_EFFECTS, CLEANSE_DEBUFF_STACKS, getStatusEffect } = require('../data/status-effects');
+const effects = require('./status-effects');
+const { compileStrategyScript, buildFacts, evaluateStrategyScript } = require('./strategy-script');
+const { JUDGES, ROUND_STATS } = require('../data/judges');
+const { VERDICT_METHODS, scoreRound, cardTotals, judgeDecision, cardLine } = require('./scorecards');
+const { LOBBY_ROOM, matchRoom } = require('./socket-rooms');
+
+// Rounds, timers, HP and healing come from the match's rule set (data/rule-sets.js)
+const CHAIN_PROC_CHANCE = 30;     // % chance a landed hit chains
+
+// How a fight that ends even on the judges' cards is settled
+const TIEBREAK_POLICIES = ['score', 'hits', 'sudden_death'];
+const DEFAULT_TIEBREAK = 'score';
+
+// Fighter counters behind each stat the judges score (data/judges.js ROUND_STATS)
+const ROUND_STAT_FIELDS = { damage: 'score', hits: 'hitsLanded', dodges: 'dodges', aggression: 'aggression' };
+
+// Crash-safe snapshots of a live fight (see snapshot() / fromSnapshot())
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_EVERY_TICKS = 10;
+
+// Lobby summaries go out every N ticks (and on the final tick), not every tick
+const LOBBY_SUMMARY_EVERY_TICKS = 4;
 
 class FightSimulator {
     /**
      * @param {Object} opts
-     * @param {Object} opts.agent1 - Formatted agent data (from matchmaker)
-     * @param {Object} opts.agent2 - Formatted agent data (from matchmaker)
-     * @param {import('socket.io').Server} opts.io - Socket.IO server
+     * @param {Object} [opts.agent1] - Formatted agent data (from matchmaker)
+     * @param {Object} [opts.agent2] - Formatted agent data (from matchmaker)
+     * @param {Array<Object>} [opts.fighters] - Every fighter in slot order (team and free-for-all matches; replaces agent1/agent2)
+     * @param {string} [opts.matchType='duel'] - 'duel' | 'team' | 'ffa' (data/match-types.js)
+     * @param {import('socket.io').Server} opts.io - Socket.IO server (ticks go to the match's room, summaries to the lobby)
      * @param {string} opts.matchId - Current match ID
      * @param {Function} opts.onEnd - Callback when fight ends: onEnd(result)
+     * @param {string} [opts.seed] - Committed PRNG seed (random if omitted)
+     * @param {Function} [opts.onTick] - Receives every emitted tick (headless replays)
+     * @param {Object} [opts.controller] - Live agent decisions (from AgentControlHub.open)
+     * @param {Array} [opts.decisions] - Recorded decision log to replay instead of a controller
+     * @param {boolean} [opts.silent] - Skip info logs (batch simulations)
+     * @param {import('./fight-recorder').FightRecorder} [opts.recorder] - Persists ticks + events
+     * @param {string} [opts.tiebreak='score'] - Policy when the cards are even: 'score' | 'hits' | 'sudden_death'
+     * @param {string|Object} [opts.ruleSet='standard'] - Rule set id or object (data/rule-sets.js)
+     * @param {string|Object} [opts.arena='classic'] - Arena id or object (data/arenas.js)
+     * @param {Function} [opts.onSnapshot] - Receives a snapshot() of the live fight every `snapshotEvery` ticks
+     * @param {number} [opts.snapshotEvery=10] - Ticks between snapshots
      */
-    constructor({ agent1, agent2, io, matchId, onEnd }) {
-        this.io = io;
+    constructor({ agent1, agent2, fighters, matchType, io, matchId, onEnd, seed, onTick, controller, decisions, silent, recorder, tiebreak, ruleSet, arena, onSnapshot, snapshotEvery }) {
+        this.io = io || null;
+        this.rules = resolveRuleSet(ruleSet);
+        this.arena = resolveArena(arena);
+        this._ring = this.arena.hazards.find(h => h.type === 'ring') || null;
+        this._ringClosing = false;
+        this.tiebreak = TIEBREAK_POLICIES.includes(tiebreak) ? tiebreak : DEFAULT_TIEBREAK;
+        this.silent = !!silent;
+        this.recorder = recorder || null;
         this.matchId = matchId;
         this.onEnd = onEnd;
-        this.agent1Data = agent1;
-        this.agent2Data = agent2;
-
-        this.fighters = {
-            '1': this._initFighter('1', agent1),
-            '2': this._initFighter('2', agent2),
-        };
+        this.onTick = onTick || null;
+        this.onSnapshot = onSnapshot || null;
+        this.snapshotEvery = Math.max(1, Math.floor(snapshotEvery || SNAPSHOT_EVERY_TICKS));
+        this.controller = controller || null;
+        this.roster = fighters || [agent1, agent2];
+        this.matchType = getMatchType(matchType).id;
+
+        // Every roll goes through this.rng so a revealed seed replays the fight
+        this.seed = seed || createSeed();
+        this.seedHash = hashSeed(this.seed);
+        this.rng = createRng(this.seed);
+        this._tickHash = crypto.createHash('sha256');
+
+        // Agent decisions are inputs to the fight, so they are logged for replay
+        this.decisionLog = [];
+        this._recordedDecisions = decisions
+            ? new Map(decisions.map(d => [`${d.tick}:${d.fighter}`, { action: d.action, target: d.target || null }]))
+            : null;
+
+        // Fighters are slots '1'..'N'; sides group them (one per fighter outside team mode)
+        this.fighters = {};
+        this.roster.forEach((agent, i) => {
+            this.fighters[String(i + 1)] = this._initFighter(String(i + 1), agent);
+        });
+        this.fighterIds = Object.keys(this.fighters);
+        this.sides = buildSides(this.matchType, this.roster);
+        for (const side of this.sides) {
+            for (const id of side.fighterIds) this.fighters[id].side = side.id;
+        }
+        // Two fighters, two sides: the original duel rules (and tick shape) apply
+        this.isDuel = this.sides.length === 2 && this.fighterIds.length === 2;
+        this.hasTeams = this.sides.length < this.fighterIds.length;
 
         this.round = 1;
         this.roundElapsedMs = 0;
         this.totalElapsedMs = 0;
         this.state = 'fighting'; // 'fighting' | 'round_pause' | 'finished'
         this.pauseEndMs = 0;
+        this.suddenDeath = false;
+        this._suddenDeathScores = null;
+        this._suddenDeathSides = null;
         this.winner = null;
         this.method = null;
         this.tickInterval = null;
         this.tickCount = 0;
         this._lastTick = null;
         this._ended = false;
+        this.result = null;
+
+        // Judges' cards, one entry per completed round
+        this.scorecards = [];
+        this._decision = null;
+        this._roundStartStats = this._snapshotRoundStats();
+
+        this._applyRoundStartEffects();
     }
 
     // ── Initialize a fighter from agent data ──
     _initFighter(id, agent) {
         const eb = agent.equipmentBonus || {};
-        const maxHp = BASE_HP + (eb.maxHP || 0);
+        const cls = getFighterClass(agent.fighterClass);
+        const cs = cls.stats;
+        const maxHp = this.rules.baseHp + cs.maxHP + (eb.maxHP || 0);
         const pr = agent.powerRating || 50;
+        const speed = eb.speed || 0;
+        const baseCooldownTicks = Math.max(2, Math.round((1500 - (eb.attackSpeed || 0) * 40 - speed * 10) / this.rules.tickMs));
 
         return {
             id,
@@ -64,6 +145,7 @@ class FightSimulator {
             hp: maxHp,
             maxHp,
             score: 0,
+            aggression: 0,          // Attacks, specials, taunts and advances (judges' scoring)
             hitsLanded: 0,
             critHits: 0,
             dodges: 0,
@@ -73,49 +155,190 @@ class FightSimulator {
             specialMeter: 0,
             specialReady: false,
 
+            // Stamina and the lingering effects of the last action (data/combat-rules.js)
+            stamina: STAMINA.max,
+            winded: false,
+            evade: 0,               // Dodge bonus from the last move
+            pressure: 0,            // Damage bonus for the next attack
+            dodgeUntilTick: -1,     // A dodge action slips the first attack until this tick
+
             // Cooldown in ticks
-            attackCooldownTicks: Math.max(2, Math.round((1500 - (eb.attackSpeed || 0) * 40) / TICK_MS)),
+            attackCooldownTicks: Math.max(1, baseCooldownTicks + cs.cooldownTicks),
             lastAttackTick: -100,
 
-            // Combat stats from equipment
+            // Combat stats from class + equipment
+            fighterClass: cls.id,
+            passive: cls.passive.id,
+            special: cls.special.id,
+            damageMult: cs.damageMult,
             bonusDamage: eb.damage || 0,
-            defense: eb.defense || 0,
-            critChance: 7 + (eb.critChance || 0),
+            defense: cs.defense + (eb.defense || 0),
+            critChance: 7 + cs.critChance + (eb.critChance || 0),
             critDamage: 155 + (eb.critDamage || 0),
             lifesteal: eb.lifesteal || 0,
-            dodgeChance: 5 + (eb.dodgeChance || 0),
-            burnDamage: eb.burnDamage || 0,
-            armorPen: eb.armorPen || 0,
+            dodgeChance: Math.max(0, 5 + cs.dodgeChance + (eb.dodgeChance || 0) + (this.arena.modifiers.dodgeChance || 0)),
+            armorPen: cs.armorPen + (eb.armorPen || 0),
             lowHPBonus: eb.lowHPBonus || 0,
             thornDamage: eb.thornDamage || 0,
             reflect: eb.reflect || 0,
-            slowEffect: eb.slowEffect || 0,
+            speed,
+            chainDamage: eb.chainDamage || 0,
+            revivePct: eb.revive || 0,
+            revived: false,
+            side: id,
+            eliminated: false,
+            placement: null,
+            kills: 0,
+            targetId: null,
+            lastHitBy: null,
+            cleanseCharges: eb.cleanse || 0,
+
+            // Status effects granted by equipment stats (data/status-effects.js)
+            onHitEffects: this._effectsFromStats(eb, ON_HIT_EFFECTS),
+            roundStartEffects: this._effectsFromStats(eb, ROUND_START_EFFECTS),
+            agentActions: 0,
 
             // Derived
             powerRating: pr,
             baseDamage: 12 + pr * 0.15,
             strategy: agent.strategy || 'balanced',
+            strategyScript: compileStrategyScript(agent.strategyScript),
+            scriptedActions: 0,
 
             // Per-tick status flags (visual + logic)
+            action: null,
             isAttacking: false,
             isDefending: false,
             isDodging: false,
-            isBurning: false,
-            burnEndTick: 0,
-            isStunned: false,
-            stunEndTick: 0,
-            isSlowed: false,
-            slowEndTick: 0,
+
+            // Active status effects + post-effect immunity windows
+            ...effects.createEffectState(),
         };
     }
 
+    /** [{ id, potency }] for every effect-granting stat the loadout has */
+    _effectsFromStats(eb, mapping) {
+        return Object.entries(mapping)
+            .filter(([stat]) => eb[stat] > 0)
+            .map(([stat, id]) => ({ id, potency: eb[stat] }));
+    }
+
     // ── Public API ──
 
     start() {
-        logger.info(`[FightSim] Starting: ${this.agent1Data.name} vs ${this.agent2Data.name} (${this.matchId})`);
+        logger.info(`[FightSim] Starting: ${this.roster.map(a => a.name).join(' vs ')} (${this.matchId})`);
+        this._emitFightEvent('round_start', '🔔', `Round 1 — FIGHT!`, '#836EF9');
+        this.tickInterval = setInterval(() => this._liveTick(), this.rules.tickMs);
+        this._emitState();
+    }
+
+    /** Pick a fight rebuilt by fromSnapshot() back up where it stopped */
+    resume() {
+        logger.info(`[FightSim] Resuming: ${this.roster.map(a => a.name).join(' vs ')} (${this.matchId}) at tick ${this.tickCount}`);
+        this._emitFightEvent('resume', '⏯️', `Fight resumed — Round ${this.round}`, '#836EF9');
+        this.tickInterval = setInterval(() => this._liveTick(), this.rules.tickMs);
+        if (this._lastTick) this._broadcast('match:fight_tick', this._lastTick);
+        if (this.controller && this.state === 'fighting') this._requestDecisions();
+    }
+
+    /** Run the whole fight synchronously (no timers). Returns the result. */
+    runToCompletion() {
         this._emitFightEvent('round_start', '🔔', `Round 1 — FIGHT!`, '#836EF9');
-        this.tickInterval = setInterval(() => this._tick(), TICK_MS);
         this._emitState();
+        while (this.state !== 'finished') this._tick();
+        return this.result;
+    }
+
+    /**
+     * Re-run a finished fight from its revealed seed and decision log.
+     * Same agents + seed + decisions + tiebreak + rule set + match type
+     * + arena yield the same winner, method, tick stream and tickHash.
+     */
+    static replay({ agent1, agent2, fighters, matchType, seed, matchId, decisions, strategyScripts, tiebreak, ruleSet, arena }) {
+        const ticks = [];
+        const scripts = strategyScripts || {};
+        const roster = (fighters || [agent1, agent2]).map((agent, i) => {
+            const script = scripts[String(i + 1)];
+            return script ? { ...agent, strategyScript: script } : agent;
+        });
+        const sim = new FightSimulator({
+            fighters: roster,
+            matchType,
+            io: null,
+            matchId,
+            seed,
+            decisions: decisions || [],
+            tiebreak,
+            ruleSet,
+            arena,
+            onTick: (tick) => ticks.push(tick),
+        });
+        const result = sim.runToCompletion();
+        return { ...result, ticks };
+    }
+
+    /**
+     * Everything needed to pick this fight back up after a crash: the
+     * replay inputs (roster with strategy scripts, seed, rules and the
+     * decisions so far) and the full state at this tick to check against.
+     * Carries the unrevealed seed, so it must never be served.
+     */
+    snapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            matchId: this.matchId,
+            tick: this.tickCount,
+            config: {
+                fighters: this.roster,
+                matchType: this.matchType,
+                seed: this.seed,
+                tiebreak: this.tiebreak,
+                ruleSet: this.rules,
+                arena: this.arena,
+            },
+            decisions: this.decisionLog.slice(),
+            state: this._captureState(),
+            savedAt: Date.now(),
+        };
+    }
+
+    /**
+     * Rebuild a live fight from a snapshot(). The tick hash and recording
+     * can't be serialized, so the fight is fast-forwarded from its seed and
+     * decision log to the snapshot's tick, then checked against the saved
+     * state. Throws when they differ. Call resume() on the result.
+     * @param {Object} snapshot - From snapshot()
+     * @param {Object} opts - Live wiring: io, controller, recorder, onEnd, onTick, onSnapshot, snapshotEvery, silent
+     */
+    static fromSnapshot(snapshot, { io, controller, recorder, onEnd, onTick, onSnapshot, snapshotEvery, silent } = {}) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.config) {
+            throw new Error('Unsupported fight snapshot');
+        }
+        const sim = new FightSimulator({
+            ...snapshot.config,
+            matchId: snapshot.matchId,
+            decisions: snapshot.decisions || [],
+            recorder,
+            snapshotEvery,
+            silent: true,
+        });
+        sim._emitFightEvent('round_start', '🔔', `Round 1 — FIGHT!`, '#836EF9');
+        sim._emitState();
+        while (sim.state !== 'finished' && sim.tickCount < snapshot.tick) sim._tick();
+
+        if (sim.state === 'finished' || JSON.stringify(sim._captureState()) !== JSON.stringify(snapshot.state)) {
+            throw new Error(`Fight snapshot for ${snapshot.matchId} does not replay to tick ${snapshot.tick}`);
+        }
+
+        // From here on decisions come from the live agents again
+        sim._recordedDecisions = null;
+        sim.io = io || null;
+        sim.controller = controller || null;
+        sim.onEnd = onEnd;
+        sim.onTick = onTick || null;
+        sim.onSnapshot = onSnapshot || null;
+        sim.silent = !!silent;
+        return sim;
     }
 
     stop() {
@@ -129,18 +352,85 @@ class FightSimulator {
         return this._lastTick;
     }
 
+    /** What the lobby shows for this fight: who's in it, HP and the clock */
+    summary() {
+        const tick = this._lastTick;
+        const fighters = {};
+        for (const id of this.fighterIds) {
+            const f = this.fighters[id];
+            fighters[id] = { name: f.name, fighterClass: f.fighterClass, side: f.side, hp: f.hp, maxHp: f.maxHp, eliminated: f.eliminated };
+        }
+        return {
+            matchId: this.matchId,
+            matchType: this.matchType,
+            arena: this.arena.id,
+            ruleSet: this.rules.id,
+            sides: this.sides.map(side => ({ id: side.id, name: side.name, fighterIds: side.fighterIds })),
+            fighters,
+            round: this.round,
+            maxRounds: this.rules.maxRounds,
+            roundTimer: tick ? tick.roundTimer : this._roundDurationS(),
+            suddenDeath: this.suddenDeath,
+            finished: this.state === 'finished',
+            winner: this.winner,
+            method: this.method,
+        };
+    }
+
     /** Force-stop and return current state as result */
     forceEnd() {
         this.stop();
         if (this._ended) return;
-        const f1 = this.fighters['1'];
-        const f2 = this.fighters['2'];
-        const winnerId = f1.hp >= f2.hp ? '1' : '2';
-        this._finish(winnerId, 'Decision');
+        // Technical decision: the round that was cut short goes on the cards too
+        if (this.state === 'fighting' && !this.suddenDeath && this.roundElapsedMs > 0) this._scoreRound();
+        const decision = this._judgeDecision();
+        if (decision.winner) {
+            this._finish(decision.winner, VERDICT_METHODS[decision.verdict]);
+            return;
+        }
+        // No time left for sudden death — fall back to the score card
+        const policy = this.tiebreak === 'hits' ? 'hits' : 'score';
+        this._finish(this._tiebreakWinner(policy, decision.contenders), 'Decision', policy);
     }
 
     // ── Tick loop ──
 
+    // Timer-driven ticks snapshot the fight between ticks, never mid-tick
+    _liveTick() {
+        this._tick();
+        if (!this.onSnapshot || this.state === 'finished' || this.tickCount % this.snapshotEvery !== 0) return;
+        try {
+            this.onSnapshot(this.snapshot());
+        } catch (err) {
+            logger.warn('[FightSim] Failed to snapshot fight', { error: err.message });
+        }
+    }
+
+    /** Full fight state at the end of the current tick (JSON-safe copy) */
+    _captureState() {
+        const fighters = {};
+        for (const id of this.fighterIds) {
+            const { strategyScript: _script, ...fighter } = this.fighters[id];
+            fighters[id] = fighter;
+        }
+        return JSON.parse(JSON.stringify({
+            tickCount: this.tickCount,
+            round: this.round,
+            roundElapsedMs: this.roundElapsedMs,
+            totalElapsedMs: this.totalElapsedMs,
+            state: this.state,
+            pauseEndMs: this.pauseEndMs,
+            suddenDeath: this.suddenDeath,
+            suddenDeathScores: this._suddenDeathScores,
+            suddenDeathSides: this._suddenDeathSides,
+            ringClosing: this._ringClosing,
+            rng: this.rng.state(),
+            fighters,
+            scorecards: this.scorecards,
+            roundStartStats: this._roundStartStats,
+        }));
+    }
+
     _tick() {
         if (this.state === 'finished') {
             this.stop();
@@ -148,56 +438,94 @@ class FightSimulator {
         }
 
         this.tickCount++;
-        this.totalElapsedMs += TICK_MS;
+        this.totalElapsedMs += this.rules.tickMs;
 
         // ── Round pause state ──
         if (this.state === 'round_pause') {
             if (this.totalElapsedMs >= this.pauseEndMs) {
                 this.state = 'fighting';
                 this.roundElapsedMs = 0;
-                this._emitFightEvent('round_start', '🔔', `Round ${this.round} — FIGHT!`, '#836EF9');
+                this._applyRoundStartEffects();
+                if (this.suddenDeath) {
+                    this._emitFightEvent('round_start', '☠️', 'SUDDEN DEATH — first to take the lead wins!', '#FF2D78');
+                } else {
+                    this._emitFightEvent('round_start', '🔔', `Round ${this.round} — FIGHT!`, '#836EF9');
+                }
             }
             this._emitState();
             return;
         }
 
         // ── Fighting state ──
-        this.roundElapsedMs += TICK_MS;
+        this.roundElapsedMs += this.rules.tickMs;
 
         // Reset per-tick visual flags
-        const f1 = this.fighters['1'];
-        const f2 = this.fighters['2'];
-        f1.isAttacking = false;
-        f1.isDefending = false;
-        f1.isDodging = false;
-        f2.isAttacking = false;
-        f2.isDefending = false;
-        f2.isDodging = false;
-
-        // Update status effects
-        this._updateEffects(f1);
-        this._updateEffects(f2);
-
-        // Process actions
-        if (!f1.isStunned) this._processAction('1', '2');
-        if (!f2.isStunned) this._processAction('2', '1');
-
-        // Burn DOT
-        this._processBurn('1');
-        this._processBurn('2');
-
-        // Check KO
-        if (f1.hp <= 0 || f2.hp <= 0) {
-            const koWinner = f1.hp > 0 ? '1' : (f2.hp > 0 ? '2' : (f1.score >= f2.score ? '1' : '2'));
-            this._finish(koWinner, 'KO');
-            return;
+        for (const id of this.fighterIds) {
+            const f = this.fighters[id];
+            f.action = null;
+            f.isAttacking = false;
+            f.isDefending = false;
+            f.isDodging = false;
+        }
+        const active = this._activeIds();
+
+        // Stamina and status effects
+        for (const id of active) this._recoverStamina(this.fighters[id], STAMINA.regen);
+        for (const id of active) this._updateEffects(this.fighters[id]);
+
+        // Process actions — initiative decides who swings first
+        for (const id of this._rollInitiative(active)) {
+            const f = this.fighters[id];
+            if (f.hp <= 0 || effects.isIncapacitated(f, this.tickCount)) continue;
+            this._processAction(id);
+        }
+
+        // Arena hazards (lava, ice, closing ring)
+        this._applyHazards(active);
+
+        // Damage and healing over time
+        for (const id of active) this._processEffects(this.fighters[id]);
+
+        // Revive (once per fight)
+        for (const id of active) this._checkRevive(this.fighters[id]);
+
+        // Check KO — the fight ends when one side (or none) is left standing
+        const down = active.filter(id => this.fighters[id].hp <= 0);
+        if (down.length > 0) {
+            const standing = this._standingSides();
+            if (standing.length === 1) {
+                this._finish(standing[0], 'KO');
+                return;
+            }
+            if (standing.length === 0) {
+                // Double KO — settled on the card, never by slot order
+                const policy = this.tiebreak === 'hits' ? 'hits' : 'score';
+                this._finish(this._tiebreakWinner(policy, this._sidesOf(active)), 'KO', policy);
+                return;
+            }
+            const placement = active.length - down.length + 1;
+            for (const id of down) this._eliminate(this.fighters[id], placement);
+        }
+
+        // Sudden death: the first side to out-score the others since it began
+        if (this.suddenDeath) {
+            const leader = this._leadingSide(this._suddenDeathSides,
+                side => this._sideTotal(side, 'score') - this._suddenDeathScores[side]);
+            if (leader) {
+                this._finish(leader, 'Sudden Death', 'sudden_death');
+                return;
+            }
         }
 
         // Check round end
-        if (this.roundElapsedMs >= ROUND_DURATION_S * 1000) {
-            if (this.round >= MAX_ROUNDS) {
-                const w = f1.hp > f2.hp ? '1' : (f2.hp > f1.hp ? '2' : (f1.score >= f2.score ? '1' : '2'));
-                this._finish(w, 'Decision');
+        if (this.roundElapsedMs >= this._roundDurationS() * 1000) {
+            if (this.suddenDeath) {
+                this._finish(null, 'Decision', 'sudden_death');
+                return;
+            }
+            this._scoreRound();
+            if (this.round >= this.rules.maxRounds) {
+                this._decide();
                 return;
             }
             this._endRound();
@@ -206,34 +534,307 @@ class FightSimulator {
         this._emitState();
     }
 
-    // ── Status effect expiry ──
+    // ── Decision after the final round ──
+    _decide() {
+        const decision = this._judgeDecision();
+        if (decision.winner) {
+            this._finish(decision.winner, VERDICT_METHODS[decision.verdict]);
+            return;
+        }
+        // Even on the cards: the sides a judge had on top go to the tiebreak
+        if (this.tiebreak === 'sudden_death') {
+            this._startSuddenDeath(decision.contenders);
+            return;
+        }
+        this._finish(this._tiebreakWinner(this.tiebreak, decision.contenders), 'Decision', this.tiebreak);
+    }
+
+    // ── Judges' scorecards: every completed round, 10-point-must (utils/scorecards.js) ──
+
+    /** Running totals of the judged stats for every side still standing */
+    _snapshotRoundStats() {
+        const snapshot = {};
+        for (const side of this._standingSides()) {
+            snapshot[side] = {};
+            for (const key of ROUND_STATS) snapshot[side][key] = this._sideTotal(side, ROUND_STAT_FIELDS[key]);
+        }
+        return snapshot;
+    }
+
+    // Score the round just fought for every side that started it
+    _scoreRound() {
+        const now = this._snapshotRoundStats();
+        const stats = {};
+        for (const [side, start] of Object.entries(this._roundStartStats)) {
+            stats[side] = {};
+            for (const key of ROUND_STATS) {
+                stats[side][key] = (now[side] ? now[side][key] : this._sideTotal(side, ROUND_STAT_FIELDS[key])) - start[key];
+            }
+        }
+        const sideIds = Object.keys(stats);
+        const cards = scoreRound(stats);
+        this.scorecards.push({ round: this.round, cards });
+        this._roundStartStats = now;
+
+        const names = Object.fromEntries(JUDGES.map(j => [j.id, j.name]));
+        this._emitFightEvent('scorecard', '📋',
+            `Round ${this.round} cards: ${cards.map(c => `${names[c.judge]} ${cardLine(c.scores, sideIds)}`).join(' · ')}`, '#836EF9');
+        if (!this.io) return;
+        this._broadcast('match:scorecard', {
+            matchId: this.matchId,
+            round: this.round,
+            cards,
+            totals: cardTotals(this.scorecards, this.sides.map(side => side.id)),
+        });
+    }
+
+    _judgeDecision() {
+        this._decision = judgeDecision(this.scorecards, this._standingSides());
+        return this._decision;
+    }
+
+    /** Cards for the result and match history */
+    _exportScorecards() {
+        const sideIds = this.sides.map(side => side.id);
+        return {
+            judges: JUDGES.map(({ id, name, style }) => ({ id, name, style })),
+            rounds: this.scorecards,
+            totals: cardTotals(this.scorecards, sideIds),
+            // What the cards said when the fight went the distance ('draw' if a tiebreak settled it)
+            verdict: this._decision ? this._decision.verdict : null,
+            votes: this._decision ? this._decision.votes : null,
+        };
+    }
+
+    /** Side id leading on the given score-card stat, or null when that is level too */
+    _tiebreakWinner(policy, sideIds = this.sides.map(s => s.id)) {
+        const key = policy === 'hits' ? 'hitsLanded' : 'score';
+        return this._leadingSide(sideIds, side => this._sideTotal(side, key));
+    }
+
+    // ── Sides: fighters grouped by team (one fighter per side outside team mode) ──
+
+    /** Fighter ids not yet eliminated */
+    _activeIds() {
+        return this.fighterIds.filter(id => !this.fighters[id].eliminated);
+    }
+
+    /** Side ids with at least one fighter still on their feet */
+    _standingSides() {
+        return this.sides
+            .filter(side => side.fighterIds.some(id => !this.fighters[id].eliminated && this.fighters[id].hp > 0))
+            .map(side => side.id);
+    }
+
+    /** Side ids of the given fighters, in side order */
+    _sidesOf(fighterIds) {
+        return this.sides
+            .filter(side => side.fighterIds.some(id => fighterIds.includes(id)))
+            .map(side => side.id);
+    }
+
+    _side(sideId) {
+        return this.sides.find(side => side.id === sideId);
+    }
+
+    /** Sum of a fighter stat across a side */
+    _sideTotal(sideId, key) {
+        return this._side(sideId).fighterIds.reduce((sum, id) => sum + this.fighters[id][key], 0);
+    }
+
+    /** Side ids sharing the highest value */
+    _topSides(sideIds, valueOf) {
+        const values = sideIds.map(valueOf);
+        const best = Math.max(...values);
+        return sideIds.filter((_, i) => values[i] === best);
+    }
+
+    /** The one side with the highest value, or null when it is shared */
+    _leadingSide(sideIds, valueOf) {
+        const top = this._topSides(sideIds, valueOf);
+        return top.length === 1 ? top[0] : null;
+    }
+
+    // ── Elimination (team and free-for-all matches) ──
+    _eliminate(f, placement) {
+        f.eliminated = true;
+        f.hp = 0;
+        f.placement = placement;
+        effects.clearEffects(f);
+        const killer = f.lastHitBy ? this.fighters[f.lastHitBy] : null;
+        if (killer) killer.kills++;
+        this._emitFightEvent('elimination', '💀',
+            killer ? `${killer.name} ELIMINATES ${f.name}!` : `${f.name} is ELIMINATED!`, '#FF2D78');
+    }
+
+    _roundDurationS() {
+        return this.suddenDeath ? this.rules.suddenDeathS : this.rules.roundDurationS;
+    }
+
+    // ── Sudden death: one short extra round after a level final round ──
+    _startSuddenDeath(sideIds) {
+        this._endRound();
+        this.suddenDeath = true;
+        this._suddenDeathSides = sideIds;
+        this._suddenDeathScores = {};
+        for (const side of sideIds) this._suddenDeathScores[side] = this._sideTotal(side, 'score');
+    }
+
+    // ── Initiative: speed shifts the odds of acting first ──
+    _rollInitiative(ids) {
+        if (this.isDuel) {
+            // 20–80% to swing first
+            const diff = this.fighters['1'].speed - this.fighters['2'].speed;
+            const firstChance = Math.max(0.2, Math.min(0.8, 0.5 + diff / 100));
+            return this.rng() < firstChance ? ['1', '2'] : ['2', '1'];
+        }
+        const rolls = {};
+        for (const id of ids) rolls[id] = this.rng() + this.fighters[id].speed / 100;
+        return [...ids].sort((a, b) => rolls[b] - rolls[a] || Number(a) - Number(b));
+    }
+
+    // ── Targeting: who a fighter swings at this tick ──
+    _pickTarget(attackerId, requested) {
+        const attacker = this.fighters[attackerId];
+        const enemies = this._activeIds().filter(id => this.fighters[id].side !== attacker.side);
+        if (enemies.length === 0) return null;
+        if (this.isDuel) return enemies[0];
+
+        const living = enemies.filter(id => this.fighters[id].hp > 0);
+        const pool = living.length > 0 ? living : enemies;
+        if (requested && pool.includes(requested)) return requested;
+
+        // Defensive fighters hit back at whoever hit them last
+        if (attacker.strategy === 'defensive' && pool.includes(attacker.lastHitBy)) return attacker.lastHitBy;
+
+        // Teams focus-fire the weakest enemy, and so do aggressive free-for-all fighters
+        if (this.hasTeams || attacker.strategy === 'aggressive') {
+            return pool.reduce((weakest, id) => (this.fighters[id].hp < this.fighters[weakest].hp ? id : weakest));
+        }
+
+        // Everyone else stays on their target until it falls, then picks at random
+        if (pool.includes(attacker.targetId)) return attacker.targetId;
+        return pool[Math.floor(this.rng() * pool.length)];
+    }
+
+    // ── Revive: back from 0 HP once, at revivePct of max HP ──
+    _checkRevive(f) {
+        if (f.hp > 0 || f.revived || f.revivePct <= 0) return;
+        f.revived = true;
+        f.hp = Math.max(1, Math.round(f.maxHp * f.revivePct / 100));
+        effects.cleanseEffects(f, 'debuff');
+        this._emitFightEvent('revive', '🔆',
+            `${f.name} rises from the ashes with ${f.hp}HP!`, '#FF6B35');
+    }
+
+    // ── Status effects: expiry, then a cleanse charge if the fighter is locked down ──
     _updateEffects(f) {
-        if (f.burnEndTick > 0 && this.tickCount > f.burnEndTick) {
-            f.isBurning = false;
-            f.burnEndTick = 0;
+        effects.expireEffects(f, this.tickCount);
+        if (f.cleanseCharges <= 0) return;
+        if (!effects.isIncapacitated(f, this.tickCount)
+            && effects.countStacks(f, 'debuff') < CLEANSE_DEBUFF_STACKS) return;
+
+        const removed = effects.cleanseEffects(f, 'debuff');
+        if (removed.length === 0) return;
+        f.cleanseCharges--;
+        const names = removed.map(id => getStatusEffect(id).name.toLowerCase()).join(', ');
+        this._emitFightEvent('cleanse', '✨', `${f.name} cleanses ${names}!`, '#00F5FF');
+    }
+
+    _applyEffect(f, id, opts = {}) {
+        return effects.applyEffect(f, id, { ...opts, tick: this.tickCount });
+    }
+
+    _applyRoundStartEffects() {
+        for (const id of this._activeIds()) {
+            const f = this.fighters[id];
+            for (const { id, potency } of f.roundStartEffects) this._applyEffect(f, id, { potency });
         }
-        if (f.stunEndTick > 0 && this.tickCount > f.stunEndTick) {
-            f.isStunned = false;
-            f.stunEndTick = 0;
+    }
+
+    // ── Arena hazards: timed effects on everyone, and the closing ring ──
+    _applyHazards(active) {
+        const standing = active.map(id => this.fighters[id]).filter(f => f.hp > 0);
+        const roundTick = Math.round(this.roundElapsedMs / this.rules.tickMs);
+        for (const h of this.arena.hazards) {
+            if (h.type === 'effect' && roundTick % h.everyTicks === 0) {
+                for (const f of standing) {
+                    this._applyEffect(f, h.effect, { durationTicks: h.durationTicks, potency: h.potency });
+                }
+                this._emitFightEvent('hazard', h.icon, h.text, getStatusEffect(h.effect).color);
+            } else if (h.type === 'ring') {
+                this._applyRing(h, standing);
+            }
         }
-        if (f.slowEndTick > 0 && this.tickCount > f.slowEndTick) {
-            f.isSlowed = false;
-            f.slowEndTick = 0;
+    }
+
+    // Once the ring starts closing, anyone who didn't attack this tick is pushed into the ropes
+    _applyRing(h, standing) {
+        const progress = this._ringProgress();
+        const wasClosing = this._ringClosing;
+        this._ringClosing = progress > 0;
+        if (!this._ringClosing) return;
+        if (!wasClosing) this._emitFightEvent('hazard', h.icon, h.text, '#FFE93E');
+
+        const damage = Math.round(h.damage * progress);
+        if (damage <= 0) return;
+        for (const f of standing) {
+            if (!f.isAttacking) this._damage(f, damage);
         }
     }
 
+    /** 0 until the ring starts closing, 1 at the final bell of the round */
+    _ringProgress() {
+        if (!this._ring || this.state !== 'fighting') return 0;
+        const elapsedPct = this.roundElapsedMs / (this._roundDurationS() * 1000);
+        return Math.max(0, Math.min(1, (elapsedPct - this._ring.closesAtPct) / (1 - this._ring.closesAtPct)));
+    }
+
+    /** Ring size as a share of the full ring (1 = fully open) */
+    _ringSize() {
+        return 1 - this._ringProgress() * (1 - this._ring.minSizePct);
+    }
+
+    // ── Damage and healing (shields soak damage, poison cuts healing) ──
+    _damage(f, amount) {
+        f.hp = Math.max(0, f.hp - effects.absorbDamage(f, amount));
+    }
+
+    _heal(f, amount) {
+        const healed = Math.round(amount * Math.max(0, 1 + effects.getModifier(f, 'healingTaken')));
+        f.hp = Math.min(f.maxHp, f.hp + healed);
+        return healed;
+    }
+
     // ── Action processing ──
-    _processAction(attackerId, defenderId) {
+    _processAction(attackerId) {
         const attacker = this.fighters[attackerId];
-        const defender = this.fighters[defenderId];
 
         // Check cooldown
-        const ticksSince = this.tickCount - attacker.lastAttackTick;
-        const effectiveCooldown = attacker.isSlowed
-            ? Math.ceil(attacker.attackCooldownTicks * 1.5)
-            : attacker.attackCooldownTicks;
+        if (this.tickCount - attacker.lastAttackTick < this._effectiveCooldown(attacker)) return;
 
-        if (ticksSince < effectiveCooldown) return;
+        // A live agent decision wins; the strategy roll is the fallback
+        const decision = this._takeDecision(attackerId);
+        const defenderId = this._pickTarget(attackerId, decision && decision.target);
+        if (!defenderId) return;
+        const defender = this.fighters[defenderId];
+        attacker.targetId = defenderId;
+
+        if (decision) {
+            attacker.agentActions++;
+            this._performAction(attackerId, defenderId, decision.action);
+            attacker.lastAttackTick = this.tickCount;
+            return;
+        }
+
+        // Then the agent's uploaded strategy script, if a rule matches
+        const scripted = this._scriptedAction(attacker, defender);
+        if (scripted) {
+            attacker.scriptedActions++;
+            this._performAction(attackerId, defenderId, scripted);
+            attacker.lastAttackTick = this.tickCount;
+            return;
+        }
 
         // Strategy-driven aggression
         const baseAgg = attacker.strategy === 'aggressive' ? 0.75
@@ -247,47 +848,160 @@ class FightSimulator {
         if (hpPct < 0.25) agg += 0.20;       // Berserker
         if (defHpPct < 0.2) agg += 0.15;      // Smell blood
         if (attacker.specialReady) agg += 0.10;
+        if (this._ring) agg += this._ring.aggression * this._ringProgress(); // Closing ring
         agg = Math.min(1.0, agg);
 
         // Roll for action
-        const roll = Math.random();
+        const roll = this.rng();
         const attackChance = agg * 0.55;
         const heavyChance = agg * 0.12;
         const specialChance = attacker.specialReady ? 0.08 : 0;
         const defendChance = (1 - agg) * 0.30;
-
-        if (roll < attackChance) {
-            this._performAttack(attackerId, defenderId, false);
-        } else if (roll < attackChance + heavyChance) {
-            this._performAttack(attackerId, defenderId, true);
-        } else if (roll < attackChance + heavyChance + specialChance) {
-            this._performSpecial(attackerId, defenderId);
-        } else if (roll < attackChance + heavyChance + specialChance + defendChance) {
-            attacker.isDefending = true;
+        const dodgeChance = (1 - agg) * 0.10;
+        const tauntChance = 0.03;
+        const moveChance = 0.20;
+
+        let action = 'reposition';
+        let edge = attackChance;
+        if (roll < edge) action = 'attack';
+        else if (roll < (edge += heavyChance)) action = 'heavy_attack';
+        else if (roll < (edge += specialChance)) action = 'special';
+        else if (roll < (edge += defendChance)) action = 'defend';
+        else if (roll < (edge += dodgeChance)) action = 'dodge';
+        else if (roll < (edge += tauntChance)) action = 'taunt';
+        else if (roll < edge + moveChance) {
+            // Aggressors press forward; everyone else circles
+            action = agg >= 0.6 ? 'move_forward' : (this.tickCount % 2 ? 'strafe_left' : 'strafe_right');
         }
-        // else: reposition (no action)
 
+        this._performAction(attackerId, defenderId, action);
         attacker.lastAttackTick = this.tickCount;
     }
 
+    _effectiveCooldown(f) {
+        const mult = 1 + effects.getModifier(f, 'cooldownMult');
+        return mult !== 1 ? Math.ceil(f.attackCooldownTicks * mult) : f.attackCooldownTicks;
+    }
+
+    // Every path (agent, script, strategy) pays stamina here; a winded fighter falls back
+    _performAction(attackerId, defenderId, requested) {
+        const f = this.fighters[attackerId];
+        const action = affordableAction(requested, f.stamina);
+        if (action !== requested && !f.winded) {
+            f.winded = true;
+            this._emitFightEvent('winded', '😮‍💨', `${f.name} is out of breath!`, '#8888AA');
+        }
+        const def = getAction(action);
+        f.stamina -= def.staminaCost;
+        f.action = action;
+        f.evade = def.evade || 0;
+        if (['attack', 'special', 'taunt'].includes(def.type) || def.pressure) f.aggression++;
+
+        if (action === 'attack') this._performAttack(attackerId, defenderId, false);
+        else if (action === 'heavy_attack') this._performAttack(attackerId, defenderId, true);
+        else if (action === 'special') this._performSpecial(attackerId, defenderId);
+        else if (action === 'defend') f.isDefending = true;
+        else if (action === 'dodge') f.dodgeUntilTick = this.tickCount + Math.ceil(def.windowMs / this.rules.tickMs);
+        else if (action === 'taunt') this._performTaunt(attackerId, defenderId, def);
+        else if (action === 'reposition') this._recoverStamina(f, STAMINA.restBonus);
+        // Moves only leave evade (set above) or pressure (below) behind
+
+        f.pressure = def.pressure || 0;
+    }
+
+    _recoverStamina(f, amount) {
+        f.stamina = Math.min(STAMINA.max, f.stamina + amount);
+        if (f.stamina >= STAMINA.max / 2) f.winded = false;
+    }
+
+    // ── Agent decisions (live controller, or recorded log on replay) ──
+    // Returns { action, target } — target is an optional enemy fighter id
+    _takeDecision(fighterId) {
+        let decision = null;
+        if (this._recordedDecisions) {
+            decision = this._recordedDecisions.get(`${this.tickCount}:${fighterId}`) || null;
+        } else if (this.controller) {
+            try {
+                decision = this.controller.takeDecision(fighterId, this.tickCount);
+            } catch (err) {
+                logger.warn('[FightSim] Agent controller failed', { error: err.message });
+            }
+        }
+        if (!decision) return null;
+        const { action, target } = typeof decision === 'string' ? { action: decision, target: null } : decision;
+        if (!action) return null;
+        if (action === 'special' && !this.fighters[fighterId].specialReady) return null;
+
+        const entry = { tick: this.tickCount, fighter: fighterId, action };
+        if (target) entry.target = target;
+        this.decisionLog.push(entry);
+        return { action, target: target || null };
+    }
+
+    // ── Strategy script: deterministic, no RNG consumed ──
+    _scriptedAction(attacker, defender) {
+        if (!attacker.strategyScript) return null;
+        const facts = buildFacts(attacker, defender, {
+            round: this.round,
+            roundTimeLeft: Math.max(0, this._roundDurationS() - Math.floor(this.roundElapsedMs / 1000)),
+        });
+        const match = evaluateStrategyScript(attacker.strategyScript, facts);
+        return match ? match.action : null;
+    }
+
+    // Ask connected agents for the next tick's move, with a view of the fight
+    _requestDecisions() {
+        const tick = this.tickCount + 1;
+        const views = {};
+        const active = this._activeIds();
+        for (const id of active) {
+            const f = this.fighters[id];
+            const stunned = effects.isIncapacitated(f, tick);
+            const enemies = active.filter(other => this.fighters[other].side !== f.side);
+            if (enemies.length === 0) continue;
+            const oppId = enemies.includes(f.targetId) ? f.targetId : enemies[0];
+            views[id] = {
+                round: this.round,
+                roundTimer: this._lastTick ? this._lastTick.roundTimer : this._roundDurationS(),
+                canAct: !stunned && tick - f.lastAttackTick >= this._effectiveCooldown(f),
+                actions: availableActions(f.stamina, { specialReady: f.specialReady }),
+                you: this._tickFighter(f),
+                opponent: this._tickFighter(this.fighters[oppId]),
+            };
+            if (!this.isDuel) {
+                // Multi-fighter matches: the whole field, so agents can pick a target
+                const allies = active.filter(other => other !== id && this.fighters[other].side === f.side);
+                views[id].matchType = this.matchType;
+                views[id].targetId = oppId;
+                views[id].allies = this._fighterViews(allies);
+                views[id].enemies = this._fighterViews(enemies);
+            }
+        }
+        try {
+            this.controller.requestDecisions({ tick, tickMs: this.rules.tickMs, views });
+        } catch (err) {
+            logger.warn('[FightSim] Failed to request agent decisions', { error: err.message });
+        }
+    }
+
     // ── Normal/Heavy attack ──
     _performAttack(attackerId, defenderId, isHeavy) {
         const attacker = this.fighters[attackerId];
         const defender = this.fighters[defenderId];
         attacker.isAttacking = true;
+        defender.lastHitBy = attackerId;
 
         // Block check
         if (defender.isDefending) {
-            const reducedDmg = Math.round(attacker.baseDamage * 0.3);
-            defender.hp = Math.max(0, defender.hp - reducedDmg);
+            const reducedDmg = Math.round(attacker.baseDamage * getAction('defend').blockedDamage);
+            this._damage(defender, reducedDmg);
 
             // Stun attacker
-            attacker.isStunned = true;
-            attacker.stunEndTick = this.tickCount + 1;
+            this._applyEffect(attacker, 'stun', { durationTicks: 1 });
 
             // Reflect
             if (defender.reflect > 0) {
-                attacker.hp = Math.max(0, attacker.hp - Math.round(reducedDmg * defender.reflect / 100));
+                this._damage(attacker, Math.round(reducedDmg * defender.reflect / 100));
             }
 
             this._emitFightEvent('block', '🛡️',
@@ -295,44 +1009,58 @@ class FightSimulator {
             return;
         }
 
-        // Dodge check
-        if (Math.random() * 100 < defender.dodgeChance) {
+        // Dodge check — a dodge action slips the attack outright, moves add evade
+        const slipped = this.tickCount <= defender.dodgeUntilTick;
+        if (slipped || this.rng() * 100 < defender.dodgeChance + defender.evade) {
+            if (slipped) defender.dodgeUntilTick = -1;
             defender.isDodging = true;
             defender.dodges++;
             this._emitFightEvent('dodge', '💨',
                 `${defender.name} dodged ${attacker.name}'s attack!`, '#00F5FF');
+
+            // Speedster passive: Counter Step
+            if (defender.passive === 'counter_step') {
+                const counter = Math.round(defender.baseDamage * 0.4 * defender.damageMult);
+                this._damage(attacker, counter);
+                defender.score += counter;
+                this._emitFightEvent('counter', '↩️',
+                    `${defender.name} counter-steps into ${attacker.name}! -${counter}`, '#00F5FF');
+            }
             return;
         }
 
         // ── Damage calculation ──
-        let dmg = attacker.baseDamage + (isHeavy ? 8 : 0) + Math.random() * 12;
+        let dmg = attacker.baseDamage + (isHeavy ? 8 : 0) + this.rng() * 12;
         dmg += attacker.bonusDamage * 0.7;
+        dmg = this._applyClassModifiers(attacker, defender, dmg);
 
         // Low HP bonus
         if (attacker.lowHPBonus > 0 && attacker.hp / attacker.maxHp < 0.3) {
             dmg *= 1 + attacker.lowHPBonus / 100;
         }
 
+        // Pressure from closing in on the previous action
+        if (attacker.pressure > 0) dmg *= 1 + attacker.pressure / 100;
+
         // Crit
         let isCrit = false;
         const effectiveCrit = isHeavy ? attacker.critChance * 1.5 : attacker.critChance;
-        if (Math.random() * 100 < effectiveCrit) {
+        if (this.rng() * 100 < effectiveCrit) {
             dmg *= attacker.critDamage / 100;
             isCrit = true;
             attacker.critHits++;
         }
 
         // Defense reduction (capped at 40%)
-        const effDef = Math.max(0, defender.defense - attacker.armorPen);
-        dmg *= 1 - Math.min(0.4, effDef / (effDef + 60));
+        dmg = this._applyDefense(attacker, defender, dmg);
 
         const damage = Math.round(Math.max(2, dmg));
-        defender.hp = Math.max(0, defender.hp - damage);
+        this._damage(defender, damage);
         attacker.score += damage;
         attacker.hitsLanded++;
 
         // Combo
-        if (this.tickCount - attacker.lastHitTick <= COMBO_WINDOW_TICKS) {
+        if (this.tickCount - attacker.lastHitTick <= this.rules.comboWindowTicks) {
             attacker.combo++;
             if (attacker.combo > attacker.maxCombo) attacker.maxCombo = attacker.combo;
         } else {
@@ -341,66 +1069,118 @@ class FightSimulator {
         attacker.lastHitTick = this.tickCount;
 
         // Special meter
-        attacker.specialMeter = Math.min(100,
-            attacker.specialMeter + 8 + (isCrit ? 12 : 0) + (attacker.combo >= 3 ? 6 : 0));
-        if (attacker.specialMeter >= 100 && !attacker.specialReady) {
-            attacker.specialReady = true;
-            this._emitFightEvent('special_ready', '⚡',
-                `${attacker.name}'s SPECIAL is ready!`, '#FFE93E');
-        }
+        this._chargeSpecial(attacker, 8 + (isCrit ? 12 : 0) + (attacker.combo >= 3 ? 6 : 0));
 
         // Lifesteal
         if (attacker.lifesteal > 0) {
-            attacker.hp = Math.min(attacker.maxHp, attacker.hp + Math.round(damage * attacker.lifesteal / 100));
+            this._heal(attacker, damage * attacker.lifesteal / 100);
         }
 
         // Thorn
         if (defender.thornDamage > 0) {
-            attacker.hp = Math.max(0, attacker.hp - defender.thornDamage);
-        }
-
-        // Burn
-        if (attacker.burnDamage > 0) {
-            defender.isBurning = true;
-            defender.burnEndTick = this.tickCount + 5;
+            this._damage(attacker, defender.thornDamage);
         }
 
-        // Slow
-        if (attacker.slowEffect > 0) {
-            defender.isSlowed = true;
-            defender.slowEndTick = this.tickCount + 3;
+        // On-hit effects from equipment (burn, poison, slow)
+        for (const { id, potency } of attacker.onHitEffects) {
+            this._applyEffect(defender, id, { potency });
         }
 
         // Emit fight event for activity feed
         this._emitHitEvent(attacker, defender, damage, isCrit, isHeavy);
+
+        // Chain: follow-up hit that ignores defense
+        if (attacker.chainDamage > 0 && defender.hp > 0 && this.rng() * 100 < CHAIN_PROC_CHANCE) {
+            const chain = Math.round(attacker.chainDamage + damage * 0.25);
+            this._damage(defender, chain);
+            attacker.score += chain;
+            this._emitFightEvent('chain', '⚡',
+                `Lightning chains from ${attacker.name} into ${defender.name}! -${chain}`, '#69D2E7');
+        }
     }
 
-    // ── Special attack ──
+    _chargeSpecial(f, amount) {
+        f.specialMeter = Math.min(100, f.specialMeter + amount);
+        if (f.specialMeter >= 100 && !f.specialReady) {
+            f.specialReady = true;
+            this._emitFightEvent('special_ready', '⚡',
+                `${f.name}'s SPECIAL is ready!`, '#FFE93E');
+        }
+    }
+
+    // ── Taunt: when it lands, drains the target's stamina and feeds the taunter's special ──
+    _performTaunt(attackerId, defenderId, def) {
+        const attacker = this.fighters[attackerId];
+        const defender = this.fighters[defenderId];
+        if (this.rng() >= def.successChance) return;
+
+        defender.stamina = Math.max(0, defender.stamina - def.staminaDrain);
+        this._chargeSpecial(attacker, def.specialMeter);
+        this._emitFightEvent('taunt', '😤',
+            `${attacker.name} taunts ${defender.name}! (-${def.staminaDrain} stamina)`, '#FF2D78');
+    }
+
+    // ── Special attack (per fighter class) ──
     _performSpecial(attackerId, defenderId) {
         const attacker = this.fighters[attackerId];
         const defender = this.fighters[defenderId];
         if (!attacker.specialReady) return;
 
         attacker.isAttacking = true;
+        defender.lastHitBy = attackerId;
         attacker.specialMeter = 0;
         attacker.specialReady = false;
 
-        // Special: 2x-3x base damage, always crits
-        let dmg = attacker.baseDamage * (2 + Math.random());
-        dmg += attacker.bonusDamage;
-        dmg *= attacker.critDamage / 100;
-        attacker.critHits++;
-
-        const effDef = Math.max(0, defender.defense - attacker.armorPen);
-        dmg *= 1 - Math.min(0.4, effDef / (effDef + 60));
+        let damage = 0;
+        let note = '';
+
+        if (attacker.special === 'blade_flurry') {
+            // Four strikes, each rolling its own crit
+            for (let i = 0; i < 4; i++) {
+                let strike = attacker.baseDamage * 0.75 + attacker.bonusDamage * 0.5;
+                strike = this._applyClassModifiers(attacker, defender, strike);
+                if (this.rng() * 100 < attacker.critChance) {
+                    strike *= attacker.critDamage / 100;
+                    attacker.critHits++;
+                }
+                damage += Math.round(Math.max(2, this._applyDefense(attacker, defender, strike)));
+            }
+            note = ' (4-hit flurry)';
+        } else {
+            // Single big hit: always crits
+            let dmg;
+            if (attacker.special === 'fortress_slam') {
+                dmg = attacker.baseDamage * (1.8 + this.rng() * 0.6);
+            } else if (attacker.special === 'checkmate') {
+                dmg = attacker.baseDamage * 2 + Math.min(60, (defender.maxHp - defender.hp) * 0.15);
+            } else {
+                dmg = attacker.baseDamage * (2.5 + this.rng());
+            }
+            dmg += attacker.bonusDamage;
+            dmg = this._applyClassModifiers(attacker, defender, dmg);
+            dmg *= attacker.critDamage / 100;
+            attacker.critHits++;
+            damage = Math.round(Math.max(5, this._applyDefense(attacker, defender, dmg)));
+        }
 
-        const damage = Math.round(Math.max(5, dmg));
-        defender.hp = Math.max(0, defender.hp - damage);
+        this._damage(defender, damage);
         attacker.score += damage;
         attacker.hitsLanded++;
 
+        // Class follow-up effect (data/fighter-classes.js special.effect)
+        const followUp = getFighterClass(attacker.fighterClass).special.effect;
+        if (followUp) {
+            const target = followUp.target === 'self' ? attacker : defender;
+            const def = getStatusEffect(followUp.id);
+            const applied = this._applyEffect(target, followUp.id, {
+                durationTicks: followUp.durationTicks,
+                potency: followUp.potencyPctMaxHp ? Math.round(target.maxHp * followUp.potencyPctMaxHp / 100) : undefined,
+            });
+            note = applied ? ` and ${def.verb}` : ` (${def.name.toLowerCase()} resisted)`;
+        }
+
         // Combo
-        if (this.tickCount - attacker.lastHitTick <= COMBO_WINDOW_TICKS) {
+        if (this.tickCount - attacker.lastHitTick <= this.rules.comboWindowTicks) {
             attacker.combo++;
             if (attacker.combo > attacker.maxCombo) attacker.maxCombo = attacker.combo;
         } else {
@@ -410,90 +1190,169 @@ class FightSimulator {
 
         // Lifesteal
         if (attacker.lifesteal > 0) {
-            attacker.hp = Math.min(attacker.maxHp, attacker.hp + Math.round(damage * attacker.lifesteal / 100));
+            this._heal(attacker, damage * attacker.lifesteal / 100);
         }
 
+        const specialName = getFighterClass(attacker.fighterClass).special.name.toUpperCase();
         this._emitFightEvent('special', '🌟',
-            `${attacker.name} SPECIAL MOVE on ${defender.name}! -${damage}`, '#FFE93E');
+            `${attacker.name} ${specialName} on ${defender.name}${note}! -${damage}`, '#FFE93E');
+    }
+
+    // ── Class damage modifiers (attacker multiplier + passives) ──
+    _applyClassModifiers(attacker, defender, dmg) {
+        dmg *= attacker.damageMult;
+
+        // Brawler: Momentum
+        if (attacker.passive === 'momentum' && this.tickCount - attacker.lastHitTick <= this.rules.comboWindowTicks) {
+            dmg *= 1 + Math.min(0.25, attacker.combo * 0.05);
+        }
+
+        // Tactician: Exploit
+        if (attacker.passive === 'exploit' && effects.countStacks(defender, 'debuff') > 0) {
+            dmg *= 1.2;
+        }
+
+        return dmg;
     }
 
-    // ── Burn DOT ──
-    _processBurn(fighterId) {
-        const f = this.fighters[fighterId];
-        if (!f.isBurning) return;
-        f.hp = Math.max(0, f.hp - 2);
+    // ── Defense reduction (capped at 40%) + Tank: Bulwark ──
+    _applyDefense(attacker, defender, dmg) {
+        const effDef = Math.max(0, defender.defense - attacker.armorPen);
+        dmg *= 1 - Math.min(0.4, effDef / (effDef + 60));
+        if (defender.passive === 'bulwark' && defender.hp / defender.maxHp < 0.5) {
+            dmg *= 0.85;
+        }
+        return dmg;
+    }
+
+    // ── Damage / healing over time ──
+    _processEffects(f) {
+        const { damage, heal } = effects.periodicEffects(f);
+        if (damage > 0) this._damage(f, damage);
+        if (heal > 0 && f.hp > 0) this._heal(f, heal);
     }
 
     // ── Round management ──
     _endRound() {
-        const f1 = this.fighters['1'];
-        const f2 = this.fighters['2'];
+        const active = this._activeIds().map(id => this.fighters[id]);
 
         this._emitFightEvent('round_end', '🔔',
-            `Round ${this.round} ended! ${f1.name}: ${f1.hp}HP | ${f2.name}: ${f2.hp}HP`, '#836EF9');
+            `Round ${this.round} ended! ${active.map(f => `${f.name}: ${f.hp}HP`).join(' | ')}`, '#836EF9');
 
         this.round++;
         this.state = 'round_pause';
-        this.pauseEndMs = this.totalElapsedMs + ROUND_PAUSE_MS;
+        this.pauseEndMs = this.totalElapsedMs + this.rules.roundPauseMs;
 
-        // Heal between rounds
-        f1.hp = Math.min(f1.maxHp, f1.hp + Math.round(f1.maxHp * HP_RECOVERY_PCT));
-        f2.hp = Math.min(f2.maxHp, f2.hp + Math.round(f2.maxHp * HP_RECOVERY_PCT));
+        for (const f of active) {
+            // Heal between rounds
+            f.hp = Math.min(f.maxHp, f.hp + Math.round(f.maxHp * this.rules.hpRecoveryPct));
 
-        // Reset combos
-        f1.combo = 0;
-        f2.combo = 0;
+            // Reset combos
+            f.combo = 0;
 
-        // Bonus special meter
-        f1.specialMeter = Math.min(100, f1.specialMeter + 10);
-        f2.specialMeter = Math.min(100, f2.specialMeter + 10);
+            // Bonus special meter
+            f.specialMeter = Math.min(100, f.specialMeter + 10);
 
-        // Clear effects
-        [f1, f2].forEach(f => {
-            f.isBurning = false; f.burnEndTick = 0;
-            f.isStunned = false; f.stunEndTick = 0;
-            f.isSlowed = false;  f.slowEndTick = 0;
-        });
+            // Fresh legs for the next round
+            f.stamina = STAMINA.max;
+            f.winded = false;
+            f.evade = 0;
+            f.pressure = 0;
+            f.dodgeUntilTick = -1;
+
+            // Clear effects (round-start effects come back when the next round begins)
+            effects.clearEffects(f);
+        }
 
-        logger.info(`[FightSim] Round ${this.round - 1} ended. ${f1.name}: ${f1.hp}HP, ${f2.name}: ${f2.hp}HP`);
+        if (!this.silent) logger.info(`[FightSim] Round ${this.round - 1} ended. ${active.map(f => `${f.name}: ${f.hp}HP`).join(', ')}`);
     }
 
     // ── Match finish ──
-    _finish(winnerId, method) {
+    /**
+     * @param {?string} winnerId - Winning side id ('1' | '2' in a duel), or null for a draw
+     * @param {string} method - How the winner won (ignored for draws)
+     * @param {?string} [tiebreak] - Policy that settled a level fight
+     */
+    _finish(winnerId, method, tiebreak = null) {
         if (this._ended) return;
+        const draw = !winnerId;
+        if (draw) method = 'Draw';
         this._ended = true;
         this.state = 'finished';
-        this.winner = winnerId;
+        this.winner = winnerId || null;
         this.method = method;
         this.stop();
 
-        const f1 = this.fighters['1'];
-        const f2 = this.fighters['2'];
-        const winner = winnerId === '1' ? f1 : f2;
-        const loser = winnerId === '1' ? f2 : f1;
-
-        const text = method === 'KO'
-            ? `${winner.name} KNOCKED OUT ${loser.name}!`
-            : `${winner.name} wins by DECISION! (${winner.hp}HP vs ${loser.hp}HP)`;
+        const winner = winnerId ? this._side(winnerId) : null;
+        const rivals = this._sidesOf(this._activeIds()).filter(side => side !== winnerId);
+
+        if (draw) {
+            this._emitFightEvent('draw', '🤝', `${joinNames(rivals.map(side => this._side(side).name))} fight to a DRAW!`, '#FFE93E');
+        } else if (method === 'KO' && this.isDuel) {
+            this._emitFightEvent('ko', '💀', `${winner.name} KNOCKED OUT ${this._side(rivals[0]).name}!`, '#FFE93E');
+        } else if (method === 'KO') {
+            this._emitFightEvent('ko', '👑', `${winner.name} is the last ${this.hasTeams ? 'team' : 'agent'} standing!`, '#FFE93E');
+        } else if (method === 'Sudden Death') {
+            this._emitFightEvent('decision', '☠️', `${winner.name} wins in SUDDEN DEATH!`, '#FFE93E');
+        } else if (!tiebreak) {
+            // Each judge's total, the winner's first
+            const totals = this._decision.totals;
+            const cards = JUDGES.map(j => [totals[j.id][winnerId], ...rivals.map(side => totals[j.id][side])].join('-'));
+            this._emitFightEvent('decision', '⚖️', `${winner.name} wins by ${method.toUpperCase()}! (${cards.join(', ')})`, '#FFE93E');
+        } else {
+            // Margin over the best of the rest on the stat that settled it
+            const key = tiebreak === 'hits' ? 'hitsLanded' : 'score';
+            const ours = this._sideTotal(winnerId, key);
+            const theirs = Math.max(...rivals.map(side => this._sideTotal(side, key)));
+            const margin = key === 'hitsLanded' ? `${ours} hits vs ${theirs}` : `${ours} pts vs ${theirs}`;
+            this._emitFightEvent('decision', '⚖️', `${winner.name} wins by DECISION! (${margin})`, '#FFE93E');
+        }
 
-        this._emitFightEvent(method === 'KO' ? 'ko' : 'decision',
-            method === 'KO' ? '💀' : '⚖️', text, '#FFE93E');
+        if (!this.isDuel) this._assignPlacements(winnerId);
 
         // Emit final state
         this._emitState();
 
+        const fighters = {};
+        const strategyScripts = {};
+        for (const id of this.fighterIds) {
+            fighters[id] = this._exportFighter(this.fighters[id]);
+            strategyScripts[id] = this.fighters[id].strategyScript;
+        }
+
         const result = {
-            winnerId,
+            winnerId: this.winner,
             method,
+            draw,
+            tiebreak,
             duration: Math.round(this.totalElapsedMs / 1000),
             round: this.round,
-            fighters: {
-                '1': this._exportFighter(f1),
-                '2': this._exportFighter(f2),
+            matchType: this.matchType,
+            sides: this.sides.map(side => ({ id: side.id, name: side.name, fighterIds: side.fighterIds })),
+            winnerFighterIds: winner ? winner.fighterIds : [],
+            fighters,
+            scorecards: this._exportScorecards(),
+            fairness: {
+                algorithm: RNG_ALGORITHM,
+                seed: this.seed,
+                seedHash: this.seedHash,
+                ticks: this.tickCount,
+                tickHash: this._tickHash.digest('hex'),
+                decisions: this.decisionLog,
+                strategyScripts,
+                tiebreak: this.tiebreak,
+                ruleSet: this.rules,
+                matchType: this.matchType,
+                arena: this.arena,
             },
         };
+        this.result = result;
 
-        logger.info(`[FightSim] Fight ended: ${winner.name} wins by ${method} in ${result.duration}s`);
+        if (!this.silent) {
+            logger.info(draw
+                ? `[FightSim] Fight ended in a draw after ${result.duration}s`
+                : `[FightSim] Fight ended: ${winner.name} wins by ${method} in ${result.duration}s`);
+        }
 
         if (this.onEnd) {
             // Use setImmediate to avoid calling onEnd within the same tick
@@ -505,43 +1364,54 @@ class FightSimulator {
 
     _emitState() {
         const roundTimeRemaining = this.state === 'round_pause'
-            ? ROUND_DURATION_S
-            : Math.max(0, ROUND_DURATION_S - Math.floor(this.roundElapsedMs / 1000));
+            ? this._roundDurationS()
+            : Math.max(0, this._roundDurationS() - Math.floor(this.roundElapsedMs / 1000));
+
+        const fighters = {};
+        for (const id of this.fighterIds) fighters[id] = this._tickFighter(this.fighters[id]);
 
         const tick = {
             matchId: this.matchId,
-            fighters: {
-                '1': this._tickFighter(this.fighters['1']),
-                '2': this._tickFighter(this.fighters['2']),
-            },
+            fighters,
             round: this.round,
-            maxRounds: MAX_ROUNDS,
+            maxRounds: this.rules.maxRounds,
             roundTimer: roundTimeRemaining,
             roundPaused: this.state === 'round_pause',
+            suddenDeath: this.suddenDeath,
             finished: this.state === 'finished',
             winner: this.winner,
             method: this.method,
         };
+        if (!this.isDuel) tick.matchType = this.matchType;
+        if (this._ring) tick.ringSize = Math.round(this._ringSize() * 1000) / 1000;
 
         this._lastTick = tick;
-
-        try {
-            this.io.emit('match:fight_tick', tick);
-        } catch (err) {
-            logger.warn('[FightSim] Failed to emit fight tick', { error: err.message });
+        this._tickHash.update(JSON.stringify(tick));
+        if (this.recorder) this.recorder.recordTick(tick, this.tickCount);
+        if (this.onTick) this.onTick(tick);
+        if (this.controller && this.state === 'fighting') this._requestDecisions();
+        if (!this.io) return;
+
+        this._broadcast('match:fight_tick', tick);
+        if (this.state === 'finished' || this.tickCount % LOBBY_SUMMARY_EVERY_TICKS === 0) {
+            this._broadcast('lobby:fight', this.summary(), LOBBY_ROOM);
         }
     }
 
     _emitFightEvent(type, icon, text, color) {
+        const event = { type, icon, text, color, timestamp: Date.now() };
+        if (this.recorder) this.recorder.recordEvent(event, this.tickCount);
+        if (!this.io) return;
+        this._broadcast('match:fight_event', { ...event, matchId: this.matchId });
+    }
+
+    // Live traffic stays in the match's room unless another room is given
+    _broadcast(name, payload, room = matchRoom(this.matchId)) {
         try {
-            this.io.emit('match:fight_event', {
-                type,
-                icon,
-                text,
-                color,
-                timestamp: Date.now(),
-            });
-        } catch { /* ignore */ }
+            this.io.to(room).emit(name, payload);
+        } catch (err) {
+            logger.warn(`[FightSim] Failed to emit ${name}`, { error: err.message });
+        }
     }
 
     _emitHitEvent(attacker, defender, damage, isCrit, isHeavy) {
@@ -566,7 +1436,7 @@ class FightSimulator {
     }
 
     _tickFighter(f) {
-        return {
+        const view = {
             hp: f.hp,
             maxHp: f.maxHp,
             score: f.score,
@@ -577,17 +1447,47 @@ class FightSimulator {
             maxCombo: f.maxCombo,
             specialMeter: f.specialMeter,
             specialReady: f.specialReady,
+            stamina: f.stamina,
+            revived: f.revived,
+            action: f.action,
             isAttacking: f.isAttacking,
             isDefending: f.isDefending,
             isDodging: f.isDodging,
-            isBurning: f.isBurning,
-            isStunned: f.isStunned,
-            isSlowed: f.isSlowed,
+            effects: effects.exportEffects(f, this.tickCount),
         };
+        if (!this.isDuel) {
+            view.side = f.side;
+            view.eliminated = f.eliminated;
+            view.targetId = f.targetId;
+        }
+        return view;
+    }
+
+    /** { [fighterId]: tick view } for the given fighters */
+    _fighterViews(ids) {
+        const views = {};
+        for (const id of ids) views[id] = this._tickFighter(this.fighters[id]);
+        return views;
+    }
+
+    // Final placings: the winning side shares 1st, everyone left standing ranks by HP
+    _assignPlacements(winnerId) {
+        const open = this._activeIds().map(id => this.fighters[id]);
+        if (!winnerId || this.hasTeams) {
+            for (const f of this.fighterIds.map(id => this.fighters[id])) {
+                f.placement = !winnerId || f.side === winnerId ? 1 : 2;
+            }
+            return;
+        }
+        const rest = open.filter(f => f.side !== winnerId);
+        for (const f of open) {
+            f.placement = f.side === winnerId ? 1 : 2 + rest.filter(other => other.hp > f.hp).length;
+        }
     }
 
     _exportFighter(f) {
-        return {
+        const out = {
+            fighterClass: f.fighterClass,
             hp: f.hp,
             maxHp: f.maxHp,
             score: f.score,
@@ -597,8 +1497,26 @@ class FightSimulator {
             combo: f.combo,
             maxCombo: f.maxCombo,
             specialMeter: f.specialMeter,
+            revived: f.revived,
+            agentActions: f.agentActions,
+            scriptedActions: f.scriptedActions,
         };
+        if (!this.isDuel) {
+            out.side = f.side;
+            out.eliminated = f.eliminated;
+            out.placement = f.placement;
+            out.kills = f.kills;
+        }
+        return out;
     }
 }
 
+/** 'A', 'A and B', 'A, B and C' */
+function joinNames(names) {
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+FightSimulator.TIEBREAK_POLICIES = TIEBREAK_POLICIES;
+
 module.exports = FightSimulator;
@@ -0,0 +1,177 @@
+// ═══════════════════════════════════════════════════════════════
+// GLICKO-2 — Agent skill ratings (Glickman, "Example of the Glicko-2
+// system"). Every fight is one rating period: each agent is rated
+// against every fighter on another side, scoring 1 against those it
+// finished ahead of, 0.5 on level terms and 0 against the rest.
+// The rating is a ladder number only; combat power never reads it.
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_DEVIATION = 30;          // Floor so a long-settled rating can still move
+const TAU = 0.5;                   // How fast volatility may change
+const SCALE = 173.7178;            // Glicko-1 ↔ Glicko-2 scale factor
+const EPSILON = 0.000001;          // Volatility iteration tolerance
+
+/** A fresh rating for an agent that has never fought */
+function createRating() {
+    return {
+        rating: DEFAULT_RATING,
+        deviation: DEFAULT_DEVIATION,
+        volatility: DEFAULT_VOLATILITY,
+        fights: 0,
+        updatedAt: null,
+    };
+}
+
+/** A stored rating with any missing fields defaulted */
+function normalizeRating(stored) {
+    const base = createRating();
+    if (!stored || typeof stored !== 'object') return base;
+    return {
+        rating: Number.isFinite(stored.rating) ? stored.rating : base.rating,
+        deviation: Number.isFinite(stored.deviation) ? stored.deviation : base.deviation,
+        volatility: Number.isFinite(stored.volatility) ? stored.volatility : base.volatility,
+        fights: Number.isFinite(stored.fights) ? stored.fights : 0,
+        updatedAt: stored.updatedAt || null,
+    };
+}
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muJ, phiJ) {
+    return 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+}
+
+// Step 5: the new volatility, by the Illinois algorithm
+function nextVolatility(sigma, phi, v, delta) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        return ex * (delta * delta - phi * phi - v - ex) / (2 * (phi * phi + v + ex) ** 2) - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > EPSILON) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA /= 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    return Math.exp(A / 2);
+}
+
+/**
+ * One rating period for one agent.
+ * @param {Object} player - { rating, deviation, volatility }
+ * @param {Array<{rating: number, deviation: number, score: number}>} results - Score 1 win, 0.5 draw, 0 loss
+ * @returns {{rating: number, deviation: number, volatility: number}}
+ */
+function updateRating(player, results) {
+    const current = normalizeRating(player);
+    const mu = (current.rating - DEFAULT_RATING) / SCALE;
+    const phi = current.deviation / SCALE;
+
+    // No games: only the uncertainty grows
+    if (!results || results.length === 0) {
+        const grown = Math.sqrt(phi * phi + current.volatility * current.volatility);
+        return { rating: current.rating, deviation: Math.min(DEFAULT_DEVIATION, grown * SCALE), volatility: current.volatility };
+    }
+
+    let vInv = 0;
+    let sum = 0;
+    for (const opp of results) {
+        const muJ = (opp.rating - DEFAULT_RATING) / SCALE;
+        const phiJ = opp.deviation / SCALE;
+        const gJ = g(phiJ);
+        const E = expectedScore(mu, muJ, phiJ);
+        vInv += gJ * gJ * E * (1 - E);
+        sum += gJ * (opp.score - E);
+    }
+    const v = 1 / vInv;
+    const delta = v * sum;
+
+    const sigma = nextVolatility(current.volatility, phi, v, delta);
+    const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+    const phiNext = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const muNext = mu + phiNext * phiNext * sum;
+
+    return {
+        rating: muNext * SCALE + DEFAULT_RATING,
+        deviation: Math.min(DEFAULT_DEVIATION, Math.max(MIN_DEVIATION, phiNext * SCALE)),
+        volatility: sigma,
+    };
+}
+
+/**
+ * Rate everyone in one fight from their pre-fight ratings.
+ * @param {Array<{id: string, side: string, rank: number, rating: Object}>} entries - Lower rank finished better; equal ranks drew
+ * @param {number} [now=Date.now()]
+ * @returns {Object<string, Object>} New rating per entry id (fights and updatedAt included)
+ */
+function rateFight(entries, now = Date.now()) {
+    const next = {};
+    for (const entry of entries) {
+        const results = entries
+            .filter(opp => opp.side !== entry.side)
+            .map(opp => {
+                const rating = normalizeRating(opp.rating);
+                let score = 0.5;
+                if (entry.rank < opp.rank) score = 1;
+                else if (entry.rank > opp.rank) score = 0;
+                return { rating: rating.rating, deviation: rating.deviation, score };
+            });
+        const current = normalizeRating(entry.rating);
+        next[entry.id] = {
+            ...updateRating(current, results),
+            fights: current.fights + 1,
+            updatedAt: now,
+        };
+    }
+    return next;
+}
+
+/** Rounded view for APIs and the leaderboard */
+function publicRating(stored) {
+    const rating = normalizeRating(stored);
+    return {
+        rating: Math.round(rating.rating),
+        deviation: Math.round(rating.deviation),
+        volatility: Math.round(rating.volatility * 10000) / 10000,
+        fights: rating.fights,
+        provisional: rating.deviation > 110,
+    };
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    DEFAULT_DEVIATION,
+    DEFAULT_VOLATILITY,
+    createRating,
+    normalizeRating,
+    updateRating,
+    rateFight,
+    publicRating,
+};
@@ -0,0 +1,151 @@
+// ═══════════════════════════════════════════════════════════════
+// PAIRING — Skill-based matchmaking for the arena
+// The agent who has waited longest (online agents first) anchors
+// the match; everyone else joins by lowest cost: Glicko-2 rating
+// gap to the group, less a bonus for time waited, plus penalties
+// for a recent rematch or a stale heartbeat. Agents resting after
+// a fight are only called up when there is no one else. Every pick
+// carries its reasons so the weights can be tuned from the logs.
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const { normalizeRating } = require('./glicko2');
+
+const ONLINE_WINDOW_MS = 60000;       // Same window as the Agent isOnline virtual
+const RECENT_OPPONENTS = 5;           // Opponents remembered per agent
+const REMATCH_PENALTY = 400;          // Rating points; halves with each fight since
+const OFFLINE_PENALTY = 150;
+const WAIT_BONUS_PER_MIN = 25;        // Rating gap forgiven per minute waited
+const MAX_WAIT_BONUS = 250;
+
+function toMillis(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (value instanceof Date) return value.getTime();
+    const parsed = Date.parse(String(value || ''));
+    return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function formatWait(ms) {
+    const mins = Math.floor(ms / 60000);
+    return mins > 0 ? `${mins}m` : `${Math.floor(ms / 1000)}s`;
+}
+
+/**
+ * What pairing needs to know about a DB agent.
+ * Wait time runs from the agent's last fight, or from registration.
+ */
+function pairingCandidate(agent, now = Date.now()) {
+    const lastFightAt = toMillis(agent.lastFightAt);
+    return {
+        agent,
+        id: String(agent._id || agent.id),
+        name: agent.name,
+        rating: normalizeRating(agent.glicko).rating,
+        online: now - toMillis(agent.lastHeartbeat) < ONLINE_WINDOW_MS,
+        lastFightAt,
+        waitedMs: Math.max(0, now - (lastFightAt || toMillis(agent.registeredAt || agent.createdAt) || now)),
+        recentOpponents: Array.isArray(agent.recentOpponents) ? agent.recentOpponents.map(String) : [],
+    };
+}
+
+/** Rematch penalty between two candidates: full for the last opponent, halving per fight since */
+function rematchPenalty(a, b) {
+    const idx = Math.min(
+        ...[a.recentOpponents.indexOf(b.id), b.recentOpponents.indexOf(a.id)].map(i => (i < 0 ? Infinity : i))
+    );
+    return Number.isFinite(idx) ? REMATCH_PENALTY / 2 ** idx : 0;
+}
+
+/** Candidate's cost to join the group picked so far, with why */
+function joinCost(candidate, group) {
+    const mean = group.reduce((sum, c) => sum + c.rating, 0) / group.length;
+    const gap = Math.abs(candidate.rating - mean);
+    const waitBonus = Math.min(MAX_WAIT_BONUS, (candidate.waitedMs / 60000) * WAIT_BONUS_PER_MIN);
+    const rematches = group
+        .map(member => ({ member, penalty: rematchPenalty(candidate, member) }))
+        .filter(r => r.penalty > 0);
+    const rematch = rematches.reduce((sum, r) => sum + r.penalty, 0);
+    const offline = candidate.online ? 0 : OFFLINE_PENALTY;
+
+    const reasons = [`gap ${Math.round(gap)}`, `waited ${formatWait(candidate.waitedMs)}`];
+    reasons.push(candidate.online ? 'online' : 'offline');
+    for (const r of rematches) reasons.push(`rematch vs ${r.member.name} (+${Math.round(r.penalty)})`);
+    return { cost: gap - waitBonus + rematch + offline, reasons };
+}
+
+// Longest wait first, online agents ahead of offline ones
+function byPriority(a, b) {
+    if (a.online !== b.online) return a.online ? -1 : 1;
+    return b.waitedMs - a.waitedMs;
+}
+
+// Teams of `teamSize` in slot order, dealt snake-style by rating so the sides come out even
+function balanceTeams(picked, teamSize) {
+    if (teamSize <= 1 || picked.length % teamSize !== 0) return picked;
+    const teamCount = picked.length / teamSize;
+    const teams = Array.from({ length: teamCount }, () => []);
+    [...picked].sort((a, b) => b.rating - a.rating).forEach((c, i) => {
+        const round = Math.floor(i / teamCount);
+        const pos = i % teamCount;
+        teams[round % 2 === 0 ? pos : teamCount - 1 - pos].push(c);
+    });
+    return teams.flat();
+}
+
+/**
+ * Pick `count` agents for one match.
+ * @param {Object[]} agents - Active DB agents
+ * @param {number} count
+ * @param {Object} [opts]
+ * @param {number} [opts.now=Date.now()]
+ * @param {number} [opts.restMs=0] - Cooldown after a fight before an agent is paired again
+ * @param {number} [opts.teamSize=1] - Picked agents are ordered into balanced teams of this size
+ * @returns {?{agents: Object[], reasons: string[]}} Null when there are fewer than `count` agents
+ */
+function pickAgents(agents, count, { now = Date.now(), restMs = 0, teamSize = 1 } = {}) {
+    if (agents.length < count || count < 1) return null;
+    const candidates = agents.map(agent => pairingCandidate(agent, now));
+    const rested = candidates.filter(c => now - c.lastFightAt >= restMs).sort(byPriority);
+    const resting = candidates.filter(c => now - c.lastFightAt < restMs).sort((a, b) => a.lastFightAt - b.lastFightAt);
+
+    // Resting agents only fill seats nobody rested can take, longest rested first
+    const pool = [...rested];
+    const reasons = [];
+    for (const c of resting.slice(0, Math.max(0, count - rested.length))) {
+        pool.push(c);
+        reasons.push(`${c.name}: called up while resting (fought ${formatWait(now - c.lastFightAt)} ago)`);
+    }
+
+    const [anchor, ...rest] = pool;
+    const group = [anchor];
+    reasons.unshift(`${anchor.name}: anchor (rating ${Math.round(anchor.rating)}, waited ${formatWait(anchor.waitedMs)}, ${anchor.online ? 'online' : 'offline'})`);
+    const remaining = [...rest];
+    while (group.length < count) {
+        let best = null;
+        for (const c of remaining) {
+            const { cost, reasons: why } = joinCost(c, group);
+            if (!best || cost < best.cost) best = { c, cost, why };
+        }
+        group.push(best.c);
+        remaining.splice(remaining.indexOf(best.c), 1);
+        reasons.push(`${best.c.name}: rating ${Math.round(best.c.rating)}, ${best.why.join(', ')} (cost ${Math.round(best.cost)})`);
+    }
+
+    return { agents: balanceTeams(group, teamSize).map(c => c.agent), reasons };
+}
+
+/** Recent opponents list after a fight against `opponentIds`, newest first */
+function nextRecentOpponents(previous, opponentIds) {
+    const fresh = opponentIds.map(String);
+    const kept = (Array.isArray(previous) ? previous.map(String) : []).filter(id => !fresh.includes(id));
+    return [...fresh, ...kept].slice(0, RECENT_OPPONENTS);
+}
+
+module.exports = {
+    ONLINE_WINDOW_MS,
+    RECENT_OPPONENTS,
+    pairingCandidate,
+    pickAgents,
+    nextRecentOpponents,
+};
@@ -0,0 +1,73 @@
+// ═══════════════════════════════════════════════════════════════
+// PROVABLY FAIR — Seeded PRNG + commit-reveal helpers
+// The matchmaker generates a secret seed when betting opens and
+// publishes only its SHA-256 hash. The seed is revealed with the
+// result, so anyone can re-run the fight and check the outcome.
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const crypto = require('crypto');
+
+const RNG_ALGORITHM = 'sfc32-sha512';
+
+function createSeed() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSeed(seed) {
+    return crypto.createHash('sha256').update(String(seed)).digest('hex');
+}
+
+/**
+ * Deterministic PRNG (sfc32) keyed from the seed.
+ * Returns a function with the same contract as Math.random();
+ * its `state()` is the four sfc32 registers, for fight snapshots.
+ */
+function createRng(seed) {
+    const state = crypto.createHash('sha512').update(String(seed)).digest();
+    let a = state.readUInt32LE(0);
+    let b = state.readUInt32LE(4);
+    let c = state.readUInt32LE(8);
+    let d = state.readUInt32LE(12);
+
+    const next = () => {
+        const t = (((a + b) | 0) + d) | 0;
+        d = (d + 1) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        c = (c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    };
+
+    next.state = () => [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+
+    // Discard the first outputs so weak seeds still mix well
+    for (let i = 0; i < 15; i++) next();
+    return next;
+}
+
+function verifySeed(seed, seedHash) {
+    if (!seed || !seedHash) return false;
+    return hashSeed(seed) === String(seedHash).toLowerCase();
+}
+
+// Stored match docs carry the unrevealed seed so a restart can resume
+// the committed fight; strip it from anything served before the reveal.
+function redactMatchSeed(match) {
+    if (!match || typeof match !== 'object' || !('fightSeed' in match)) return match;
+    const { fightSeed, ...rest } = match;
+    return String(match.status || '').toLowerCase() === 'finished'
+        ? { ...rest, seed: rest.seed || fightSeed }
+        : rest;
+}
+
+module.exports = {
+    RNG_ALGORITHM,
+    createSeed,
+    hashSeed,
+    createRng,
+    verifySeed,
+    redactMatchSeed,
+};
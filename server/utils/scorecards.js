@@ -0,0 +1,103 @@
+// ═══════════════════════════════════════════════════════════════
+// SCORECARDS — 10-point-must round scoring and judges' decisions
+// FightSimulator hands over each completed round's stats per side;
+// every judge in data/judges.js weighs them and fills in a card.
+// A fight that goes the distance is decided by the cards. Nothing
+// here rolls dice, so scorecards replay with the fight.
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const { JUDGES, MUST_POINTS, DOMINANT_ROUND_RATIO, ROUND_STATS } = require('../data/judges');
+
+// How a fight won on the cards is billed
+const VERDICT_METHODS = {
+    unanimous: 'Unanimous Decision',
+    majority: 'Majority Decision',
+    split: 'Split Decision',
+};
+
+/** One judge's weighted view of a side's round */
+function judgeRound(judge, stats) {
+    return ROUND_STATS.reduce((sum, key) => sum + (stats[key] || 0) * judge.weights[key], 0);
+}
+
+/**
+ * Score one round on every judge's card.
+ * @param {Object<string, Object>} statsBySide - { [sideId]: { damage, hits, dodges, aggression } }
+ * @returns {Array<{judge: string, scores: Object<string, number>}>}
+ */
+function scoreRound(statsBySide) {
+    const sideIds = Object.keys(statsBySide);
+    return JUDGES.map(judge => {
+        // Rounded so float noise never splits an even round
+        const views = {};
+        for (const side of sideIds) views[side] = Math.round(judgeRound(judge, statsBySide[side]) * 10) / 10;
+        const best = Math.max(...Object.values(views));
+
+        const scores = {};
+        for (const side of sideIds) {
+            if (views[side] === best) scores[side] = MUST_POINTS;
+            else scores[side] = views[side] <= best * DOMINANT_ROUND_RATIO ? MUST_POINTS - 2 : MUST_POINTS - 1;
+        }
+        return { judge: judge.id, scores };
+    });
+}
+
+/** Points per judge over the scored rounds: { [judgeId]: { [sideId]: points } } */
+function cardTotals(rounds, sideIds) {
+    const totals = {};
+    for (const judge of JUDGES) {
+        totals[judge.id] = {};
+        for (const side of sideIds) totals[judge.id][side] = 0;
+    }
+    for (const { cards } of rounds) {
+        for (const card of cards) {
+            for (const side of sideIds) totals[card.judge][side] += card.scores[side] || 0;
+        }
+    }
+    return totals;
+}
+
+/**
+ * Decision on the cards among the given sides. A side needs a majority
+ * of the judges: all of them is unanimous, the rest scoring it even is
+ * a majority, and a card for someone else makes it split.
+ * @returns {{winner: ?string, verdict: string, votes: Object<string, ?string>, totals: Object, contenders: string[]}}
+ *   `contenders` are the sides at least one judge has on top — who a tiebreak is between on a draw
+ */
+function judgeDecision(rounds, sideIds) {
+    const totals = cardTotals(rounds, sideIds);
+    const votes = {};
+    const onTop = new Set();
+    for (const judge of JUDGES) {
+        const card = totals[judge.id];
+        const best = Math.max(...sideIds.map(side => card[side]));
+        const top = sideIds.filter(side => card[side] === best);
+        top.forEach(side => onTop.add(side));
+        votes[judge.id] = top.length === 1 ? top[0] : null;
+    }
+
+    const picks = Object.values(votes);
+    const count = side => picks.filter(pick => pick === side).length;
+    const winner = sideIds.find(side => count(side) > JUDGES.length / 2) || null;
+
+    let verdict = 'draw';
+    if (winner && count(winner) === JUDGES.length) verdict = 'unanimous';
+    else if (winner) verdict = picks.some(pick => pick && pick !== winner) ? 'split' : 'majority';
+
+    return { winner, verdict, votes, totals, contenders: sideIds.filter(side => onTop.has(side)) };
+}
+
+/** '10-9', '29-28-27' — points in side order */
+function cardLine(scores, sideIds) {
+    return sideIds.map(side => scores[side]).join('-');
+}
+
+module.exports = {
+    VERDICT_METHODS,
+    scoreRound,
+    cardTotals,
+    judgeDecision,
+    cardLine,
+};
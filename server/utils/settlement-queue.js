@@ -0,0 +1,248 @@
+// ═══════════════════════════════════════════════════════════════
+// SETTLEMENT QUEUE — Durable on-chain settlement after a match
+// Resolving (or cancelling) a match's betting market and sending a
+// winner's reward are jobs stored in the DB. A job's id is its
+// idempotency key (`resolve:<matchId>`, `reward:<matchId>:<agentId>`),
+// so nothing is queued twice. A reward pins its operator nonce and
+// stores the tx hash as soon as it is broadcast, so a retry checks
+// the chain before sending again. Failed jobs retry with
+// exponential backoff; after SETTLEMENT_MAX_ATTEMPTS they are
+// dead-lettered for an admin to inspect and retry.
+// ═══════════════════════════════════════════════════════════════
+
+const logger = require('./logger');
+const blockchain = require('./blockchain');
+
+function parseNumber(value, fallback, min = 0) {
+    const parsed = Number.parseFloat(String(value ?? ''));
+    if (!Number.isFinite(parsed) || parsed < min) return fallback;
+    return parsed;
+}
+
+const MAX_ATTEMPTS = Math.floor(parseNumber(process.env.SETTLEMENT_MAX_ATTEMPTS, 8, 1));
+const RETRY_BASE_MS = parseNumber(process.env.SETTLEMENT_RETRY_BASE_MS, 15000, 1000); // 15s, 30s, 1m, 2m…
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const POLL_INTERVAL_MS = 10000;
+const JOB_STATUSES = ['pending', 'running', 'done', 'dead'];
+
+function jobKey(type, matchId, ref = null) {
+    return ref ? `${type}:${matchId}:${ref}` : `${type}:${matchId}`;
+}
+
+/** Wait before the next try after `attempts` failures: base, 2×base, 4×base… capped at 30m */
+function backoffMs(attempts) {
+    return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+class SettlementQueue {
+    constructor({ db, io = null }) {
+        this.db = db;
+        this.io = io;
+        this.timer = null;
+        this._inFlight = new Set(); // Job ids being attempted by this process
+    }
+
+    async start() {
+        if (this.timer) return;
+        await this._recoverInterrupted();
+        this.timer = setInterval(() => {
+            this.processDue().catch((err) => logger.warn('[Settlement] Poll failed', { error: err.message }));
+        }, POLL_INTERVAL_MS);
+        logger.info('[Settlement] Queue started', { maxAttempts: MAX_ATTEMPTS, retryBaseMs: RETRY_BASE_MS });
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Queue a job and make its first attempt now. A key that is already queued
+     * returns the stored job untouched.
+     * @param {{type: 'resolve'|'cancel'|'reward', matchId: string, ref?: string, payload?: Object}} spec
+     * @returns {Promise<Object>} The job after its attempt (`status` 'done' on success)
+     */
+    async submit({ type, matchId, ref = null, payload = {} }) {
+        const now = Date.now();
+        const job = await this.db.addSettlementJob({
+            id: jobKey(type, matchId, ref),
+            type,
+            matchId: String(matchId),
+            payload,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null,
+            txHash: null,
+            nonce: null,
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null,
+        });
+        // Already queued and tried: leave it to its backoff
+        if (job.status !== 'pending' || job.attempts > 0) return job;
+        return await this._attempt(job);
+    }
+
+    /** Attempt every pending job whose backoff has run out; returns how many */
+    async processDue(now = Date.now()) {
+        const due = await this.db.listSettlementJobs({ statuses: ['pending'], dueBy: now, limit: 50 });
+        for (const job of due) await this._attempt(job);
+        return due.length;
+    }
+
+    /** Put a dead or waiting job back in line with a fresh attempt budget and try it now */
+    async retry(id) {
+        const job = await this.db.getSettlementJob(id);
+        if (!job || job.status === 'done' || job.status === 'running') return job;
+        const reset = await this.db.updateSettlementJob(id, { status: 'pending', attempts: 0, nextAttemptAt: Date.now() }, job.status);
+        return reset ? await this._attempt(reset) : await this.db.getSettlementJob(id);
+    }
+
+    async list({ status = null, limit = 100 } = {}) {
+        return await this.db.listSettlementJobs({ statuses: status ? [status] : null, limit });
+    }
+
+    /** Open jobs by status (done ones are history) */
+    async getStatus() {
+        const counts = {};
+        for (const status of ['pending', 'running', 'dead']) {
+            counts[status] = await this.db.countSettlementJobs({ statuses: [status] });
+        }
+        return { counts, maxAttempts: MAX_ATTEMPTS, retryBaseMs: RETRY_BASE_MS };
+    }
+
+    async _attempt(job) {
+        if (this._inFlight.has(job.id)) return job;
+        this._inFlight.add(job.id);
+        try {
+            // Claiming the job in the DB first keeps a crash mid-send visible as 'running'
+            const running = await this.db.updateSettlementJob(job.id, { status: 'running', attempts: job.attempts + 1 }, 'pending');
+            if (!running) return await this.db.getSettlementJob(job.id);
+            let outcome;
+            try {
+                outcome = await this._execute(running);
+            } catch (err) {
+                outcome = { error: err.message };
+            }
+            return await this._finish(running, outcome);
+        } finally {
+            this._inFlight.delete(job.id);
+        }
+    }
+
+    async _execute(job) {
+        const { matchId, payload } = job;
+        if (job.type === 'reward') return await this._sendReward(job);
+
+        // Resolving and cancelling are safe to repeat: a market already settled that way counts as done
+        const target = job.type === 'resolve' ? 'resolved' : 'cancelled';
+        const onChain = await blockchain.getMatchStatusOnChain(matchId);
+        if (onChain === target) return { txHash: null, note: `already ${target} on-chain` };
+        if (onChain === 'resolved' || onChain === 'cancelled') return { error: `Market is already ${onChain}`, fatal: true };
+
+        let txHash;
+        if (job.type === 'cancel') {
+            txHash = await blockchain.cancelMatchOnChain(matchId);
+        } else if (payload.field) {
+            txHash = await blockchain.resolveFieldMatchOnChain(matchId, payload.outcome);
+        } else {
+            txHash = await blockchain.resolveMatchOnChain(matchId, payload.winnerId, payload.firstSideId);
+        }
+        return txHash ? { txHash } : { error: blockchain.lastError || `${job.type} returned no transaction` };
+    }
+
+    // Only one transaction per nonce can be mined, so resending on the pinned nonce can't pay twice
+    async _sendReward(job) {
+        const { payload } = job;
+        let nonce = job.nonce ?? null;
+        if (job.txHash) {
+            const sent = await blockchain.getTransactionStatus(job.txHash);
+            if (sent === 'success') return { txHash: job.txHash, note: 'earlier send confirmed' };
+            if (sent === 'pending') return { error: `Reward transaction ${job.txHash} is still pending` };
+            if (sent === null) return { error: `Could not check reward transaction ${job.txHash}` };
+            // Reverted: the nonce is spent and nothing was paid
+            if (sent === 'reverted') nonce = null;
+        }
+        if (nonce !== null) {
+            const mined = await blockchain.getOperatorNonce('latest');
+            if (mined === null) return { error: 'Could not read the operator nonce' };
+            if (mined > nonce) {
+                // Without a recorded hash the transaction on that nonce may be ours
+                if (!job.txHash) return { error: `Nonce ${nonce} was used but no transaction was recorded; check the wallet before retrying`, fatal: true };
+                nonce = null; // Ours was dropped and another transaction took the nonce
+            }
+        }
+        if (nonce === null) {
+            nonce = await blockchain.getOperatorNonce('pending');
+            if (nonce === null) return { error: 'Could not read the operator nonce' };
+            await this.db.updateSettlementJob(job.id, { nonce, txHash: null }, 'running');
+        }
+
+        const txHash = await blockchain.sendReward(payload.wallet, payload.amount, {
+            nonce,
+            onBroadcast: hash => this.db.updateSettlementJob(job.id, { txHash: hash }, 'running'),
+        });
+        return txHash ? { txHash } : { error: 'sendReward returned no transaction' };
+    }
+
+    async _finish(job, outcome) {
+        const now = Date.now();
+        if (!outcome.error) {
+            const done = await this.db.updateSettlementJob(job.id, {
+                status: 'done',
+                txHash: outcome.txHash || null,
+                lastError: null,
+                completedAt: now,
+            });
+            logger.info(`[Settlement] ${job.id} done on attempt ${job.attempts}${outcome.note ? ` (${outcome.note})` : ''}`, { txHash: outcome.txHash || null });
+            // Bettors whose claim was waiting on this market can go ahead
+            if (job.type !== 'reward' && this.io) {
+                this.io.emit('match:settled', { matchId: job.matchId, type: job.type, txHash: outcome.txHash || null });
+            }
+            return done;
+        }
+
+        if (outcome.fatal || job.attempts >= MAX_ATTEMPTS) {
+            const dead = await this.db.updateSettlementJob(job.id, { status: 'dead', lastError: outcome.error });
+            logger.error(`[Settlement] CRITICAL: ${job.id} dead-lettered after ${job.attempts} attempt(s): ${outcome.error}`);
+            if (typeof this.db.addActivity === 'function') {
+                await Promise.resolve(this.db.addActivity({
+                    type: 'settlement_dead',
+                    message: `Settlement ${job.id} failed ${job.attempts} time(s) and needs an admin: ${outcome.error}`,
+                    time: now,
+                    icon: '🚨',
+                })).catch(() => null);
+            }
+            return dead;
+        }
+
+        const delay = backoffMs(job.attempts);
+        logger.warn(`[Settlement] ${job.id} attempt ${job.attempts}/${MAX_ATTEMPTS} failed; retrying in ${Math.round(delay / 1000)}s`, { error: outcome.error });
+        return await this.db.updateSettlementJob(job.id, { status: 'pending', lastError: outcome.error, nextAttemptAt: now + delay });
+    }
+
+    // Jobs a crash left 'running': resolve/cancel check the chain first and a reward with a
+    // pinned nonce checks its transaction, so they go again; a reward without one waits for an admin
+    async _recoverInterrupted() {
+        const stuck = await this.db.listSettlementJobs({ statuses: ['running'], limit: 5000 });
+        for (const job of stuck) {
+            if (job.type === 'reward' && (job.nonce === null || job.nonce === undefined)) {
+                await this.db.updateSettlementJob(job.id, {
+                    status: 'dead',
+                    lastError: 'Interrupted while sending; check the wallet before retrying',
+                }, 'running');
+                logger.error(`[Settlement] ${job.id} was interrupted mid-send; dead-lettered for review`);
+            } else {
+                await this.db.updateSettlementJob(job.id, { status: 'pending', nextAttemptAt: Date.now() }, 'running');
+            }
+        }
+        if (stuck.length > 0) logger.warn(`[Settlement] Recovered ${stuck.length} interrupted job(s)`);
+    }
+}
+
+module.exports = SettlementQueue;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.jobKey = jobKey;
@@ -139,7 +139,7 @@ function orderToPublic(order) {
 }
 
 function ensureShopDbCapabilities() {
-    const required = ['addShopOrder', 'getShopOrderById', 'getShopOrderByToken', 'updateShopOrder', 'findShopOrderByTxHash', 'applyShopPurchase', 'getAgentInventory', 'equipInventoryItem', 'unequipInventorySlot'];
+    const required = ['addShopOrder', 'getShopOrderById', 'getShopOrderByToken', 'updateShopOrder', 'findShopOrderByTxHash', 'applyShopPurchase', 'getAgentInventory', 'equipInventoryItem', 'unequipInventorySlot', 'queueInventoryPotion', 'unqueueInventoryPotion'];
     const missing = required.filter((fn) => typeof db[fn] !== 'function');
     if (missing.length > 0) {
         throw new ShopError(`Database mode does not support shop operations (${missing.join(', ')})`, 501, 'shop_not_supported');
@@ -721,6 +721,52 @@ function unequipSlotForAgent({ agentApiKey, slot }) {
     return db.unequipInventorySlot(agent.id, slot);
 }
 
+function queuePotion({ agentId, walletAddress, itemId }) {
+    ensureShopDbCapabilities();
+    ensureOwnedAgent(agentId, walletAddress);
+    const inventory = db.queueInventoryPotion(agentId, itemId);
+    if (!inventory) {
+        throw new ShopError('Potion not found in backpack or already queued', 400, 'queue_failed');
+    }
+    return inventory;
+}
+
+function queuePotionForAgent({ agentApiKey, itemId }) {
+    ensureShopDbCapabilities();
+    const agent = getAgentByApiKey(agentApiKey);
+    if (!agent) {
+        throw new ShopError('Invalid API key', 401, 'invalid_api_key');
+    }
+    const inventory = db.queueInventoryPotion(agent.id, itemId);
+    if (!inventory) {
+        throw new ShopError('Potion not found in backpack or already queued', 400, 'queue_failed');
+    }
+    return inventory;
+}
+
+function unqueuePotion({ agentId, walletAddress, itemId }) {
+    ensureShopDbCapabilities();
+    ensureOwnedAgent(agentId, walletAddress);
+    const inventory = db.unqueueInventoryPotion(agentId, itemId);
+    if (!inventory) {
+        throw new ShopError('Potion is not queued or is already in use for a live match', 400, 'unqueue_failed');
+    }
+    return inventory;
+}
+
+function unqueuePotionForAgent({ agentApiKey, itemId }) {
+    ensureShopDbCapabilities();
+    const agent = getAgentByApiKey(agentApiKey);
+    if (!agent) {
+        throw new ShopError('Invalid API key', 401, 'invalid_api_key');
+    }
+    const inventory = db.unqueueInventoryPotion(agent.id, itemId);
+    if (!inventory) {
+        throw new ShopError('Potion is not queued or is already in use for a live match', 400, 'unqueue_failed');
+    }
+    return inventory;
+}
+
 function parseTelegramPayCommand(text) {
     const raw = String(text || '').trim();
     const match = raw.match(/^(?:\/pay|pay)\s+([a-zA-Z0-9_-]+)\s+(0x[a-fA-F0-9]{64})$/i);
@@ -749,5 +795,9 @@ module.exports = {
     equipBackpackItemForAgent,
     unequipSlot,
     unequipSlotForAgent,
+    queuePotion,
+    queuePotionForAgent,
+    unqueuePotion,
+    unqueuePotionForAgent,
     parseTelegramPayCommand,
 };
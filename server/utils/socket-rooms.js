@@ -0,0 +1,28 @@
+// ═══════════════════════════════════════════════════════════════
+// SOCKET ROOMS — Where live fight traffic is broadcast
+// Ticks, fight events and scorecards go only to the sockets in a
+// match's room (`match:watch` / `match:unwatch`). The lobby room
+// (`lobby:watch` / `lobby:unwatch`) gets a short summary of every
+// live fight instead, so clients can pick which one to watch.
+// Each arena slot's betting and phase traffic (match:phase, match:new,
+// match:update, match:timer) goes to its arena room (`arena:watch`);
+// sockets start out in arena 1.
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const LOBBY_ROOM = 'lobby';
+
+function matchRoom(matchId) {
+    return `match:${matchId}`;
+}
+
+function arenaRoom(slotId) {
+    return `arena:${slotId}`;
+}
+
+module.exports = {
+    LOBBY_ROOM,
+    matchRoom,
+    arenaRoom,
+};
@@ -0,0 +1,154 @@
+// ═══════════════════════════════════════════════════════════════
+// STATUS EFFECT ENGINE — Apply, stack, tick and expire effects
+// Works on a fighter's `effects` list and `immunities` map. Nothing
+// here rolls dice, so the simulator stays replayable from its seed.
+// Effect definitions live in data/status-effects.js.
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const { getStatusEffect } = require('../data/status-effects');
+
+/** Fresh effect state for a fighter */
+function createEffectState() {
+    return { effects: [], immunities: {} };
+}
+
+function basePotency(def) {
+    return def.tickDamage || def.tickHeal || def.absorb || 0;
+}
+
+/**
+ * Apply (or stack/refresh) an effect on a fighter.
+ * @param {Object} f - Fighter with effects + immunities
+ * @param {string} id - Effect id
+ * @param {Object} opts
+ * @param {number} opts.tick - Current tick
+ * @param {number} [opts.durationTicks] - Overrides the effect's duration
+ * @param {number} [opts.potency] - Per-stack tick damage, tick heal or absorb
+ * @param {number} [opts.stacks=1] - Stacks to add
+ * @returns {?Object} The active effect, or null when unknown or immune
+ */
+function applyEffect(f, id, { tick, durationTicks, potency, stacks = 1 }) {
+    const def = getStatusEffect(id);
+    if (!def) return null;
+    if ((f.immunities[id] || 0) > tick) return null;
+
+    const duration = durationTicks !== undefined ? durationTicks : def.durationTicks;
+    const endTick = duration > 0 ? tick + duration : null;
+    const value = potency > 0 ? potency : basePotency(def);
+
+    const existing = f.effects.find(e => e.id === id);
+    if (existing) {
+        existing.stacks = Math.min(def.maxStacks, existing.stacks + stacks);
+        existing.potency = Math.max(existing.potency, value);
+        if (existing.endTick !== null) {
+            existing.endTick = endTick === null ? null : Math.max(existing.endTick, endTick);
+        }
+        return existing;
+    }
+
+    const effect = { id, stacks: Math.min(def.maxStacks, stacks), potency: value, endTick };
+    f.effects.push(effect);
+    return effect;
+}
+
+/** Drop effects whose time is up; returns the ids that expired */
+function expireEffects(f, tick) {
+    const expired = [];
+    f.effects = f.effects.filter((e) => {
+        if (e.endTick === null || tick <= e.endTick) return true;
+        const def = getStatusEffect(e.id);
+        if (def.immunityTicks) f.immunities[e.id] = tick + def.immunityTicks;
+        expired.push(e.id);
+        return false;
+    });
+    return expired;
+}
+
+/** Per-tick damage and healing from everything the fighter carries */
+function periodicEffects(f) {
+    let damage = 0;
+    let heal = 0;
+    for (const e of f.effects) {
+        const def = getStatusEffect(e.id);
+        if (def.tickDamage) damage += e.potency * e.stacks;
+        if (def.tickHeal) heal += e.potency * e.stacks;
+    }
+    return { damage, heal };
+}
+
+/** Sum of a stat modifier across active effects (0 when none) */
+function getModifier(f, key) {
+    let total = 0;
+    for (const e of f.effects) {
+        const mod = getStatusEffect(e.id).modifiers?.[key];
+        if (mod) total += mod;
+    }
+    return total;
+}
+
+/** Soak damage with absorb effects; returns the damage left for HP */
+function absorbDamage(f, amount) {
+    let remaining = amount;
+    for (const e of f.effects) {
+        if (remaining <= 0) break;
+        if (!getStatusEffect(e.id).absorb) continue;
+        const soaked = Math.min(e.potency, remaining);
+        e.potency -= soaked;
+        remaining -= soaked;
+    }
+    f.effects = f.effects.filter(e => !getStatusEffect(e.id).absorb || e.potency > 0);
+    return remaining;
+}
+
+/** Remove every effect of a kind ('debuff' | 'buff'); returns the removed ids */
+function cleanseEffects(f, kind = 'debuff') {
+    const removed = f.effects.filter(e => getStatusEffect(e.id).kind === kind).map(e => e.id);
+    f.effects = f.effects.filter(e => getStatusEffect(e.id).kind !== kind);
+    return removed;
+}
+
+function clearEffects(f) {
+    f.effects = [];
+    f.immunities = {};
+}
+
+function hasEffect(f, id) {
+    return Array.isArray(f.effects) && f.effects.some(e => e.id === id);
+}
+
+/** Total stacks of a kind the fighter carries */
+function countStacks(f, kind) {
+    return f.effects.reduce((n, e) => n + (getStatusEffect(e.id).kind === kind ? e.stacks : 0), 0);
+}
+
+/** Will an effect still stop the fighter from acting on `tick`? */
+function isIncapacitated(f, tick) {
+    return f.effects.some(e => getStatusEffect(e.id).preventsAction && (e.endTick === null || tick <= e.endTick));
+}
+
+/** Tick-payload view: [{ id, stacks, ticksLeft, potency }] (ticksLeft null = until round end) */
+function exportEffects(f, tick) {
+    return f.effects.map(e => ({
+        id: e.id,
+        stacks: e.stacks,
+        ticksLeft: e.endTick === null ? null : e.endTick - tick,
+        potency: e.potency,
+    }));
+}
+
+module.exports = {
+    createEffectState,
+    applyEffect,
+    expireEffects,
+    periodicEffects,
+    getModifier,
+    absorbDamage,
+    cleanseEffects,
+    clearEffects,
+    hasEffect,
+    countStacks,
+    isIncapacitated,
+    exportEffects,
+};
@@ -0,0 +1,238 @@
+// ═══════════════════════════════════════════════════════════════
+// STRATEGY SCRIPTS — Declarative per-tick rules uploaded by agents
+// A script is plain data: an ordered list of "if <conditions> then
+// <action>" rules over a fixed set of fight facts. No code runs, so
+// evaluation is sandboxed and deterministic. The first matching rule
+// wins; when none match the fighter's strategy roll decides.
+// ═══════════════════════════════════════════════════════════════
+
+'use strict';
+
+const { hasEffect } = require('./status-effects');
+const { ACTION_IDS, getAction } = require('../data/combat-rules');
+
+const SCRIPT_VERSION = 1;
+const MAX_SCRIPT_BYTES = 4096;
+const MAX_RULES = 16;
+const MAX_CONDITIONS = 6;
+const MAX_DRY_RUN_STATES = 20;
+
+const SCRIPT_ACTIONS = ACTION_IDS;
+const OPERATORS = ['<', '<=', '>', '>=', '==', '!='];
+
+// Per-fighter facts, exposed as self.<name> and opponent.<name>
+const FIGHTER_FIELDS = {
+    hp: { type: 'number', default: 550, get: f => f.hp },
+    max_hp: { type: 'number', default: 550, get: f => f.maxHp },
+    hp_pct: { type: 'number', default: 100, get: f => Math.round(f.hp / f.maxHp * 100) },
+    special_ready: { type: 'boolean', default: false, get: f => !!f.specialReady },
+    special_meter: { type: 'number', default: 0, get: f => f.specialMeter },
+    stamina: { type: 'number', default: 100, get: f => f.stamina },
+    combo: { type: 'number', default: 0, get: f => f.combo },
+    hits_landed: { type: 'number', default: 0, get: f => f.hitsLanded },
+    burning: { type: 'boolean', default: false, get: f => hasEffect(f, 'burn') },
+    poisoned: { type: 'boolean', default: false, get: f => hasEffect(f, 'poison') },
+    stunned: { type: 'boolean', default: false, get: f => hasEffect(f, 'stun') },
+    slowed: { type: 'boolean', default: false, get: f => hasEffect(f, 'slow') },
+    shielded: { type: 'boolean', default: false, get: f => hasEffect(f, 'shield') },
+    revived: { type: 'boolean', default: false, get: f => !!f.revived },
+};
+
+// Fight-wide facts
+const FIGHT_FIELDS = {
+    round: { type: 'number', default: 1 },
+    round_time_left: { type: 'number', default: 60 },
+    score_lead: { type: 'number', default: 0 },
+};
+
+const FIELDS = {};
+for (const [name, def] of Object.entries(FIGHTER_FIELDS)) {
+    FIELDS[`self.${name}`] = def;
+    FIELDS[`opponent.${name}`] = def;
+}
+Object.assign(FIELDS, FIGHT_FIELDS);
+
+const CONDITION_REGEX = /^([a-z_.]+)\s*(?:(<=|>=|==|!=|<|>)\s*(-?\d+(?:\.\d+)?|true|false))?$/i;
+
+// ── Parsing / validation ──
+
+function parseConditionString(text) {
+    const match = CONDITION_REGEX.exec(String(text).trim());
+    if (!match) return null;
+    const [, field, op, raw] = match;
+    if (!op) return { field, op: '==', value: true };
+    const value = raw === 'true' ? true : raw === 'false' ? false : Number(raw);
+    return { field, op, value };
+}
+
+function validateCondition(input, where, errors) {
+    const cond = typeof input === 'string'
+        ? parseConditionString(input)
+        : (input && typeof input === 'object' ? { field: input.field, op: input.op, value: input.value } : null);
+
+    if (!cond) {
+        errors.push(`${where}: expected "field op value" or { field, op, value }`);
+        return null;
+    }
+    if (!Object.prototype.hasOwnProperty.call(FIELDS, cond.field)) {
+        errors.push(`${where}: unknown field "${cond.field}"`);
+        return null;
+    }
+    const def = FIELDS[cond.field];
+    if (!OPERATORS.includes(cond.op)) {
+        errors.push(`${where}: unknown operator "${cond.op}"`);
+        return null;
+    }
+    if (def.type === 'boolean') {
+        if (typeof cond.value !== 'boolean' || !['==', '!='].includes(cond.op)) {
+            errors.push(`${where}: "${cond.field}" compares with == or != against true/false`);
+            return null;
+        }
+    } else if (typeof cond.value !== 'number' || !Number.isFinite(cond.value)) {
+        errors.push(`${where}: "${cond.field}" needs a numeric value`);
+        return null;
+    }
+    return cond;
+}
+
+/**
+ * Validate and normalize an uploaded script.
+ * Accepts { rules: [{ if, then }] } where `if` is a condition, a list of
+ * conditions (all must hold), or a string joined with "and".
+ * @returns {{valid: boolean, errors: string[], script: ?Object}}
+ */
+function validateStrategyScript(input) {
+    const errors = [];
+    let doc = input;
+
+    if (typeof doc === 'string') {
+        // Measure before parsing so an oversized upload is never expanded
+        const size = Buffer.byteLength(doc, 'utf8');
+        if (size > MAX_SCRIPT_BYTES) {
+            return { valid: false, errors: [`strategy_script is ${size} bytes (max ${MAX_SCRIPT_BYTES})`], script: null };
+        }
+        try {
+            doc = JSON.parse(doc);
+        } catch {
+            return { valid: false, errors: ['strategy_script must be a JSON object'], script: null };
+        }
+    }
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        return { valid: false, errors: ['strategy_script must be an object with a rules array'], script: null };
+    }
+
+    const size = Buffer.byteLength(JSON.stringify(doc), 'utf8');
+    if (size > MAX_SCRIPT_BYTES) {
+        return { valid: false, errors: [`strategy_script is ${size} bytes (max ${MAX_SCRIPT_BYTES})`], script: null };
+    }
+    if (!Array.isArray(doc.rules) || doc.rules.length === 0) {
+        return { valid: false, errors: ['rules must be a non-empty array'], script: null };
+    }
+    if (doc.rules.length > MAX_RULES) {
+        return { valid: false, errors: [`Too many rules (${doc.rules.length}, max ${MAX_RULES})`], script: null };
+    }
+
+    const rules = doc.rules.map((rule, i) => {
+        const where = `rules[${i}]`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${where}: expected { if, then }`);
+            return null;
+        }
+        if (!SCRIPT_ACTIONS.includes(rule.then)) {
+            errors.push(`${where}.then: must be one of ${SCRIPT_ACTIONS.join(', ')}`);
+        }
+
+        let rawConditions = rule.if === undefined ? [] : rule.if;
+        if (typeof rawConditions === 'string') rawConditions = rawConditions.split(/\s+and\s+/i);
+        else if (!Array.isArray(rawConditions)) rawConditions = [rawConditions];
+
+        if (rawConditions.length > MAX_CONDITIONS) {
+            errors.push(`${where}.if: too many conditions (max ${MAX_CONDITIONS})`);
+            return null;
+        }
+        const conditions = rawConditions.map((c, j) => validateCondition(c, `${where}.if[${j}]`, errors));
+        return { if: conditions, then: rule.then };
+    });
+
+    if (errors.length > 0) return { valid: false, errors, script: null };
+    return { valid: true, errors: [], script: { version: SCRIPT_VERSION, rules } };
+}
+
+/** Normalized script or null — for data that was validated when stored */
+function compileStrategyScript(input) {
+    if (!input) return null;
+    const { valid, script } = validateStrategyScript(input);
+    return valid ? script : null;
+}
+
+// ── Evaluation ──
+
+/** Facts for one fighter's point of view, from FightSimulator fighters */
+function buildFacts(self, opponent, { round, roundTimeLeft }) {
+    const facts = {
+        round,
+        round_time_left: roundTimeLeft,
+        score_lead: self.score - opponent.score,
+    };
+    for (const [name, def] of Object.entries(FIGHTER_FIELDS)) {
+        facts[`self.${name}`] = def.get(self);
+        facts[`opponent.${name}`] = def.get(opponent);
+    }
+    return facts;
+}
+
+/** Facts from a dry-run sample: { self: {...}, opponent: {...}, round, ... } */
+function factsFromSample(sample) {
+    const facts = {};
+    const src = sample && typeof sample === 'object' ? sample : {};
+    for (const [key, def] of Object.entries(FIELDS)) {
+        const [scope, name] = key.includes('.') ? key.split('.') : [null, key];
+        const raw = scope ? (src[scope] || {})[name] : src[name];
+        facts[key] = typeof raw === def.type ? raw : def.default;
+    }
+    return facts;
+}
+
+function compare(actual, op, expected) {
+    switch (op) {
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '==': return actual === expected;
+        case '!=': return actual !== expected;
+        default: return false;
+    }
+}
+
+/**
+ * First rule whose conditions all hold and whose action is available.
+ * @returns {{action: string, rule: number} | null}
+ */
+function evaluateStrategyScript(script, facts) {
+    if (!script || !Array.isArray(script.rules)) return null;
+    for (let i = 0; i < script.rules.length; i++) {
+        const rule = script.rules[i];
+        const action = getAction(rule.then);
+        if (action.needsSpecial && !facts['self.special_ready']) continue;
+        if (action.staminaCost > facts['self.stamina']) continue;
+        if (rule.if.every(c => compare(facts[c.field], c.op, c.value))) {
+            return { action: rule.then, rule: i };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    MAX_SCRIPT_BYTES,
+    MAX_RULES,
+    MAX_CONDITIONS,
+    MAX_DRY_RUN_STATES,
+    SCRIPT_ACTIONS,
+    SCRIPT_FIELDS: Object.keys(FIELDS),
+    validateStrategyScript,
+    compileStrategyScript,
+    buildFacts,
+    factsFromSample,
+    evaluateStrategyScript,
+};
@@ -7,6 +7,7 @@ import { Zap, TrendingUp, Lock, ArrowRight, AlertTriangle, Trophy, Flame, CheckC
 import { playSound } from '../utils/audio';
 import { useWallet } from '../context/WalletContext';
 import contractService, { BetSide } from '../services/contractService';
+import { getMatchType, matchSides } from '../data/matchTypes';
 import './BetPanel.css';
 
 const QUICK_AMOUNTS = [1, 5, 10, 25, 50];
@@ -147,16 +148,26 @@ export default function BetPanel({
 
     if (!match) return null;
 
-    const { agent1, agent2, agent1Bets, agent2Bets, totalBets, agent1Odds, agent2Odds } = match;
+    const { totalBets } = match;
+    // Betting sides: the two fighters of a duel, the two teams of a 2v2, or every fighter of a free-for-all
+    const sides = matchSides(match).map((s, i) => ({
+        bets: [match.agent1Bets, match.agent2Bets][i] || 0,
+        odds: [match.agent1Odds, match.agent2Odds][i] || 2,
+        ...s,
+    }));
+    const [side1, side2] = sides;
+    const isField = getMatchType(match.matchType).market === 'field';
+    const selected = sides.find(s => s.id === selectedSide);
     const poolMinMON = Number(match.poolMinMON || 0);
     const poolMissingMON = Math.max(0, poolMinMON - Number(totalBets || 0));
     const poolReady = poolMinMON <= 0 || poolMissingMON <= 0;
 
-    const agent1Pct = totalBets > 0 ? (agent1Bets / totalBets * 100).toFixed(1) : 50;
-    const agent2Pct = totalBets > 0 ? (agent2Bets / totalBets * 100).toFixed(1) : 50;
+    const sidePct = (s) => (totalBets > 0 ? (s.bets / totalBets * 100).toFixed(1) : +(100 / sides.length).toFixed(1));
+    const side1Pct = sidePct(side1);
+    const side2Pct = sidePct(side2);
 
-    const potentialWin = selectedSide
-        ? (parseFloat(betAmount || 0) * (selectedSide === '1' ? agent1Odds : agent2Odds)).toFixed(2)
+    const potentialWin = selected
+        ? (parseFloat(betAmount || 0) * selected.odds).toFixed(2)
         : '0.00';
 
     const handleSelectSide = (side) => {
@@ -209,8 +220,10 @@ export default function BetPanel({
                 throw new Error(check.reason || 'Match is not available for betting on-chain.');
             }
 
-            const side = selectedSide === '1' ? BetSide.AgentA : BetSide.AgentB;
-            const result = await contractService.placeBet(matchId, side, betAmount);
+            // Free-for-all matches use the field market: one outcome per fighter
+            const result = isField
+                ? await contractService.placeFieldBet(matchId, Number(selectedSide), betAmount)
+                : await contractService.placeBet(matchId, selectedSide === '1' ? BetSide.AgentA : BetSide.AgentB, betAmount);
             setTxHash(result.txHash);
 
             // Notify backend via socket
@@ -279,32 +292,47 @@ export default function BetPanel({
             {/* Pool Distribution */}
             <div className="bet-panel__pool">
                 <div className="bet-panel__pool-header">
-                    <span className="bet-panel__pool-name" style={{ color: agent1.color }}>
-                        {agent1.avatar} {agent1.name}
+                    <span className="bet-panel__pool-name" style={{ color: side1.color }}>
+                        {side1.icon} {side1.name}
                     </span>
                     <div className="bet-panel__pool-total">
                         <Flame size={12} />
                         {totalBets.toLocaleString()} MON
                     </div>
-                    <span className="bet-panel__pool-name" style={{ color: agent2.color }}>
-                        {agent2.name} {agent2.avatar}
+                    <span className="bet-panel__pool-name" style={{ color: isField ? '#8B9DAF' : side2.color }}>
+                        {isField ? `${sides.length} fighters` : `${side2.name} ${side2.icon}`}
                     </span>
                 </div>
-                <div className="bet-panel__pool-bar-wrap">
-                    <span className="bet-panel__pct" style={{ color: agent1.color }}>{agent1Pct}%</span>
-                    <div className="bet-panel__pool-bar">
-                        <div
-                            className="bet-panel__pool-fill bet-panel__pool-fill--left"
-                            style={{ width: `${agent1Pct}%`, '--fill-color': agent1.color }}
-                        />
-                        <div className="bet-panel__pool-divider" />
-                        <div
-                            className="bet-panel__pool-fill bet-panel__pool-fill--right"
-                            style={{ width: `${agent2Pct}%`, '--fill-color': agent2.color }}
-                        />
+                {isField ? (
+                    <div className="bet-panel__pool-bar-wrap">
+                        <div className="bet-panel__pool-bar">
+                            {sides.map(s => (
+                                <div
+                                    key={s.id}
+                                    className="bet-panel__pool-fill bet-panel__pool-fill--field"
+                                    style={{ width: `${sidePct(s)}%`, '--fill-color': s.color }}
+                                    title={`${s.name}: ${sidePct(s)}%`}
+                                />
+                            ))}
+                        </div>
                     </div>
-                    <span className="bet-panel__pct" style={{ color: agent2.color }}>{agent2Pct}%</span>
-                </div>
+                ) : (
+                    <div className="bet-panel__pool-bar-wrap">
+                        <span className="bet-panel__pct" style={{ color: side1.color }}>{side1Pct}%</span>
+                        <div className="bet-panel__pool-bar">
+                            <div
+                                className="bet-panel__pool-fill bet-panel__pool-fill--left"
+                                style={{ width: `${side1Pct}%`, '--fill-color': side1.color }}
+                            />
+                            <div className="bet-panel__pool-divider" />
+                            <div
+                                className="bet-panel__pool-fill bet-panel__pool-fill--right"
+                                style={{ width: `${side2Pct}%`, '--fill-color': side2.color }}
+                            />
+                        </div>
+                        <span className="bet-panel__pct" style={{ color: side2.color }}>{side2Pct}%</span>
+                    </div>
+                )}
                 {poolMinMON > 0 && (
                     <div className="bet-panel__pool-threshold">
                         {poolReady
@@ -314,48 +342,72 @@ export default function BetPanel({
                 )}
             </div>
 
-            {/* Fighter Selection — Corner Buttons */}
-            <div className="bet-panel__fighters">
-                <button
-                    type="button"
-                    className={`bet-panel__fighter ${selectedSide === '1' ? 'selected' : ''}`}
-                    onClick={() => handleSelectSide('1')}
-                    style={{ '--fighter-color': agent1.color }}
-                    id="bet-side-1"
-                    disabled={disabled}
-                >
-                    <div className="bet-panel__fighter-corner">RED</div>
-                    <span className="bet-panel__fighter-avatar">{agent1.avatar}</span>
-                    <span className="bet-panel__fighter-name">{agent1.name}</span>
-                    <div className="bet-panel__fighter-odds">
-                        <TrendingUp size={11} />
-                        <span>{agent1Odds}x</span>
+            {/* Fighter Selection — Corner Buttons (duels and teams) or a field grid (free-for-all) */}
+            {isField ? (
+                <div className="bet-panel__fighters bet-panel__fighters--field">
+                    {sides.map(s => (
+                        <button
+                            key={s.id}
+                            type="button"
+                            className={`bet-panel__fighter ${selectedSide === s.id ? 'selected' : ''}`}
+                            onClick={() => handleSelectSide(s.id)}
+                            style={{ '--fighter-color': s.color }}
+                            id={`bet-side-${s.id}`}
+                            disabled={disabled}
+                        >
+                            <span className="bet-panel__fighter-avatar">{s.icon}</span>
+                            <span className="bet-panel__fighter-name">{s.name}</span>
+                            <div className="bet-panel__fighter-odds">
+                                <TrendingUp size={11} />
+                                <span>{s.odds}x</span>
+                            </div>
+                            {selectedSide === s.id && <div className="bet-panel__fighter-check">✓</div>}
+                        </button>
+                    ))}
+                </div>
+            ) : (
+                <div className="bet-panel__fighters">
+                    <button
+                        type="button"
+                        className={`bet-panel__fighter ${selectedSide === '1' ? 'selected' : ''}`}
+                        onClick={() => handleSelectSide('1')}
+                        style={{ '--fighter-color': side1.color }}
+                        id="bet-side-1"
+                        disabled={disabled}
+                    >
+                        <div className="bet-panel__fighter-corner">RED</div>
+                        <span className="bet-panel__fighter-avatar">{side1.icon}</span>
+                        <span className="bet-panel__fighter-name">{side1.name}</span>
+                        <div className="bet-panel__fighter-odds">
+                            <TrendingUp size={11} />
+                            <span>{side1.odds}x</span>
+                        </div>
+                        {selectedSide === '1' && <div className="bet-panel__fighter-check">✓</div>}
+                    </button>
+
+                    <div className="bet-panel__vs">
+                        <span>VS</span>
                     </div>
-                    {selectedSide === '1' && <div className="bet-panel__fighter-check">✓</div>}
-                </button>
 
-                <div className="bet-panel__vs">
-                    <span>VS</span>
+                    <button
+                        type="button"
+                        className={`bet-panel__fighter ${selectedSide === '2' ? 'selected' : ''}`}
+                        onClick={() => handleSelectSide('2')}
+                        style={{ '--fighter-color': side2.color }}
+                        id="bet-side-2"
+                        disabled={disabled}
+                    >
+                        <div className="bet-panel__fighter-corner">BLUE</div>
+                        <span className="bet-panel__fighter-avatar">{side2.icon}</span>
+                        <span className="bet-panel__fighter-name">{side2.name}</span>
+                        <div className="bet-panel__fighter-odds">
+                            <TrendingUp size={11} />
+                            <span>{side2.odds}x</span>
+                        </div>
+                        {selectedSide === '2' && <div className="bet-panel__fighter-check">✓</div>}
+                    </button>
                 </div>
-
-                <button
-                    type="button"
-                    className={`bet-panel__fighter ${selectedSide === '2' ? 'selected' : ''}`}
-                    onClick={() => handleSelectSide('2')}
-                    style={{ '--fighter-color': agent2.color }}
-                    id="bet-side-2"
-                    disabled={disabled}
-                >
-                    <div className="bet-panel__fighter-corner">BLUE</div>
-                    <span className="bet-panel__fighter-avatar">{agent2.avatar}</span>
-                    <span className="bet-panel__fighter-name">{agent2.name}</span>
-                    <div className="bet-panel__fighter-odds">
-                        <TrendingUp size={11} />
-                        <span>{agent2Odds}x</span>
-                    </div>
-                    {selectedSide === '2' && <div className="bet-panel__fighter-check">✓</div>}
-                </button>
-            </div>
+            )}
 
             {/* Amount Input */}
             <div className="bet-panel__amount-section">
@@ -408,7 +460,7 @@ export default function BetPanel({
                     </span>
                 </div>
                 <div className="bet-panel__win-multiplier">
-                    {selectedSide === '1' ? agent1Odds : agent2Odds}x multiplier
+                    {selected?.odds || 0}x multiplier
                 </div>
             </div>
 
@@ -6,10 +6,28 @@
 import { useEffect, useRef, useCallback } from 'react';
 import { GameEngine } from '../engine/GameEngine';
 import { playSound } from '../utils/audio';
+import { getStatusEffect } from '../data/statusEffects';
+import { resolveArena } from '../data/arenas';
+
+const DEFAULT_COLORS = ['#FF2D78', '#00F5FF', '#39FF14', '#FFE93E', '#836EF9', '#FF6B35', '#69D2E7', '#FF3131'];
+
+// Spawn points: duels face off left/right, bigger matches start on a ring
+// (slots are in side order, so teammates spawn next to each other)
+function spawnPoints(count, w, h) {
+    if (count <= 2) return [{ x: w * 0.25, y: h * 0.5 }, { x: w * 0.75, y: h * 0.5 }];
+    const r = Math.min(w, h) * 0.32;
+    return Array.from({ length: count }, (_, i) => {
+        const angle = Math.PI + (Math.PI * 2 * i) / count;
+        return { x: w / 2 + Math.cos(angle) * r, y: h / 2 + Math.sin(angle) * r };
+    });
+}
 
 export default function GameCanvas({
     agent1,
     agent2,
+    fighters = null,
+    fighterEquipment = null,
+    sides = null,
     onStateUpdate,
     onMatchEnd,
     isPlaying = true,
@@ -17,6 +35,8 @@ export default function GameCanvas({
     agent2Equipment,
     showRoundHud = false,
     serverFightState = null,
+    ruleSet = null,
+    arena = null,
 }) {
     const canvasRef = useRef(null);
     const engineRef = useRef(null);
@@ -26,16 +46,24 @@ export default function GameCanvas({
     const onMatchEndRef = useRef(onMatchEnd);
     const agent1Ref = useRef(agent1);
     const agent2Ref = useRef(agent2);
+    const fightersRef = useRef(fighters);
+    const sidesRef = useRef(sides);
     const isPlayingRef = useRef(isPlaying);
     const showRoundHudRef = useRef(showRoundHud);
     const serverFightStateRef = useRef(serverFightState);
+    const ruleSetRef = useRef(ruleSet);
+    const arenaRef = useRef(resolveArena(arena));
 
     useEffect(() => { onStateUpdateRef.current = onStateUpdate; }, [onStateUpdate]);
     useEffect(() => { onMatchEndRef.current = onMatchEnd; }, [onMatchEnd]);
     useEffect(() => { agent1Ref.current = agent1; }, [agent1]);
     useEffect(() => { agent2Ref.current = agent2; }, [agent2]);
+    useEffect(() => { fightersRef.current = fighters; }, [fighters]);
+    useEffect(() => { sidesRef.current = sides; }, [sides]);
     useEffect(() => { showRoundHudRef.current = showRoundHud; }, [showRoundHud]);
     useEffect(() => { serverFightStateRef.current = serverFightState; }, [serverFightState]);
+    useEffect(() => { ruleSetRef.current = ruleSet; }, [ruleSet]);
+    useEffect(() => { arenaRef.current = resolveArena(arena); }, [arena]);
 
     // When backend says match is over, pause engine
     useEffect(() => {
@@ -46,8 +74,11 @@ export default function GameCanvas({
     }, [isPlaying]);
 
     const draw = useCallback((ctx, state, w, h) => {
-        const a1 = agent1Ref.current;
-        const a2 = agent2Ref.current;
+        const roster = fightersRef.current?.length ? fightersRef.current : [agent1Ref.current, agent2Ref.current];
+        const sideColors = {};
+        (sidesRef.current || []).forEach(s => {
+            if (s.fighterIds?.length > 1) sideColors[s.id] = s.color;
+        });
 
         // ── Screen Shake ──
         ctx.save();
@@ -57,11 +88,12 @@ export default function GameCanvas({
             ctx.translate(sx, sy);
         }
 
-        // ── Background ──
+        // ── Background (arena floor) ──
+        const theme = arenaRef.current.theme;
         ctx.clearRect(-20, -20, w + 40, h + 40);
 
         const bgGrad = ctx.createRadialGradient(w / 2, h / 2, 0, w / 2, h / 2, w * 0.75);
-        bgGrad.addColorStop(0, '#1a1428');
+        bgGrad.addColorStop(0, theme.floor);
         bgGrad.addColorStop(0.6, '#0f0c18');
         bgGrad.addColorStop(1, '#080610');
         ctx.fillStyle = bgGrad;
@@ -117,12 +149,12 @@ export default function GameCanvas({
 
         // Arena border
         const borderGrad = ctx.createLinearGradient(0, 0, w, 0);
-        borderGrad.addColorStop(0, '#FF2D78');
-        borderGrad.addColorStop(0.5, '#836EF9');
-        borderGrad.addColorStop(1, '#00F5FF');
+        borderGrad.addColorStop(0, theme.border[0]);
+        borderGrad.addColorStop(0.5, theme.border[1]);
+        borderGrad.addColorStop(1, theme.border[2]);
         ctx.strokeStyle = borderGrad;
         ctx.lineWidth = 2.5;
-        ctx.shadowColor = '#836EF9';
+        ctx.shadowColor = theme.accent;
         ctx.shadowBlur = 10;
         ctx.strokeRect(pad, pad, w - pad * 2, h - pad * 2);
         ctx.shadowBlur = 0;
@@ -136,6 +168,24 @@ export default function GameCanvas({
         ctx.stroke();
         ctx.setLineDash([]);
 
+        // Closing ring: shade everything outside it
+        if (state?.ringRadius && state.ringSize < 1) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(pad, pad, w - pad * 2, h - pad * 2);
+            ctx.arc(w / 2, h / 2, state.ringRadius, 0, Math.PI * 2, true);
+            ctx.fillStyle = `${theme.accent}1A`;
+            ctx.fill();
+            ctx.beginPath();
+            ctx.arc(w / 2, h / 2, state.ringRadius, 0, Math.PI * 2);
+            ctx.strokeStyle = theme.accent;
+            ctx.lineWidth = 2;
+            ctx.shadowColor = theme.accent;
+            ctx.shadowBlur = 12;
+            ctx.stroke();
+            ctx.restore();
+        }
+
         if (!state || !state.agents) { ctx.restore(); return; }
 
         const agents = state.agents;
@@ -178,7 +228,7 @@ export default function GameCanvas({
         // ── Weapon chains ──
         agentIds.forEach(id => {
             const a = agents[id];
-            if (a.weaponX && a.weaponY) {
+            if (a.weaponX && a.weaponY && !a.eliminated) {
                 ctx.beginPath();
                 ctx.moveTo(a.x, a.y);
                 ctx.lineTo(a.weaponX, a.weaponY);
@@ -191,34 +241,53 @@ export default function GameCanvas({
         });
 
         // ── Draw Agents ──
-        agentIds.forEach((id, idx) => {
+        agentIds.forEach(id => {
             const a = agents[id];
-            const agentData = idx === 0 ? a1 : a2;
+            const agentData = roster[Number(id) - 1];
 
-            // Status ring effects
-            if (a.isBurning) {
+            // Eliminated fighters stay on the mat as a faded marker
+            if (a.eliminated) {
+                ctx.globalAlpha = 0.3;
                 ctx.beginPath();
-                ctx.arc(a.x, a.y, 40, 0, Math.PI * 2);
-                ctx.strokeStyle = '#FF6B3555';
-                ctx.lineWidth = 2.5;
+                ctx.arc(a.x, a.y, 26, 0, Math.PI * 2);
+                ctx.fillStyle = `${a.color}55`;
+                ctx.fill();
+                ctx.font = '20px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText('💀', a.x, a.y + 1);
+                ctx.font = '600 11px "Inter", sans-serif';
+                ctx.fillStyle = a.color;
+                ctx.fillText(agentData?.name || `Agent ${id}`, a.x, a.y - 40);
+                ctx.globalAlpha = 1;
+                return;
+            }
+
+            // Team ring under the body
+            if (sideColors[a.side]) {
+                ctx.beginPath();
+                ctx.arc(a.x, a.y, 31, 0, Math.PI * 2);
+                ctx.strokeStyle = sideColors[a.side];
+                ctx.lineWidth = 3;
                 ctx.stroke();
             }
 
-            if (a.isSlowed) {
+            // Status rings — one per active effect, dashed for debuffs
+            const effects = a.effects || [];
+            effects.forEach((e, i) => {
+                const fx = getStatusEffect(e.id);
                 ctx.beginPath();
-                ctx.arc(a.x, a.y, 42, 0, Math.PI * 2);
-                ctx.strokeStyle = '#69D2E733';
+                ctx.arc(a.x, a.y, 40 + i * 3, 0, Math.PI * 2);
+                ctx.strokeStyle = `${fx.color}55`;
                 ctx.lineWidth = 2;
-                ctx.setLineDash([4, 4]);
+                if (fx.kind === 'debuff') ctx.setLineDash([4, 4]);
                 ctx.stroke();
                 ctx.setLineDash([]);
-            }
+            });
 
             if (a.isDefending) {
-                const shieldAngle = Math.atan2(
-                    agents[agentIds.find(k => k !== id)]?.y - a.y || 0,
-                    agents[agentIds.find(k => k !== id)]?.x - a.x || 0
-                );
+                const foe = agents[a.targetId] || agents[agentIds.find(k => k !== id && agents[k].side !== a.side)];
+                const shieldAngle = Math.atan2(foe?.y - a.y || 0, foe?.x - a.x || 0);
                 ctx.beginPath();
                 ctx.arc(a.x, a.y, 34, shieldAngle - 0.9, shieldAngle + 0.9);
                 ctx.strokeStyle = '#836EF9';
@@ -278,6 +347,25 @@ export default function GameCanvas({
             ctx.fillText(agentData?.avatar || '⚔️', a.x, a.y + 1);
             ctx.globalAlpha = 1;
 
+            // Status icon row (icon + stack count) under the body
+            if (effects.length > 0) {
+                const step = 16;
+                const startX = a.x - ((effects.length - 1) * step) / 2;
+                ctx.font = '10px sans-serif';
+                ctx.textAlign = 'center';
+                effects.forEach((e, i) => {
+                    const fx = getStatusEffect(e.id);
+                    const ex = startX + i * step;
+                    ctx.fillText(fx.icon, ex, a.y + 40);
+                    if (e.stacks > 1) {
+                        ctx.font = '700 6px "Orbitron", sans-serif';
+                        ctx.fillStyle = fx.color;
+                        ctx.fillText(`${e.stacks}`, ex + 6, a.y + 45);
+                        ctx.font = '10px sans-serif';
+                    }
+                });
+            }
+
             // ── Weapon Drawing ──
             if (a.weaponX && a.weaponY) {
                 ctx.save();
@@ -637,7 +725,7 @@ export default function GameCanvas({
         // ── ROUND TRANSITION OVERLAY ──
         if (state.roundPauseUntil > state.gameTime) {
             const pauseRemaining = state.roundPauseUntil - state.gameTime;
-            const pauseProgress = 1 - (pauseRemaining / 3000); // 0→1
+            const pauseProgress = 1 - (pauseRemaining / (state.roundPauseMs || 3000)); // 0→1
             const fadeAlpha = pauseProgress < 0.2 ? pauseProgress / 0.2 :
                               pauseProgress > 0.7 ? (1 - pauseProgress) / 0.3 : 1;
 
@@ -740,13 +828,18 @@ export default function GameCanvas({
 
             const w = sizeRef.w;
             const h = sizeRef.h;
-            const a1 = agent1Ref.current;
-            const a2 = agent2Ref.current;
-            const engine = new GameEngine(w, h);
+            const roster = fightersRef.current?.length ? fightersRef.current : [agent1Ref.current, agent2Ref.current];
+            const equipment = fighterEquipment || [agent1Equipment, agent2Equipment];
+            const sideOf = {};
+            (sidesRef.current || []).forEach(s => s.fighterIds?.forEach(fid => { sideOf[fid] = s.id; }));
+            const engine = new GameEngine(w, h, ruleSetRef.current, arenaRef.current);
             engineRef.current = engine;
 
-            engine.addAgent('1', w * 0.25, h * 0.5, a1?.color || '#FF2D78', agent1Equipment || null);
-            engine.addAgent('2', w * 0.75, h * 0.5, a2?.color || '#00F5FF', agent2Equipment || null);
+            const spawns = spawnPoints(roster.length, w, h);
+            roster.forEach((f, i) => {
+                const id = String(i + 1);
+                engine.addAgent(id, spawns[i].x, spawns[i].y, f?.color || DEFAULT_COLORS[i % DEFAULT_COLORS.length], equipment[i] || null, sideOf[id] || id);
+            });
 
             let matchEnded = false;
             let lastTickNotify = 0;
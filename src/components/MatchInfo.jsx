@@ -87,6 +87,11 @@ export default function MatchInfo({ match, liveAgentState, liveMatchState }) {
                                 style={{ width: `${a1.specialMeter || 0}%` }}
                             />
                         </div>
+                        {a1.stamina != null && (
+                            <div className="match-info__stamina-bar" title={`Stamina ${a1.stamina}`}>
+                                <div className="match-info__stamina-fill" style={{ width: `${a1.stamina}%` }} />
+                            </div>
+                        )}
                     </div>
                 )}
             </div>
@@ -160,6 +165,11 @@ export default function MatchInfo({ match, liveAgentState, liveMatchState }) {
                                 style={{ width: `${a2.specialMeter || 0}%` }}
                             />
                         </div>
+                        {a2.stamina != null && (
+                            <div className="match-info__stamina-bar" title={`Stamina ${a2.stamina}`}>
+                                <div className="match-info__stamina-fill" style={{ width: `${a2.stamina}%` }} />
+                            </div>
+                        )}
                     </div>
                 )}
             </div>
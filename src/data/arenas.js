@@ -0,0 +1,43 @@
+// ═══════════════════════════════════════════════════════════════
+// ARENAS — Display data (mirrors server/data/arenas.js)
+// `physics` and `ambient` are client-only: how bodies slide and
+// what drifts across the floor. Hazard numbers come from the server.
+// ═══════════════════════════════════════════════════════════════
+
+export const ARENAS = {
+    classic: {
+        id: 'classic', name: 'Classic Ring', icon: '🥊',
+        theme: { floor: '#1a1428', accent: '#836EF9', border: ['#FF2D78', '#836EF9', '#00F5FF'] },
+        physics: {},
+        ambient: null,
+        hazards: [],
+    },
+    lava: {
+        id: 'lava', name: 'Lava Pit', icon: '🌋',
+        theme: { floor: '#2a0d05', accent: '#FF6B35', border: ['#FF2D00', '#FF6B35', '#FFE93E'] },
+        physics: {},
+        ambient: { type: 'fire', color: '#FF6B35', chance: 0.25 },   // Rising embers
+        hazards: [{ type: 'effect', effect: 'burn' }],
+    },
+    ice: {
+        id: 'ice', name: 'Frozen Lake', icon: '🧊',
+        theme: { floor: '#0b1a26', accent: '#69D2E7', border: ['#69D2E7', '#FFFFFF', '#00F5FF'] },
+        physics: { frictionAir: 0.02, wallBounce: 0.95 },             // Bodies slide further
+        ambient: { type: 'snow', color: '#FFFFFF', chance: 0.2 },
+        hazards: [{ type: 'effect', effect: 'slow' }],
+    },
+    ring: {
+        id: 'ring', name: 'Closing Ring', icon: '⭕',
+        theme: { floor: '#14101f', accent: '#FFE93E', border: ['#FFE93E', '#FF2D78', '#FFE93E'] },
+        physics: {},
+        ambient: null,
+        hazards: [{ type: 'ring', closesAtPct: 0.5, minSizePct: 0.35 }],
+    },
+};
+
+/** Arena by id or server arena object, merged over the local display data */
+export function resolveArena(arena) {
+    if (!arena) return ARENAS.classic;
+    if (typeof arena === 'string') return ARENAS[arena] || ARENAS.classic;
+    return { ...(ARENAS[arena.id] || ARENAS.classic), ...arena };
+}
@@ -0,0 +1,38 @@
+// ═══════════════════════════════════════════════════════════════
+// FIGHTER CLASSES — Display data (mirrors server/data/fighter-classes.js)
+// ═══════════════════════════════════════════════════════════════
+
+export const FIGHTER_CLASSES = {
+    brawler: {
+        name: 'Brawler',
+        icon: '👊',
+        color: '#FF6B35',
+        passive: 'Momentum — +5% damage per combo hit (max +25%)',
+        special: 'Haymaker — 2.5–3.5× damage + 1s stun',
+    },
+    tank: {
+        name: 'Tank',
+        icon: '🛡️',
+        color: '#00F5FF',
+        passive: 'Bulwark — 15% less damage taken below 50% HP',
+        special: 'Fortress Slam — 1.8–2.4× damage, regenerates 8% max HP over 2s',
+    },
+    speedster: {
+        name: 'Speedster',
+        icon: '💨',
+        color: '#39FF14',
+        passive: 'Counter Step — every dodge counter-hits for 40% damage',
+        special: 'Blade Flurry — 4 strikes at 0.75×, each can crit',
+    },
+    tactician: {
+        name: 'Tactician',
+        icon: '🧠',
+        color: '#836EF9',
+        passive: 'Exploit — +20% damage vs any debuffed foe',
+        special: 'Checkmate — 2× damage + 15% of missing HP, then slows',
+    },
+};
+
+export function getFighterClass(id) {
+    return FIGHTER_CLASSES[id] || FIGHTER_CLASSES.brawler;
+}
@@ -257,6 +257,18 @@ export const SHOP_ITEMS = [
         effect: 'void',
         lore: 'Devours all resistance.',
     },
+    {
+        id: 'itm-r05',
+        name: 'Venom Rune',
+        category: 'rune',
+        rarity: 'uncommon',
+        price: 320,
+        icon: '🐍',
+        description: 'Poisons on hit. Stacks up to 3 times and halves healing.',
+        stats: { poisonDamage: 2, damage: +4 },
+        effect: 'poison',
+        lore: 'Slow, patient, certain.',
+    },
 
     // ─── Potions (Consumable) ────────────
     {
@@ -295,6 +307,30 @@ export const SHOP_ITEMS = [
         duration: '1 match',
         lore: 'Death is not the end.',
     },
+    {
+        id: 'itm-p04',
+        name: 'Aegis Draught',
+        category: 'potion',
+        rarity: 'uncommon',
+        price: 150,
+        icon: '🔰',
+        description: 'Starts every round behind a 60-damage shield for one match.',
+        stats: { shield: 60 },
+        duration: '1 match',
+        lore: 'A barrier that drinks the first blows.',
+    },
+    {
+        id: 'itm-p05',
+        name: 'Purifying Salts',
+        category: 'potion',
+        rarity: 'uncommon',
+        price: 120,
+        icon: '🧂',
+        description: 'Once per match, clears all debuffs when stunned or heavily afflicted.',
+        stats: { cleanse: 1 },
+        duration: '1 match',
+        lore: 'One sniff and the fog lifts.',
+    },
 ];
 
 // ── Calculate total equipped stats ───────────────────────────
@@ -317,6 +353,9 @@ export function calculateEquipmentBonus(equippedItems) {
         lowHPBonus: 0,
         chainDamage: 0,
         revive: 0,
+        poisonDamage: 0,
+        shield: 0,
+        cleanse: 0,
     };
 
     for (const item of equippedItems) {
@@ -0,0 +1,38 @@
+// ═══════════════════════════════════════════════════════════════
+// MATCH TYPES — Display data (mirrors server/data/match-types.js)
+// ═══════════════════════════════════════════════════════════════
+
+export const MATCH_TYPES = {
+    duel: { name: 'Duel', icon: '⚔️', market: 'sides' },
+    team: { name: '2v2 Teams', icon: '👥', market: 'sides' },
+    ffa: { name: 'Free-for-All', icon: '👑', market: 'field' },
+};
+
+export function getMatchType(id) {
+    return MATCH_TYPES[id] || MATCH_TYPES.duel;
+}
+
+/** Fighters of a match in slot order (older matches only carry agent1/agent2) */
+export function matchFighters(match) {
+    if (!match) return [];
+    if (Array.isArray(match.fighters) && match.fighters.length > 0) return match.fighters;
+    return [match.agent1, match.agent2].filter(Boolean);
+}
+
+/** Betting sides of a match: [{ id, name, icon, color, fighterIds }] */
+export function matchSides(match) {
+    if (!match) return [];
+    if (Array.isArray(match.sides) && match.sides.length > 0) return match.sides;
+    return matchFighters(match).map((f, i) => ({
+        id: String(i + 1),
+        name: f.name,
+        icon: f.avatar,
+        color: f.color,
+        fighterIds: [String(i + 1)],
+    }));
+}
+
+/** Side by id, or null */
+export function findSide(match, sideId) {
+    return matchSides(match).find(s => s.id === String(sideId)) || null;
+}
@@ -0,0 +1,16 @@
+// ═══════════════════════════════════════════════════════════════
+// STATUS EFFECTS — Display data (mirrors server/data/status-effects.js)
+// ═══════════════════════════════════════════════════════════════
+
+export const STATUS_EFFECTS = {
+    burn: { name: 'Burn', icon: '🔥', color: '#FF6B35', kind: 'debuff' },
+    poison: { name: 'Poison', icon: '☠️', color: '#7CFC00', kind: 'debuff' },
+    stun: { name: 'Stun', icon: '💫', color: '#FFE93E', kind: 'debuff' },
+    slow: { name: 'Slow', icon: '❄️', color: '#69D2E7', kind: 'debuff' },
+    shield: { name: 'Shield', icon: '🔰', color: '#836EF9', kind: 'buff' },
+    regen: { name: 'Regen', icon: '💚', color: '#00FF88', kind: 'buff' },
+};
+
+export function getStatusEffect(id) {
+    return STATUS_EFFECTS[id] || { name: id, icon: '❔', color: '#8B9DAF', kind: 'debuff' };
+}
@@ -5,9 +5,21 @@
 // ═══════════════════════════════════════════════════════════════
 
 import Matter from 'matter-js';
+import { resolveArena } from '../data/arenas';
 
 const { Engine, World, Bodies, Body, Composite, Vector } = Matter;
 
+// Match timing when no rule set is given — mirrors server "standard" (3 × 60s)
+const DEFAULT_RULES = {
+    tickMs: 500,
+    roundDurationS: 60,
+    maxRounds: 3,
+    roundPauseMs: 3000,
+    hpRecoveryPct: 0.20,
+    baseHp: 550,
+    comboWindowTicks: 6,
+};
+
 // AI combat phases
 const AI_PHASE = {
     APPROACH: 'approach',     // Close distance
@@ -17,8 +29,16 @@ const AI_PHASE = {
     DASH: 'dash',             // Lunge attack
 };
 
+// Server moves (server/data/combat-rules.js) as a push relative to the target
+const MOVE_PUSH = {
+    move_forward: { turn: 0, force: 0.003 },
+    move_back: { turn: Math.PI, force: 0.003 },
+    strafe_left: { turn: -Math.PI / 2, force: 0.0035 },
+    strafe_right: { turn: Math.PI / 2, force: 0.0035 },
+};
+
 export class GameEngine {
-    constructor(width, height) {
+    constructor(width, height, ruleSet = null, arena = null) {
         this.width = width;
         this.height = height;
         this.engine = Engine.create({ gravity: { x: 0, y: 0 } });
@@ -37,20 +57,32 @@ export class GameEngine {
         this.finishReason = null;
         this.finishTime = 0;
 
-        // ── Match timing: 3 × 60s rounds ──
-        this.roundTime = 60;
+        // ── Match timing: from the match's rule set ──
+        const rules = { ...DEFAULT_RULES, ...(ruleSet || {}) };
+        this.roundTime = rules.roundDurationS;
         this.currentRound = 1;
-        this.maxRounds = 3;
+        this.maxRounds = rules.maxRounds;
+        this.roundPauseMs = rules.roundPauseMs;
+        this.hpRecoveryPct = rules.hpRecoveryPct;
+        this.baseHp = rules.baseHp;
+        this.comboWindowMs = rules.comboWindowTicks * rules.tickMs;
+        this.tickMs = rules.tickMs;
         this.roundTimer = this.roundTime;
         this.roundPauseUntil = 0;
         this.roundJustStarted = 0;
 
-        this.momentum = { '1': 0, '2': 0 };
+        this.momentum = {};
+
+        // ── Arena: floor physics, closing ring, ambient particles ──
+        this.arena = resolveArena(arena);
+        this.ring = this.arena.hazards?.find(h => h.type === 'ring') || null;
+        this.ringSize = 1;  // Share of the full ring still open (server ticks drive it when live)
 
         // Server-authoritative mode: when true, HP/rounds/finish
         // are controlled by server fight ticks. Local engine only
         // handles visuals (movement, particles, animations).
         this.serverDriven = false;
+        this._lastSyncedTick = null;
         this._lastServerRound = 1;
 
         // Callbacks
@@ -64,20 +96,21 @@ export class GameEngine {
 
     _createBounds() {
         const t = 40;
+        const bounce = this.arena.physics?.wallBounce ?? 0.8;
         const walls = [
             Bodies.rectangle(this.width / 2, -t / 2, this.width + t * 2, t, { isStatic: true, label: 'wall' }),
             Bodies.rectangle(this.width / 2, this.height + t / 2, this.width + t * 2, t, { isStatic: true, label: 'wall' }),
             Bodies.rectangle(-t / 2, this.height / 2, t, this.height + t * 2, { isStatic: true, label: 'wall' }),
             Bodies.rectangle(this.width + t / 2, this.height / 2, t, this.height + t * 2, { isStatic: true, label: 'wall' }),
         ];
-        walls.forEach(w => { w.render = { visible: false }; w.restitution = 0.8; });
+        walls.forEach(w => { w.render = { visible: false }; w.restitution = bounce; });
         Composite.add(this.world, walls);
     }
 
-    addAgent(id, x, y, color, equipmentBonus = null) {
+    addAgent(id, x, y, color, equipmentBonus = null, side = id) {
         const body = Bodies.circle(x, y, 28, {
             label: `agent-${id}`,
-            frictionAir: 0.035,
+            frictionAir: this.arena.physics?.frictionAir ?? 0.035,
             restitution: 0.65,
             density: 0.002,
         });
@@ -102,11 +135,10 @@ export class GameEngine {
         Composite.add(this.world, [body, weaponBody, constraint]);
 
         const eb = equipmentBonus || {};
-        const baseHP = 550;   // Higher base HP — KO should be rare and dramatic
-        const maxHp = baseHP + (eb.maxHP || 0);
+        const maxHp = this.baseHp + (eb.maxHP || 0);
 
         this.agents[id] = {
-            body, color,
+            body, color, side,
             hp: maxHp, maxHp,
             score: 0,
             lastAttack: 0,
@@ -133,11 +165,15 @@ export class GameEngine {
             // Combat
             combo: 0, maxCombo: 0,
             lastHitTime: 0,
-            comboWindowMs: 3000,
+            comboWindowMs: this.comboWindowMs,
             specialMeter: 0, specialReady: false,
+            stamina: null,           // Server stamina (live fights only)
             isDefending: false, defendUntil: 0,
             isDodging: false, dodgeUntil: 0,
             stunUntil: 0, burnUntil: 0, slowUntil: 0,
+            effects: [],
+            eliminated: false,
+            targetId: null,          // Server-chosen target (multi-fighter matches)
             hitsTaken: 0, hitsLanded: 0, critHits: 0, dodges: 0,
 
             // AI state machine
@@ -161,14 +197,40 @@ export class GameEngine {
         return this.agents[id];
     }
 
+    // ═══════════════════════════════════════════════════════════
+    // TARGETING — Duels have one opponent; team and free-for-all
+    // matches follow the server's target, else the nearest enemy
+    // ═══════════════════════════════════════════════════════════
+
+    _isEnemy(id, otherId) {
+        return id !== otherId && this.agents[id]?.side !== this.agents[otherId]?.side;
+    }
+
+    _targetOf(id) {
+        const agent = this.agents[id];
+        if (!agent) return null;
+        const enemies = Object.keys(this.agents).filter(k => this._isEnemy(id, k) && !this.agents[k].eliminated);
+        if (agent.targetId && enemies.includes(agent.targetId)) return agent.targetId;
+
+        const pos = agent.body.position;
+        let best = null;
+        let bestDist = Infinity;
+        for (const k of enemies) {
+            const o = this.agents[k].body.position;
+            const d = (o.x - pos.x) ** 2 + (o.y - pos.y) ** 2;
+            if (d < bestDist) { best = k; bestDist = d; }
+        }
+        return best;
+    }
+
     // ═══════════════════════════════════════════════════════════
     // AI SYSTEM — Phase-based with transitions
     // ═══════════════════════════════════════════════════════════
 
     _aiTick(id) {
         const agent = this.agents[id];
-        const otherId = Object.keys(this.agents).find(k => k !== id);
-        if (!agent || !otherId) return;
+        const otherId = this._targetOf(id);
+        if (!agent || agent.eliminated || !otherId) return;
         if (agent.stunUntil > this.gameTime) return;
 
         const other = this.agents[otherId];
@@ -232,6 +294,45 @@ export class GameEngine {
         if (pos.x > this.width - pad) Body.applyForce(agent.body, pos, { x: -f, y: 0 });
         if (pos.y < pad) Body.applyForce(agent.body, pos, { x: 0, y: f });
         if (pos.y > this.height - pad) Body.applyForce(agent.body, pos, { x: 0, y: -f });
+
+        // ── Closing ring: push back toward the centre ──
+        if (this.ring && this.ringSize < 1) {
+            const cx = this.width / 2, cy = this.height / 2;
+            const fromCenter = Math.hypot(pos.x - cx, pos.y - cy);
+            if (fromCenter > this.ringRadius()) {
+                const back = Math.atan2(cy - pos.y, cx - pos.x);
+                Body.applyForce(agent.body, pos, { x: Math.cos(back) * f * 1.5, y: Math.sin(back) * f * 1.5 });
+            }
+        }
+    }
+
+    /** Current ring radius in pixels */
+    ringRadius() {
+        return (Math.min(this.width, this.height) / 2 - 30) * this.ringSize;
+    }
+
+    // Local ring closure from the round clock (server ticks override it when live)
+    _updateRing() {
+        if (!this.ring || this.serverDriven) return;
+        const elapsedPct = 1 - this.roundTimer / this.roundTime;
+        const progress = Math.max(0, Math.min(1, (elapsedPct - this.ring.closesAtPct) / (1 - this.ring.closesAtPct)));
+        this.ringSize = 1 - progress * (1 - this.ring.minSizePct);
+    }
+
+    // Ambient floor particles (lava embers, drifting snow)
+    _spawnAmbient() {
+        const amb = this.arena.ambient;
+        if (!amb || Math.random() > amb.chance) return;
+        const snow = amb.type === 'snow';
+        this.particles.push({
+            x: Math.random() * this.width,
+            y: Math.random() * this.height,
+            vx: (Math.random() - 0.5) * (snow ? 1.2 : 0.6),
+            vy: snow ? 1 + Math.random() : -1 - Math.random() * 1.5,
+            life: snow ? 1 : 0.7, color: amb.color,
+            size: snow ? 1 + Math.random() * 1.5 : 1.5 + Math.random() * 2,
+            type: snow ? 'ambient' : 'fire',
+        });
     }
 
     _aiChoosePhase(id, dist, agg) {
@@ -272,7 +373,7 @@ export class GameEngine {
         const optDist = 105;
         if (dist > optDist + 30) {
             // Move closer with slight flanking
-            const flank = Math.sin(now / 1200 + (id === '1' ? 0 : 3.14)) * 0.5;
+            const flank = Math.sin(now / 1200 + (Number(id) % 2 ? 0 : 3.14)) * 0.5;
             Body.applyForce(agent.body, agent.body.position, {
                 x: Math.cos(angle + flank) * 0.0007 * spd,
                 y: Math.sin(angle + flank) * 0.0007 * spd,
@@ -285,7 +386,7 @@ export class GameEngine {
             });
         } else {
             // Circle at optimal range
-            const circleDir = id === '1' ? 1 : -1;
+            const circleDir = Number(id) % 2 ? 1 : -1;
             const perpAngle = angle + (Math.PI / 2) * circleDir;
             Body.applyForce(agent.body, agent.body.position, {
                 x: Math.cos(perpAngle) * 0.0004 * spd,
@@ -492,7 +593,7 @@ export class GameEngine {
         agent.dodgeUntil = this.gameTime + 350;
         agent.dodges++;
 
-        const otherId = Object.keys(this.agents).find(k => k !== id);
+        const otherId = this._targetOf(id);
         if (otherId) {
             const oPos = this.agents[otherId].body.position;
             const angle = Math.atan2(oPos.y - agent.body.position.y, oPos.x - agent.body.position.x);
@@ -515,171 +616,208 @@ export class GameEngine {
         setTimeout(() => { if (this.agents[id]) agent.isDodging = false; }, 350);
     }
 
+    // Moves, dodges and taunts the server picked, played out on the local bodies
+    _playServerAction(id, action) {
+        const agent = this.agents[id];
+        const otherId = this._targetOf(id);
+        if (!agent || !otherId) return;
+        if (action === 'dodge') {
+            this._dodge(id);
+            return;
+        }
+
+        const pos = agent.body.position;
+        const oPos = this.agents[otherId].body.position;
+        const angle = Math.atan2(oPos.y - pos.y, oPos.x - pos.x);
+        const push = MOVE_PUSH[action];
+        if (push) {
+            Body.applyForce(agent.body, pos, {
+                x: Math.cos(angle + push.turn) * push.force,
+                y: Math.sin(angle + push.turn) * push.force,
+            });
+        } else if (action === 'taunt') {
+            for (let i = 0; i < 5; i++) {
+                this.particles.push({
+                    x: pos.x + (Math.random() - 0.5) * 16,
+                    y: pos.y - 20,
+                    vx: (Math.random() - 0.5) * 1.5, vy: -1 - Math.random(),
+                    life: 0.6, color: agent.color,
+                    size: 2 + Math.random() * 2, type: 'spark',
+                });
+            }
+        }
+    }
+
     // ═══════════════════════════════════════════════════════════
     // COLLISION & DAMAGE
     // ═══════════════════════════════════════════════════════════
 
     _checkCollisions() {
-        const ids = Object.keys(this.agents);
+        const ids = Object.keys(this.agents).filter(id => !this.agents[id].eliminated);
         if (ids.length < 2) return;
 
         for (const id of ids) {
-            const otherId = ids.find(k => k !== id);
-            const weapon = this.weapons[id];
-            const other = this.agents[otherId];
-            const attacker = this.agents[id];
-
-            if (!weapon || !other || other.invincible > this.gameTime) continue;
-
-            const wPos = weapon.body.position;
-            const oPos = other.body.position;
-            const dist = Vector.magnitude(Vector.sub(wPos, oPos));
-            const wSpeed = Vector.magnitude(weapon.body.velocity);
-
-            // Lower threshold: weapon just needs to be near + moving
-            if (dist < 42 && wSpeed > 0.8) {
-                // Dodge
-                if (other.isDodging || (other.dodgeChance > 0 && Math.random() * 100 < other.dodgeChance)) {
-                    this.comboEffects.push({
-                        x: oPos.x, y: oPos.y - 38,
-                        text: 'DODGE!', time: this.gameTime,
-                        color: '#00F5FF', size: 15,
-                    });
-                    other.dodges++;
-                    continue;
-                }
+            for (const otherId of ids) {
+                if (this._isEnemy(id, otherId)) this._checkWeaponHit(id, otherId);
+            }
+        }
+    }
 
-                // Block
-                if (other.isDefending) {
-                    const reducedDmg = Math.round(wSpeed * 0.3);
-                    other.hp = Math.max(0, other.hp - reducedDmg);
-                    other.invincible = this.gameTime + 200;
-                    attacker.stunUntil = this.gameTime + 350;
-                    this.comboEffects.push({
-                        x: oPos.x, y: oPos.y - 38,
-                        text: `🛡️ -${reducedDmg}`, time: this.gameTime,
-                        color: '#836EF9', size: 13,
-                    });
-                    this.shakeIntensity = Math.max(this.shakeIntensity, 3);
-                    if (other.reflect > 0) {
-                        attacker.hp = Math.max(1, attacker.hp - Math.round(reducedDmg * other.reflect / 100));
-                    }
-                    continue;
-                }
+    _checkWeaponHit(id, otherId) {
+        const weapon = this.weapons[id];
+        const other = this.agents[otherId];
+        const attacker = this.agents[id];
 
-                // ── Damage calc (for visual effects; HP only changes locally when not server-driven) ──
-                let dmg = 10 + wSpeed * 2.8 + Math.random() * 8;
-                dmg += attacker.bonusDamage * 0.7;
+        if (!weapon || !other || other.invincible > this.gameTime) return;
 
-                if (attacker.lowHPBonus > 0 && attacker.hp / attacker.maxHp < 0.3) {
-                    dmg *= 1 + attacker.lowHPBonus / 100;
+        const wPos = weapon.body.position;
+        const oPos = other.body.position;
+        const dist = Vector.magnitude(Vector.sub(wPos, oPos));
+        const wSpeed = Vector.magnitude(weapon.body.velocity);
+
+        // Lower threshold: weapon just needs to be near + moving
+        if (dist < 42 && wSpeed > 0.8) {
+            // Dodge
+            if (other.isDodging || (other.dodgeChance > 0 && Math.random() * 100 < other.dodgeChance)) {
+                this.comboEffects.push({
+                    x: oPos.x, y: oPos.y - 38,
+                    text: 'DODGE!', time: this.gameTime,
+                    color: '#00F5FF', size: 15,
+                });
+                other.dodges++;
+                return;
+            }
+
+            // Block
+            if (other.isDefending) {
+                const reducedDmg = Math.round(wSpeed * 0.3);
+                other.hp = Math.max(0, other.hp - reducedDmg);
+                other.invincible = this.gameTime + 200;
+                attacker.stunUntil = this.gameTime + 350;
+                this.comboEffects.push({
+                    x: oPos.x, y: oPos.y - 38,
+                    text: `🛡️ -${reducedDmg}`, time: this.gameTime,
+                    color: '#836EF9', size: 13,
+                });
+                this.shakeIntensity = Math.max(this.shakeIntensity, 3);
+                if (other.reflect > 0) {
+                    attacker.hp = Math.max(1, attacker.hp - Math.round(reducedDmg * other.reflect / 100));
                 }
+                return;
+            }
 
-                dmg *= 1 + (this.momentum[id] || 0) * 0.02;
+            // ── Damage calc (for visual effects; HP only changes locally when not server-driven) ──
+            let dmg = 10 + wSpeed * 2.8 + Math.random() * 8;
+            dmg += attacker.bonusDamage * 0.7;
 
-                let isCrit = false;
-                if (Math.random() * 100 < attacker.critChance) {
-                    dmg *= attacker.critDamage / 100;
-                    isCrit = true;
-                }
+            if (attacker.lowHPBonus > 0 && attacker.hp / attacker.maxHp < 0.3) {
+                dmg *= 1 + attacker.lowHPBonus / 100;
+            }
 
-                const effDef = Math.max(0, other.defense - attacker.armorPen);
-                dmg *= 1 - Math.min(0.4, effDef / (effDef + 60));
+            dmg *= 1 + (this.momentum[id] || 0) * 0.02;
 
-                const damage = Math.round(Math.max(2, dmg));
+            let isCrit = false;
+            if (Math.random() * 100 < attacker.critChance) {
+                dmg *= attacker.critDamage / 100;
+                isCrit = true;
+            }
 
-                // Only mutate game state locally when NOT server-driven
-                if (!this.serverDriven) {
-                    other.hp = Math.max(1, other.hp - damage);
-                    attacker.score += damage;
-                    attacker.hitsLanded++;
-                    other.hitsTaken++;
-                    if (isCrit) attacker.critHits++;
-
-                    this.momentum[id] = Math.min(8, (this.momentum[id] || 0) + 1);
-                    this.momentum[otherId] = Math.max(0, (this.momentum[otherId] || 0) - 0.5);
-
-                    if (this.gameTime - attacker.lastHitTime < attacker.comboWindowMs) {
-                        attacker.combo++;
-                        if (attacker.combo > attacker.maxCombo) attacker.maxCombo = attacker.combo;
-                    } else {
-                        attacker.combo = 1;
-                    }
-                    attacker.lastHitTime = this.gameTime;
-
-                    attacker.specialMeter = Math.min(100, attacker.specialMeter + 10 + (isCrit ? 15 : 0) + (attacker.combo >= 3 ? 8 : 0));
-                    if (attacker.specialMeter >= 100 && !attacker.specialReady) {
-                        attacker.specialReady = true;
-                        this.comboEffects.push({
-                            x: attacker.body.position.x, y: attacker.body.position.y - 60,
-                            text: '⚡ SPECIAL READY!', time: this.gameTime,
-                            color: '#FFE93E', size: 18,
-                        });
-                    }
-
-                    if (attacker.lifesteal > 0) {
-                        attacker.hp = Math.min(attacker.maxHp, attacker.hp + Math.round(damage * attacker.lifesteal / 100));
-                    }
-                    if (other.thornDamage > 0) attacker.hp = Math.max(1, attacker.hp - other.thornDamage);
-                    if (attacker.burnDamage > 0) other.burnUntil = this.gameTime + 2500;
-                    if (attacker.slowEffect > 0) other.slowUntil = this.gameTime + 1500;
-                }
+            const effDef = Math.max(0, other.defense - attacker.armorPen);
+            dmg *= 1 - Math.min(0.4, effDef / (effDef + 60));
 
-                other.invincible = this.gameTime + 350;
+            const damage = Math.round(Math.max(2, dmg));
 
-                // ── Visual effects ──
-                this.hitEffects.push({
-                    x: oPos.x, y: oPos.y, damage,
-                    time: this.gameTime, color: attacker.color,
-                    isCrit, isCombo: attacker.combo >= 3,
-                });
+            // Only mutate game state locally when NOT server-driven
+            if (!this.serverDriven) {
+                other.hp = Math.max(1, other.hp - damage);
+                attacker.score += damage;
+                attacker.hitsLanded++;
+                other.hitsTaken++;
+                if (isCrit) attacker.critHits++;
 
-                if (attacker.combo >= 2) {
-                    const texts = ['', '', 'DOUBLE!', 'TRIPLE!', 'ULTRA!', 'MEGA!', 'INSANE!', 'GODLIKE!'];
-                    this.comboEffects.push({
-                        x: oPos.x, y: oPos.y - 65,
-                        text: `${attacker.combo}x ${texts[Math.min(attacker.combo, texts.length - 1)]}`,
-                        time: this.gameTime,
-                        color: attacker.combo >= 5 ? '#FFE93E' : attacker.combo >= 3 ? '#FF6B35' : '#00F5FF',
-                        size: 14 + Math.min(attacker.combo * 2, 10),
-                    });
+                this.momentum[id] = Math.min(8, (this.momentum[id] || 0) + 1);
+                this.momentum[otherId] = Math.max(0, (this.momentum[otherId] || 0) - 0.5);
+
+                if (this.gameTime - attacker.lastHitTime < attacker.comboWindowMs) {
+                    attacker.combo++;
+                    if (attacker.combo > attacker.maxCombo) attacker.maxCombo = attacker.combo;
+                } else {
+                    attacker.combo = 1;
                 }
+                attacker.lastHitTime = this.gameTime;
 
-                if (isCrit) {
+                attacker.specialMeter = Math.min(100, attacker.specialMeter + 10 + (isCrit ? 15 : 0) + (attacker.combo >= 3 ? 8 : 0));
+                if (attacker.specialMeter >= 100 && !attacker.specialReady) {
+                    attacker.specialReady = true;
                     this.comboEffects.push({
-                        x: oPos.x + (Math.random() - 0.5) * 18,
-                        y: oPos.y - 50,
-                        text: '💥 CRITICAL!', time: this.gameTime,
-                        color: '#FF2D78', size: 20,
+                        x: attacker.body.position.x, y: attacker.body.position.y - 60,
+                        text: '⚡ SPECIAL READY!', time: this.gameTime,
+                        color: '#FFE93E', size: 18,
                     });
-                    this.shakeIntensity = Math.max(this.shakeIntensity, 4);
                 }
 
-                // Particles
-                const pCount = Math.min(isCrit ? 10 : (attacker.combo >= 3 ? 7 : 4), 10);
-                for (let i = 0; i < pCount; i++) {
-                    const pa = (Math.PI * 2 / pCount) * i + Math.random() * 0.4;
-                    this.particles.push({
-                        x: oPos.x, y: oPos.y,
-                        vx: Math.cos(pa) * (3 + Math.random() * (isCrit ? 6 : 3)),
-                        vy: Math.sin(pa) * (3 + Math.random() * (isCrit ? 6 : 3)),
-                        life: 0.8, color: isCrit ? '#FFE93E' : attacker.color,
-                        size: isCrit ? (2 + Math.random() * 3) : (1 + Math.random() * 2.5),
-                        type: 'impact',
-                    });
+                if (attacker.lifesteal > 0) {
+                    attacker.hp = Math.min(attacker.maxHp, attacker.hp + Math.round(damage * attacker.lifesteal / 100));
                 }
+                if (other.thornDamage > 0) attacker.hp = Math.max(1, attacker.hp - other.thornDamage);
+                if (attacker.burnDamage > 0) other.burnUntil = this.gameTime + 2500;
+                if (attacker.slowEffect > 0) other.slowUntil = this.gameTime + 1500;
+            }
+
+            other.invincible = this.gameTime + 350;
+
+            // ── Visual effects ──
+            this.hitEffects.push({
+                x: oPos.x, y: oPos.y, damage,
+                time: this.gameTime, color: attacker.color,
+                isCrit, isCombo: attacker.combo >= 3,
+            });
 
-                // Knockback (minimal shake)
-                this.shakeIntensity = Math.max(this.shakeIntensity, Math.min(damage * 0.08, 3));
-                const kAngle = Math.atan2(oPos.y - wPos.y, oPos.x - wPos.x);
-                Body.applyForce(other.body, oPos, {
-                    x: Math.cos(kAngle) * (isCrit ? 0.005 : 0.003),
-                    y: Math.sin(kAngle) * (isCrit ? 0.005 : 0.003),
+            if (attacker.combo >= 2) {
+                const texts = ['', '', 'DOUBLE!', 'TRIPLE!', 'ULTRA!', 'MEGA!', 'INSANE!', 'GODLIKE!'];
+                this.comboEffects.push({
+                    x: oPos.x, y: oPos.y - 65,
+                    text: `${attacker.combo}x ${texts[Math.min(attacker.combo, texts.length - 1)]}`,
+                    time: this.gameTime,
+                    color: attacker.combo >= 5 ? '#FFE93E' : attacker.combo >= 3 ? '#FF6B35' : '#00F5FF',
+                    size: 14 + Math.min(attacker.combo * 2, 10),
                 });
+            }
 
-                if (this.onHit) {
-                    this.onHit(id, otherId, damage, other.hp, { isCrit, combo: attacker.combo });
-                }
+            if (isCrit) {
+                this.comboEffects.push({
+                    x: oPos.x + (Math.random() - 0.5) * 18,
+                    y: oPos.y - 50,
+                    text: '💥 CRITICAL!', time: this.gameTime,
+                    color: '#FF2D78', size: 20,
+                });
+                this.shakeIntensity = Math.max(this.shakeIntensity, 4);
+            }
+
+            // Particles
+            const pCount = Math.min(isCrit ? 10 : (attacker.combo >= 3 ? 7 : 4), 10);
+            for (let i = 0; i < pCount; i++) {
+                const pa = (Math.PI * 2 / pCount) * i + Math.random() * 0.4;
+                this.particles.push({
+                    x: oPos.x, y: oPos.y,
+                    vx: Math.cos(pa) * (3 + Math.random() * (isCrit ? 6 : 3)),
+                    vy: Math.sin(pa) * (3 + Math.random() * (isCrit ? 6 : 3)),
+                    life: 0.8, color: isCrit ? '#FFE93E' : attacker.color,
+                    size: isCrit ? (2 + Math.random() * 3) : (1 + Math.random() * 2.5),
+                    type: 'impact',
+                });
+            }
+
+            // Knockback (minimal shake)
+            this.shakeIntensity = Math.max(this.shakeIntensity, Math.min(damage * 0.08, 3));
+            const kAngle = Math.atan2(oPos.y - wPos.y, oPos.x - wPos.x);
+            Body.applyForce(other.body, oPos, {
+                x: Math.cos(kAngle) * (isCrit ? 0.005 : 0.003),
+                y: Math.sin(kAngle) * (isCrit ? 0.005 : 0.003),
+            });
+
+            if (this.onHit) {
+                this.onHit(id, otherId, damage, other.hp, { isCrit, combo: attacker.combo });
             }
         }
     }
@@ -701,6 +839,8 @@ export class GameEngine {
         }
 
         Engine.update(this.engine, delta);
+        this._updateRing();
+        this._spawnAmbient();
         Object.keys(this.agents).forEach(id => this._aiTick(id));
         this._checkCollisions();
         // KO disabled locally — server controls match end
@@ -736,15 +876,16 @@ export class GameEngine {
         this.comboEffects = this.comboEffects.filter(c => this.gameTime - c.time < 1200);
         this.shakeIntensity *= 0.84;
         if (this.shakeIntensity < 0.3) this.shakeIntensity = 0;
-        this.momentum['1'] = Math.max(0, (this.momentum['1'] || 0) - 0.002);
-        this.momentum['2'] = Math.max(0, (this.momentum['2'] || 0) - 0.002);
+        Object.keys(this.momentum).forEach(id => {
+            this.momentum[id] = Math.max(0, this.momentum[id] - 0.002);
+        });
     }
 
     _checkKO() {
         const ids = Object.keys(this.agents);
         for (const id of ids) {
             if (this.agents[id].hp <= 0) {
-                const winnerId = ids.find(k => k !== id);
+                const winnerId = ids.find(k => this._isEnemy(id, k));
                 const pos = this.agents[id].body.position;
                 // KO particle burst (no screen shake)
                 for (let i = 0; i < 16; i++) {
@@ -766,27 +907,29 @@ export class GameEngine {
 
     _endRound() {
         if (this.currentRound >= this.maxRounds) {
-            const ids = Object.keys(this.agents);
-            const [a, b] = ids;
-            const hpA = this.agents[a].hp, hpB = this.agents[b].hp;
-            const winner = hpA !== hpB ? (hpA > hpB ? a : b) : (this.agents[a].score >= this.agents[b].score ? a : b);
+            const ids = Object.keys(this.agents).filter(id => !this.agents[id].eliminated);
+            const winner = ids.reduce((a, b) => {
+                const hpA = this.agents[a].hp, hpB = this.agents[b].hp;
+                if (hpA !== hpB) return hpA > hpB ? a : b;
+                return this.agents[a].score >= this.agents[b].score ? a : b;
+            });
             this._finishMatch(winner, 'decision');
             return;
         }
 
         this.currentRound++;
         this.roundTimer = this.roundTime;
-        this.roundPauseUntil = this.gameTime + 3000;
-        this.roundJustStarted = this.gameTime + 3000;
+        this.roundPauseUntil = this.gameTime + this.roundPauseMs;
+        this.roundJustStarted = this.gameTime + this.roundPauseMs;
 
         Object.values(this.agents).forEach(a => {
-            a.hp = Math.min(a.maxHp, a.hp + Math.round(a.maxHp * 0.20)); // 20% heal between rounds
+            a.hp = Math.min(a.maxHp, a.hp + Math.round(a.maxHp * this.hpRecoveryPct)); // heal between rounds
             a.combo = 0;
             a.specialMeter = Math.min(100, a.specialMeter + 10);
             a.aiPhase = AI_PHASE.APPROACH;
             a.aiPhaseTimer = 0;
         });
-        this.momentum = { '1': 0, '2': 0 };
+        this.momentum = {};
 
         if (this.onRoundEnd) {
             this.onRoundEnd({ round: this.currentRound - 1, nextRound: this.currentRound, agents: this._agentStates() });
@@ -807,8 +950,7 @@ export class GameEngine {
     forceEnd() {
         if (this.isFinished) return;
         const ids = Object.keys(this.agents);
-        const [a, b] = ids;
-        this._finishMatch(this.agents[a].hp >= this.agents[b].hp ? a : b, 'timeout');
+        this._finishMatch(ids.reduce((a, b) => (this.agents[a].hp >= this.agents[b].hp ? a : b)), 'timeout');
     }
 
     _agentStates() {
@@ -832,13 +974,18 @@ export class GameEngine {
                 isBurning: a.burnUntil > this.gameTime,
                 isSlowed: a.slowUntil > this.gameTime,
                 isStunned: a.stunUntil > this.gameTime,
+                effects: this._effectList(a),
                 specialMeter: a.specialMeter, specialReady: a.specialReady,
+                stamina: a.stamina,
                 combo: a.combo, maxCombo: a.maxCombo,
                 hitsLanded: a.hitsLanded, critHits: a.critHits,
                 weaponX: this.weapons[id]?.body.position.x,
                 weaponY: this.weapons[id]?.body.position.y,
                 weaponAngle: this.weapons[id]?.body.angle,
                 color: a.color,
+                side: a.side,
+                eliminated: a.eliminated,
+                targetId: a.targetId,
             };
         });
         return {
@@ -850,8 +997,11 @@ export class GameEngine {
             isFinished: this.isFinished, winner: this.winner,
             finishReason: this.finishReason, finishTime: this.finishTime,
             roundPauseUntil: this.roundPauseUntil,
+            roundPauseMs: this.roundPauseMs,
             roundJustStarted: this.roundJustStarted,
             momentum: this.momentum,
+            ringSize: this.ringSize,
+            ringRadius: this.ring ? this.ringRadius() : null,
         };
     }
 
@@ -864,15 +1014,20 @@ export class GameEngine {
     syncServerState(serverTick) {
         if (!serverTick || !serverTick.fighters) return;
         this.serverDriven = true;
+        // Called every frame; one-shot visuals only play on a fresh tick
+        const freshTick = serverTick !== this._lastSyncedTick;
+        this._lastSyncedTick = serverTick;
 
-        const { fighters, round, roundTimer, roundPaused, finished, winner, method } = serverTick;
+        const { fighters, round, maxRounds, roundTimer, roundPaused, finished, winner, method, ringSize } = serverTick;
+        if (maxRounds) this.maxRounds = maxRounds;
+        if (typeof ringSize === 'number') this.ringSize = ringSize;
 
         // Sync round transitions
         if (round && round !== this._lastServerRound) {
             if (round > this._lastServerRound && roundPaused) {
                 // Trigger visual round transition overlay
-                this.roundPauseUntil = this.gameTime + 3000;
-                this.roundJustStarted = this.gameTime + 3000;
+                this.roundPauseUntil = this.gameTime + this.roundPauseMs;
+                this.roundJustStarted = this.gameTime + this.roundPauseMs;
             }
             this._lastServerRound = round;
             this.currentRound = round;
@@ -886,7 +1041,7 @@ export class GameEngine {
                 a.aiPhase = 'approach';
                 a.aiPhaseTimer = 0;
             });
-            this.momentum = { '1': 0, '2': 0 };
+            this.momentum = {};
         }
         this.currentRound = round || this.currentRound;
 
@@ -897,7 +1052,7 @@ export class GameEngine {
 
         // Sync round pause
         if (roundPaused && this.roundPauseUntil <= this.gameTime) {
-            this.roundPauseUntil = this.gameTime + 3000;
+            this.roundPauseUntil = this.gameTime + this.roundPauseMs;
         }
 
         // Sync fighter state
@@ -912,30 +1067,25 @@ export class GameEngine {
             // Sync combat stats
             agent.specialMeter = fState.specialMeter;
             agent.specialReady = fState.specialReady;
+            agent.stamina = fState.stamina ?? null;
             agent.combo = fState.combo;
             agent.maxCombo = fState.maxCombo;
             agent.hitsLanded = fState.hitsLanded;
             agent.critHits = fState.critHits;
             agent.dodges = fState.dodges;
-
-            // Status effects — set timeout-based flags from server booleans
-            if (fState.isBurning && agent.burnUntil <= this.gameTime) {
-                agent.burnUntil = this.gameTime + 2500;
-            } else if (!fState.isBurning) {
-                agent.burnUntil = 0;
-            }
-
-            if (fState.isStunned && agent.stunUntil <= this.gameTime) {
-                agent.stunUntil = this.gameTime + 500;
-            } else if (!fState.isStunned) {
-                agent.stunUntil = 0;
-            }
-
-            if (fState.isSlowed && agent.slowUntil <= this.gameTime) {
-                agent.slowUntil = this.gameTime + 1500;
-            } else if (!fState.isSlowed) {
-                agent.slowUntil = 0;
-            }
+            if (freshTick && fState.action) this._playServerAction(id, fState.action);
+
+            // Multi-fighter matches: sides, targets and eliminations
+            if (fState.side) agent.side = fState.side;
+            agent.targetId = fState.targetId || null;
+            agent.eliminated = !!fState.eliminated;
+
+            // Status effects — the server list drives the HUD; burn/stun/slow
+            // timers keep the local physics visuals in step with it
+            agent.effects = Array.isArray(fState.effects) ? fState.effects : [];
+            agent.burnUntil = this._effectUntil(agent.effects, 'burn');
+            agent.stunUntil = this._effectUntil(agent.effects, 'stun');
+            agent.slowUntil = this._effectUntil(agent.effects, 'slow');
         }
 
         // Sync match end
@@ -948,6 +1098,21 @@ export class GameEngine {
         }
     }
 
+    // Local visual timer for a server effect (0 when not active)
+    _effectUntil(effects, id) {
+        const e = effects.find(fx => fx.id === id);
+        if (!e) return 0;
+        return this.gameTime + ((e.ticksLeft ?? 1) + 1) * this.tickMs;
+    }
+
+    // Active effects for the canvas: the server's list, or one built from local timers
+    _effectList(a) {
+        if (this.serverDriven) return a.effects;
+        return [['burn', a.burnUntil], ['stun', a.stunUntil], ['slow', a.slowUntil]]
+            .filter(([, until]) => until > this.gameTime)
+            .map(([id, until]) => ({ id, stacks: 1, ticksLeft: Math.ceil((until - this.gameTime) / this.tickMs) }));
+    }
+
     start() { this.isRunning = true; }
     stop() { this.isRunning = false; }
     pause() { this.isPaused = true; }
@@ -5,10 +5,21 @@ import {
     ExternalLink, Wallet, Key, Send,
 } from 'lucide-react';
 import { useWallet } from '../context/WalletContext';
+import { getFighterClass } from '../data/fighterClasses';
 import './Agents.css';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api/v1';
 
+function FighterClassChip({ fighterClass }) {
+    const cls = getFighterClass(fighterClass);
+    return (
+        <div className="agent-card__class" style={{ '--class-color': cls.color }} title={`${cls.passive}\n${cls.special}`}>
+            <span className="agent-card__class-name">{cls.icon} {cls.name}</span>
+            <span className="agent-card__class-perk">{cls.passive.split(' — ')[0]} · {cls.special.split(' — ')[0]}</span>
+        </div>
+    );
+}
+
 function CopyButton({ text }) {
     const [copied, setCopied] = useState(false);
     const handleCopy = (e) => {
@@ -399,6 +410,8 @@ export default function Agents() {
 
                                         <p className="agent-card__desc">{agent.description || 'No description'}</p>
 
+                                        <FighterClassChip fighterClass={agent.fighterClass} />
+
                                         <div className="agent-card__stats">
                                             <div className="agent-card__stat">
                                                 <Swords size={14} style={{ color: 'var(--neon-green)' }} />
@@ -419,7 +432,10 @@ export default function Agents() {
                                         <div className="agent-card__bottom-row">
                                             <div className="agent-card__power">
                                                 <div className="agent-card__power-header">
-                                                    <span className="agent-card__power-label">Power {agent.powerRating || 0}</span>
+                                                    <span className="agent-card__power-label">
+                                                        Power {agent.powerRating || 0}
+                                                        {agent.rating && ` · Rating ${agent.rating.rating}${agent.rating.provisional ? '?' : ''}`}
+                                                    </span>
                                                     <HeartbeatIndicator value={agent.lastHeartbeat} />
                                                 </div>
                                                 <div className="health-bar">
@@ -457,6 +473,7 @@ export default function Agents() {
                                         <span className="agent-card__weapon">{agent.weaponPreference || 'fighter'}</span>
                                     </div>
                                 </div>
+                                <FighterClassChip fighterClass={agent.fighterClass} />
                                 <div className="agent-card__stats" style={{ marginTop: '16px' }}>
                                     <div className="agent-card__stat">
                                         <Swords size={14} style={{ color: 'var(--neon-green)' }} />
@@ -7,7 +7,7 @@ import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import {
     Zap, TrendingUp, Flame, Eye, Trophy, Clock,
     Activity, Radio, ChevronRight, Swords, BarChart3,
-    Users, ArrowUpRight, Sparkles, Shield, Target, Timer
+    Users, ArrowUpRight, Sparkles, Shield, Target, Timer, ClipboardList
 } from 'lucide-react';
 import { io as socketIO } from 'socket.io-client';
 import { useWallet } from '../context/WalletContext';
@@ -16,11 +16,22 @@ import BetPanel from '../components/BetPanel';
 import LiveChat from '../components/LiveChat';
 import { AGENTS } from '../data/mockData';
 import { calculateEquipmentBonus } from '../data/inventory';
+import { getFighterClass } from '../data/fighterClasses';
+import { findSide, getMatchType, matchFighters, matchSides } from '../data/matchTypes';
 import { useInventory } from '../context/InventoryContext';
 import { playSound } from '../utils/audio';
 import contractService from '../services/contractService';
 import './Arena.css';
 
+function FighterClassTag({ fighterClass }) {
+    const cls = getFighterClass(fighterClass);
+    return (
+        <span className="competitor-class" style={{ color: cls.color }} title={`${cls.passive}\n${cls.special}`}>
+            {cls.icon} {cls.name}
+        </span>
+    );
+}
+
 // ── API Config ──
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api/v1';
 const SOCKET_URL = API_URL.replace('/api/v1', '') || window.location.origin;
@@ -28,6 +39,7 @@ const WAITING_REASON_LABELS = {
     NO_REAL_AGENTS: 'Not enough real agents. Waiting for new registrations.',
     CHAIN_NOT_CONFIGURED: 'On-chain service is not configured. Waiting for contract setup.',
     CHAIN_CREATE_FAILED: 'Could not create the match on-chain. Retrying shortly.',
+    POOL_NOT_FILLED: 'The betting pool never filled, so the match was cancelled. Bets can be refunded.',
 };
 
 export default function Arena() {
@@ -49,6 +61,18 @@ export default function Arena() {
     const [fightRoundPaused, setFightRoundPaused] = useState(false);
     const receivingServerTicks = useRef(false);
 
+    // ── Live fights (lobby) — the page follows the featured match unless one is pinned ──
+    const [liveFights, setLiveFights] = useState([]);
+    const [featuredMatchId, setFeaturedMatchId] = useState(null);
+    const [pinnedMatchId, setPinnedMatchId] = useState(null);
+    const pinnedMatchIdRef = useRef(null);
+    const watchedMatchIdRef = useRef(null);
+
+    // ── Arena slots: parallel matches, one watched at a time ──
+    const [arenaSlots, setArenaSlots] = useState([]);
+    const [arenaSlot, setArenaSlot] = useState('1');
+    const arenaSlotRef = useRef('1');
+
     // ── Live Data State ──
     const [liveStats, setLiveStats] = useState({
         viewers: 0,
@@ -67,12 +91,13 @@ export default function Arena() {
 
     // ── User Bet Tracking & Claim ──
     // pendingClaim persists across match transitions so the claim button stays visible
-    const [pendingClaim, setPendingClaim] = useState(null); // { matchId, side, amount, agentName, winnerId, status, txHash, error }
+    const [pendingClaim, setPendingClaim] = useState(null); // { matchId, side, amount, agentName, winnerId, kind: 'winnings'|'refund', reason?: 'draw'|'cancelled', status, txHash, error }
     const [currentBetSide, setCurrentBetSide] = useState(null); // side bet on current match
 
     const { account, provider, isMonad, fetchBalance } = useWallet();
     const { inventories } = useInventory();
     const socketRef = useRef(null);
+    const loadInitialArenaStateRef = useRef(null);
     const activityFeedRef = useRef(null);
     const gameStateRef = useRef(gameState);
 
@@ -93,6 +118,10 @@ export default function Arena() {
         socket.on('connect', () => {
             setWsConnected(true);
             console.log('[Socket.IO] Connected to Arena');
+            // Rooms don't survive a reconnect
+            socket.emit('lobby:watch');
+            socket.emit('arena:watch', arenaSlotRef.current);
+            if (watchedMatchIdRef.current) socket.emit('match:watch', watchedMatchIdRef.current);
         });
 
         socket.on('disconnect', () => {
@@ -105,7 +134,7 @@ export default function Arena() {
                 const [statsRes, resultsRes, currentRes] = await Promise.all([
                     fetch(`${API_URL}/arena/live-stats`),
                     fetch(`${API_URL}/arena/recent-results`),
-                    fetch(`${API_URL}/arena/current`),
+                    fetch(`${API_URL}/arena/current?arena=${arenaSlotRef.current}`),
                 ]);
 
                 const [statsJson, resultsJson, currentJson] = await Promise.all([
@@ -122,6 +151,7 @@ export default function Arena() {
                 }
                 if (currentJson?.success && currentJson.data) {
                     const { phase, match, timeLeft: tl, waitingReason: reason, waitingMessage: message, fightTick } = currentJson.data;
+                    setFeaturedMatchId(match?.id || null);
                     setCurrentMatch(match || null);
                     setWaitingReason(reason || null);
                     setWaitingMessage(message || null);
@@ -153,6 +183,7 @@ export default function Arena() {
                 // WebSocket stream still handles live state.
             }
         };
+        loadInitialArenaStateRef.current = loadInitialArenaState;
         loadInitialArenaState();
 
         // ── Match phase updates from backend matchmaker ──
@@ -160,7 +191,12 @@ export default function Arena() {
             const { phase, match, timeLeft: tl, result, reason, message } = data;
 
             if (Object.prototype.hasOwnProperty.call(data, 'match')) {
+                setFeaturedMatchId(match?.id || null);
+                // Watching another fight: the featured match's phases are not ours
+                if (pinnedMatchIdRef.current && match?.id !== pinnedMatchIdRef.current) return;
                 setCurrentMatch(match || null);
+            } else if (pinnedMatchIdRef.current) {
+                return;
             }
 
             if (phase === 'BETTING') {
@@ -174,7 +210,7 @@ export default function Arena() {
                 setServerFightState(null);
                 receivingServerTicks.current = false;
                 setFightRound(1);
-                setFightMaxRounds(3);
+                setFightMaxRounds(match?.ruleSet?.maxRounds || 3);
                 setFightRoundPaused(false);
                 setMatchKey(k => k + 1);
                 // Reset current-match bet tracking, but keep pendingClaim alive
@@ -212,9 +248,23 @@ export default function Arena() {
 
                 // Determine claim state based on user's bet on this match
                 setCurrentBetSide(prevSide => {
-                    if (prevSide && result && match) {
+                    if (prevSide && result && match && result.draw) {
+                        // Draw: the match is cancelled on-chain and every stake is refundable
+                        const betAgent = findSide(match, prevSide);
+                        setPendingClaim({
+                            matchId: match.id || result.matchId,
+                            side: prevSide,
+                            agentName: betAgent?.name || '',
+                            winnerId: null,
+                            kind: 'refund',
+                            reason: 'draw',
+                            status: result.onChainCancelled ? 'ready' : 'error',
+                            txHash: null,
+                            error: result.onChainCancelled ? null : 'Match is not cancelled on-chain yet. Your refund unlocks once it is.',
+                        });
+                    } else if (prevSide && result && match) {
                         const userWon = prevSide === result.winnerId;
-                        const betAgent = prevSide === '1' ? match.agent1 : match.agent2;
+                        const betAgent = findSide(match, prevSide);
                         if (userWon && result.onChainResolved) {
                             setPendingClaim({
                                 matchId: match.id || result.matchId,
@@ -222,6 +272,7 @@ export default function Arena() {
                                 amount: null, // will be read from contract if needed
                                 agentName: betAgent?.name || 'Winner',
                                 winnerId: result.winnerId,
+                                kind: 'winnings',
                                 status: 'ready',
                                 txHash: null,
                                 error: null,
@@ -232,9 +283,10 @@ export default function Arena() {
                                 side: prevSide,
                                 agentName: betAgent?.name || 'Winner',
                                 winnerId: result.winnerId,
+                                kind: 'winnings',
                                 status: 'error',
                                 txHash: null,
-                                error: 'Match could not be resolved on-chain. Please contact support.',
+                                error: 'Match is not resolved on-chain yet. Your winnings unlock once it is.',
                             });
                         } else {
                             setPendingClaim({
@@ -258,18 +310,63 @@ export default function Arena() {
             }
         });
 
+        // Pool never filled: the match is cancelled on-chain and every stake is refundable
+        socket.on('match:cancelled', ({ matchId, match, reason, message, refund }) => {
+            setCurrentBetSide(prevSide => {
+                if (prevSide) {
+                    setPendingClaim({
+                        matchId,
+                        side: prevSide,
+                        agentName: findSide(match, prevSide)?.name || '',
+                        winnerId: null,
+                        kind: 'refund',
+                        reason: 'cancelled',
+                        status: refund?.available ? 'ready' : 'error',
+                        txHash: null,
+                        error: refund?.available ? null : 'Match is not cancelled on-chain yet. Your refund unlocks once it is.',
+                    });
+                }
+                return null;
+            });
+            if (pinnedMatchIdRef.current) return;
+            setCurrentMatch(null);
+            setWaitingReason(reason || null);
+            setWaitingMessage(message || null);
+            setGameState('WAITING');
+        });
+
+        // A market that failed to settle at match end went through on a later retry
+        socket.on('match:settled', ({ matchId }) => {
+            setPendingClaim(prev => {
+                if (!prev || prev.matchId !== matchId || prev.status !== 'error') return prev;
+                return { ...prev, status: 'ready', error: null };
+            });
+        });
+
         // New match announced
         socket.on('match:new', (match) => {
+            setFeaturedMatchId(match?.id || null);
+            if (pinnedMatchIdRef.current && match?.id !== pinnedMatchIdRef.current) return;
             setCurrentMatch(match);
         });
 
         // Match data updated (bets changed)
         socket.on('match:update', (match) => {
+            if (pinnedMatchIdRef.current && match?.id !== pinnedMatchIdRef.current) return;
+            setCurrentMatch(match);
+        });
+
+        // Full match record, sent when we start watching a match's room
+        socket.on('match:state', (match) => {
+            if (!match || match.id !== pinnedMatchIdRef.current) return;
             setCurrentMatch(match);
+            setFightMaxRounds(match.ruleSet?.maxRounds || 3);
+            setGameState('LIVE');
         });
 
-        // Betting timer countdown
+        // Betting timer countdown (featured match only)
         socket.on('match:timer', ({ timeLeft: tl, currentPool, minPool }) => {
+            if (pinnedMatchIdRef.current) return;
             setTimeLeft(tl);
             if (typeof currentPool === 'number' || typeof minPool === 'number') {
                 setCurrentMatch(prev => {
@@ -286,6 +383,7 @@ export default function Arena() {
         // ── Server-authoritative fight ticks (every 500ms during FIGHTING) ──
         socket.on('match:fight_tick', (tick) => {
             if (!tick || !tick.fighters) return;
+            if (tick.matchId && tick.matchId !== watchedMatchIdRef.current) return;
             receivingServerTicks.current = true;
             setServerFightState(tick);
             setLiveAgentState(tick.fighters);
@@ -297,12 +395,30 @@ export default function Arena() {
 
         // Fight events (hits, combos, etc.)
         socket.on('match:fight_event', (event) => {
+            if (event?.matchId && event.matchId !== watchedMatchIdRef.current) return;
             setActivityFeed(prev => [
                 { ...event, id: Date.now() + Math.random(), timestamp: Date.now() },
                 ...prev,
             ].slice(0, 30));
         });
 
+        // Lobby: every live fight, refreshed every few ticks
+        socket.on('lobby:fights', (fights) => {
+            setLiveFights(Array.isArray(fights) ? fights : []);
+        });
+
+        socket.on('lobby:fight', (summary) => {
+            if (!summary?.matchId) return;
+            setLiveFights(prev => {
+                const others = prev.filter(f => f.matchId !== summary.matchId);
+                return summary.finished ? others : [...others, summary];
+            });
+        });
+
+        socket.on('arena:slots', (slots) => {
+            if (Array.isArray(slots)) setArenaSlots(slots);
+        });
+
         // Match result
         socket.on('match:result', (result) => {
             setRecentResults(prev => [result, ...prev].slice(0, 10));
@@ -345,6 +461,73 @@ export default function Arena() {
         };
     }, []);
 
+    // ── Watch the current fight's room (ticks, fight events) ──
+    const watchedMatchId = pinnedMatchId || currentMatch?.id || null;
+    useEffect(() => {
+        watchedMatchIdRef.current = watchedMatchId;
+        const socket = socketRef.current;
+        if (!socket || !watchedMatchId) return undefined;
+        socket.emit('match:watch', watchedMatchId);
+        return () => socket.emit('match:unwatch', watchedMatchId);
+    }, [watchedMatchId]);
+
+    // Clear the fight view before showing a different match
+    const resetFightView = useCallback(() => {
+        receivingServerTicks.current = false;
+        setServerFightState(null);
+        setLiveAgentState(null);
+        setMatchResult(null);
+        setFinalStats(null);
+        setFightRound(1);
+        setFightRoundPaused(false);
+        setActivityFeed([]);
+        setMatchKey(k => k + 1);
+    }, []);
+
+    // Switch arena slot: its match becomes the featured one
+    const selectArenaSlot = useCallback((slotId) => {
+        if (slotId === arenaSlotRef.current && !pinnedMatchIdRef.current) return;
+        arenaSlotRef.current = slotId;
+        setArenaSlot(slotId);
+        pinnedMatchIdRef.current = null;
+        setPinnedMatchId(null);
+        resetFightView();
+        setCurrentBetSide(null);
+        socketRef.current?.emit('arena:watch', slotId);
+        loadInitialArenaStateRef.current?.();
+    }, [resetFightView]);
+
+    // Switch to another live fight, or back to the featured one
+    const watchFight = useCallback((matchId) => {
+        // Another slot's match is watched from that slot, betting included
+        const owner = arenaSlots.find(a => a.matchId && a.matchId === matchId);
+        if (owner && owner.id !== arenaSlotRef.current) {
+            selectArenaSlot(owner.id);
+            return;
+        }
+        const featured = !matchId || matchId === featuredMatchId;
+        if (featured ? !pinnedMatchIdRef.current : matchId === watchedMatchIdRef.current) return;
+        pinnedMatchIdRef.current = featured ? null : matchId;
+        setPinnedMatchId(featured ? null : matchId);
+        resetFightView();
+        if (featured) {
+            loadInitialArenaStateRef.current?.();
+        } else {
+            // match:state fills the match in and goes LIVE
+            setCurrentMatch(null);
+            setWaitingReason(null);
+            setWaitingMessage('Joining fight...');
+            setGameState('WAITING');
+        }
+    }, [featuredMatchId, arenaSlots, selectArenaSlot, resetFightView]);
+
+    // A pinned fight that has finished drops back to the featured match
+    useEffect(() => {
+        if (!pinnedMatchId || liveFights.some(f => f.matchId === pinnedMatchId)) return undefined;
+        const timer = setTimeout(() => watchFight(featuredMatchId), 8000);
+        return () => clearTimeout(timer);
+    }, [pinnedMatchId, liveFights, featuredMatchId, watchFight]);
+
     // ── Countdown timer for WAITING and FINISHED states ──
     useEffect(() => {
         if (gameState === 'WAITING' || gameState === 'FINISHED') {
@@ -372,7 +555,7 @@ export default function Arena() {
         }
     }, []);
 
-    // ── Claim Winnings Handler ──
+    // ── Claim Winnings / Refund Handler ──
     const handleClaimWinnings = useCallback(async () => {
         if (!pendingClaim?.matchId || (pendingClaim.status !== 'ready' && pendingClaim.status !== 'error')) return;
         setPendingClaim(prev => ({ ...prev, status: 'claiming', error: null }));
@@ -381,16 +564,20 @@ export default function Arena() {
             if (provider && isMonad && contractService.isConfigured && !contractService.contract) {
                 await contractService.init(provider);
             }
-            const result = await contractService.claimWinnings(pendingClaim.matchId);
+            const isRefund = pendingClaim.kind === 'refund';
+            const result = isRefund
+                ? await contractService.claimRefund(pendingClaim.matchId)
+                : await contractService.claimWinnings(pendingClaim.matchId);
             setPendingClaim(prev => ({ ...prev, status: 'claimed', txHash: result.txHash }));
-            playSound('cheer');
+            if (!isRefund) playSound('cheer');
             if (fetchBalance) fetchBalance();
         } catch (err) {
-            console.error('[Arena] claimWinnings failed:', err);
+            console.error(`[Arena] ${pendingClaim.kind === 'refund' ? 'claimRefund' : 'claimWinnings'} failed:`, err);
             setPendingClaim(prev => ({
                 ...prev,
                 status: 'error',
-                error: err?.reason || err?.shortMessage || err?.message || 'Failed to claim winnings.',
+                error: err?.reason || err?.shortMessage || err?.message
+                    || (prev?.kind === 'refund' ? 'Failed to claim refund.' : 'Failed to claim winnings.'),
             }));
         }
     }, [pendingClaim, provider, isMonad, fetchBalance]);
@@ -438,7 +625,7 @@ export default function Arena() {
                 resolve({ ok: false, error: 'Arena server confirmation timed out.' });
             }, 10000);
 
-            socket.emit('match:bet', bet, (response) => {
+            socket.emit('match:bet', { ...bet, matchId: currentMatch?.id }, (response) => {
                 if (settled) return;
                 settled = true;
                 clearTimeout(timeout);
@@ -448,9 +635,11 @@ export default function Arena() {
     ), [wsConnected, currentMatch?.id]);
 
     // ── Computed ──
+    const isDuel = !currentMatch?.matchType || currentMatch.matchType === 'duel';
     const winnerAgent = useMemo(() => {
-        if (!matchResult || !currentMatch) return null;
-        // matchResult.winnerId is '1' or '2', matchResult.winner is { name, avatar, color }
+        if (!matchResult || !currentMatch || matchResult.draw) return null;
+        // matchResult.winnerId is the winning side id, matchResult.winner is { name, avatar, color }
+        if (currentMatch.matchType && currentMatch.matchType !== 'duel') return matchResult.winner || null;
         if (matchResult.winnerId === '1') return currentMatch.agent1;
         if (matchResult.winnerId === '2') return currentMatch.agent2;
         // Fallback: use the winner object from the result directly
@@ -527,7 +716,7 @@ export default function Arena() {
                     <div className="arena-ticker__item arena-ticker__game-state">
                         <Flame size={13} />
                         <span className={`arena-ticker__badge arena-ticker__badge--${gameState.toLowerCase()}`}>
-                            {gameState === 'LIVE' ? `⚔️ R${fightRound}/${fightMaxRounds}` : gameState === 'BETTING' ? '🎰 BETS OPEN' : gameState === 'WAITING' ? '⏳ NEXT MATCH' : '🏆 FINISHED'}
+                            {gameState === 'LIVE' ? (serverFightState?.suddenDeath ? '☠️ SUDDEN DEATH' : `⚔️ R${fightRound}/${fightMaxRounds}`) : gameState === 'BETTING' ? '🎰 BETS OPEN' : gameState === 'WAITING' ? '⏳ NEXT MATCH' : '🏆 FINISHED'}
                         </span>
                     </div>
                 </div>
@@ -536,8 +725,41 @@ export default function Arena() {
             {/* ═══ MAIN CONTENT GRID ═══ */}
             <div className="arena-content">
 
-                {/* ─── LEFT: Activity Feed + Recent Results ─── */}
+                {/* ─── LEFT: Live Fights + Activity Feed + Recent Results ─── */}
                 <div className="arena-left-panel">
+                    {/* Live Fights — pick which one to watch */}
+                    {liveFights.length > 0 && (
+                        <div className="arena-fights">
+                            <div className="arena-fights__header">
+                                <Eye size={14} />
+                                <span>Live Fights</span>
+                                <span className="arena-feed__count">{liveFights.length}</span>
+                            </div>
+                            <div className="arena-fights__list">
+                                {liveFights.map((fight) => {
+                                    const watching = fight.matchId === watchedMatchId;
+                                    return (
+                                        <button
+                                            key={fight.matchId}
+                                            className={`arena-fights__item ${watching ? 'arena-fights__item--watching' : ''}`}
+                                            onClick={() => watchFight(fight.matchId)}
+                                            disabled={watching}
+                                        >
+                                            <span className="arena-fights__type">{getMatchType(fight.matchType).icon}</span>
+                                            <span className="arena-fights__names">
+                                                {fight.sides.map(side => side.name).join(' vs ')}
+                                            </span>
+                                            <span className="arena-fights__round">
+                                                {fight.suddenDeath ? '☠️' : `R${fight.round}/${fight.maxRounds}`}
+                                            </span>
+                                            {fight.matchId === featuredMatchId && <span className="arena-fights__featured">Featured</span>}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    )}
+
                     {/* Activity Feed */}
                     <div className="arena-feed">
                         <div className="arena-feed__header">
@@ -575,14 +797,14 @@ export default function Arena() {
                                         <span className="arena-results__winner" style={{ color: r.winner?.color || '#FFE93E' }}>
                                             {r.winner?.avatar} {r.winner?.name || 'Unknown'}
                                         </span>
-                                        <span className="arena-results__vs">beat</span>
+                                        <span className="arena-results__vs">{r.draw ? 'drew' : 'beat'}</span>
                                         <span className="arena-results__loser">
                                             {r.loser?.avatar} {r.loser?.name || 'Unknown'}
                                         </span>
                                     </div>
                                     <div className="arena-results__meta">
                                         <span className="arena-results__method">{r.method}</span>
-                                        <span className="arena-results__reward">+{r.monEarned} MON</span>
+                                        <span className="arena-results__reward">{r.draw ? 'refunded' : `+${r.monEarned} MON`}</span>
                                     </div>
                                 </div>
                             ))}
@@ -620,6 +842,23 @@ export default function Arena() {
                 {/* ─── CENTER: Main Arena ─── */}
                 <div className="arena-main">
 
+                    {/* Arena slot picker */}
+                    {arenaSlots.length > 1 && (
+                        <div className="arena-slots">
+                            {arenaSlots.map((slot) => (
+                                <button
+                                    key={slot.id}
+                                    className={`arena-slots__tab ${slot.id === arenaSlot ? 'arena-slots__tab--active' : ''}`}
+                                    onClick={() => selectArenaSlot(slot.id)}
+                                >
+                                    <span className="arena-slots__name">{slot.arena?.icon} {slot.name}</span>
+                                    <span className={`arena-slots__phase arena-slots__phase--${String(slot.phase).toLowerCase()}`}>{slot.phase}</span>
+                                    <span className="arena-slots__title">{slot.title || 'Waiting for fighters'}</span>
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
                     {/* Match Header */}
                     {currentMatch && (
                         <div className={`arena-match-header arena-match-header--${gameState.toLowerCase()}`}>
@@ -638,17 +877,23 @@ export default function Arena() {
                                     <div className="competitor-meta">
                                         <span className="competitor-rank">#{currentMatch.agent1.rank}</span>
                                         <span className="competitor-weapon">{currentMatch.agent1.weapon?.icon || '👊'}</span>
+                                        <FighterClassTag fighterClass={currentMatch.agent1.fighterClass} />
                                         <span className="competitor-power">
                                             <Zap size={10} /> {currentMatch.agent1.powerRating}
                                         </span>
                                     </div>
-                                    {currentMatch.agent1.equippedItems?.length > 0 && (
+                                    {(currentMatch.agent1.equippedItems?.length > 0 || currentMatch.agent1.potions?.length > 0) && (
                                         <div className="competitor-equipment">
-                                            {currentMatch.agent1.equippedItems.map(item => (
+                                            {currentMatch.agent1.equippedItems?.map(item => (
                                                 <span key={item.slot} className={`equipment-icon equipment-icon--${item.rarity}`} title={`${item.name} (${item.rarity})`}>
                                                     {item.icon}
                                                 </span>
                                             ))}
+                                            {currentMatch.agent1.potions?.map(potion => (
+                                                <span key={potion.id} className="equipment-icon equipment-icon--potion" title={`${potion.name} (potion, this fight only)`}>
+                                                    {potion.icon}
+                                                </span>
+                                            ))}
                                             {currentMatch.agent1.equipmentPower > 0 && (
                                                 <span className="equipment-power-badge">
                                                     <Shield size={9} /> +{currentMatch.agent1.equipmentPower}
@@ -694,12 +939,32 @@ export default function Arena() {
                                 <div className={`match-status-pill match-status-pill--${gameState.toLowerCase()}`}>
                                     {gameState === 'FINISHED' ? '🏆 FINISHED' :
                                         gameState === 'LIVE' ? (
-                                            fightRoundPaused
+                                            serverFightState?.suddenDeath
+                                                ? '☠️ SUDDEN DEATH'
+                                                : fightRoundPaused
                                                 ? `🔔 ROUND ${fightRound}`
                                                 : `⚔️ ROUND ${fightRound}/${fightMaxRounds}`
                                         ) :
                                             gameState === 'BETTING' ? '🎰 PLACE BETS' : '⏳ STARTING SOON'}
                                 </div>
+                                {!isDuel && (
+                                    <div className="match-live-stats match-rule-set" title={matchSides(currentMatch).map(s => s.name).join(' vs ')}>
+                                        <span>{getMatchType(currentMatch.matchType).icon} {getMatchType(currentMatch.matchType).name}</span>
+                                        <span>{matchFighters(currentMatch).length} fighters</span>
+                                    </div>
+                                )}
+                                {gameState !== 'LIVE' && currentMatch?.arena && (
+                                    <div className="match-live-stats match-rule-set" title={currentMatch.arena.description}>
+                                        <span>{currentMatch.arena.icon} {currentMatch.arena.name}</span>
+                                    </div>
+                                )}
+                                {gameState !== 'LIVE' && currentMatch?.ruleSet && (
+                                    <div className="match-live-stats match-rule-set" title={currentMatch.ruleSet.description}>
+                                        <span>{currentMatch.ruleSet.icon} {currentMatch.ruleSet.name}</span>
+                                        <span>{currentMatch.ruleSet.maxRounds}×{currentMatch.ruleSet.roundDurationS}s</span>
+                                        {!currentMatch.ruleSet.hpRecoveryPct && currentMatch.ruleSet.maxRounds > 1 && <span>no heal</span>}
+                                    </div>
+                                )}
                                 {gameState === 'LIVE' && liveAgentState && (
                                     <div className="match-live-stats">
                                         <span><Target size={10} /> {(liveAgentState['1']?.hitsLanded || 0) + (liveAgentState['2']?.hitsLanded || 0)} hits</span>
@@ -719,15 +984,21 @@ export default function Arena() {
                                             <Zap size={10} /> {currentMatch.agent2.powerRating}
                                         </span>
                                         <span className="competitor-weapon">{currentMatch.agent2.weapon?.icon || '👊'}</span>
+                                        <FighterClassTag fighterClass={currentMatch.agent2.fighterClass} />
                                         <span className="competitor-rank">#{currentMatch.agent2.rank}</span>
                                     </div>
-                                    {currentMatch.agent2.equippedItems?.length > 0 && (
+                                    {(currentMatch.agent2.equippedItems?.length > 0 || currentMatch.agent2.potions?.length > 0) && (
                                         <div className="competitor-equipment">
-                                            {currentMatch.agent2.equippedItems.map(item => (
+                                            {currentMatch.agent2.equippedItems?.map(item => (
                                                 <span key={item.slot} className={`equipment-icon equipment-icon--${item.rarity}`} title={`${item.name} (${item.rarity})`}>
                                                     {item.icon}
                                                 </span>
                                             ))}
+                                            {currentMatch.agent2.potions?.map(potion => (
+                                                <span key={potion.id} className="equipment-icon equipment-icon--potion" title={`${potion.name} (potion, this fight only)`}>
+                                                    {potion.icon}
+                                                </span>
+                                            ))}
                                             {currentMatch.agent2.equipmentPower > 0 && (
                                                 <span className="equipment-power-badge">
                                                     <Shield size={9} /> +{currentMatch.agent2.equipmentPower}
@@ -782,7 +1053,7 @@ export default function Arena() {
                                         {gameState === 'BETTING' ? '🎰' : '⚔️'}
                                     </div>
                                     <h2 className="arena-placeholder__title text-display">
-                                        {gameState === 'BETTING' ? 'BETS ARE OPEN' : 'MATCH WAITING'}
+                                        {gameState === 'BETTING' ? 'BETS ARE OPEN' : waitingReason === 'POOL_NOT_FILLED' ? 'MATCH CANCELLED' : 'MATCH WAITING'}
                                     </h2>
                                     <div className="arena-placeholder__timer">{Math.max(0, timeLeft)}</div>
                                     <p className="arena-placeholder__subtitle">
@@ -830,19 +1101,27 @@ export default function Arena() {
                         {/* LIVE or FINISHED */}
                         {(gameState === 'LIVE' || gameState === 'FINISHED') && (
                             <div className="game-canvas-container">
-                                {gameState === 'FINISHED' && matchResult && winnerAgent && currentMatch && (
-                                    <div className="match-result-overlay" style={{ '--winner-color': winnerAgent.color }}>
+                                {gameState === 'FINISHED' && matchResult && (winnerAgent || matchResult.draw) && currentMatch && (
+                                    <div className="match-result-overlay" style={{ '--winner-color': winnerAgent?.color || '#FFE93E' }}>
                                         {/* Winner Announcement */}
                                         <div className="result-header">
-                                            <div className="result-header__trophy">🏆</div>
+                                            <div className="result-header__trophy">{matchResult.draw ? '🤝' : '🏆'}</div>
                                             <div className="result-header__text">
-                                                <h2 className="result-header__winner" style={{ color: winnerAgent.color }}>
-                                                    {winnerAgent.avatar} {winnerAgent.name} WINS!
-                                                </h2>
+                                                {matchResult.draw ? (
+                                                    <h2 className="result-header__winner" style={{ color: '#FFE93E' }}>
+                                                        DRAW!
+                                                    </h2>
+                                                ) : (
+                                                    <h2 className="result-header__winner" style={{ color: winnerAgent.color }}>
+                                                        {winnerAgent.avatar} {winnerAgent.name} WINS!
+                                                    </h2>
+                                                )}
                                                 <div className="result-header__method">
-                                                    {(matchResult.method || '').toLowerCase().includes('ko') ? '💀 KNOCKOUT' 
+                                                    {matchResult.draw ? '🤝 DRAW — BETS REFUNDED'
+                                                        : (matchResult.method || '').toLowerCase().includes('ko') ? '💀 KNOCKOUT'
                                                         : (matchResult.method || '').toLowerCase().includes('technical') ? '🔥 TECHNICAL KO'
-                                                        : '⚖️ DECISION'}
+                                                        : matchResult.method === 'Sudden Death' ? '☠️ SUDDEN DEATH'
+                                                        : `⚖️ ${(matchResult.method || 'Decision').toUpperCase()}`}
                                                     <span className="result-header__duration">
                                                         <Timer size={11} /> {matchResult.duration || '—'}s
                                                     </span>
@@ -851,43 +1130,46 @@ export default function Arena() {
                                         </div>
 
                                         {/* Fighter Comparison */}
-                                        <div className="result-comparison">
-                                            {/* Agent 1 Column */}
-                                            <div className={`result-fighter ${matchResult.winnerId === '1' ? 'result-fighter--winner' : 'result-fighter--loser'}`}>
-                                                <div className="result-fighter__avatar" style={{ borderColor: currentMatch.agent1.color }}>
-                                                    {currentMatch.agent1.avatar}
+                                        {isDuel && (
+                                            <div className="result-comparison">
+                                                {/* Agent 1 Column */}
+                                                <div className={`result-fighter ${matchResult.draw ? '' : matchResult.winnerId === '1' ? 'result-fighter--winner' : 'result-fighter--loser'}`}>
+                                                    <div className="result-fighter__avatar" style={{ borderColor: currentMatch.agent1.color }}>
+                                                        {currentMatch.agent1.avatar}
+                                                    </div>
+                                                    <span className="result-fighter__name" style={{ color: currentMatch.agent1.color }}>
+                                                        {currentMatch.agent1.name}
+                                                    </span>
+                                                    {matchResult.winnerId === '1' && <span className="result-fighter__crown">👑</span>}
                                                 </div>
-                                                <span className="result-fighter__name" style={{ color: currentMatch.agent1.color }}>
-                                                    {currentMatch.agent1.name}
-                                                </span>
-                                                {matchResult.winnerId === '1' && <span className="result-fighter__crown">👑</span>}
-                                            </div>
 
-                                            {/* Stats Label Column */}
-                                            <div className="result-stats-labels">
-                                                <span className="result-stat-label">HP Remaining</span>
-                                                <span className="result-stat-label">Power Rating</span>
-                                                <span className="result-stat-label">Equipment Power</span>
-                                                <span className="result-stat-label">Hits Landed</span>
-                                                <span className="result-stat-label">Critical Hits</span>
-                                                <span className="result-stat-label">Max Combo</span>
-                                                <span className="result-stat-label">Dodges</span>
-                                            </div>
+                                                {/* Stats Label Column */}
+                                                <div className="result-stats-labels">
+                                                    <span className="result-stat-label">HP Remaining</span>
+                                                    <span className="result-stat-label">Power Rating</span>
+                                                    <span className="result-stat-label">Skill Rating</span>
+                                                    <span className="result-stat-label">Equipment Power</span>
+                                                    <span className="result-stat-label">Hits Landed</span>
+                                                    <span className="result-stat-label">Critical Hits</span>
+                                                    <span className="result-stat-label">Max Combo</span>
+                                                    <span className="result-stat-label">Dodges</span>
+                                                </div>
 
-                                            {/* Agent 2 Column */}
-                                            <div className={`result-fighter ${matchResult.winnerId === '2' ? 'result-fighter--winner' : 'result-fighter--loser'}`}>
-                                                <div className="result-fighter__avatar" style={{ borderColor: currentMatch.agent2.color }}>
-                                                    {currentMatch.agent2.avatar}
+                                                {/* Agent 2 Column */}
+                                                <div className={`result-fighter ${matchResult.draw ? '' : matchResult.winnerId === '2' ? 'result-fighter--winner' : 'result-fighter--loser'}`}>
+                                                    <div className="result-fighter__avatar" style={{ borderColor: currentMatch.agent2.color }}>
+                                                        {currentMatch.agent2.avatar}
+                                                    </div>
+                                                    <span className="result-fighter__name" style={{ color: currentMatch.agent2.color }}>
+                                                        {currentMatch.agent2.name}
+                                                    </span>
+                                                    {matchResult.winnerId === '2' && <span className="result-fighter__crown">👑</span>}
                                                 </div>
-                                                <span className="result-fighter__name" style={{ color: currentMatch.agent2.color }}>
-                                                    {currentMatch.agent2.name}
-                                                </span>
-                                                {matchResult.winnerId === '2' && <span className="result-fighter__crown">👑</span>}
                                             </div>
-                                        </div>
+                                        )}
 
                                         {/* Stat Bars */}
-                                        {(() => {
+                                        {isDuel && (() => {
                                             const s1 = finalStats?.['1'] || liveAgentState?.['1'] || {};
                                             const s2 = finalStats?.['2'] || liveAgentState?.['2'] || {};
                                             const a1 = currentMatch.agent1;
@@ -910,6 +1192,18 @@ export default function Arena() {
                                                     v2: a2.powerRating || 0,
                                                     max: Math.max(a1.powerRating || 1, a2.powerRating || 1) * 1.2,
                                                 },
+                                                {
+                                                    label: 'Skill Rating',
+                                                    v1: matchResult?.ratings?.['1']?.after ?? (a1.rating?.rating || 1500),
+                                                    v2: matchResult?.ratings?.['2']?.after ?? (a2.rating?.rating || 1500),
+                                                    max: Math.max(a1.rating?.rating || 1500, a2.rating?.rating || 1500) * 1.1,
+                                                    format: (v, agent, side) => {
+                                                        const change = matchResult?.ratings?.[String(side)];
+                                                        if (!change) return `${v}`;
+                                                        const delta = change.after - change.before;
+                                                        return `${v} (${delta >= 0 ? '+' : ''}${delta})`;
+                                                    },
+                                                },
                                                 {
                                                     label: 'Equipment Power',
                                                     v1: a1.equipmentPower || 0,
@@ -985,7 +1279,7 @@ export default function Arena() {
                                         {/* Deciding Factors */}
                                         <div className="result-factors">
                                             <span className="result-factors__title">
-                                                <BarChart3 size={12} /> Deciding Factors
+                                                <BarChart3 size={12} /> {isDuel ? 'Deciding Factors' : 'Standings'}
                                             </span>
                                             <div className="result-factors__list">
                                                 {(() => {
@@ -998,27 +1292,57 @@ export default function Arena() {
                                                     const w = wId === '1' ? a1 : a2;
                                                     const ws = wId === '1' ? s1 : s2;
                                                     const ls = wId === '1' ? s2 : s1;
-
-                                                    if ((matchResult.method || '').toLowerCase().includes('ko')) {
-                                                        factors.push({ icon: '💀', text: `${w.name} delivered a devastating knockout blow` });
-                                                    } else {
-                                                        factors.push({ icon: '⚖️', text: `Winner decided by remaining HP and damage score` });
+                                                    const tiebreakLabel = matchResult.tiebreak === 'hits' ? 'hits landed'
+                                                        : matchResult.tiebreak === 'sudden_death' ? 'sudden death'
+                                                        : 'damage score';
+
+                                                    if (!isDuel && !matchResult.draw) {
+                                                        // Team / free-for-all: final standings
+                                                        const stats = finalStats || liveAgentState || {};
+                                                        const standings = matchFighters(currentMatch)
+                                                            .map((f, i) => ({ f, s: stats[String(i + 1)] || {} }))
+                                                            .sort((a, b) => (a.s.placement || 99) - (b.s.placement || 99));
+                                                        standings.forEach(({ f, s }) => {
+                                                            const place = s.placement === 1 ? '👑' : s.placement ? `#${s.placement}` : '•';
+                                                            factors.push({ icon: place, text: `${f.name} — ${s.kills || 0} KOs, ${Math.round(s.hp || 0)} HP left` });
+                                                        });
+                                                        return factors.map((f, i) => (
+                                                            <div key={i} className="result-factor">
+                                                                <span className="result-factor__icon">{f.icon}</span>
+                                                                <span className="result-factor__text">{f.text}</span>
+                                                            </div>
+                                                        ));
                                                     }
 
-                                                    if ((ws.hitsLanded || 0) > (ls.hitsLanded || 0)) {
-                                                        factors.push({ icon: '🎯', text: `${w.name} landed more hits (${ws.hitsLanded || 0} vs ${ls.hitsLanded || 0})` });
-                                                    }
-                                                    if ((ws.critHits || 0) > (ls.critHits || 0)) {
-                                                        factors.push({ icon: '💥', text: `Superior critical hit rate (${ws.critHits || 0} crits)` });
-                                                    }
-                                                    if ((w.equipmentPower || 0) > 30) {
-                                                        factors.push({ icon: '⚔️', text: `Strong equipment loadout (+${w.equipmentPower} power)` });
-                                                    }
-                                                    if ((ws.maxCombo || 0) >= 3) {
-                                                        factors.push({ icon: '🔥', text: `${ws.maxCombo}x max combo dealt massive burst damage` });
-                                                    }
-                                                    if (factors.length < 3) {
-                                                        factors.push({ icon: '🏆', text: `Higher overall combat effectiveness determined the outcome` });
+                                                    if (matchResult.draw) {
+                                                        factors.push({ icon: '🤝', text: matchResult.tiebreak ? `Even on the judges' cards and on ${tiebreakLabel}` : 'Even on the judges\' cards when the fight was stopped' });
+                                                        factors.push({ icon: '💸', text: 'The match was cancelled on-chain — every bet can be refunded' });
+                                                    } else {
+                                                        if ((matchResult.method || '').toLowerCase().includes('ko')) {
+                                                            factors.push({ icon: '💀', text: `${w.name} delivered a devastating knockout blow` });
+                                                        } else if (matchResult.method === 'Sudden Death') {
+                                                            factors.push({ icon: '☠️', text: `${w.name} took the lead first in sudden death` });
+                                                        } else if (matchResult.tiebreak) {
+                                                            factors.push({ icon: '⚖️', text: `Even on the judges' cards — decided by ${tiebreakLabel}` });
+                                                        } else {
+                                                            factors.push({ icon: '⚖️', text: `${matchResult.method || 'Decision'} on the judges' cards` });
+                                                        }
+
+                                                        if ((ws.hitsLanded || 0) > (ls.hitsLanded || 0)) {
+                                                            factors.push({ icon: '🎯', text: `${w.name} landed more hits (${ws.hitsLanded || 0} vs ${ls.hitsLanded || 0})` });
+                                                        }
+                                                        if ((ws.critHits || 0) > (ls.critHits || 0)) {
+                                                            factors.push({ icon: '💥', text: `Superior critical hit rate (${ws.critHits || 0} crits)` });
+                                                        }
+                                                        if ((w.equipmentPower || 0) > 30) {
+                                                            factors.push({ icon: '⚔️', text: `Strong equipment loadout (+${w.equipmentPower} power)` });
+                                                        }
+                                                        if ((ws.maxCombo || 0) >= 3) {
+                                                            factors.push({ icon: '🔥', text: `${ws.maxCombo}x max combo dealt massive burst damage` });
+                                                        }
+                                                        if (factors.length < 3) {
+                                                            factors.push({ icon: '🏆', text: `Higher overall combat effectiveness determined the outcome` });
+                                                        }
                                                     }
 
                                                     return factors.slice(0, 4).map((f, i) => (
@@ -1031,6 +1355,43 @@ export default function Arena() {
                                             </div>
                                         </div>
 
+                                        {/* Judges' Scorecards — one column per scored round */}
+                                        {matchResult.scorecards?.rounds?.length > 0 && (() => {
+                                            const cards = matchResult.scorecards;
+                                            const sides = matchSides(currentMatch);
+                                            const cardLine = scores => sides.map(s => scores?.[s.id] ?? '–').join('-');
+                                            const verdict = cards.verdict === 'draw' ? 'Even'
+                                                : cards.verdict ? `${cards.verdict} decision`
+                                                : 'at the stoppage';
+                                            return (
+                                                <div className="result-scorecards">
+                                                    <span className="result-factors__title">
+                                                        <ClipboardList size={12} /> Judges' Scorecards — {verdict}
+                                                    </span>
+                                                    <table className="result-scorecards__table">
+                                                        <thead>
+                                                            <tr>
+                                                                <th>{sides.map(s => s.icon).join(' ')}</th>
+                                                                {cards.rounds.map(r => <th key={r.round}>R{r.round}</th>)}
+                                                                <th>Total</th>
+                                                            </tr>
+                                                        </thead>
+                                                        <tbody>
+                                                            {cards.judges.map(j => (
+                                                                <tr key={j.id}>
+                                                                    <td className="result-scorecards__judge" title={j.style}>{j.name}</td>
+                                                                    {cards.rounds.map(r => (
+                                                                        <td key={r.round}>{cardLine(r.cards.find(c => c.judge === j.id)?.scores)}</td>
+                                                                    ))}
+                                                                    <td className="result-scorecards__total">{cardLine(cards.totals[j.id])}</td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                </div>
+                                            );
+                                        })()}
+
                                         {/* Reward Info */}
                                         {(matchResult.monEarned > 0 || matchResult.totalBets > 0) && (
                                             <div className="result-rewards">
@@ -1059,6 +1420,16 @@ export default function Arena() {
                                             </div>
                                         )}
 
+                                        {/* Provably fair: committed hash + revealed seed */}
+                                        {matchResult.fairness?.seed && (
+                                            <div className="result-fairness" title={`Seed: ${matchResult.fairness.seed}\nCommitted hash: ${matchResult.fairness.seedHash}`}>
+                                                <Shield size={11} />
+                                                <span>Provably fair</span>
+                                                <code>seed {matchResult.fairness.seed.slice(0, 10)}…</code>
+                                                <code>hash {matchResult.fairness.seedHash.slice(0, 10)}…</code>
+                                            </div>
+                                        )}
+
                                         {/* Claim Winnings Inline (brief summary — persistent widget is in sidebar) */}
                                         {pendingClaim && pendingClaim.status === 'ready' && (
                                             <div className="result-claim-section">
@@ -1067,7 +1438,7 @@ export default function Arena() {
                                                     onClick={handleClaimWinnings}
                                                 >
                                                     <Trophy size={16} />
-                                                    CLAIM WINNINGS
+                                                    {pendingClaim.kind === 'refund' ? 'CLAIM REFUND' : 'CLAIM WINNINGS'}
                                                 </button>
                                             </div>
                                         )}
@@ -1083,7 +1454,7 @@ export default function Arena() {
                                             <div className="result-claim-section">
                                                 <div className="result-claim-success">
                                                     <Zap size={14} />
-                                                    <span>Winnings claimed!</span>
+                                                    <span>{pendingClaim.kind === 'refund' ? 'Refund claimed!' : 'Winnings claimed!'}</span>
                                                 </div>
                                             </div>
                                         )}
@@ -1106,12 +1477,17 @@ export default function Arena() {
                                         key={`${currentMatch?.id}-${matchKey}`}
                                         agent1={currentMatch?.agent1}
                                         agent2={currentMatch?.agent2}
+                                        fighters={isDuel ? null : matchFighters(currentMatch)}
+                                        fighterEquipment={isDuel ? null : matchFighters(currentMatch).map(getEquipmentBonus)}
+                                        sides={currentMatch?.sides}
                                         onStateUpdate={handleStateUpdate}
                                         onMatchEnd={handleMatchEnd}
                                         isPlaying={gameState === 'LIVE'}
                                         agent1Equipment={getEquipmentBonus(currentMatch?.agent1)}
                                         agent2Equipment={getEquipmentBonus(currentMatch?.agent2)}
                                         serverFightState={serverFightState}
+                                        ruleSet={currentMatch?.ruleSet}
+                                        arena={currentMatch?.arena}
                                     />
                             </div>
                         )}
@@ -1131,7 +1507,9 @@ export default function Arena() {
                             <div className="sidebar-claim-widget__header">
                                 <Trophy size={14} />
                                 <span>
-                                    {pendingClaim.status === 'ready' && 'You Won!'}
+                                    {pendingClaim.status === 'ready' && (pendingClaim.kind === 'refund'
+                                        ? (pendingClaim.reason === 'cancelled' ? 'Cancelled — Refund' : 'Draw — Refund')
+                                        : 'You Won!')}
                                     {pendingClaim.status === 'claiming' && 'Claiming...'}
                                     {pendingClaim.status === 'claimed' && 'Claimed!'}
                                     {pendingClaim.status === 'error' && 'Claim Issue'}
@@ -1150,14 +1528,18 @@ export default function Arena() {
                             {pendingClaim.status === 'ready' && (
                                 <>
                                     <p className="sidebar-claim-widget__desc">
-                                        Your bet on <strong>{pendingClaim.agentName}</strong> won! Claim your winnings from the smart contract.
+                                        {pendingClaim.kind === 'refund' ? (
+                                            <>{pendingClaim.reason === 'cancelled' ? 'The betting pool never filled, so the match was cancelled.' : 'The match ended in a draw.'} Claim back your bet on <strong>{pendingClaim.agentName}</strong> from the smart contract.</>
+                                        ) : (
+                                            <>Your bet on <strong>{pendingClaim.agentName}</strong> won! Claim your winnings from the smart contract.</>
+                                        )}
                                     </p>
                                     <button
                                         className="sidebar-claim-widget__btn sidebar-claim-widget__btn--claim"
                                         onClick={handleClaimWinnings}
                                     >
                                         <Zap size={14} />
-                                        CLAIM WINNINGS
+                                        {pendingClaim.kind === 'refund' ? 'CLAIM REFUND' : 'CLAIM WINNINGS'}
                                     </button>
                                 </>
                             )}
@@ -1172,7 +1554,7 @@ export default function Arena() {
                             {pendingClaim.status === 'claimed' && (
                                 <div className="sidebar-claim-widget__success">
                                     <Zap size={14} />
-                                    <span>Winnings received!</span>
+                                    <span>{pendingClaim.kind === 'refund' ? 'Refund received!' : 'Winnings received!'}</span>
                                     {pendingClaim.txHash && (
                                         <a
                                             href={`https://monadscan.com/tx/${pendingClaim.txHash}`}
@@ -5,6 +5,7 @@ import './Leaderboard.css';
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api/v1';
 
 const SORT_OPTIONS = [
+    { key: 'rating', label: 'Rating' },
     { key: 'winRate', label: 'Win Rate' },
     { key: 'wins', label: 'Total Wins' },
     { key: 'earnings', label: 'Earnings' },
@@ -21,13 +22,19 @@ function colorFromName(name) {
     return `hsl(${hue}, 75%, 60%)`;
 }
 
+// "1623 ±84", with a ? while the rating is still provisional
+function formatRating(rating) {
+    if (!rating) return '—';
+    return `${rating.rating} ±${rating.deviation}${rating.provisional ? '?' : ''}`;
+}
+
 function avatarFromName(name) {
     const base = String(name || '?').trim();
     return base ? base.charAt(0).toUpperCase() : '?';
 }
 
 export default function Leaderboard() {
-    const [sortBy, setSortBy] = useState('winRate');
+    const [sortBy, setSortBy] = useState('rating');
     const [agents, setAgents] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
@@ -157,7 +164,7 @@ export default function Leaderboard() {
                                     </div>
                                     <div className="leaderboard-podium__power">
                                         <Star size={14} style={{ color: 'var(--neon-yellow)' }} />
-                                        <span>Power: {agent.powerRating || 0}</span>
+                                        <span>Rating: {formatRating(agent.rating)} · Power: {agent.powerRating || 0}</span>
                                     </div>
                                 </div>
                             ))}
@@ -169,6 +176,7 @@ export default function Leaderboard() {
                                 <span className="leaderboard-table__col leaderboard-table__col--agent">Agent</span>
                                 <span className="leaderboard-table__col">W/L/D</span>
                                 <span className="leaderboard-table__col">Win Rate</span>
+                                <span className="leaderboard-table__col">Rating</span>
                                 <span className="leaderboard-table__col">Power</span>
                                 <span className="leaderboard-table__col">Earnings</span>
                                 <span className="leaderboard-table__col">Status</span>
@@ -203,6 +211,11 @@ export default function Leaderboard() {
                                             {agent.stats?.winRate || 0}%
                                         </span>
                                     </span>
+                                    <span className="leaderboard-table__col">
+                                        <span className="leaderboard__rating" title={agent.rating ? `${agent.rating.fights} rated fights` : undefined}>
+                                            {formatRating(agent.rating)}
+                                        </span>
+                                    </span>
                                     <span className="leaderboard-table__col">
                                         <span className="leaderboard__power">{agent.powerRating || 0}</span>
                                     </span>
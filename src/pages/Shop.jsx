@@ -1,5 +1,5 @@
 import { useEffect, useMemo, useState } from 'react';
-import { ShoppingBag, Package, Check, ArrowRightLeft, KeyRound, Wallet } from 'lucide-react';
+import { ShoppingBag, Package, Check, ArrowRightLeft, KeyRound, Wallet, FlaskConical } from 'lucide-react';
 import { SHOP_ITEMS, RARITY, ITEM_CATEGORY, calculateEquipmentBonus } from '../data/inventory';
 import {
     getShopConfig,
@@ -10,6 +10,8 @@ import {
     payShopOrderFromAgentWallet,
     equipAgentShopItem,
     unequipAgentShopItem,
+    queueAgentPotion,
+    unqueueAgentPotion,
 } from '../services/shopService';
 import './Shop.css';
 
@@ -21,6 +23,7 @@ const ITEM_BY_ID = SHOP_ITEMS.reduce((acc, item) => {
 const EMPTY_INVENTORY = {
     equipped: { weapon: null, armor: null, boots: null, amulet: null, rune: null },
     backpack: [],
+    queuedPotions: [],
     purchaseHistory: [],
 };
 
@@ -40,7 +43,8 @@ function hydrateInventory(raw) {
         equipped[slot] = hydrateEntry(raw.equipped && raw.equipped[slot]);
     });
     const backpack = Array.isArray(raw.backpack) ? raw.backpack.map(hydrateEntry).filter(Boolean) : [];
-    return { ...EMPTY_INVENTORY, ...raw, equipped, backpack };
+    const queuedPotions = Array.isArray(raw.queuedPotions) ? raw.queuedPotions.map(hydrateEntry).filter(Boolean) : [];
+    return { ...EMPTY_INVENTORY, ...raw, equipped, backpack, queuedPotions };
 }
 
 export default function Shop() {
@@ -212,6 +216,34 @@ export default function Shop() {
         }
     };
 
+    const queuePotion = async (item) => {
+        if (!agentApiKey || !item || item.category !== 'potion') return;
+        setBusy(true);
+        try {
+            const updated = await queueAgentPotion({ apiKey: agentApiKey, itemId: item.id });
+            setInventory(hydrateInventory(updated));
+            pushToast('equip', `${item.name} queued for the next fight.`);
+        } catch (error) {
+            pushToast('error', error.message || 'Could not queue potion.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const unqueuePotion = async (item) => {
+        if (!agentApiKey || !item) return;
+        setBusy(true);
+        try {
+            const updated = await unqueueAgentPotion({ apiKey: agentApiKey, itemId: item.id });
+            setInventory(hydrateInventory(updated));
+            pushToast('unequip', `${item.name} returned to backpack.`);
+        } catch (error) {
+            pushToast('error', error.message || 'Could not unqueue potion.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
     const unequipSlot = async (slot) => {
         if (!agentApiKey) return;
         setBusy(true);
@@ -344,10 +376,37 @@ export default function Shop() {
                                     <div className="shop-backpack__item-info">
                                         <span className="shop-backpack__item-name">{item.name}</span>
                                     </div>
-                                    {item.category !== 'potion' && (
+                                    {item.category !== 'potion' ? (
                                         <button className="shop-backpack__equip-btn" onClick={() => equipFromBackpack(item)} disabled={busy}>
                                             <ArrowRightLeft size={12} /> Equip
                                         </button>
+                                    ) : (
+                                        <button className="shop-backpack__equip-btn" onClick={() => queuePotion(item)} disabled={busy}>
+                                            <FlaskConical size={12} /> Queue
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {inventory.queuedPotions.length > 0 && (
+                    <div className="shop-backpack card-base">
+                        <h3 className="shop-backpack__title">Next Fight Potions ({inventory.queuedPotions.length})</h3>
+                        <div className="shop-backpack__grid">
+                            {inventory.queuedPotions.map((item) => (
+                                <div key={item.id} className="shop-backpack__item">
+                                    <span className="shop-backpack__item-icon">{item.icon}</span>
+                                    <div className="shop-backpack__item-info">
+                                        <span className="shop-backpack__item-name">{item.name}</span>
+                                    </div>
+                                    {item.appliedMatchId ? (
+                                        <span className="shop-backpack__item-locked">In use</span>
+                                    ) : (
+                                        <button className="shop-backpack__equip-btn" onClick={() => unqueuePotion(item)} disabled={busy}>
+                                            <ArrowRightLeft size={12} /> Unqueue
+                                        </button>
                                     )}
                                 </div>
                             ))}
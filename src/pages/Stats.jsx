@@ -340,7 +340,7 @@ export default function Stats() {
                                     <span className="stats-recent__winner" style={{ color: match.winner?.color || '#FFE93E' }}>
                                         {match.winner?.avatar || '🏆'} {match.winner?.name || 'Unknown'}
                                     </span>
-                                    <span className="stats-recent__vs">defeated</span>
+                                    <span className="stats-recent__vs">{match.draw ? 'drew with' : 'defeated'}</span>
                                     <span className="stats-recent__loser" style={{ color: match.loser?.color || '#888' }}>
                                         {match.loser?.name || 'Unknown'}
                                     </span>
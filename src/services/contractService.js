@@ -9,6 +9,7 @@ import { ethers } from 'ethers';
 const BETTING_ABI = [
     // Write functions
     "function placeBet(bytes32 _matchId, uint8 _side) external payable",
+    "function placeFieldBet(bytes32 _matchId, uint8 _outcome) external payable",
     "function claimWinnings(bytes32 _matchId) external",
     "function claimRefund(bytes32 _matchId) external",
     
@@ -16,6 +17,8 @@ const BETTING_ABI = [
     "function getMatch(bytes32 _matchId) external view returns (tuple(bytes32 matchId, string agentAName, string agentBName, uint8 status, uint8 winningSide, uint256 poolA, uint256 poolB, uint256 totalPool, uint256 createdAt, uint256 resolvedAt))",
     "function getUserBet(bytes32 _matchId, address _user) external view returns (tuple(address bettor, bytes32 matchId, uint8 side, uint256 amount, bool claimed))",
     "function getOdds(bytes32 _matchId) external view returns (uint256 oddsA, uint256 oddsB)",
+    "function getFieldPools(bytes32 _matchId) external view returns (uint256[] pools)",
+    "function userOutcome(bytes32 _matchId, address _user) external view returns (uint8)",
     "function minBet() external view returns (uint256)",
     "function maxBet() external view returns (uint256)",
     "function totalMatches() external view returns (uint256)",
@@ -143,6 +146,21 @@ class ContractService {
      * @returns {object} Transaction receipt
      */
     async placeBet(matchId, side, amountMON) {
+        return this._sendBet('placeBet', matchId, side, amountMON);
+    }
+
+    /**
+     * Place a bet on one fighter of a free-for-all match (field market)
+     * @param {string} matchId - Match identifier
+     * @param {number} outcome - Fighter slot, 1..N
+     * @param {string} amountMON - Amount in MON (e.g. "10.5")
+     * @returns {object} Transaction receipt
+     */
+    async placeFieldBet(matchId, outcome, amountMON) {
+        return this._sendBet('placeFieldBet', matchId, outcome, amountMON);
+    }
+
+    async _sendBet(method, matchId, pick, amountMON) {
         if (!this.contract) throw new Error('Contract not initialized');
         
         const matchBytes = this.matchIdToBytes32(matchId);
@@ -152,12 +170,12 @@ class ContractService {
         // Do NOT fall back to a hardcoded gasLimit to avoid wasting gas on revert.
         let gasLimit;
         try {
-            const estimatedGas = await this.contract.placeBet.estimateGas(matchBytes, side, { value });
+            const estimatedGas = await this.contract[method].estimateGas(matchBytes, pick, { value });
             gasLimit = (estimatedGas * 130n) / 100n; // +30% headroom
-            console.log('[Contract] Gas estimate for placeBet:', Number(estimatedGas), '→ using', Number(gasLimit));
+            console.log(`[Contract] Gas estimate for ${method}:`, Number(estimatedGas), '→ using', Number(gasLimit));
         } catch (estimateErr) {
             // Gas estimation failed = the tx WILL revert. Surface the reason.
-            console.error('[Contract] placeBet gas estimation failed:', estimateErr);
+            console.error(`[Contract] ${method} gas estimation failed:`, estimateErr);
             
             // Try to extract the revert reason
             const reason = estimateErr?.reason 
@@ -174,7 +192,7 @@ class ContractService {
             throw enrichedError;
         }
 
-        const tx = await this.contract.placeBet(matchBytes, side, { value, gasLimit });
+        const tx = await this.contract[method](matchBytes, pick, { value, gasLimit });
         const receipt = await tx.wait();
         return {
             txHash: receipt.hash,
@@ -270,6 +288,21 @@ class ContractService {
         }
     }
 
+    /**
+     * Get the pool on every fighter of a free-for-all match (index 0 = fighter 1)
+     */
+    async getFieldPools(matchId) {
+        const reader = this.readContract || this.contract;
+        if (!reader) return [];
+
+        try {
+            const pools = await reader.getFieldPools(this.matchIdToBytes32(matchId));
+            return pools.map(p => ethers.formatEther(p));
+        } catch {
+            return [];
+        }
+    }
+
     /**
      * Get the user's bet on a match
      */
@@ -280,8 +313,10 @@ class ContractService {
         try {
             const matchBytes = this.matchIdToBytes32(matchId);
             const bet = await reader.getUserBet(matchBytes, userAddress);
+            // Field-market bets carry no side; their pick is the fighter outcome
+            const side = Number(bet.side) || Number(await reader.userOutcome(matchBytes, userAddress));
             return {
-                side: Number(bet.side),
+                side,
                 amount: ethers.formatEther(bet.amount),
                 claimed: bet.claimed,
             };
@@ -141,3 +141,23 @@ export async function unequipAgentShopItem({ apiKey, slot }) {
         }),
     });
 }
+
+export async function queueAgentPotion({ apiKey, itemId }) {
+    return request('/shop/agent/inventory/potions/queue', {
+        method: 'POST',
+        headers: authHeaders(apiKey),
+        body: JSON.stringify({
+            item_id: itemId,
+        }),
+    });
+}
+
+export async function unqueueAgentPotion({ apiKey, itemId }) {
+    return request('/shop/agent/inventory/potions/unqueue', {
+        method: 'POST',
+        headers: authHeaders(apiKey),
+        body: JSON.stringify({
+            item_id: itemId,
+        }),
+    });
+}